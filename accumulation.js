@@ -0,0 +1,56 @@
+//#region Progressive accumulation -----------------------------------------------
+// DOM-free bookkeeping for the path-traced render mode. Two float textures
+// hold the running average per pixel: sample n reads the average of the n
+// before it from texture current() and writes the new one to next(), then
+// the two swap. Anything that changes the image has to start over: call
+// reset() for scene, size and shader changes, setView() every frame with a key
+// describing the camera.
+
+function createAccumulator({ maxSamples = 1024 } = {}) {
+  let samples = 0;
+  let view = null;
+
+  function reset() {
+    samples = 0;
+  }
+
+  // Starts over when the key differs from the last frame's; returns true then
+  function setView(key) {
+    if (key === view) return false;
+    view = key;
+    samples = 0;
+    return true;
+  }
+
+  // 0 = keep accumulating forever
+  function setMaxSamples(n) {
+    maxSamples = Math.max(0, Math.floor(Number(n) || 0));
+  }
+
+  // Call after each sample pass has been submitted
+  function advance() {
+    samples++;
+  }
+
+  return {
+    reset,
+    setView,
+    setMaxSamples,
+    advance,
+    samples: () => samples,
+    maxSamples: () => maxSamples,
+    // True while another sample should be traced
+    wantsSample: () => maxSamples === 0 || samples < maxSamples,
+    // Index of the texture holding the current average, and of the other one
+    current: () => samples % 2,
+    next: () => (samples + 1) % 2,
+  };
+}
+
+// Everything about the camera that changes the image, as a setView key; lens
+// is the uniforms.lens array
+function accumulationViewKey(width, height, pos, dir, up, lens = []) {
+  return [width, height, pos.x, pos.y, pos.z, dir.x, dir.y, dir.z, up.x, up.y, up.z, ...lens].join(",");
+}
+
+//#endregion
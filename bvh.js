@@ -0,0 +1,325 @@
+//#region Bounds -----------------------------------------------------------------
+// World-space axis-aligned boxes { min: [x, y, z], max: [x, y, z] } around the
+// flattened items from flattenSceneTree. Unbounded shapes (planes) get
+// UNBOUNDED and groups with nothing solid in them get EMPTY_BOUNDS; both stay
+// finite (BOUNDS_FAR) so the shader never has to deal with infinities.
+
+const UNBOUNDED = { min: [-BOUNDS_FAR, -BOUNDS_FAR, -BOUNDS_FAR], max: [BOUNDS_FAR, BOUNDS_FAR, BOUNDS_FAR] };
+const EMPTY_BOUNDS = { min: [BOUNDS_FAR, BOUNDS_FAR, BOUNDS_FAR], max: [-BOUNDS_FAR, -BOUNDS_FAR, -BOUNDS_FAR] };
+
+const isEmptyBounds = (b) => b.min[0] > b.max[0];
+const isUnbounded = (b) => b.min.some((v) => v <= -BOUNDS_FAR) || b.max.some((v) => v >= BOUNDS_FAR);
+
+function unionBounds(a, b) {
+  return {
+    min: a.min.map((v, i) => Math.min(v, b.min[i])),
+    max: a.max.map((v, i) => Math.max(v, b.max[i])),
+  };
+}
+
+function padBounds(b, r) {
+  if (isEmptyBounds(b)) return b;
+  return { min: b.min.map((v) => v - r), max: b.max.map((v) => v + r) };
+}
+
+// Local box around the shape, relative to its center, before rotation / scale
+function localBounds(prim) {
+  const box = (x, y, z) => ({ min: [-x, -y, -z], max: [x, y, z] });
+
+  switch (prim.kind) {
+    case SPHERE:      return box(prim.param0, prim.param0, prim.param0);
+    case BOX:         return box(...prim.params1.slice(0, 3));
+    case ROUNDED_BOX: return box(...prim.params1.slice(0, 3).map((h) => h + prim.param0));
+    case CYLINDER:    return box(prim.params1[0], prim.param0 * 0.5, prim.params1[0]);
+    case TORUS: {
+      const outer = prim.param0 + prim.params1[0];
+      return box(outer, prim.params1[0], outer);
+    }
+    case CAPSULE: {
+      // point A is the center, point B is params1 in the same local space
+      const b = [0, 1, 2].map((i) => prim.params1[i] - prim.center[i]);
+      return {
+        min: b.map((v) => Math.min(v, 0) - prim.param0),
+        max: b.map((v) => Math.max(v, 0) + prim.param0),
+      };
+    }
+    case CONE:        return box(prim.params1[0], prim.param0 * 0.5, prim.params1[0]);
+    case CAPPED_CONE: {
+      const r = Math.max(prim.params1[0], prim.params1[1]);
+      return box(r, prim.param0 * 0.5, r);
+    }
+    case ELLIPSOID:   return box(...prim.params1.slice(0, 3));
+    case HEX_PRISM: {
+      const corner = prim.params1[0] / Math.cos(Math.PI / 6); // center to a vertex
+      return box(corner, prim.param0 * 0.5, corner);
+    }
+    case OCTAHEDRON:  return box(prim.param0, prim.param0, prim.param0);
+    case LINK: {
+      const [r, t] = prim.params1;
+      return box(r + t, prim.param0 + r + t, t);
+    }
+    case TRI_PRISM:   return box(prim.params1[0], prim.param0 * 0.5, prim.params1[0]);
+    default:
+      return null; // planes and unknown kinds
+  }
+}
+
+// localBounds once the primitive's modifiers have reshaped it, null when they
+// make it unbounded (infinite repetition)
+function modifiedBounds(prim) {
+  const modifiers = prim.modifiers ?? [];
+  let bounds = localBounds(prim);
+  // distance modifiers only move the surface by up to their padding...
+  for (const modifier of modifiers) {
+    if (bounds) bounds = padBounds(bounds, modifierPadding(modifier));
+  }
+  // ...in the space the point modifiers map into, undone from the last one
+  for (const modifier of [...modifiers].reverse()) {
+    if (bounds) bounds = unwarpBounds(bounds, modifier);
+  }
+  return bounds;
+}
+
+function modifierPadding(modifier) {
+  switch (modifier.type) {
+    case MOD_ROUND: return modifier.radius;
+    case MOD_ONION: return modifier.thickness;
+    case MOD_NOISE: return Math.abs(modifier.amplitude);
+    default:        return 0;
+  }
+}
+
+// Box of the points a point modifier maps into box b
+function unwarpBounds(b, modifier) {
+  if (isEmptyBounds(b)) return b;
+
+  // rotations about the origin keep the distance to it in their plane
+  const radial = (axes) => {
+    const r = Math.hypot(...axes.map((i) => Math.max(-b.min[i], b.max[i])));
+    const out = { min: [...b.min], max: [...b.max] };
+    for (const i of axes) {
+      out.min[i] = -r;
+      out.max[i] = r;
+    }
+    return out;
+  };
+
+  switch (modifier.type) {
+    case MOD_REPEAT:
+      return modifier.spacing.some((s) => s > 0) ? null : b;
+    case MOD_REPEAT_LIMITED: {
+      const reach = modifier.spacing.map((s, i) => (s > 0 ? s * Math.round(modifier.count[i]) : 0));
+      return { min: b.min.map((v, i) => v - reach[i]), max: b.max.map((v, i) => v + reach[i]) };
+    }
+    case MOD_MIRROR: {
+      const axis = modifier.axis;
+      const r = Math.max(b.max[axis] + modifier.offset, 0);
+      const out = { min: [...b.min], max: [...b.max] };
+      out.min[axis] = -r;
+      out.max[axis] = r;
+      return out;
+    }
+    case MOD_TWIST: return radial([0, 2]);
+    case MOD_BEND:  return radial([0, 1]);
+    default:        return b;
+  }
+}
+
+// World box of a flattened primitive (rotMatrix and scale already baked in)
+function primitiveBounds(prim) {
+  const local = modifiedBounds(prim);
+  if (!local) return UNBOUNDED;
+
+  // local is around the center, but rotation and scale go about the pivot
+  const pivot = primitivePivot(prim);
+  const shift = [0, 1, 2].map((i) => prim.center[i] - pivot[i]);
+  let bounds = EMPTY_BOUNDS;
+  for (let corner = 0; corner < 8; corner++) {
+    const c = [0, 1, 2].map((i) => (shift[i] + ((corner >> i) & 1 ? local.max[i] : local.min[i])) * prim.scale[i]);
+    const p = mat3MulVec(prim.rotMatrix, c).map((v, i) => v + pivot[i]);
+    bounds = unionBounds(bounds, { min: p, max: p });
+  }
+  return bounds;
+}
+
+// Box around what an op adds to the shape so far. Subtract and intersect only
+// ever remove material; smooth unions can bulge out by up to the blend radius.
+function accumulateBounds(bounds, entry, op, blend) {
+  switch (op) {
+    case OP_UNION:        return unionBounds(bounds, entry);
+    case OP_SMOOTH_UNION: return padBounds(unionBounds(bounds, entry), blend);
+    default:              return bounds;
+  }
+}
+
+//#endregion
+//#region Hierarchy --------------------------------------------------------------
+// buildBVH rewrites the flattened item list for the GPU:
+//
+// - Runs of consecutive plain unions in the same group are regrouped into a
+//   binary tree of synthetic union groups split along the longest axis. min()
+//   doesn't care about order, so the result is unchanged.
+// - Every GROUP_BEGIN (user groups included) gets the bounds of its contents
+//   and the index of its GROUP_END, so get_dist can jump over the whole span
+//   when the point is far enough from the box that it can't change the result.
+//
+// Along any path at most BVH_MAX_DEPTH synthetic groups are open on top of the
+// user's (at most MAX_GROUP_DEPTH) groups.
+
+const BVH_LEAF_SIZE = 4;   // entries evaluated together at the bottom of the tree
+const BVH_MAX_DEPTH = 8;   // MAX_GROUP_DEPTH + BVH_MAX_DEPTH must match WGSL EVAL_STACK_SIZE
+
+// Splits items into top-level entries: a primitive with its modifiers, or a
+// whole group span (BEGIN ... END). Returns [{ items, op }].
+function splitEntries(items) {
+  const entries = [];
+  for (let i = 0; i < items.length; i++) {
+    if (items[i].kind !== GROUP_BEGIN) {
+      let prim = i;
+      while (items[prim].kind === MODIFIER) prim++;
+      entries.push({ items: items.slice(i, prim + 1), op: items[prim].op });
+      i = prim;
+      continue;
+    }
+    let depth = 0;
+    let end = i;
+    for (; end < items.length; end++) {
+      if (items[end].kind === GROUP_BEGIN) depth++;
+      if (items[end].kind === GROUP_END && --depth === 0) break;
+    }
+    entries.push({ items: items.slice(i, end + 1), op: items[end].op });
+    i = end;
+  }
+  return entries;
+}
+
+// Binary tree of union groups over entries that all have op === OP_UNION.
+// depth is the number of synthetic groups already open in this tree, budget
+// how many may be open at once along any path, expand(entry, depth) the items
+// of an entry sitting under depth synthetic groups.
+function buildUnionTree(entries, depth, budget, expand) {
+  if (entries.length === 1) return expand(entries[0], depth);
+  if (depth >= budget) return entries.flatMap((e) => expand(e, depth));
+
+  const wrap = (inner) => [{ kind: GROUP_BEGIN, op: OP_UNION, blend: 0 }, ...inner, { kind: GROUP_END, op: OP_UNION, blend: 0 }];
+  if (entries.length <= BVH_LEAF_SIZE || depth + 1 >= budget) {
+    return wrap(entries.flatMap((e) => expand(e, depth + 1)));
+  }
+
+  // median split on the longest axis of the entry centers
+  const centers = entries.map((e) => e.bounds.min.map((v, i) => (v + e.bounds.max[i]) * 0.5));
+  const spread = centers.reduce((b, c) => unionBounds(b, { min: c, max: c }), EMPTY_BOUNDS);
+  const extent = spread.max.map((v, i) => v - spread.min[i]);
+  const axis = extent.indexOf(Math.max(...extent));
+
+  const order = entries.map((e, i) => i).sort((a, b) => centers[a][axis] - centers[b][axis]);
+  const half = Math.ceil(order.length / 2);
+  const left = order.slice(0, half).map((i) => entries[i]);
+  const right = order.slice(half).map((i) => entries[i]);
+  return wrap([
+    ...buildUnionTree(left, depth + 1, budget, expand),
+    ...buildUnionTree(right, depth + 1, budget, expand),
+  ]);
+}
+
+// Rebuilds one list level, then the groups inside it with whatever is left
+// of the synthetic depth budget
+function buildLevel(items, budget) {
+  const entries = splitEntries(items);
+  annotateBounds(entries);
+
+  const expand = (entry, depth) => {
+    if (entry.items[0].kind !== GROUP_BEGIN) return entry.items;
+    const inner = buildLevel(entry.items.slice(1, -1), budget - depth);
+    return [entry.items[0], ...inner, entry.items[entry.items.length - 1]];
+  };
+
+  // plain unions with finite bounds can be reordered freely; anything else
+  // ends the run and keeps its place
+  const out = [];
+  let run = [];
+  const flush = () => {
+    out.push(...(run.length > BVH_LEAF_SIZE ? buildUnionTree(run, 0, budget, expand) : run.flatMap((e) => expand(e, 0))));
+    run = [];
+  };
+  for (const entry of entries) {
+    if (entry.op === OP_UNION && !isUnbounded(entry.bounds)) {
+      run.push(entry);
+    } else {
+      flush();
+      out.push(...expand(entry, 0));
+    }
+  }
+  flush();
+  return out;
+}
+
+// Bounds of each entry, for the splits above
+function annotateBounds(entries) {
+  for (const entry of entries) {
+    const first = entry.items[0];
+    const last = entry.items[entry.items.length - 1];
+    entry.bounds = first.kind === GROUP_BEGIN ? spanBounds(entry.items, 1).bounds : primitiveBounds(last);
+  }
+}
+
+// Bounds of the items from `start` up to the GROUP_END closing that level.
+// Also stores bounds and end index on every GROUP_BEGIN met on the way.
+// Returns { bounds, end } with end the index of that GROUP_END (or items.length).
+function spanBounds(items, start) {
+  let bounds = EMPTY_BOUNDS;
+  let i = start;
+
+  while (i < items.length && items[i].kind !== GROUP_END) {
+    const item = items[i];
+    if (item.kind === GROUP_BEGIN) {
+      const inner = spanBounds(items, i + 1);
+      const end = items[inner.end];
+      item.bounds = inner.bounds;
+      item.end = inner.end;
+      bounds = accumulateBounds(bounds, inner.bounds, end.op, end.blend);
+      i = inner.end + 1;
+    } else if (item.kind === MODIFIER) {
+      i++; // part of the primitive after it
+    } else {
+      bounds = accumulateBounds(bounds, primitiveBounds(item), item.op, item.blend);
+      i++;
+    }
+  }
+
+  return { bounds, end: i };
+}
+
+// Flattened items -> GPU item list with bounding groups. Items are shared with
+// the input (its GROUP_BEGIN markers get bounds and end set too).
+function buildBVH(items) {
+  const out = buildLevel(items, BVH_MAX_DEPTH);
+  // end indices refer to the final list, so annotate once more at the end
+  spanBounds(out, 0);
+  return out;
+}
+
+//#endregion
+//#region Culling ----------------------------------------------------------------
+
+// Distance from p to the box, negative inside (mirror of box_dist in WGSL)
+function boundsDistance(p, bounds) {
+  const q = [0, 1, 2].map((i) => Math.max(bounds.min[i] - p[i], p[i] - bounds.max[i]));
+  const outside = Math.hypot(...q.map((v) => Math.max(v, 0.0)));
+  return outside + Math.min(Math.max(q[0], q[1], q[2]), 0.0);
+}
+
+// True when a group at box distance boxDist can't change res under op (mirror
+// of can_skip in WGSL). Its surface is at least boxDist away, so a union with
+// something closer, or a cut further than we are deep inside, is a no-op.
+function canSkipGroup(resDist, boxDist, op, blend) {
+  switch (op) {
+    case OP_UNION:           return boxDist >= resDist;
+    case OP_SMOOTH_UNION:    return boxDist >= resDist + blend;
+    case OP_SUBTRACT:        return boxDist >= -resDist;
+    case OP_SMOOTH_SUBTRACT: return boxDist >= -resDist + blend;
+    default:                 return false; // intersections always matter
+  }
+}
+
+//#endregion
@@ -0,0 +1,119 @@
+//#region Orbit views ------------------------------------------------------------
+// DOM-free camera navigation. A view is the orbit camera main.js keeps in
+// camTarget / camDist / camYaw / camPitch and scene files store:
+// { target: {x, y, z}, dist, yaw, pitch }. orbitCamera (raymarch.js) turns it
+// into the eye and direction the shader gets.
+
+const PITCH_MIN = -Math.PI / 2 + 0.01;
+const PITCH_MAX =  Math.PI / 2 - 0.01;
+const MIN_CAMERA_DIST = 0.5;
+const CAMERA_TRANSITION_TIME = 0.6; // seconds, moving to a bookmark or framing
+const FRAME_MARGIN = 1.2;           // frame selected leaves this much room around the bounds
+
+const copyView = (view) => ({ target: { ...view.target }, dist: view.dist, yaw: view.yaw, pitch: view.pitch });
+
+const clampPitch = (pitch) => Math.min(Math.max(pitch, PITCH_MIN), PITCH_MAX);
+
+// The view a fraction u of the way from a to b: the target moves in a straight
+// line, the distance geometrically (so zooming feels even) and the yaw the short
+// way round
+function interpolateView(a, b, u) {
+  const turn = 2 * Math.PI;
+  let dYaw = (b.yaw - a.yaw) % turn;
+  if (dYaw > Math.PI) dYaw -= turn;
+  if (dYaw < -Math.PI) dYaw += turn;
+
+  const lerp = (x, y) => x + (y - x) * u;
+  return {
+    target: { x: lerp(a.target.x, b.target.x), y: lerp(a.target.y, b.target.y), z: lerp(a.target.z, b.target.z) },
+    dist: a.dist * Math.pow(b.dist / a.dist, u),
+    yaw: a.yaw + dYaw * u,
+    pitch: lerp(a.pitch, b.pitch),
+  };
+}
+
+// The view `elapsed` seconds into an eased transition from `from` to `to`;
+// `to` itself once the transition is over
+function transitionView(from, to, elapsed, duration = CAMERA_TRANSITION_TIME) {
+  const u = Math.min(Math.max(elapsed / duration, 0), 1);
+  if (u >= 1) return copyView(to);
+  return interpolateView(from, to, u * u * (3 - 2 * u));
+}
+
+// Axis-aligned views for the numpad keys, as in Blender: front looks down -z,
+// right down -x, top straight down with -z up the screen
+const SNAP_VIEWS = {
+  front: { yaw: 0, pitch: 0 },
+  right: { yaw: Math.PI / 2, pitch: 0 },
+  top:   { yaw: 0, pitch: PITCH_MAX },
+};
+
+// The view turned to SNAP_VIEWS[name], around the same target
+const snapView = (view, name) => ({ ...copyView(view), ...SNAP_VIEWS[name] });
+
+// The view from the other side of the target (back for front, bottom for top)
+const oppositeView = (view) => ({ ...copyView(view), yaw: view.yaw + Math.PI, pitch: -view.pitch });
+
+//#endregion
+//#region Bookmarks --------------------------------------------------------------
+
+function makeCameraBookmark(name, view) {
+  return { name, ...copyView(view) };
+}
+
+//#endregion
+//#region Frame selected ---------------------------------------------------------
+
+// World box around the node at path (for a group, everything in it), or null
+// when it has no finite extent (planes, unlimited repetition, empty groups)
+function nodeBounds(nodes, path) {
+  const { items, paths } = flattenSceneTree(nodes);
+  let bounds = EMPTY_BOUNDS;
+  items.forEach((item, i) => {
+    if (item.kind === GROUP_BEGIN || item.kind === GROUP_END || item.kind === MODIFIER) return;
+    if (isPathPrefix(path, paths[i])) bounds = unionBounds(bounds, primitiveBounds(item));
+  });
+  return isEmptyBounds(bounds) || isUnbounded(bounds) ? null : bounds;
+}
+
+// The view turned the same way, orbiting the middle of bounds from just far
+// enough for their bounding sphere to fill the shorter side of the screen. Far
+// enough for an orthographic view of the same lens too.
+function frameView(view, bounds, focalLength = DEFAULT_FOCAL_LENGTH) {
+  const center = bounds.min.map((v, i) => (v + bounds.max[i]) / 2);
+  const radius = vec3Length(vec3Sub(bounds.max, bounds.min)) / 2;
+  const halfAngle = Math.atan(0.5 / focalLength); // cameraRay spans +-0.5 of the shorter side
+  return {
+    target: { x: center[0], y: center[1], z: center[2] },
+    dist: Math.max((radius * FRAME_MARGIN) / Math.sin(halfAngle), MIN_CAMERA_DIST),
+    yaw: view.yaw,
+    pitch: view.pitch,
+  };
+}
+
+//#endregion
+//#region Fly navigation ---------------------------------------------------------
+// First-person moves expressed on the orbit view: looking around keeps the eye
+// where it is and swings the target, moving carries both along. Switching back
+// to orbiting pivots around the point the camera was looking at.
+
+function lookAround(view, dYaw, dPitch) {
+  const eye = toVec3(orbitCamera(view.target, view.dist, view.yaw, view.pitch).pos);
+  const yaw = view.yaw + dYaw;
+  const pitch = clampPitch(view.pitch + dPitch);
+  const offset = toVec3(orbitCamera({ x: 0, y: 0, z: 0 }, view.dist, yaw, pitch).pos);
+  const [x, y, z] = vec3Sub(eye, offset);
+  return { target: { x, y, z }, dist: view.dist, yaw, pitch };
+}
+
+// Moves by [right, up, forward] (world units): forward along the view
+// direction, right level with the ground, up straight up
+function flyMove(view, [right, up, forward]) {
+  const dir = toVec3(orbitCamera(view.target, view.dist, view.yaw, view.pitch).dir);
+  const side = vec3Normalize(vec3Cross(dir, [0, 1, 0]));
+  const delta = vec3Add(vec3Add(vec3Scale(side, right), [0, up, 0]), vec3Scale(dir, forward));
+  const [x, y, z] = vec3Add(toVec3(view.target), delta);
+  return { ...copyView(view), target: { x, y, z } };
+}
+
+//#endregion
@@ -0,0 +1,164 @@
+//#region Key chords -------------------------------------------------------------
+// DOM-free part of the keyboard shortcuts (main.js, "Commands"). A chord is a
+// string such as "Ctrl+Shift+Z": modifiers in a fixed order, then the key by
+// its physical position (KeyboardEvent.code) so bindings survive keyboard
+// layouts, letters and digits shortened to "Z" and "5".
+
+const MODIFIER_CODES = ["ControlLeft", "ControlRight", "ShiftLeft", "ShiftRight", "AltLeft", "AltRight", "MetaLeft", "MetaRight"];
+
+// The chord a keydown event presses, or null for a lone modifier key.
+// Cmd counts as Ctrl so the same bindings work on macOS.
+function eventChord({ code, key, ctrlKey, metaKey, altKey, shiftKey }) {
+  if (MODIFIER_CODES.includes(code) || ["Control", "Shift", "Alt", "Meta"].includes(key)) return null;
+
+  let name = code || (key === " " ? "Space" : String(key ?? "").toUpperCase());
+  if (/^Key[A-Z]$/.test(name)) name = name.slice(3);
+  if (/^Digit\d$/.test(name)) name = name.slice(5);
+  if (!name) return null;
+
+  const mods = [ctrlKey || metaKey ? "Ctrl" : "", altKey ? "Alt" : "", shiftKey ? "Shift" : ""];
+  return [...mods.filter(Boolean), name].join("+");
+}
+
+const CHORD_KEY_LABELS = {
+  Backquote: "`",
+  BracketLeft: "[",
+  BracketRight: "]",
+  Backslash: "\\",
+  Slash: "/",
+  Comma: ",",
+  Period: ".",
+  Semicolon: ";",
+  Quote: "'",
+  Minus: "-",
+  Equal: "=",
+  NumpadDecimal: "Num .",
+  ArrowUp: "↑",
+  ArrowDown: "↓",
+  ArrowLeft: "←",
+  ArrowRight: "→",
+};
+
+// "Shift+Backquote" -> "Shift+`", "Numpad1" -> "Num 1"
+function chordLabel(chord) {
+  return chord
+    .split("+")
+    .map((part) => CHORD_KEY_LABELS[part] ?? part.replace(/^Numpad(\d)$/, "Num $1"))
+    .join("+");
+}
+
+//#endregion
+//#region Command registry -------------------------------------------------------
+// Every action a shortcut or the command palette can run:
+//
+//   { id, label, keys: [chord, ...], scope, repeat, when, run }
+//
+// keys are the defaults; the user's own bindings are kept apart as overrides
+// (id -> chords) so they can be saved and reset. scope says where focus may be
+// for a shortcut to fire: "page" (not in a field), "field" (also in inputs and
+// selects) or "code" (also in the shader editor). repeat lets a held key run
+// the command again and again; off by default so holding Delete removes one
+// object, not one per auto-repeat. when, if given, is asked before a shortcut
+// claims its key: while it returns false the browser keeps the key (Ctrl+C
+// copying page text, say).
+
+const COMMAND_SCOPES = ["page", "field", "code"];
+
+function createCommandRegistry() {
+  const commands = new Map(); // id -> command, in registration order
+  let overrides = {};
+
+  function register({ id, label, keys = [], scope = "page", repeat = false, when = null, run }) {
+    commands.set(id, { id, label, keys, scope, repeat, when, run });
+  }
+
+  const keysFor = (id) => overrides[id] ?? commands.get(id)?.keys ?? [];
+
+  // Binds chords to a command, taking them away from any other command first
+  function setKeys(id, chords) {
+    if (!commands.has(id)) return;
+    for (const other of commands.keys()) {
+      if (other === id) continue;
+      const kept = keysFor(other).filter((chord) => !chords.includes(chord));
+      if (kept.length !== keysFor(other).length) overrides[other] = kept;
+    }
+    overrides[id] = [...chords];
+  }
+
+  // Back to the defaults, for one command or (no id) all of them
+  function resetKeys(id) {
+    if (id === undefined) overrides = {};
+    else delete overrides[id];
+  }
+
+  // Saved overrides, with unknown commands and anything that isn't a list of
+  // chords (hand edits, older versions) left out
+  function loadOverrides(saved) {
+    overrides = {};
+    for (const [id, chords] of Object.entries(saved ?? {})) {
+      if (commands.has(id) && Array.isArray(chords) && chords.every((c) => typeof c === "string")) {
+        overrides[id] = [...chords];
+      }
+    }
+  }
+
+  // The command a chord runs with focus in `context` (a scope name), or null
+  function find(chord, context = "page") {
+    const rank = COMMAND_SCOPES.indexOf(context);
+    for (const command of commands.values()) {
+      if (COMMAND_SCOPES.indexOf(command.scope) < rank || !keysFor(command.id).includes(chord)) continue;
+      if (command.when && !command.when()) continue;
+      return command;
+    }
+    return null;
+  }
+
+  // Commands matching a palette query, best match first
+  function search(query) {
+    return [...commands.values()]
+      .map((command) => ({ command, score: fuzzyScore(query, command.label) }))
+      .filter(({ score }) => score !== null)
+      .sort((a, b) => b.score - a.score)
+      .map(({ command }) => command);
+  }
+
+  return {
+    register,
+    keysFor,
+    setKeys,
+    resetKeys,
+    loadOverrides,
+    find,
+    search,
+    get: (id) => commands.get(id) ?? null,
+    all: () => [...commands.values()],
+    overrides: () => JSON.parse(JSON.stringify(overrides)),
+  };
+}
+
+//#endregion
+//#region Fuzzy search -----------------------------------------------------------
+
+// How well query matches text when its characters appear in order (spaces in
+// the query are ignored), or null when they don't. Runs of consecutive letters
+// and letters starting a word score higher, so "fs" ranks "Frame selected"
+// above "Fullscreen".
+function fuzzyScore(query, text) {
+  const needle = query.toLowerCase().replace(/\s+/g, "");
+  const haystack = text.toLowerCase();
+  let score = 0;
+  let last = -2;
+  let from = 0;
+  for (const ch of needle) {
+    const i = haystack.indexOf(ch, from);
+    if (i < 0) return null;
+    score += 1;
+    if (i === last + 1) score += 2;
+    if (i === 0 || !/[a-z0-9]/.test(haystack[i - 1])) score += 3;
+    last = i;
+    from = i + 1;
+  }
+  return score;
+}
+
+//#endregion
@@ -0,0 +1,351 @@
+//#region Checksums --------------------------------------------------------------
+// DOM-free PNG and zip encoding for the image exports. Everything works on
+// Uint8Arrays; the caller wraps the result in a Blob.
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+// CRC-32 as used by PNG chunks and zip entries; pass a previous result as
+// `crc` to continue over several arrays
+function crc32(bytes, crc = 0) {
+  let c = ~crc;
+  for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+  return ~c >>> 0;
+}
+
+// zlib's checksum of the uncompressed data
+function adler32(bytes) {
+  let a = 1;
+  let b = 0;
+  // 5552 is the longest run before b can overflow 2^32
+  for (let start = 0; start < bytes.length; start += 5552) {
+    const end = Math.min(start + 5552, bytes.length);
+    for (let i = start; i < end; i++) {
+      a += bytes[i];
+      b += a;
+    }
+    a %= 65521;
+    b %= 65521;
+  }
+  return ((b << 16) | a) >>> 0;
+}
+
+//#endregion
+//#region Deflate ----------------------------------------------------------------
+// One fixed-Huffman block (RFC 1951) fed by a hash-chain LZ77 matcher. A
+// fraction of the code of a full deflate, and rendered images still shrink a
+// lot once the PNG filters have turned gradients into runs.
+
+const DEFLATE_WINDOW = 32768;
+const DEFLATE_MIN_MATCH = 3;
+const DEFLATE_MAX_MATCH = 258;
+const DEFLATE_MAX_CHAIN = 32; // candidates tried per position
+const DEFLATE_HASH_BITS = 15;
+
+const LENGTH_BASE = [
+  3, 4, 5, 6, 7, 8, 9, 10, 11, 13, 15, 17, 19, 23, 27, 31, 35, 43, 51, 59, 67, 83, 99, 115,
+  131, 163, 195, 227, 258,
+];
+const LENGTH_EXTRA = [
+  0, 0, 0, 0, 0, 0, 0, 0, 1, 1, 1, 1, 2, 2, 2, 2, 3, 3, 3, 3, 4, 4, 4, 4, 5, 5, 5, 5, 0,
+];
+const DIST_BASE = [
+  1, 2, 3, 4, 5, 7, 9, 13, 17, 25, 33, 49, 65, 97, 129, 193, 257, 385, 513, 769, 1025, 1537,
+  2049, 3073, 4097, 6145, 8193, 12289, 16385, 24577,
+];
+const DIST_EXTRA = [
+  0, 0, 0, 0, 1, 1, 2, 2, 3, 3, 4, 4, 5, 5, 6, 6, 7, 7, 8, 8, 9, 9, 10, 10, 11, 11, 12, 12, 13, 13,
+];
+
+// Code index for every match length and distance
+const LENGTH_CODE = new Uint8Array(DEFLATE_MAX_MATCH + 1);
+const DIST_CODE = new Uint8Array(DEFLATE_WINDOW + 1);
+for (let code = 0; code < LENGTH_BASE.length; code++) {
+  for (let len = LENGTH_BASE[code]; len < LENGTH_BASE[code] + (1 << LENGTH_EXTRA[code]); len++) {
+    if (len <= DEFLATE_MAX_MATCH) LENGTH_CODE[len] = code;
+  }
+}
+LENGTH_CODE[DEFLATE_MAX_MATCH] = LENGTH_BASE.length - 1; // 258 has its own code
+for (let code = 0; code < DIST_BASE.length; code++) {
+  const end = DIST_BASE[code] + (1 << DIST_EXTRA[code]);
+  for (let d = DIST_BASE[code]; d < end; d++) DIST_CODE[d] = code;
+}
+
+// Huffman codes are sent most significant bit first, into an LSB-first stream
+function reverseBits(code, length) {
+  let out = 0;
+  for (let i = 0; i < length; i++) out = (out << 1) | ((code >>> i) & 1);
+  return out;
+}
+
+// The fixed literal/length code, stored bit-reversed: [code, length] per symbol
+const FIXED_LITERALS = Array.from({ length: 288 }, (_, sym) => {
+  if (sym < 144) return [reverseBits(0x30 + sym, 8), 8];
+  if (sym < 256) return [reverseBits(0x190 + sym - 144, 9), 9];
+  if (sym < 280) return [reverseBits(sym - 256, 7), 7];
+  return [reverseBits(0xc0 + sym - 280, 8), 8];
+});
+const FIXED_DISTANCES = Array.from({ length: 30 }, (_, code) => reverseBits(code, 5));
+
+// Raw deflate stream of `data` (no zlib header)
+function deflateRaw(data) {
+  const n = data.length;
+  // literals take 9 bits at most, matches less per byte
+  const out = new Uint8Array(Math.ceil((n * 9) / 8) + 16);
+  let pos = 0;
+  let bitBuffer = 0;
+  let bitCount = 0;
+  const writeBits = (value, count) => {
+    bitBuffer |= value << bitCount;
+    bitCount += count;
+    while (bitCount >= 8) {
+      out[pos++] = bitBuffer & 0xff;
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+  const writeSymbol = (sym) => writeBits(FIXED_LITERALS[sym][0], FIXED_LITERALS[sym][1]);
+
+  writeBits(1, 1); // BFINAL
+  writeBits(1, 2); // BTYPE = fixed Huffman
+
+  const hashMask = (1 << DEFLATE_HASH_BITS) - 1;
+  const head = new Int32Array(1 << DEFLATE_HASH_BITS).fill(-1);
+  const prev = new Int32Array(DEFLATE_WINDOW);
+  const hashAt = (i) => ((data[i] << 10) ^ (data[i + 1] << 5) ^ data[i + 2]) & hashMask;
+  const insert = (i) => {
+    const h = hashAt(i);
+    prev[i & (DEFLATE_WINDOW - 1)] = head[h];
+    head[h] = i;
+  };
+
+  let i = 0;
+  while (i < n) {
+    let bestLength = 0;
+    let bestDistance = 0;
+    if (i + DEFLATE_MIN_MATCH <= n) {
+      const maxLength = Math.min(DEFLATE_MAX_MATCH, n - i);
+      let candidate = head[hashAt(i)];
+      for (let chain = DEFLATE_MAX_CHAIN; candidate >= 0 && chain > 0; chain--) {
+        if (i - candidate > DEFLATE_WINDOW) break;
+        if (data[candidate + bestLength] === data[i + bestLength]) {
+          let length = 0;
+          while (length < maxLength && data[candidate + length] === data[i + length]) length++;
+          if (length > bestLength) {
+            bestLength = length;
+            bestDistance = i - candidate;
+            if (length === maxLength) break;
+          }
+        }
+        const next = prev[candidate & (DEFLATE_WINDOW - 1)];
+        if (next >= candidate) break; // the slot was reused by a newer position
+        candidate = next;
+      }
+      insert(i);
+    }
+
+    if (bestLength >= DEFLATE_MIN_MATCH) {
+      const lengthCode = LENGTH_CODE[bestLength];
+      writeSymbol(257 + lengthCode);
+      writeBits(bestLength - LENGTH_BASE[lengthCode], LENGTH_EXTRA[lengthCode]);
+      const distCode = DIST_CODE[bestDistance];
+      writeBits(FIXED_DISTANCES[distCode], 5);
+      writeBits(bestDistance - DIST_BASE[distCode], DIST_EXTRA[distCode]);
+      for (let k = 1; k < bestLength; k++) {
+        if (i + k + DEFLATE_MIN_MATCH <= n) insert(i + k);
+      }
+      i += bestLength;
+    } else {
+      writeSymbol(data[i]);
+      i++;
+    }
+  }
+
+  writeSymbol(256); // end of block
+  if (bitCount > 0) out[pos++] = bitBuffer & 0xff;
+  return out.subarray(0, pos);
+}
+
+// zlib stream (RFC 1950) as stored in PNG IDAT chunks
+function zlibDeflate(data) {
+  const raw = deflateRaw(data);
+  const out = new Uint8Array(raw.length + 6);
+  out[0] = 0x78; // deflate, 32K window
+  out[1] = 0x01; // no dictionary, fastest; makes the header a multiple of 31
+  out.set(raw, 2);
+  new DataView(out.buffer).setUint32(raw.length + 2, adler32(data));
+  return out;
+}
+
+//#endregion
+//#region PNG --------------------------------------------------------------------
+
+const PNG_SIGNATURE = [137, 80, 78, 71, 13, 10, 26, 10];
+
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+// Filters each RGBA row with whichever of None / Sub / Up / Paeth gives the
+// smallest sum of absolute differences, the usual heuristic from the PNG spec
+function filterScanlines(width, height, rgba) {
+  const stride = width * 4;
+  const out = new Uint8Array((stride + 1) * height);
+  const zeros = new Uint8Array(stride);
+  const filtered = [1, 2, 4].map((type) => ({ type, row: new Uint8Array(stride) }));
+  const [sub, up, paethRow] = filtered.map((f) => f.row);
+  // signed size of a filtered byte
+  const cost = (row) => {
+    let sum = 0;
+    for (let x = 0; x < stride; x++) sum += row[x] < 128 ? row[x] : 256 - row[x];
+    return sum;
+  };
+
+  for (let y = 0; y < height; y++) {
+    const row = rgba.subarray(y * stride, (y + 1) * stride);
+    const above = y > 0 ? rgba.subarray((y - 1) * stride, y * stride) : zeros;
+    for (let x = 0; x < stride; x++) {
+      const left = x >= 4 ? row[x - 4] : 0;
+      const upLeft = x >= 4 ? above[x - 4] : 0;
+      sub[x] = row[x] - left;
+      up[x] = row[x] - above[x];
+      paethRow[x] = row[x] - paeth(left, above[x], upLeft);
+    }
+
+    let best = { type: 0, row };
+    let bestCost = cost(row);
+    for (const candidate of filtered) {
+      const candidateCost = cost(candidate.row);
+      if (candidateCost < bestCost) {
+        best = candidate;
+        bestCost = candidateCost;
+      }
+    }
+    out[y * (stride + 1)] = best.type;
+    out.set(best.row, y * (stride + 1) + 1);
+  }
+  return out;
+}
+
+function pngChunk(type, data) {
+  const chunk = new Uint8Array(data.length + 12);
+  const view = new DataView(chunk.buffer);
+  view.setUint32(0, data.length);
+  for (let i = 0; i < 4; i++) chunk[4 + i] = type.charCodeAt(i);
+  chunk.set(data, 8);
+  view.setUint32(data.length + 8, crc32(chunk.subarray(4, data.length + 8)));
+  return chunk;
+}
+
+// PNG file of 8-bit RGBA pixels, rows top to bottom
+function encodePNG(width, height, rgba) {
+  if (rgba.length !== width * height * 4) {
+    throw new Error(`expected ${width * height * 4} bytes of RGBA, got ${rgba.length}`);
+  }
+  const header = new Uint8Array(13);
+  const view = new DataView(header.buffer);
+  view.setUint32(0, width);
+  view.setUint32(4, height);
+  header[8] = 8; // bit depth
+  header[9] = 6; // truecolor with alpha
+  // compression, filter and interlace methods stay 0
+
+  return concatBytes([
+    new Uint8Array(PNG_SIGNATURE),
+    pngChunk("IHDR", header),
+    pngChunk("IDAT", zlibDeflate(filterScanlines(width, height, rgba))),
+    pngChunk("IEND", new Uint8Array(0)),
+  ]);
+}
+
+function concatBytes(parts) {
+  const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    out.set(part, offset);
+    offset += part.length;
+  }
+  return out;
+}
+
+//#endregion
+//#region Zip --------------------------------------------------------------------
+// Uncompressed ("stored") zip archive: PNGs are compressed already.
+
+// MS-DOS time and date fields of a zip entry
+function dosDateTime(date) {
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+    date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+  };
+}
+
+// files: [{ name, data: Uint8Array }], names in UTF-8
+function createZip(files, date = new Date()) {
+  const { time, date: day } = dosDateTime(date);
+  const encoder = new TextEncoder();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const file of files) {
+    const name = encoder.encode(file.name);
+    const crc = crc32(file.data);
+    // fields shared by the local and central headers, from "version needed" on
+    const common = new Uint8Array(26 + name.length);
+    const view = new DataView(common.buffer);
+    view.setUint16(0, 20, true); // version needed: 2.0
+    view.setUint16(2, 0x0800, true); // UTF-8 names
+    view.setUint16(4, 0, true); // stored
+    view.setUint16(6, time, true);
+    view.setUint16(8, day, true);
+    view.setUint32(10, crc, true);
+    view.setUint32(14, file.data.length, true); // compressed size
+    view.setUint32(18, file.data.length, true);
+    view.setUint16(22, name.length, true);
+    view.setUint16(24, 0, true); // extra field length
+    common.set(name, 26);
+
+    const local = new Uint8Array(4 + common.length);
+    new DataView(local.buffer).setUint32(0, 0x04034b50, true);
+    local.set(common, 4);
+    locals.push(local, file.data);
+
+    const central = new Uint8Array(46 + name.length);
+    const centralView = new DataView(central.buffer);
+    centralView.setUint32(0, 0x02014b50, true);
+    centralView.setUint16(4, 20, true); // made by: 2.0
+    central.set(common.subarray(0, 26), 6);
+    // comment length, disk number, internal and external attributes stay 0
+    centralView.setUint32(42, offset, true);
+    central.set(name, 46);
+    centrals.push(central);
+
+    offset += local.length + file.data.length;
+  }
+
+  const directorySize = centrals.reduce((sum, c) => sum + c.length, 0);
+  const end = new Uint8Array(22);
+  const endView = new DataView(end.buffer);
+  endView.setUint32(0, 0x06054b50, true);
+  endView.setUint16(8, files.length, true); // entries on this disk
+  endView.setUint16(10, files.length, true);
+  endView.setUint32(12, directorySize, true);
+  endView.setUint32(16, offset, true);
+
+  return concatBytes([...locals, ...centrals, end]);
+}
+
+//#endregion
@@ -0,0 +1,69 @@
+//#region Undo / redo history ----------------------------------------------------
+// DOM-free undo stack. Each entry holds opaque `before` / `after` snapshots;
+// the caller decides what a snapshot is and how to apply it.
+//
+// Edits recorded with the same non-null `key` within `coalesceMs` of each
+// other are merged into one entry, so e.g. typing "1.25" into a number field
+// is a single undo step rather than four.
+
+function createHistory({ limit = 200, coalesceMs = 1000, now = () => Date.now() } = {}) {
+  const undoStack = [];
+  const redoStack = [];
+  let lastRecordTime = -Infinity;
+
+  function record({ before, after, key = null }) {
+    const time = now();
+    const top = undoStack[undoStack.length - 1];
+    const merge =
+      key !== null &&
+      top !== undefined &&
+      top.key === key &&
+      redoStack.length === 0 &&
+      time - lastRecordTime <= coalesceMs;
+
+    if (merge) {
+      top.after = after;
+    } else {
+      undoStack.push({ before, after, key });
+      if (undoStack.length > limit) undoStack.shift();
+    }
+
+    redoStack.length = 0;
+    lastRecordTime = time;
+  }
+
+  // Returns the snapshot to restore, or null when there is nothing to undo
+  function undo() {
+    const entry = undoStack.pop();
+    if (!entry) return null;
+    redoStack.push(entry);
+    lastRecordTime = -Infinity; // never merge into an entry across an undo
+    return entry.before;
+  }
+
+  // Returns the snapshot to restore, or null when there is nothing to redo
+  function redo() {
+    const entry = redoStack.pop();
+    if (!entry) return null;
+    undoStack.push(entry);
+    lastRecordTime = -Infinity;
+    return entry.after;
+  }
+
+  function clear() {
+    undoStack.length = 0;
+    redoStack.length = 0;
+    lastRecordTime = -Infinity;
+  }
+
+  return {
+    record,
+    undo,
+    redo,
+    clear,
+    canUndo: () => undoStack.length > 0,
+    canRedo: () => redoStack.length > 0,
+  };
+}
+
+//#endregion
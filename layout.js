@@ -0,0 +1,161 @@
+//#region WGSL memory layout -----------------------------------------------------
+// Host-shareable layout rules (WGSL spec, "Alignment and Size") for the types
+// the scene buffers use, so a struct is described once in JS and both its
+// WGSL text and its byte offsets come from that description.
+//
+// A struct schema is a list of fields { name, type, comment? }. type is WGSL:
+// f32 / u32 / i32, vecN<T>, matCxR<f32>, array<T, N> (N a number or a named
+// constant), array<T> (runtime-sized, last field only) or a struct defined
+// earlier with defineWGSLStruct.
+
+const WGSL_SCALARS = new Set(["f32", "u32", "i32"]);
+const wgslStructs = new Map(); // name -> layout from defineWGSLStruct
+
+const roundUp = (k, n) => Math.ceil(n / k) * k;
+
+// "array<Light, MAX_LIGHTS>" -> { base: "array", args: ["Light", "MAX_LIGHTS"] }
+function parseWGSLType(type) {
+  const m = type.replace(/\s+/g, "").match(/^(\w+)(?:<(.*)>)?$/);
+  if (!m) throw new Error(`bad WGSL type "${type}"`);
+
+  const args = [];
+  let depth = 0;
+  let start = 0;
+  const inner = m[2] ?? "";
+  for (let i = 0; i <= inner.length; i++) {
+    if (inner[i] === "<") depth++;
+    if (inner[i] === ">") depth--;
+    if ((inner[i] === "," && depth === 0) || i === inner.length) {
+      if (i > start) args.push(inner.slice(start, i));
+      start = i + 1;
+    }
+  }
+  return { base: m[1], args };
+}
+
+// { align, size } of a type, plus what packing needs to walk it: scalar
+// (component type), count and stride (vectors, matrix columns, arrays),
+// element (array / matrix column type) and struct (nested layouts).
+// consts resolves named array sizes.
+function typeLayout(type, consts = {}) {
+  const { base, args } = parseWGSLType(type);
+
+  if (WGSL_SCALARS.has(base)) return { align: 4, size: 4, scalar: base };
+
+  const vec = base.match(/^vec([234])$/);
+  if (vec) {
+    const n = Number(vec[1]);
+    return { align: n === 2 ? 8 : 16, size: 4 * n, scalar: args[0], count: n, stride: 4 };
+  }
+
+  const mat = base.match(/^mat([234])x([234])$/);
+  if (mat) {
+    const column = typeLayout(`vec${mat[2]}<${args[0]}>`);
+    const stride = roundUp(column.align, column.size);
+    return { align: column.align, size: Number(mat[1]) * stride, count: Number(mat[1]), stride, element: column };
+  }
+
+  if (base === "array") {
+    const element = typeLayout(args[0], consts);
+    const stride = roundUp(element.align, element.size);
+    if (args.length === 1) return { align: element.align, size: 0, stride, element, runtime: true };
+    const count = args[1] in consts ? consts[args[1]] : Number(args[1]);
+    if (!Number.isInteger(count) || count < 1) throw new Error(`bad array size in "${type}"`);
+    return { align: element.align, size: count * stride, count, stride, element };
+  }
+
+  const struct = wgslStructs.get(base);
+  if (struct) return { align: struct.align, size: struct.size, struct };
+  throw new Error(`unknown WGSL type "${type}"`);
+}
+
+// Lays out a struct: { name, fields: [{ name, type, comment, offset, layout }],
+// align, size }. A trailing runtime-sized array adds nothing to size; its
+// offset is where the array starts.
+function structLayout(name, fields, consts = {}) {
+  let offset = 0;
+  let align = 1;
+  const laidOut = fields.map((field, i) => {
+    const layout = typeLayout(field.type, consts);
+    if (layout.runtime && i !== fields.length - 1) {
+      throw new Error(`${name}.${field.name}: runtime-sized arrays must come last`);
+    }
+    offset = roundUp(layout.align, offset);
+    const placed = { ...field, offset, layout };
+    offset += layout.size;
+    align = Math.max(align, layout.align);
+    return placed;
+  });
+
+  return { name, fields: laidOut, align, size: roundUp(align, offset) };
+}
+
+// structLayout, registered so later structs can use it as a field type
+function defineWGSLStruct(name, fields, consts = {}) {
+  const layout = structLayout(name, fields, consts);
+  wgslStructs.set(name, layout);
+  return layout;
+}
+
+const fieldOffset = (layout, name) => layout.fields.find((f) => f.name === name).offset;
+
+//#endregion
+//#region WGSL text --------------------------------------------------------------
+
+function wgslStructText(layout) {
+  const lines = layout.fields.map((f) => {
+    const comment = f.comment ? ` // ${f.comment}` : "";
+    return `  ${f.name}: ${f.type},${comment}`;
+  });
+  return `struct ${layout.name} {\n${lines.join("\n")}\n};`;
+}
+
+// { NAME: value } -> "const NAME: u32 = valueu;" lines
+function wgslConstsText(consts) {
+  return Object.entries(consts)
+    .map(([name, value]) => `const ${name}: u32 = ${value}u;`)
+    .join("\n");
+}
+
+//#endregion
+//#region Packing ----------------------------------------------------------------
+
+// Bit pattern of x as an f32, for f32 values stored in u32 fields
+const f32Scratch = new Float32Array(1);
+function f32Bits(x) {
+  f32Scratch[0] = x;
+  return new Uint32Array(f32Scratch.buffer)[0];
+}
+
+function writeScalar(view, offset, scalar, value) {
+  if (scalar === "f32") view.setFloat32(offset, value, true);
+  else if (scalar === "i32") view.setInt32(offset, value, true);
+  else view.setUint32(offset, value >>> 0, true);
+}
+
+// Writes value (a number, an array for vectors / matrix columns / arrays, an
+// object for structs) at offset in a DataView. Missing parts stay as they are.
+function writeWGSLValue(view, offset, layout, value) {
+  if (value === undefined || value === null) return;
+
+  if (layout.struct) {
+    writeWGSLStruct(view, offset, layout.struct, value);
+  } else if (layout.scalar && !layout.count) {
+    writeScalar(view, offset, layout.scalar, value);
+  } else if (layout.scalar) {
+    for (let i = 0; i < layout.count; i++) {
+      if (value[i] !== undefined) writeScalar(view, offset + i * 4, layout.scalar, value[i]);
+    }
+  } else {
+    value.forEach((item, i) => writeWGSLValue(view, offset + i * layout.stride, layout.element, item));
+  }
+}
+
+// Writes the fields of values (keyed by field name) into a struct at offset
+function writeWGSLStruct(view, offset, layout, values) {
+  for (const field of layout.fields) {
+    writeWGSLValue(view, offset + field.offset, field.layout, values[field.name]);
+  }
+}
+
+//#endregion
@@ -11,9 +11,18 @@ fn fs_main(@builtin(position) fragCoord: vec4<f32>) -> @location(0) vec4<f32> {
 let device;
 let context;
 let pipeline;
+let pathPipeline;    // null when the shader has no fs_path / fs_present
+let presentPipeline;
 let uniformBuffer;
-let bindGroup;
+let bindGroups = []; // one per accumulation texture, reading it at binding 3
+let bindGroupLayout;
+let accumTextures = [];
 let sceneBuffer;
+let sceneCapacity = 0; // primitive slots sceneBuffer has room for
+let materialsBuffer;
+let renderMode = "preview"; // "preview" | "path"
+const accumulator = createAccumulator();
+const timeline = createTimeline();
 
 let startTime = performance.now();
 let lastFrameTime = startTime;
@@ -26,7 +35,7 @@ let isFullscreen = false;
 
 const $ = (id) => document.getElementById(id);
 const canvas = $("canvas");
-const errorMsg = $("error-message");
+const errorMsg = $("error-message"); // WebGPU and shader errors, see showEditorNotice
 const compileBtn = $("compile-btn");
 const fullscreenBtn = $("fullscreen-btn");
 const fullscreenEnterIcon = $("fullscreen-enter-icon");
@@ -34,53 +43,17 @@ const fullscreenExitIcon = $("fullscreen-exit-icon");
 const canvasContainer = $("canvas-container");
 const editorContainer = $("editor-container");
 let shaderSource = fallbackShader;
+let shaderDiagnostics = []; // from the last compile, see mapCompilationMessages
+const SHADER_FILE = "shader.wgsl"; // the file the code editor edits
+let shaderFiles = new Map(); // path -> text of every file in the last compile
+let compileGeneration = 0;
 
 //#endregion
-//#region Scene / primitive data model -------------------------------------------
-
-const MAX_PRIMS = 16;             // must match WGSL MAX_PRIMS
-const PRIMITIVE_SIZE = 48;        // bytes (Primitive = 3 * vec4 = 48)
-const SCENE_HEADER_SIZE = 32;     // bytes (count + padding + vec3<u32>)
-const SCENE_SIZE = SCENE_HEADER_SIZE + MAX_PRIMS * PRIMITIVE_SIZE;
-
-// WGSL kind IDs
-const SPHERE      = 0;
-const PLANE       = 1;
-const BOX         = 2;
-const ROUNDED_BOX = 3;
-const CYLINDER    = 4;
-const TORUS       = 5;
-const CAPSULE     = 6;
-
-// Material IDs
-const MAT_GROUND  = 0;
-const MAT_METAL   = 1;
-const MAT_GLASS   = 2;
-const MAT_WATER   = 3;
-const MAT_DIFFUSE = 4;
-
-const PRIM_KIND_LABELS = {
-  [PLANE]: "plane",
-  [SPHERE]: "sphere",
-  [BOX]: "box",
-  [ROUNDED_BOX]: "rounded Box",
-  [CYLINDER]: "cylinder",
-  [TORUS]: "torus",
-  [CAPSULE]: "capsule",
-};
-
-const MATERIAL_LABELS = {
-  [MAT_GROUND]:  "Ground",
-  [MAT_METAL]:   "Metal",
-  [MAT_GLASS]:   "Glass",
-  [MAT_WATER]:   "Water",
-  [MAT_DIFFUSE]: "Diffuse",
-};
+//#region Scene content ----------------------------------------------------------
 
-let selectedPrimitiveIndex = 1; // or -1 if none selected
+let selectedPath = [1]; // tree path of the selected node, or null if none selected
 
-//#endregion
-//#region Scene content ----------------------------------------------------------
+// Scene tree: primitives and groups (see the "Scene tree" region of scene.js)
 let scenePrimitives = [
   // Ground plane
   {
@@ -89,6 +62,12 @@ let scenePrimitives = [
     center: [0.0, 0.0, 0.0],         // unused for plane, kept for consistency
     param0: 1.0,                     // offset h
     params1: [0.0, 1.0, 0.0, 0.0],   // normal
+    rotation: [0.0, 0.0, 0.0],
+    scale: [1.0, 1.0, 1.0],
+    op: OP_UNION,
+    blend: 0.25,
+    modifiers: [],
+    keyframes: {},
   },
   // Metal sphere
   {
@@ -97,69 +76,116 @@ let scenePrimitives = [
     center: [0.0, 0.0, 0.0],
     param0: 0.8,
     params1: [0.0, 0.0, 0.0, 0.0],
+    rotation: [0.0, 0.0, 0.0],
+    scale: [1.0, 1.0, 1.0],
+    op: OP_UNION,
+    blend: 0.25,
+    modifiers: [],
+    keyframes: {},
   },
 ];
 
-function buildSceneData(primitives) {
-  const buffer = new ArrayBuffer(SCENE_SIZE);
-  const u32 = new Uint32Array(buffer);
-  const f32 = new Float32Array(buffer);
+// Material library, indexed by each primitive's materialId
+let sceneMaterials = makeDefaultMaterials();
+let selectedMaterialIndex = 0;
 
-  const count = Math.min(primitives.length, MAX_PRIMS);
+// Lights, listed under the objects; selecting one clears selectedPath
+let sceneLights = makeDefaultLights();
+let selectedLightIndex = -1;
 
-  // Scene header (32 bytes, padded so primitives start at offset 32)
-  u32[0] = count; // count
-  // u32[1..3] are padding to reach 16-byte alignment
-  u32[1] = 0;
-  u32[2] = 0;
-  u32[3] = 0;
-  // _pad vec3<u32> lives at offset 16 (indices 4..6), keep zeroed
-  u32[4] = 0;
-  u32[5] = 0;
-  u32[6] = 0;
-  u32[7] = 0; // padding to 32 bytes
+let sceneBookmarks = []; // named camera views, see camera.js
 
-  function writePrimitive(index, spec) {
-    const headerWords = SCENE_HEADER_SIZE / 4;      // 32 / 4 = 8
-    const wordsPerPrimitive = PRIMITIVE_SIZE / 4;   // 48 / 4 = 12
+const selectedNode = () => (selectedPath ? getNode(scenePrimitives, selectedPath) : null);
+const selectedLight = () => sceneLights[selectedLightIndex] ?? null;
 
-    const baseIndex = headerWords + index * wordsPerPrimitive;
+function updateSceneGPU() {
+  if (!device || !sceneBuffer) return;
+  accumulator.reset();
+  // bounding groups let get_dist skip whatever is far from the point
+  const items = buildBVH(flattenSceneTree(scenePrimitives).items);
+  // a bigger buffer needs a bind group that points at it
+  if (ensureSceneBuffer(items.length) && bindGroupLayout) createBindGroup();
+  const sceneData = buildSceneData(items, sceneLights);
+  device.queue.writeBuffer(sceneBuffer, 0, new Uint8Array(sceneData));
+  device.queue.writeBuffer(materialsBuffer, 0, new Uint8Array(buildMaterialData(sceneMaterials)));
+}
 
-    // header: x = kind, y = materialId
-    u32[baseIndex + 0] = spec.kind;
-    u32[baseIndex + 1] = spec.materialId;
-    u32[baseIndex + 2] = 0; // unused
-    u32[baseIndex + 3] = 0; // unused
+//#endregion
+//#region Undo / redo ------------------------------------------------------------
 
-    // center_param0
-    f32[baseIndex + 4] = spec.center[0];
-    f32[baseIndex + 5] = spec.center[1];
-    f32[baseIndex + 6] = spec.center[2];
-    f32[baseIndex + 7] = spec.param0;
+const sceneHistory = createHistory();
 
-    // params1
-    f32[baseIndex + 8]  = spec.params1[0];
-    f32[baseIndex + 9]  = spec.params1[1];
-    f32[baseIndex + 10] = spec.params1[2];
-    f32[baseIndex + 11] = spec.params1[3];
-  }
+const snapshotScene = () => ({
+  primitives: structuredClone(scenePrimitives),
+  materials: structuredClone(sceneMaterials),
+  lights: structuredClone(sceneLights),
+  bookmarks: structuredClone(sceneBookmarks),
+  selected: selectedPath,
+  selectedLight: selectedLightIndex,
+});
 
-  for (let i = 0; i < count; i++) {
-    writePrimitive(i, primitives[i]);
-  }
+// Scene state as of the last recorded edit, the "before" of the next one
+let committedScene = snapshotScene();
+
+// Records the edit just applied to the scene (objects, materials, lights or bookmarks) as an undo step and uploads
+// the scene. Pass a coalesceKey for continuous edits (typing, dragging a field)
+// so they collapse into a single step.
+function commitSceneEdit(coalesceKey = null) {
+  hideEditorNotice();
+  const after = snapshotScene();
+  sceneHistory.record({ before: committedScene, after, key: coalesceKey });
+  committedScene = after;
+  updateSceneGPU();
+}
 
-  return buffer;
+// Undoing the next edit should come back to what is selected now. The
+// committed snapshot is also the last history entry's "after", so it gets
+// replaced by a copy rather than changed.
+function noteSelection() {
+  committedScene = { ...committedScene, selected: selectedPath, selectedLight: selectedLightIndex };
 }
 
-function updateSceneGPU() {
-  if (!device || !sceneBuffer) return;
-  const sceneData = buildSceneData(scenePrimitives);
-  device.queue.writeBuffer(sceneBuffer, 0, new Uint8Array(sceneData));
+function restoreScene(snapshot) {
+  scenePrimitives = structuredClone(snapshot.primitives);
+  sceneMaterials = structuredClone(snapshot.materials);
+  sceneLights = structuredClone(snapshot.lights);
+  sceneBookmarks = structuredClone(snapshot.bookmarks);
+  selectedPath = snapshot.selected;
+  selectedLightIndex = snapshot.selectedLight;
+  committedScene = snapshot;
+  // keyed fields follow the timeline, whatever time the snapshot was taken at
+  applyAnimation(scenePrimitives, timeline.time());
+  updateSceneGPU();
+  buildSceneEditorUI();
+}
+
+function undoSceneEdit() {
+  const snapshot = sceneHistory.undo();
+  if (snapshot) restoreScene(snapshot);
+}
+
+function redoSceneEdit() {
+  const snapshot = sceneHistory.redo();
+  if (snapshot) restoreScene(snapshot);
 }
 
 //#endregion
 //#region Scene editor UI --------------------------------------------------------
 
+// Editor messages (scene full, clipboard, import and export problems) get their
+// own notice so they and compile errors don't overwrite each other. The next
+// scene edit or the × clears it.
+function showEditorNotice(text) {
+  $("editor-notice-text").textContent = text;
+  $("editor-notice").classList.remove("hidden");
+}
+
+function hideEditorNotice() {
+  $("editor-notice").classList.add("hidden");
+}
+
+$("editor-notice-close").onclick = hideEditorNotice;
+
 function createLabeledNumber(parent, label, value, min, max, step, onChange) {
   const row = document.createElement("div");
   row.className = "flex items-center justify-between gap-2 mb-1";
@@ -185,6 +211,49 @@ function createLabeledNumber(parent, label, value, min, max, step, onChange) {
   parent.appendChild(row);
 }
 
+// Slider with a number field next to it; either one edits the value. The
+// field accepts values past the slider's range.
+function createLabeledSlider(parent, label, value, min, max, step, onChange) {
+  const row = document.createElement("div");
+  row.className = "flex items-center justify-between gap-2 mb-1";
+
+  const labelEl = document.createElement("span");
+  labelEl.textContent = label;
+  labelEl.className = "text-xs whitespace-nowrap";
+  row.appendChild(labelEl);
+
+  const slider = document.createElement("input");
+  slider.type = "range";
+  slider.min = min;
+  slider.max = max;
+  slider.step = step;
+  slider.value = value;
+  slider.className = "flex-1 min-w-0 accent-[#458588]";
+  row.appendChild(slider);
+
+  const input = document.createElement("input");
+  input.type = "number";
+  input.value = value;
+  input.min = min;
+  input.max = max;
+  input.step = step;
+  input.className = "w-16 bg-gray-900 border border-gray-700 text-xs px-1 py-0.5 rounded";
+  row.appendChild(input);
+
+  slider.oninput = () => {
+    input.value = slider.value;
+    onChange(parseFloat(slider.value));
+  };
+  input.oninput = () => {
+    const v = parseFloat(input.value);
+    if (Number.isNaN(v)) return;
+    slider.value = v;
+    onChange(v);
+  };
+
+  parent.appendChild(row);
+}
+
 function createVec3Controls(parent, label, vec, range, step, onChange) {
   const container = document.createElement("div");
   container.className = "mb-2";
@@ -197,6 +266,7 @@ function createVec3Controls(parent, label, vec, range, step, onChange) {
   const row = document.createElement("div");
   row.className = "flex gap-2";
 
+  const inputs = [];
   ["X", "Y", "Z"].forEach((axis, idx) => {
     const wrap = document.createElement("div");
     wrap.className = "flex flex-col flex-1";
@@ -221,29 +291,39 @@ function createVec3Controls(parent, label, vec, range, step, onChange) {
       }
     };
     wrap.appendChild(input);
+    inputs.push(input);
 
     row.appendChild(wrap);
   });
 
   container.appendChild(row);
   parent.appendChild(container);
+
+  // Setter for pushing outside edits (e.g. gizmo drags) back into the inputs
+  return (v) => {
+    inputs.forEach((input, idx) => {
+      vec[idx] = v[idx];
+      input.value = +v[idx].toFixed(3);
+    });
+  };
 }
 
-function createMaterialSelect(parent, current, onChange) {
+// Dropdown over an { id: label } table such as OP_LABELS
+function createLabeledSelect(parent, label, labels, current, onChange) {
   const row = document.createElement("div");
   row.className = "flex items-center justify-between gap-2 mb-1";
 
   const labelEl = document.createElement("span");
-  labelEl.textContent = "Material";
+  labelEl.textContent = label;
   labelEl.className = "text-xs";
   row.appendChild(labelEl);
 
   const select = document.createElement("select");
   select.className = "flex-1 bg-gray-900 border border-gray-700 text-xs px-1 py-0.5 rounded";
-  Object.entries(MATERIAL_LABELS).forEach(([id, label]) => {
+  Object.entries(labels).forEach(([id, text]) => {
     const opt = document.createElement("option");
     opt.value = id;
-    opt.textContent = label;
+    opt.textContent = text;
     if (parseInt(id, 10) === current) opt.selected = true;
     select.appendChild(opt);
   });
@@ -253,472 +333,1436 @@ function createMaterialSelect(parent, current, onChange) {
   parent.appendChild(row);
 }
 
-function buildPrimitiveControls(body, prim, index) {
+function createLabeledText(parent, label, value, onChange) {
+  const row = document.createElement("div");
+  row.className = "flex items-center justify-between gap-2 mb-1";
+
+  const labelEl = document.createElement("span");
+  labelEl.textContent = label;
+  labelEl.className = "text-xs";
+  row.appendChild(labelEl);
+
+  const input = document.createElement("input");
+  input.type = "text";
+  input.value = value;
+  input.className = "flex-1 bg-gray-900 border border-gray-700 text-xs px-1 py-0.5 rounded";
+  input.oninput = () => onChange(input.value);
+  row.appendChild(input);
+
+  parent.appendChild(row);
+}
+
+// Color picker for a linear RGB color (the input itself works in sRGB hex)
+function createLabeledColor(parent, label, rgb, onChange) {
+  const row = document.createElement("div");
+  row.className = "flex items-center justify-between gap-2 mb-1";
+
+  const labelEl = document.createElement("span");
+  labelEl.textContent = label;
+  labelEl.className = "text-xs";
+  row.appendChild(labelEl);
+
+  const input = document.createElement("input");
+  input.type = "color";
+  input.value = linearToHex(rgb);
+  input.className = "w-20 h-5 bg-gray-900 border border-gray-700 rounded cursor-pointer";
+  input.oninput = () => onChange(hexToLinear(input.value));
+  row.appendChild(input);
+
+  parent.appendChild(row);
+}
+
+function createLabeledCheckbox(parent, label, checked, onChange) {
+  const row = document.createElement("label");
+  row.className = "flex items-center justify-between gap-2 mb-1 cursor-pointer";
+
+  const labelEl = document.createElement("span");
+  labelEl.textContent = label;
+  labelEl.className = "text-xs";
+  row.appendChild(labelEl);
+
+  const input = document.createElement("input");
+  input.type = "checkbox";
+  input.checked = checked;
+  input.onchange = () => onChange(input.checked);
+  row.appendChild(input);
+
+  parent.appendChild(row);
+}
+
+function createMaterialSelect(parent, current, onChange) {
+  createLabeledSelect(parent, "Material", materialLabels(sceneMaterials), current, onChange);
+}
+
+// Refreshes the selected primitive's position inputs, set by buildPrimitiveControls
+let syncPositionControls = () => {};
+
+function buildPrimitiveControls(body, prim, path) {
+  // look the node up on every edit: undo/redo replaces the whole tree
+  const target = () => getNode(scenePrimitives, path);
+  const key = path.join(".");
+
   // Position (center)
-  createVec3Controls(
+  const setPosition = createVec3Controls(
     body,
     "Position",
     prim.center,
     [-5, 5],
     0.1,
     (v) => {
-      const c = scenePrimitives[index].center;
+      const c = target().center;
       c[0] = v[0];
       c[1] = v[1];
       c[2] = v[2];
-      updateSceneGPU();
+      commitSceneEdit(`${key}:position`);
     },
   );
 
-  // Shape-specific controls
-  switch (prim.kind) {
-    case SPHERE: {
-      createLabeledNumber(
-        body,
-        "Radius",
-        prim.param0,
-        0.05,
-        5.0,
-        0.05,
-        (v) => {
-          scenePrimitives[index].param0 = v;
-          updateSceneGPU();
-        },
-      );
-      break;
-    }
-    case PLANE: {
-      createVec3Controls(
-        body,
-        "Normal",
-        prim.params1.slice(0, 3),
-        [-1, 1],
-        0.1,
-        (v) => {
-          scenePrimitives[index].params1 = [...v, prim.params1[3]];
-          updateSceneGPU();
-        },
-      );
-      createLabeledNumber(
-        body,
-        "Offset",
-        prim.param0,
-        -5.0,
-        5.0,
-        0.1,
-        (v) => {
-          scenePrimitives[index].param0 = v;
-          updateSceneGPU();
-        },
-      );
-      break;
-    }
-    case BOX: {
-      createVec3Controls(
-        body,
-        "Half-size",
-        prim.params1.slice(0, 3),
-        [0.05, 5],
-        0.05,
-        (v) => {
-          scenePrimitives[index].params1 = [...v, prim.params1[3]];
-          updateSceneGPU();
-        },
-      );
-      break;
-    }
-    case ROUNDED_BOX: {
-      createVec3Controls(
-        body,
-        "Half-size",
-        prim.params1.slice(0, 3),
-        [0.05, 5],
-        0.05,
-        (v) => {
-          scenePrimitives[index].params1 = [...v, prim.params1[3]];
-          updateSceneGPU();
-        },
-      );
-      createLabeledNumber(
-        body,
-        "Corner radius",
-        prim.param0,
-        0.0,
-        2.0,
-        0.02,
-        (v) => {
-          scenePrimitives[index].param0 = v;
-          updateSceneGPU();
-        },
-      );
-      break;
-    }
-    case CYLINDER: {
-      createLabeledNumber(
-        body,
-        "Radius",
-        prim.params1[0],
-        0.05,
-        5.0,
-        0.05,
-        (v) => {
-          scenePrimitives[index].params1[0] = v;
-          updateSceneGPU();
-        },
-      );
-      createLabeledNumber(
-        body,
-        "Height",
-        prim.param0,
-        0.05,
-        10.0,
-        0.05,
-        (v) => {
-          scenePrimitives[index].param0 = v;
-          updateSceneGPU();
-        },
-      );
-      break;
-    }
-    case TORUS: {
-      createLabeledNumber(
-        body,
-        "Major radius",
-        prim.param0,
-        0.1,
-        5.0,
-        0.05,
-        (v) => {
-          scenePrimitives[index].param0 = v;
-          updateSceneGPU();
-        },
-      );
-      createLabeledNumber(
-        body,
-        "Minor radius",
-        prim.params1[0],
-        0.05,
-        2.0,
-        0.02,
-        (v) => {
-          scenePrimitives[index].params1[0] = v;
-          updateSceneGPU();
-        },
-      );
-      break;
-    }
-    case CAPSULE: {
-      createVec3Controls(
-        body,
-        "Point A",
-        prim.center.slice(0, 3),
-        [-5, 5],
-        0.1,
-        (v) => {
-          scenePrimitives[index].center = [...v, prim.center[3]];
-          updateSceneGPU();
-        },
-      );
-      createVec3Controls(
-        body,
-        "Point B",
-        prim.params1.slice(0, 3),
-        [-5, 5],
-        0.1,
-        (v) => {
-          scenePrimitives[index].params1 = [...v, prim.params1[3]];
-          updateSceneGPU();
-        },
-      );
-      createLabeledNumber(
-        body,
-        "Radius",
-        prim.param0,
-        0.05,
-        2.0,
-        0.02,
-        (v) => {
-          scenePrimitives[index].param0 = v;
-          updateSceneGPU();
-        },
-      );
-      break;
+  // Rotation / scale about the center (not for planes, see the registry)
+  if (PRIMITIVE_REGISTRY[prim.kind]?.transform !== false) {
+    createVec3Controls(
+      body,
+      "Rotation (deg)",
+      prim.rotation,
+      [-180, 180],
+      5,
+      (v) => {
+        target().rotation = [...v];
+        commitSceneEdit(`${key}:rotation`);
+      },
+    );
+    createVec3Controls(
+      body,
+      "Scale",
+      prim.scale,
+      [0.05, 10],
+      0.05,
+      (v) => {
+        // zero or negative scale would break the distance bound
+        target().scale = v.map((s) => Math.max(s, 0.01));
+        commitSceneEdit(`${key}:scale`);
+      },
+    );
+  }
+
+  // Shape parameters, as declared in PRIMITIVE_REGISTRY
+  const pointSetters = [];
+  for (const param of primitiveParams(prim.kind)) {
+    const commit = (v) => {
+      setPrimitiveParam(target(), param, v);
+      commitSceneEdit(`${key}:${param.name}`);
+    };
+    const value = getPrimitiveParam(prim, param);
+
+    if (param.type === "vec3") {
+      const set = createVec3Controls(body, param.label, value, [param.min, param.max], param.step, (v) => commit([...v]));
+      // positions follow gizmo drags like the center does
+      if (param.point || param.slot === "center") {
+        pointSetters.push(() => set(getPrimitiveParam(target(), param)));
+      }
+    } else {
+      createLabeledSlider(body, param.label, value, param.min, param.max, param.step, commit);
     }
-    default:
-      // Fallback: just expose param0
-      createLabeledNumber(
-        body,
-        "Param0",
-        prim.param0,
-        -10.0,
-        10.0,
-        0.1,
-        (v) => {
-          scenePrimitives[index].param0 = v;
-          updateSceneGPU();
-        },
-      );
   }
 
+  syncPositionControls = () => {
+    setPosition(target().center);
+    pointSetters.forEach((set) => set());
+  };
+
   // Material select (common)
   createMaterialSelect(body, prim.materialId, (matId) => {
-    scenePrimitives[index].materialId = matId;
-    updateSceneGPU();
+    target().materialId = matId;
+    commitSceneEdit();
   });
-}
-
-function setupPrimitiveSelect() {
-  const select = $("primitive-kind-select");
-  select.innerHTML = "";
 
-  for (const [kind, label] of Object.entries(PRIM_KIND_LABELS)) {
-    const option = document.createElement("option");
-    option.value = kind;
-    option.textContent = label;
-    select.appendChild(option);
+  // CSG: how this object combines with everything above it in its group
+  createLabeledSelect(body, "Operation", OP_LABELS, prim.op, (op) => {
+    target().op = op;
+    commitSceneEdit();
+    renderObjectList();
+    renderObjectDetails(); // blend radius only shows for smooth ops
+  });
+  if (isSmoothOp(prim.op)) {
+    createLabeledSlider(
+      body,
+      "Blend radius",
+      prim.blend,
+      0.0,
+      2.0,
+      0.02,
+      (v) => {
+        target().blend = Math.max(v, 0.0);
+        commitSceneEdit(`${key}:blend`);
+      },
+    );
   }
-}
-setupPrimitiveSelect();
 
-function renderObjectList() {
-  const list = $("object-list");
-  if (!list) return;
+  buildModifierControls(body, prim, path);
+  buildKeyframeControls(body, prim, path);
+}
 
-  list.innerHTML = "";
+// Duplicate / copy / paste for the selected node, and the array tool: N copies,
+// each one offset / rotation step further than the last
+function buildCopyControls(body) {
+  const title = document.createElement("div");
+  title.className = "text-xs font-semibold pt-1";
+  title.textContent = "Copies";
+  body.appendChild(title);
 
-  scenePrimitives.forEach((prim, index) => {
-    const row = document.createElement("div");
-    row.className =
-      "flex items-center justify-between px-2 py-1 text-xs cursor-pointer rounded mb-0.5";
+  const row = document.createElement("div");
+  row.className = "flex items-center gap-2 mb-1";
+  for (const [text, tip, onClick] of [
+    ["Duplicate", "Add a copy one offset step away (Shift+D)", duplicateSelected],
+    ["Copy", "Copy to the clipboard as JSON, for this or another tab (Ctrl+C)", copySelected],
+    ["Paste", "Add the objects on the clipboard (Ctrl+V)", pasteNodes],
+  ]) {
+    const btn = document.createElement("button");
+    btn.textContent = text;
+    btn.title = tip;
+    btn.className = "px-2 py-1 text-xs rounded border";
+    btn.style.borderColor = "#458588";
+    btn.style.color = "#83a598";
+    btn.onclick = onClick;
+    row.appendChild(btn);
+  }
+  body.appendChild(row);
 
-    // Highlight selected row
-    if (index === selectedPrimitiveIndex) {
-      row.className += " bg-gray-700/70";
-    } else {
-      row.className += " hover:bg-gray-700/40";
-    }
+  const box = document.createElement("div");
+  box.className = "p-1.5 rounded border";
+  box.style.borderColor = "#3c3836";
+  createLabeledNumber(box, "Array copies", arrayStep.count, 1, 64, 1, (v) => {
+    arrayStep.count = Math.min(Math.max(Math.round(v), 1), 64);
+  });
+  createVec3Controls(box, "Offset step", arrayStep.offset, [-100, 100], 0.1, () => {});
+  createVec3Controls(box, "Rotation step (deg)", arrayStep.rotation, [-360, 360], 5, () => {});
+
+  const arrayBtn = document.createElement("button");
+  arrayBtn.textContent = "+ Array";
+  arrayBtn.title = "Add the copies next to the selected object";
+  arrayBtn.className = "px-2 py-1 text-xs rounded border";
+  arrayBtn.style.borderColor = "#458588";
+  arrayBtn.style.color = "#83a598";
+  arrayBtn.onclick = arraySelected;
+  box.appendChild(arrayBtn);
+  body.appendChild(box);
+}
 
-    // Left: icon + label
-    const left = document.createElement("div");
-    left.className = "flex items-center gap-2";
+// Round icon button for list entries (reorder, remove, ...)
+function createSmallButton(parent, text, title, enabled, onClick) {
+  const btn = document.createElement("button");
+  btn.textContent = text;
+  btn.title = title;
+  btn.disabled = !enabled;
+  btn.className = "w-4 h-4 text-[10px] rounded-full flex items-center justify-center disabled:opacity-30";
+  btn.onclick = onClick;
+  parent.appendChild(btn);
+  return btn;
+}
 
-    const icon = document.createElement("span");
-    icon.textContent = "◼"; // you can swap for different icons per kind
-    icon.className = "text-[10px] opacity-70";
+// The primitive's modifier stack, first applied at the top. Reordering,
+// adding and removing rebuild the panel.
+function buildModifierControls(body, prim, path) {
+  const target = () => getNode(scenePrimitives, path);
+  const key = path.join(".");
 
-    const title = document.createElement("span");
-    title.textContent =
-      (PRIM_KIND_LABELS[prim.kind] ?? "Primitive") + " #" + index;
+  const title = document.createElement("div");
+  title.className = "text-xs font-semibold pt-1";
+  title.textContent = "Modifiers";
+  body.appendChild(title);
+
+  const restack = (edit) => {
+    edit(target().modifiers);
+    commitSceneEdit();
+    renderObjectList(); // slot count
+    renderObjectDetails();
+  };
 
-    left.appendChild(icon);
-    left.appendChild(title);
+  prim.modifiers.forEach((modifier, index) => {
+    const box = document.createElement("div");
+    box.className = "p-1.5 rounded border";
+    box.style.borderColor = "#3c3836";
+
+    const header = document.createElement("div");
+    header.className = "flex items-center justify-between mb-1";
+    const name = document.createElement("span");
+    name.textContent = `${index + 1}. ${MODIFIER_LABELS[modifier.type] ?? "Modifier"}`;
+    header.appendChild(name);
+
+    const buttons = document.createElement("div");
+    buttons.className = "flex items-center gap-1";
+    const move = (to) => restack((list) => list.splice(to, 0, list.splice(index, 1)[0]));
+    createSmallButton(buttons, "↑", "Apply earlier", index > 0, () => move(index - 1));
+    createSmallButton(buttons, "↓", "Apply later", index < prim.modifiers.length - 1, () => move(index + 1));
+    const removeBtn = createSmallButton(buttons, "×", "Remove modifier", true, () =>
+      restack((list) => list.splice(index, 1)),
+    );
+    removeBtn.style.background = "#cc241d";
+    removeBtn.style.color = "#fbf1c7";
+    header.appendChild(buttons);
+    box.appendChild(header);
 
-    // Right: small material + delete button
-    const right = document.createElement("div");
-    right.className = "flex items-center gap-2";
+    for (const param of modifierParams(modifier.type)) {
+      const commit = (v) => {
+        target().modifiers[index][param.name] = v;
+        commitSceneEdit(`${key}:modifier${index}:${param.name}`);
+      };
+      const value = modifier[param.name];
+
+      if (param.type === "vec3") {
+        // clamped to the registry range; a negative spacing or count is invalid
+        const setValue = createVec3Controls(box, param.label, [...value], [param.min, param.max], param.step, (v) => {
+          const clamped = v.map((c) => Math.min(Math.max(c, param.min), param.max));
+          if (clamped.some((c, i) => c !== v[i])) setValue(clamped);
+          commit(clamped);
+        });
+      } else if (param.type === "axis") {
+        createLabeledSelect(box, param.label, AXIS_LABELS, value, commit);
+      } else {
+        createLabeledSlider(box, param.label, value, param.min, param.max, param.step, commit);
+      }
+    }
+    body.appendChild(box);
+  });
 
-    const matLabel = document.createElement("span");
-    matLabel.textContent = MATERIAL_LABELS[prim.materialId] ?? "Material";
-    matLabel.className = "text-[10px] opacity-70 ml-1";
-    right.appendChild(matLabel);
+  const row = document.createElement("div");
+  row.className = "flex items-center gap-2";
 
-    const removeBtn = document.createElement("button");
-    removeBtn.textContent = "×";
-    removeBtn.className =
-      "w-4 h-4 text-[10px] rounded-full flex items-center justify-center";
-    removeBtn.style.background = "#cc241d";
-    removeBtn.style.color = "#fbf1c7";
-    removeBtn.title = "Remove object";
-    right.appendChild(removeBtn);
+  const select = document.createElement("select");
+  select.className = "flex-1 bg-gray-900 border border-gray-700 text-xs px-1 py-0.5 rounded";
+  for (const [type, label] of Object.entries(MODIFIER_LABELS)) {
+    const opt = document.createElement("option");
+    opt.value = type;
+    opt.textContent = label;
+    select.appendChild(opt);
+  }
+  row.appendChild(select);
 
-    row.appendChild(left);
-    row.appendChild(right);
+  const addBtn = document.createElement("button");
+  addBtn.textContent = "+ Modifier";
+  addBtn.className = "px-2 py-1 text-xs rounded border disabled:opacity-30";
+  addBtn.style.borderColor = "#458588";
+  addBtn.style.color = "#83a598";
+  addBtn.title = `Add to the end of the stack (up to ${MAX_MODIFIERS})`;
+  addBtn.disabled = prim.modifiers.length >= MAX_MODIFIERS;
+  addBtn.onclick = () => {
+    if (countSlots(scenePrimitives) + 1 > MAX_PRIMS) {
+      showSceneFullMessage();
+      return;
+    }
+    restack((list) => list.push(makeModifier(select.value)));
+  };
+  row.appendChild(addBtn);
+  body.appendChild(row);
+}
 
-    // Click row -> select primitive
-    row.onclick = () => {
-      selectedPrimitiveIndex = index;
-      renderObjectList();
-      renderObjectDetails();
-    };
+// The primitive's keyframe tracks. "Key" records the chosen field's current
+// value at the timeline's time; keys can be retimed, eased or removed.
+function buildKeyframeControls(body, prim, path) {
+  const target = () => getNode(scenePrimitives, path);
 
-    // Click delete -> remove primitive
-    removeBtn.onclick = (e) => {
-      e.stopPropagation();
-      scenePrimitives.splice(index, 1);
+  const title = document.createElement("div");
+  title.className = "text-xs font-semibold pt-1";
+  title.textContent = "Keyframes";
+  body.appendChild(title);
+
+  const edit = (change) => {
+    change(target());
+    applyAnimation(scenePrimitives, timeline.time());
+    commitSceneEdit();
+    renderObjectDetails();
+  };
 
-      // Fix selected index
-      if (scenePrimitives.length === 0) {
-        selectedPrimitiveIndex = -1;
-      } else if (selectedPrimitiveIndex >= scenePrimitives.length) {
-        selectedPrimitiveIndex = scenePrimitives.length - 1;
+  for (const [name, keys] of Object.entries(prim.keyframes ?? {})) {
+    const box = document.createElement("div");
+    box.className = "p-1.5 rounded border";
+    box.style.borderColor = "#3c3836";
+    const header = document.createElement("div");
+    header.className = "mb-1";
+    header.textContent = animatableField(prim.kind, name)?.label ?? name;
+    box.appendChild(header);
+
+    keys.forEach((k, index) => {
+      const row = document.createElement("div");
+      row.className = "flex items-center gap-1 mb-1";
+      row.title = `Value: ${JSON.stringify(k.value)}`;
+
+      createSmallButton(row, "◆", "Go to this key", true, () => {
+        timeline.seek(k.time);
+        applyTimelineTime();
+      });
+
+      const time = document.createElement("input");
+      time.type = "number";
+      time.min = 0;
+      time.step = 0.1;
+      time.value = +k.time.toFixed(3);
+      time.className = "w-16 bg-gray-900 border border-gray-700 text-xs px-1 py-0.5 rounded";
+      time.onchange = () => {
+        const t = parseFloat(time.value);
+        if (Number.isNaN(t) || t < 0) return;
+        edit((node) => {
+          const track = node.keyframes[name];
+          track[index].time = t;
+          track.sort((a, b) => a.time - b.time);
+        });
+      };
+      row.appendChild(time);
+
+      const interp = document.createElement("select");
+      interp.className = "flex-1 bg-gray-900 border border-gray-700 text-xs px-1 py-0.5 rounded";
+      interp.title = "Curve towards the next key";
+      for (const [id, label] of Object.entries(INTERPOLATION_LABELS)) {
+        const opt = document.createElement("option");
+        opt.value = id;
+        opt.textContent = label;
+        opt.selected = id === k.interp;
+        interp.appendChild(opt);
       }
+      interp.onchange = () => edit((node) => (node.keyframes[name][index].interp = interp.value));
+      row.appendChild(interp);
 
-      updateSceneGPU();
-      renderObjectList();
-      renderObjectDetails();
-    };
+      const removeBtn = createSmallButton(row, "×", "Remove key", true, () =>
+        edit((node) => removeKeyframe(node, name, index)),
+      );
+      removeBtn.style.background = "#cc241d";
+      removeBtn.style.color = "#fbf1c7";
+      box.appendChild(row);
+    });
+    body.appendChild(box);
+  }
 
-    list.appendChild(row);
+  const row = document.createElement("div");
+  row.className = "flex items-center gap-2";
+
+  const fields = animatableFields(prim.kind);
+  const select = document.createElement("select");
+  select.className = "flex-1 bg-gray-900 border border-gray-700 text-xs px-1 py-0.5 rounded";
+  fields.forEach((field, i) => {
+    const opt = document.createElement("option");
+    opt.value = i;
+    opt.textContent = field.label;
+    select.appendChild(opt);
   });
+  row.appendChild(select);
 
-  // Empty state
-  if (scenePrimitives.length === 0) {
-    const empty = document.createElement("div");
-    empty.className = "text-[11px] opacity-60 px-1 py-1";
-    empty.textContent = "No objects in the scene. Click + Add Sphere.";
-    list.appendChild(empty);
-  }
+  const keyBtn = document.createElement("button");
+  keyBtn.textContent = "◆ Key";
+  keyBtn.className = "px-2 py-1 text-xs rounded border";
+  keyBtn.style.borderColor = "#458588";
+  keyBtn.style.color = "#83a598";
+  keyBtn.title = "Record the field's current value at the current time";
+  keyBtn.onclick = () => {
+    const field = fields[select.value];
+    edit((node) => setKeyframe(node, field.name, timeline.time(), getFieldValue(node, field)));
+  };
+  row.appendChild(keyBtn);
+  body.appendChild(row);
 }
 
-function renderObjectDetails() {
-  const details = $("object-details");
-  if (!details) return;
+// Group transform and CSG. Children are positioned relative to the group.
+function buildGroupControls(body, group, path) {
+  const target = () => getNode(scenePrimitives, path);
+  const key = path.join(".");
 
-  details.innerHTML = "";
+  createLabeledText(body, "Name", group.name, (v) => {
+    target().name = v;
+    commitSceneEdit(`${key}:name`);
+    renderObjectList();
+  });
 
-  if (
-    scenePrimitives.length === 0 ||
-    selectedPrimitiveIndex < 0 ||
-    selectedPrimitiveIndex >= scenePrimitives.length
-  ) {
-    const placeholder = document.createElement("div");
-    placeholder.className = "text-[11px] opacity-60";
+  const setPosition = createVec3Controls(
+    body,
+    "Position",
+    group.center,
+    [-5, 5],
+    0.1,
+    (v) => {
+      target().center = [...v];
+      commitSceneEdit(`${key}:position`);
+    },
+  );
+
+  syncPositionControls = () => setPosition(target().center);
+
+  createVec3Controls(
+    body,
+    "Rotation (deg)",
+    group.rotation,
+    [-180, 180],
+    5,
+    (v) => {
+      target().rotation = [...v];
+      commitSceneEdit(`${key}:rotation`);
+    },
+  );
+  // uniform only: non-uniform scale under rotated children would shear them
+  createLabeledNumber(
+    body,
+    "Scale",
+    group.scale,
+    0.05,
+    10.0,
+    0.05,
+    (v) => {
+      target().scale = Math.max(v, 0.01);
+      commitSceneEdit(`${key}:scale`);
+    },
+  );
+
+  // CSG: how the group's combined children join everything above the group
+  createLabeledSelect(body, "Operation", OP_LABELS, group.op, (op) => {
+    target().op = op;
+    commitSceneEdit();
+    renderObjectList();
+    renderObjectDetails();
+  });
+  if (isSmoothOp(group.op)) {
+    createLabeledNumber(
+      body,
+      "Blend radius",
+      group.blend,
+      0.0,
+      2.0,
+      0.02,
+      (v) => {
+        target().blend = Math.max(v, 0.0);
+        commitSceneEdit(`${key}:blend`);
+      },
+    );
+  }
+}
+
+function buildLightControls(body, light, index) {
+  const target = () => sceneLights[index];
+  const key = `light${index}`;
+
+  createLabeledText(body, "Name", light.name, (v) => {
+    target().name = v;
+    commitSceneEdit(`${key}:name`);
+    renderObjectList();
+  });
+  createLabeledSelect(body, "Type", LIGHT_KIND_LABELS, light.kind, (kind) => {
+    target().kind = kind;
+    commitSceneEdit();
+    renderObjectList();
+    renderObjectDetails(); // position / direction / cone depend on the type
+  });
+
+  syncPositionControls = () => {};
+  if (light.kind !== LIGHT_DIRECTIONAL) {
+    const setPosition = createVec3Controls(body, "Position", light.position, [-10, 10], 0.1, (v) => {
+      target().position = [...v];
+      commitSceneEdit(`${key}:position`);
+    });
+    syncPositionControls = () => setPosition(target().position);
+  }
+  if (light.kind !== LIGHT_POINT) {
+    createVec3Controls(body, "Direction", light.direction, [-1, 1], 0.1, (v) => {
+      target().direction = [...v];
+      commitSceneEdit(`${key}:direction`);
+    });
+  }
+
+  createLabeledColor(body, "Color", light.color, (v) => {
+    target().color = v;
+    commitSceneEdit(`${key}:color`);
+    renderObjectList(); // the row icon shows the color
+  });
+  createLabeledNumber(body, "Intensity", light.intensity, 0.0, 100.0, 0.1, (v) => {
+    target().intensity = Math.max(v, 0.0);
+    commitSceneEdit(`${key}:intensity`);
+  });
+  createLabeledNumber(body, "Radius (softness)", light.radius, 0.0, 1.0, 0.01, (v) => {
+    target().radius = Math.max(v, 0.0);
+    commitSceneEdit(`${key}:radius`);
+  });
+
+  if (light.kind === LIGHT_SPOT) {
+    createLabeledNumber(body, "Cone angle (deg)", light.angle, 1.0, 89.0, 1.0, (v) => {
+      target().angle = Math.min(Math.max(v, 1.0), 89.0);
+      commitSceneEdit(`${key}:angle`);
+    });
+    createLabeledNumber(body, "Cone edge", light.edge, 0.0, 1.0, 0.05, (v) => {
+      target().edge = Math.min(Math.max(v, 0.0), 1.0);
+      commitSceneEdit(`${key}:edge`);
+    });
+  }
+}
+
+function setupPrimitiveSelect() {
+  const select = $("primitive-kind-select");
+  select.innerHTML = "";
+
+  for (const [kind, label] of Object.entries(PRIM_KIND_LABELS)) {
+    const option = document.createElement("option");
+    option.value = kind;
+    option.textContent = label;
+    select.appendChild(option);
+  }
+}
+setupPrimitiveSelect();
+
+function renderObjectList() {
+  const list = $("object-list");
+  if (!list) return;
+
+  list.innerHTML = "";
+
+  // Slot usage next to the add buttons
+  const slots = countSlots(scenePrimitives);
+  const counter = $("primitive-count");
+  counter.textContent = `${slots} / ${MAX_PRIMS}`;
+  counter.style.color = slots >= MAX_PRIMS ? "#fb4934" : "";
+
+  const renderNodes = (nodes, prefix) => nodes.forEach((node, i) => {
+    const path = [...prefix, i];
+    list.appendChild(createObjectRow(node, path));
+    if (isGroup(node) && !node.collapsed) renderNodes(node.children, path);
+  });
+  renderNodes(scenePrimitives, []);
+
+  // Drop on the empty space below the rows -> move to the end of the root list
+  list.ondragover = (e) => e.preventDefault();
+  list.ondrop = (e) => {
+    e.preventDefault();
+    const from = parsePath(e.dataTransfer.getData("text/plain"));
+    if (from) moveNode(from, [], scenePrimitives.length);
+  };
+
+  // Empty state
+  if (scenePrimitives.length === 0) {
+    const empty = document.createElement("div");
+    empty.className = "text-[11px] opacity-60 px-1 py-1";
+    empty.textContent = "No objects in the scene. Click + Add Sphere.";
+    list.appendChild(empty);
+  }
+
+  renderLightRows(list);
+}
+
+const LIGHT_ICONS = {
+  [LIGHT_POINT]:       "✦",
+  [LIGHT_DIRECTIONAL]: "☀",
+  [LIGHT_SPOT]:        "▽",
+};
+
+// "Lights" section below the objects: a header with an add control, then one row per light
+function renderLightRows(list) {
+  const header = document.createElement("div");
+  header.className = "flex items-center justify-between gap-2 px-1 pt-2 pb-1 mt-1 border-t text-[11px]";
+  header.style.borderColor = "#3c3836";
+
+  const title = document.createElement("span");
+  title.className = "opacity-70";
+  title.textContent = `Lights ${sceneLights.length} / ${MAX_LIGHTS}`;
+  header.appendChild(title);
+
+  const controls = document.createElement("div");
+  controls.className = "flex items-center gap-1";
+
+  const kindSelect = document.createElement("select");
+  kindSelect.className = "bg-gray-900 border border-gray-700 text-[11px] px-1 rounded";
+  Object.entries(LIGHT_KIND_LABELS).forEach(([kind, label]) => {
+    const opt = document.createElement("option");
+    opt.value = kind;
+    opt.textContent = label;
+    kindSelect.appendChild(opt);
+  });
+  controls.appendChild(kindSelect);
+
+  const addBtn = document.createElement("button");
+  addBtn.textContent = "+ Light";
+  addBtn.className = "px-1 rounded border";
+  addBtn.style.borderColor = "#458588";
+  addBtn.style.color = "#83a598";
+  addBtn.disabled = sceneLights.length >= MAX_LIGHTS;
+  addBtn.onclick = () => addLight(parseInt(kindSelect.value, 10));
+  controls.appendChild(addBtn);
+
+  header.appendChild(controls);
+  list.appendChild(header);
+
+  sceneLights.forEach((light, index) => {
+    const row = document.createElement("div");
+    row.dataset.light = index;
+    row.className =
+      "flex items-center justify-between px-2 py-1 text-xs cursor-pointer rounded mb-0.5";
+    row.className += index === selectedLightIndex ? " bg-gray-700/70" : " hover:bg-gray-700/40";
+
+    const left = document.createElement("div");
+    left.className = "flex items-center gap-2";
+
+    const icon = document.createElement("span");
+    icon.textContent = LIGHT_ICONS[light.kind] ?? "?";
+    icon.className = "text-[10px] w-4 text-center";
+    icon.style.color = linearToHex(light.color);
+    left.appendChild(icon);
+
+    const name = document.createElement("span");
+    name.textContent = light.name;
+    left.appendChild(name);
+
+    const right = document.createElement("div");
+    right.className = "flex items-center gap-2";
+
+    const info = document.createElement("span");
+    info.textContent = LIGHT_KIND_LABELS[light.kind] ?? "Light";
+    info.className = "text-[10px] opacity-70 ml-1";
+    right.appendChild(info);
+
+    const removeBtn = document.createElement("button");
+    removeBtn.textContent = "×";
+    removeBtn.className =
+      "w-4 h-4 text-[10px] rounded-full flex items-center justify-center";
+    removeBtn.style.background = "#cc241d";
+    removeBtn.style.color = "#fbf1c7";
+    removeBtn.title = "Remove light";
+    removeBtn.onclick = (e) => {
+      e.stopPropagation();
+      deleteLight(index);
+    };
+    right.appendChild(removeBtn);
+
+    row.appendChild(left);
+    row.appendChild(right);
+    row.onclick = () => selectLight(index);
+
+    list.appendChild(row);
+  });
+}
+
+const parsePath = (text) => (text ? text.split(".").map((v) => parseInt(v, 10)) : null);
+
+function createObjectRow(node, path) {
+  const group = isGroup(node);
+  const row = document.createElement("div");
+  row.dataset.path = path.join(".");
+  row.className =
+    "flex items-center justify-between px-2 py-1 text-xs cursor-pointer rounded mb-0.5";
+  row.style.paddingLeft = `${0.5 + (path.length - 1) * 0.75}rem`;
+
+  // Highlight selected row
+  if (samePath(path, selectedPath)) {
+    row.className += " bg-gray-700/70";
+  } else {
+    row.className += " hover:bg-gray-700/40";
+  }
+
+  // Left: op badge + icon + label
+  const left = document.createElement("div");
+  left.className = "flex items-center gap-2";
+
+  // CSG op applied to everything above this row in the same group
+  const opBadge = document.createElement("span");
+  opBadge.textContent = OP_SYMBOLS[node.op] ?? "?";
+  opBadge.title = (OP_LABELS[node.op] ?? "Unknown") + " (applied in list order within its group)";
+  opBadge.className = "text-[10px] w-4 text-center opacity-80";
+  if (node.op !== OP_UNION) opBadge.style.color = "#fabd2f";
+  left.appendChild(opBadge);
+
+  const icon = document.createElement("span");
+  icon.className = "text-[10px] opacity-70";
+  if (group) {
+    // groups get a collapse toggle instead of an icon
+    icon.textContent = node.collapsed ? "▸" : "▾";
+    icon.title = node.collapsed ? "Expand group" : "Collapse group";
+    icon.onclick = (e) => {
+      e.stopPropagation();
+      node.collapsed = !node.collapsed;
+      renderObjectList();
+    };
+  } else {
+    icon.textContent = "◼"; // you can swap for different icons per kind
+  }
+  left.appendChild(icon);
+
+  const title = document.createElement("span");
+  title.textContent = group
+    ? node.name
+    : (PRIM_KIND_LABELS[node.kind] ?? "Primitive") + " #" + path.join(".");
+  left.appendChild(title);
+
+  // Right: material (or child count) + delete button
+  const right = document.createElement("div");
+  right.className = "flex items-center gap-2";
+
+  const info = document.createElement("span");
+  info.textContent = group
+    ? `${node.children.length} item${node.children.length === 1 ? "" : "s"}`
+    : sceneMaterials[node.materialId]?.name ?? "Material";
+  info.className = "text-[10px] opacity-70 ml-1";
+  right.appendChild(info);
+
+  const removeBtn = document.createElement("button");
+  removeBtn.textContent = "×";
+  removeBtn.className =
+    "w-4 h-4 text-[10px] rounded-full flex items-center justify-center";
+  removeBtn.style.background = "#cc241d";
+  removeBtn.style.color = "#fbf1c7";
+  removeBtn.title = group ? "Remove group and its contents" : "Remove object";
+  right.appendChild(removeBtn);
+
+  row.appendChild(left);
+  row.appendChild(right);
+
+  // Click row -> select node
+  row.onclick = () => selectPrimitive(path);
+
+  // Drag a row onto a group -> move it into the group,
+  // onto anything else -> move it in front of that row
+  row.draggable = true;
+  row.ondragstart = (e) => e.dataTransfer.setData("text/plain", path.join("."));
+  row.ondragover = (e) => e.preventDefault();
+  row.ondrop = (e) => {
+    e.preventDefault();
+    e.stopPropagation();
+    const from = parsePath(e.dataTransfer.getData("text/plain"));
+    if (!from || samePath(from, path)) return;
+    if (group) {
+      moveNode(from, path, node.children.length);
+    } else {
+      moveNode(from, path.slice(0, -1), path[path.length - 1]);
+    }
+  };
+
+  // Click delete -> remove node (and a group's children)
+  removeBtn.onclick = (e) => {
+    e.stopPropagation();
+    deleteNode(path);
+  };
+
+  return row;
+}
+
+// Removes a node (and a group's children), keeping the selection on the node it
+// was on when that one stays
+function deleteNode(path) {
+  const selected = selectedNode();
+  removeNode(scenePrimitives, path);
+  selectedPath = findPath(scenePrimitives, selected);
+
+  commitSceneEdit();
+  renderObjectList();
+  renderObjectDetails();
+}
+
+function renderObjectDetails() {
+  const details = $("object-details");
+  if (!details) return;
+
+  details.innerHTML = "";
+
+  const light = selectedLight();
+  if (light) {
+    renderLightDetails(details, light);
+    return;
+  }
+
+  const node = selectedNode();
+  if (!node) {
+    const placeholder = document.createElement("div");
+    placeholder.className = "text-[11px] opacity-60";
     placeholder.textContent = "Select an object from the list to edit its properties.";
     details.appendChild(placeholder);
     return;
   }
 
-  const prim = scenePrimitives[selectedPrimitiveIndex];
+  // Header
+  const header = document.createElement("div");
+  header.className = "mb-2 pb-1 border-b";
+  header.style.borderColor = "#3c3836";
+
+  const title = document.createElement("div");
+  title.className = "text-xs font-semibold";
+  title.textContent = isGroup(node)
+    ? node.name
+    : (PRIM_KIND_LABELS[node.kind] ?? "Primitive") + " #" + selectedPath.join(".");
+
+  const subtitle = document.createElement("div");
+  subtitle.className = "text-[10px] opacity-70";
+  subtitle.textContent = isGroup(node)
+    ? `Group of ${node.children.length}`
+    : "Material: " + (sceneMaterials[node.materialId]?.name ?? "Unknown");
+
+  header.appendChild(title);
+  header.appendChild(subtitle);
+  details.appendChild(header);
+
+  // Body controls
+  const body = document.createElement("div");
+  body.className = "text-xs space-y-2";
+  if (isGroup(node)) {
+    buildGroupControls(body, node, selectedPath);
+  } else {
+    buildPrimitiveControls(body, node, selectedPath);
+  }
+  buildCopyControls(body);
+  details.appendChild(body);
+}
+
+function renderLightDetails(details, light) {
+  const header = document.createElement("div");
+  header.className = "mb-2 pb-1 border-b";
+  header.style.borderColor = "#3c3836";
+
+  const title = document.createElement("div");
+  title.className = "text-xs font-semibold";
+  title.textContent = light.name;
+
+  const subtitle = document.createElement("div");
+  subtitle.className = "text-[10px] opacity-70";
+  subtitle.textContent = `${LIGHT_KIND_LABELS[light.kind] ?? "Unknown"} light`;
+
+  header.appendChild(title);
+  header.appendChild(subtitle);
+  details.appendChild(header);
+
+  const body = document.createElement("div");
+  body.className = "text-xs space-y-2";
+  buildLightControls(body, light, selectedLightIndex);
+  details.appendChild(body);
+}
+
+// Select a node by tree path (null for none), expand its ancestors, scroll its
+// row into view and show its details
+function selectPrimitive(path) {
+  selectedPath = path;
+  selectedLightIndex = -1;
+  noteSelection();
+  for (let depth = 1; path && depth < path.length; depth++) {
+    getNode(scenePrimitives, path.slice(0, depth)).collapsed = false;
+  }
+  renderObjectList();
+  renderObjectDetails();
+
+  const row = path && $("object-list").querySelector(`[data-path="${path.join(".")}"]`);
+  if (row) row.scrollIntoView({ block: "nearest" });
+}
+
+function selectLight(index) {
+  selectedLightIndex = index;
+  selectedPath = null;
+  noteSelection();
+  renderObjectList();
+  renderObjectDetails();
+
+  const row = $("object-list").querySelector(`[data-light="${index}"]`);
+  if (row) row.scrollIntoView({ block: "nearest" });
+}
+
+// Call this whenever scene changes (added/removed primitives)
+function buildSceneEditorUI() {
+  // Ensure the selection is valid; a light selection stands on its own
+  if (!selectedLight()) {
+    selectedLightIndex = -1;
+    if (!selectedNode()) {
+      selectedPath = scenePrimitives.length > 0 ? [0] : null;
+    }
+  }
+  if (selectedMaterialIndex >= sceneMaterials.length) {
+    selectedMaterialIndex = 0;
+  }
+  renderObjectList();
+  renderObjectDetails();
+  renderMaterialList();
+  renderMaterialDetails();
+  renderBookmarkList();
+}
+
+// Path of the list new nodes go into: the selected group, or the group holding
+// the selected primitive, or the root ([])
+function insertionParentPath() {
+  if (!selectedNode()) return [];
+  return isGroup(selectedNode()) ? selectedPath : selectedPath.slice(0, -1);
+}
+
+// Shown instead of adding when the new node would not fit in MAX_PRIMS slots
+function showSceneFullMessage() {
+  showEditorNotice(
+    `Scene is full: ${countSlots(scenePrimitives)} / ${MAX_PRIMS} slots used (groups take 2, modifiers 1). ` +
+    "Remove objects, groups or modifiers to add more.",
+  );
+}
+
+// Whether nodes fit into the list at parentPath, with the reason shown when not
+function nodesFit(nodes, parentPath) {
+  if (countSlots(scenePrimitives) + countSlots(nodes) > MAX_PRIMS) {
+    showSceneFullMessage();
+    return false;
+  }
+  if (parentPath.length + groupDepth(nodes) > MAX_GROUP_DEPTH) {
+    showEditorNotice(`Groups can't be nested more than ${MAX_GROUP_DEPTH} deep.`);
+    return false;
+  }
+  return true;
+}
+
+// Every way of adding objects ends here: appends nodes to the list at
+// parentPath (by default where new objects go) as one undo step and selects
+// the last one. Returns false when they don't fit.
+function addNodes(nodes, parentPath = insertionParentPath()) {
+  if (nodes.length === 0 || !nodesFit(nodes, parentPath)) return false;
+
+  const siblings = parentPath.length ? getNode(scenePrimitives, parentPath).children : scenePrimitives;
+  siblings.push(...nodes);
+  selectedPath = [...parentPath, siblings.length - 1];
+  commitSceneEdit();
+  buildSceneEditorUI();
+  return true;
+}
+
+// Adds a primitive of the kind picked in the Scene Objects header by default
+function addPrimitive(kind = parseInt($("primitive-kind-select").value, 10)) {
+  console.log("Adding primitive of kind:", kind);
+  addNodes([makeDefaultPrimitive(kind)]);
+}
+
+function addGroup() {
+  addNodes([makeGroup()]);
+}
+
+function addLight(kind) {
+  if (sceneLights.length >= MAX_LIGHTS) return;
+
+  sceneLights.push(makeDefaultLight(kind));
+  selectedLightIndex = sceneLights.length - 1;
+  selectedPath = null;
+  commitSceneEdit();
+  buildSceneEditorUI();
+}
+
+function deleteLight(index) {
+  sceneLights.splice(index, 1);
+  if (selectedLightIndex === index) {
+    selectedLightIndex = -1;
+  } else if (selectedLightIndex > index) {
+    selectedLightIndex -= 1;
+  }
+  commitSceneEdit();
+  renderObjectList();
+  renderObjectDetails();
+}
+
+// Removes the selected object or light (Delete)
+function deleteSelected() {
+  if (selectedLight()) deleteLight(selectedLightIndex);
+  else if (selectedNode()) deleteNode(selectedPath);
+}
+
+// Selects the next (step 1) or previous (-1) node in list order, wrapping
+// around; from a light or nothing, the first or last one
+function cycleSelection(step) {
+  const paths = allPaths(scenePrimitives);
+  if (paths.length === 0) return;
+  const current = selectedNode() ? paths.findIndex((path) => samePath(path, selectedPath)) : -1;
+  const next = current < 0 ? (step > 0 ? 0 : paths.length - 1) : (current + step + paths.length) % paths.length;
+  selectPrimitive(paths[next]);
+}
+
+// Shift+D: a copy of the selected node at the end of its own list
+// One copy, one array offset step away so it isn't hidden inside the original
+function duplicateSelected() {
+  if (!selectedNode()) return;
+  addNodes(arrayCopies(selectedNode(), 1, arrayStep.offset, [0, 0, 0]), selectedPath.slice(0, -1));
+}
+
+// Array tool settings, kept while the selection changes
+const arrayStep = { count: 3, offset: [1.0, 0.0, 0.0], rotation: [0.0, 0.0, 0.0] };
+
+function arraySelected() {
+  if (!selectedNode()) return;
+  const { count, offset, rotation } = arrayStep;
+  addNodes(arrayCopies(selectedNode(), count, offset, rotation), selectedPath.slice(0, -1));
+}
+
+function showClipboardError(action, e) {
+  showEditorNotice(`${action} failed: ${e.message}`);
+}
+
+// Ctrl+C: the selected node as JSON text (serialize.js, "Clipboard"), in world
+// space so it lands in the same place whichever group it is pasted into
+async function copySelected() {
+  if (!selectedNode()) return;
+  const node = structuredClone(selectedNode());
+  reframeNode(node, parentFrame(scenePrimitives, selectedPath), IDENTITY_FRAME);
+  try {
+    await navigator.clipboard.writeText(serializeClipboard([node], sceneMaterials));
+  } catch (e) {
+    showClipboardError("Copy", e);
+  }
+}
+
+// Ctrl+V: copied nodes go where new objects go; their materials join the
+// library unless it has identical ones
+async function pasteNodes() {
+  let pasted;
+  try {
+    pasted = parseClipboard(await navigator.clipboard.readText());
+  } catch (e) {
+    showClipboardError("Paste", e);
+    return;
+  }
+
+  const parentPath = insertionParentPath();
+  if (!nodesFit(pasted.primitives, parentPath)) return;
+  mergeMaterials(pasted.primitives, sceneMaterials, pasted.materials);
+  const frame = parentFrame(scenePrimitives, [...parentPath, 0]);
+  pasted.primitives.forEach((node) => reframeNode(node, IDENTITY_FRAME, frame));
+  addNodes(pasted.primitives, parentPath);
+}
+
+$("add-primitive-btn").onclick = () => addPrimitive();
+$("add-group-btn").onclick = addGroup;
+
+// Moves the node at `from` to position `index` of the list at `toParent`
+// ([] for the root), keeping it where it is in the world
+function moveNode(from, toParent, index) {
+  // a group can't go inside itself, and the nesting limit must hold
+  if (isPathPrefix(from, toParent)) return;
+  const node = getNode(scenePrimitives, from);
+  if (toParent.length + groupDepth([node]) > MAX_GROUP_DEPTH) return;
+
+  const selected = selectedNode();
+  const siblings = toParent.length ? getNode(scenePrimitives, toParent).children : scenePrimitives;
+  const anchor = siblings[index];
+
+  reframeNode(node, parentFrame(scenePrimitives, from), parentFrame(scenePrimitives, [...toParent, 0]));
+  removeNode(scenePrimitives, from);
+  siblings.splice(anchor ? siblings.indexOf(anchor) : siblings.length, 0, node);
+
+  // selection follows the object, not the slot
+  selectedPath = findPath(scenePrimitives, selected);
+  commitSceneEdit();
+  buildSceneEditorUI();
+}
+
+//#endregion
+//#region Materials UI -----------------------------------------------------------
+
+function renderMaterialList() {
+  const list = $("material-list");
+  if (!list) return;
+
+  list.innerHTML = "";
+
+  sceneMaterials.forEach((mat, index) => {
+    const row = document.createElement("div");
+    row.className =
+      "flex items-center justify-between px-2 py-1 text-xs cursor-pointer rounded mb-0.5";
+    row.className += index === selectedMaterialIndex ? " bg-gray-700/70" : " hover:bg-gray-700/40";
+
+    // Left: color swatch + name
+    const left = document.createElement("div");
+    left.className = "flex items-center gap-2";
+
+    const swatch = document.createElement("span");
+    swatch.className = "w-3 h-3 rounded-sm border border-gray-600";
+    swatch.style.background = linearToHex(mat.color);
+    left.appendChild(swatch);
+
+    const name = document.createElement("span");
+    name.textContent = mat.name;
+    left.appendChild(name);
+
+    row.appendChild(left);
+
+    // the library always keeps at least one material to fall back to
+    if (sceneMaterials.length > 1) {
+      const removeBtn = document.createElement("button");
+      removeBtn.textContent = "×";
+      removeBtn.className =
+        "w-4 h-4 text-[10px] rounded-full flex items-center justify-center";
+      removeBtn.style.background = "#cc241d";
+      removeBtn.style.color = "#fbf1c7";
+      removeBtn.title = "Remove material (objects using it switch to the first one)";
+      removeBtn.onclick = (e) => {
+        e.stopPropagation();
+        removeMaterial(scenePrimitives, sceneMaterials, index);
+        commitSceneEdit();
+        buildSceneEditorUI();
+      };
+      row.appendChild(removeBtn);
+    }
+
+    row.onclick = () => {
+      selectedMaterialIndex = index;
+      renderMaterialList();
+      renderMaterialDetails();
+    };
+
+    list.appendChild(row);
+  });
+}
+
+function renderMaterialDetails() {
+  const details = $("material-details");
+  if (!details) return;
+
+  details.innerHTML = "";
+
+  const mat = sceneMaterials[selectedMaterialIndex];
+  if (!mat) return;
+
+  const index = selectedMaterialIndex;
+  const target = () => sceneMaterials[index];
+  const key = `material${index}`;
+  const body = document.createElement("div");
+  body.className = "text-xs";
+
+  // edits that change how the material shows up in the lists and in the
+  // selected object's material select
+  const relabel = () => {
+    renderMaterialList();
+    renderObjectList();
+    renderObjectDetails();
+  };
+
+  createLabeledText(body, "Name", mat.name, (v) => {
+    target().name = v;
+    commitSceneEdit(`${key}:name`);
+    relabel();
+  });
+  createLabeledColor(body, "Color", mat.color, (v) => {
+    target().color = v;
+    commitSceneEdit(`${key}:color`);
+    renderMaterialList();
+  });
+  createLabeledNumber(body, "Roughness", mat.roughness, 0.0, 1.0, 0.05, (v) => {
+    target().roughness = Math.min(Math.max(v, 0.0), 1.0);
+    commitSceneEdit(`${key}:roughness`);
+  });
+  createLabeledNumber(body, "Metalness", mat.metalness, 0.0, 1.0, 0.05, (v) => {
+    target().metalness = Math.min(Math.max(v, 0.0), 1.0);
+    commitSceneEdit(`${key}:metalness`);
+  });
+  createLabeledNumber(body, "Transmission", mat.transmission, 0.0, 1.0, 0.05, (v) => {
+    target().transmission = Math.min(Math.max(v, 0.0), 1.0);
+    commitSceneEdit(`${key}:transmission`);
+  });
+  createLabeledNumber(body, "IOR", mat.ior, 1.0, 3.0, 0.01, (v) => {
+    target().ior = Math.max(v, 1.0);
+    commitSceneEdit(`${key}:ior`);
+  });
+  createLabeledColor(body, "Emission", mat.emission, (v) => {
+    target().emission = v;
+    commitSceneEdit(`${key}:emission`);
+  });
+  createLabeledNumber(body, "Emission strength", mat.emissionStrength, 0.0, 20.0, 0.1, (v) => {
+    target().emissionStrength = Math.max(v, 0.0);
+    commitSceneEdit(`${key}:emission-strength`);
+  });
+  createLabeledCheckbox(body, "Checker", mat.checker, (v) => {
+    target().checker = v;
+    commitSceneEdit();
+    renderMaterialDetails(); // checker color / scale only show when enabled
+  });
+  if (mat.checker) {
+    createLabeledColor(body, "Checker color", mat.checkerColor, (v) => {
+      target().checkerColor = v;
+      commitSceneEdit(`${key}:checker-color`);
+    });
+    createLabeledNumber(body, "Checker scale", mat.checkerScale, 0.1, 10.0, 0.1, (v) => {
+      target().checkerScale = Math.max(v, 0.01);
+      commitSceneEdit(`${key}:checker-scale`);
+    });
+  }
+
+  details.appendChild(body);
+}
 
-  // Header
-  const header = document.createElement("div");
-  header.className = "mb-2 pb-1 border-b";
-  header.style.borderColor = "#3c3836";
+function addMaterial() {
+  if (sceneMaterials.length >= MAX_MATERIALS) return;
 
-  const title = document.createElement("div");
-  title.className = "text-xs font-semibold";
-  title.textContent =
-    (PRIM_KIND_LABELS[prim.kind] ?? "Primitive") +
-    " #" +
-    selectedPrimitiveIndex;
+  sceneMaterials.push(makeMaterial({ name: `Material ${sceneMaterials.length}` }));
+  selectedMaterialIndex = sceneMaterials.length - 1;
+  commitSceneEdit();
+  buildSceneEditorUI();
+}
 
-  const subtitle = document.createElement("div");
-  subtitle.className = "text-[10px] opacity-70";
-  subtitle.textContent =
-    "Material: " + (MATERIAL_LABELS[prim.materialId] ?? "Unknown");
+$("add-material-btn").onclick = addMaterial;
 
-  header.appendChild(title);
-  header.appendChild(subtitle);
-  details.appendChild(header);
+//#endregion
+//#region Camera UI --------------------------------------------------------------
 
-  // Body controls
+// Lens settings and snap views. The lens isn't part of undo, like the view.
+function renderCameraDetails() {
+  const details = $("camera-details");
+  if (!details) return;
+
+  details.innerHTML = "";
   const body = document.createElement("div");
-  body.className = "text-xs space-y-2";
-  buildPrimitiveControls(body, prim, selectedPrimitiveIndex);
-  details.appendChild(body);
-}
+  body.className = "text-xs";
 
-// Call this whenever scene changes (added/removed primitives)
-function buildSceneEditorUI() {
-  // Ensure selected index is valid
-  if (scenePrimitives.length === 0) {
-    selectedPrimitiveIndex = -1;
-  } else if (
-    selectedPrimitiveIndex < 0 ||
-    selectedPrimitiveIndex >= scenePrimitives.length
-  ) {
-    selectedPrimitiveIndex = 0;
+  createLabeledNumber(body, "Field of view (°)", +cameraLens.fov.toFixed(2), 5, 150, 1, (v) => {
+    cameraLens.fov = Math.min(Math.max(v, 5), 150);
+  });
+  createLabeledCheckbox(body, "Orthographic", cameraLens.orthographic, setOrthographic);
+  createLabeledNumber(body, "Aperture", cameraLens.aperture, 0, 1, 0.01, (v) => {
+    cameraLens.aperture = Math.max(v, 0);
+  });
+  createLabeledNumber(body, "Focus distance", +cameraLens.focusDistance.toFixed(3), 0.1, 100, 0.1, (v) => {
+    cameraLens.focusDistance = Math.max(v, 0.01);
+  });
+
+  const row = document.createElement("div");
+  row.className = "flex items-center gap-1 flex-wrap";
+  const button = (text, title, onClick) => {
+    const btn = document.createElement("button");
+    btn.textContent = text;
+    btn.title = title;
+    btn.className = "px-2 py-0.5 text-xs rounded border";
+    btn.style.borderColor = "#458588";
+    btn.style.color = "#83a598";
+    btn.onclick = onClick;
+    row.appendChild(btn);
+    return btn;
+  };
+  button("Front", "Look down -Z (Numpad 1, Numpad 9 for the back)", () => snapToView("front"));
+  button("Right", "Look down -X (Numpad 3, Numpad 9 for the left)", () => snapToView("right"));
+  button("Top", "Look straight down (Numpad 7, Numpad 9 for the bottom)", () => snapToView("top"));
+  const focusBtn = button("◎ Focus", "Click in the viewport to focus there", () => setFocusPicking(!focusPicking));
+  if (focusPicking) {
+    focusBtn.style.background = "#458588";
+    focusBtn.style.color = "#fbf1c7";
   }
-  renderObjectList();
-  renderObjectDetails();
+  body.appendChild(row);
+
+  const hint = document.createElement("div");
+  hint.className = "mt-1 opacity-50";
+  hint.textContent = "Depth of field (aperture above 0) shows in the path-traced render mode";
+  body.appendChild(hint);
+
+  // Mouse bindings, a per-browser preference rather than part of the scene
+  const mouseTitle = document.createElement("div");
+  mouseTitle.className = "text-xs font-semibold pt-2";
+  mouseTitle.textContent = "Mouse";
+  body.appendChild(mouseTitle);
+  for (const [input, choices] of Object.entries(POINTER_BINDING_CHOICES)) {
+    const labels = Object.fromEntries(choices.map((action, i) => [i, POINTER_ACTION_LABELS[action]]));
+    createLabeledSelect(body, POINTER_BINDING_LABELS[input], labels, choices.indexOf(pointerBindings[input]), (i) =>
+      setPointerBinding(input, choices[i]),
+    );
+  }
+
+  details.appendChild(body);
 }
 
-function makeDefaultPrimitive(kind) {
-  switch (kind) {
-    case SPHERE:
-      return {
-        kind: SPHERE,
-        materialId: MAT_DIFFUSE,
-        center: [0.0, 0.5, 0.0],          // center
-        param0: 0.6,                      // radius
-        params1: [0.0, 0.0, 0.0, 0.0],    // unused
-      };
+function renderBookmarkList() {
+  const list = $("bookmark-list");
+  if (!list) return;
 
-    case PLANE:
-      return {
-        kind: PLANE,
-        materialId: MAT_GROUND,
-        center: [0.0, 0.0, 0.0],          // unused
-        param0: 1.0,                      // offset h
-        params1: [0.0, 1.0, 0.0, 0.0],    // normal
-      };
+  list.innerHTML = "";
+  if (sceneBookmarks.length === 0) {
+    const hint = document.createElement("div");
+    hint.className = "px-2 py-1 text-xs opacity-50";
+    hint.textContent = "No bookmarks; + Bookmark saves the current view";
+    list.appendChild(hint);
+    return;
+  }
 
-    case BOX:
-      return {
-        kind: BOX,
-        materialId: MAT_DIFFUSE,
-        center: [0.0, 0.5, 0.0],          // center
-        param0: 0.0,                      // unused
-        params1: [0.5, 0.5, 0.5, 0.0],    // half-size
-      };
+  sceneBookmarks.forEach((bookmark, index) => {
+    const row = document.createElement("div");
+    row.className = "flex items-center gap-1 px-2 py-0.5 text-xs rounded mb-0.5 hover:bg-gray-700/40";
 
-    case ROUNDED_BOX:
-      return {
-        kind: ROUNDED_BOX,
-        materialId: MAT_WATER,
-        center: [0.0, 0.5, 0.0],          // center
-        param0: 0.1,                      // corner radius
-        params1: [0.7, 0.5, 0.7, 0.0],    // half-size
-      };
+    createSmallButton(row, "▶", "Move the camera to this view", true, () => moveCameraTo(sceneBookmarks[index]));
 
-    case CYLINDER:
-      return {
-        kind: CYLINDER,
-        materialId: MAT_DIFFUSE,
-        center: [0.0, 0.5, 0.0],          // center
-        param0: 1.0,                      // height
-        params1: [0.4, 0.0, 0.0, 0.0],    // radius in x
-      };
+    const name = document.createElement("input");
+    name.type = "text";
+    name.value = bookmark.name;
+    name.className = "flex-1 min-w-0 bg-transparent px-1 py-0.5 rounded focus:bg-gray-900";
+    name.onchange = () => {
+      sceneBookmarks[index].name = name.value;
+      commitSceneEdit(`bookmark${index}:name`);
+    };
+    row.appendChild(name);
 
-    case TORUS:
-      return {
-        kind: TORUS,
-        materialId: MAT_METAL,
-        center: [0.0, 0.5, 0.0],          // center
-        param0: 1.0,                      // major radius
-        params1: [0.25, 0.0, 0.0, 0.0],   // minor radius in x
-      };
+    createSmallButton(row, "⟳", "Replace with the current view", true, () => {
+      Object.assign(sceneBookmarks[index], copyView(currentView()));
+      commitSceneEdit();
+    });
+    const removeBtn = createSmallButton(row, "×", "Remove bookmark", true, () => {
+      sceneBookmarks.splice(index, 1);
+      commitSceneEdit();
+      renderBookmarkList();
+    });
+    removeBtn.style.background = "#cc241d";
+    removeBtn.style.color = "#fbf1c7";
 
-    case CAPSULE:
-      return {
-        kind: CAPSULE,
-        materialId: MAT_DIFFUSE,
-        center: [0.0, 1.0, 0.0],          // point A
-        param0: 0.3,                      // radius
-        params1: [ 0.0, 0.0, 0.0, 0.0],   // point B
-      };
+    list.appendChild(row);
+  });
+}
 
-    default:
-      return makeDefaultPrimitive(SPHERE);
-  }
+function addBookmark() {
+  sceneBookmarks.push(makeCameraBookmark(`View ${sceneBookmarks.length + 1}`, currentView()));
+  commitSceneEdit();
+  renderBookmarkList();
 }
 
-function addPrimitive() {
-  if (scenePrimitives.length >= MAX_PRIMS) return;
+$("add-bookmark-btn").onclick = addBookmark;
+$("frame-selected-btn").onclick = frameSelected;
+$("fly-btn").onclick = toggleFlyMode;
 
-  const select = $("primitive-kind-select");
-  const kind = parseInt(select.value, 10);
+//#endregion
+//#region Scene save / load ------------------------------------------------------
+
+function downloadBlob(blob, filename) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  link.click();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
 
-  console.log("Adding primitive of kind:", kind);
-  let prim = makeDefaultPrimitive(kind);
+function exportScene() {
+  const scene = {
+    primitives: scenePrimitives,
+    camera: currentView(),
+    materials: sceneMaterials,
+    lights: sceneLights,
+    timeline: { duration: timeline.duration() },
+    bookmarks: sceneBookmarks,
+    lens: cameraLens,
+  };
+  const json = JSON.stringify(serializeScene(scene), null, 2);
+  downloadBlob(new Blob([json], { type: "application/json" }), "scene.json");
+}
 
-  scenePrimitives.push(prim);
-  selectedPrimitiveIndex = scenePrimitives.length - 1;
-  updateSceneGPU();
-  buildSceneEditorUI();
+async function importScene(file) {
+  try {
+    const loaded = deserializeScene(JSON.parse(await file.text()));
+
+    scenePrimitives = loaded.primitives;
+    sceneMaterials = loaded.materials;
+    sceneLights = loaded.lights;
+    sceneBookmarks = loaded.bookmarks;
+    cameraTransition = null;
+    applyView(loaded.camera);
+    cameraLens = loaded.lens;
+    renderCameraDetails();
+    timeline.pause();
+    timeline.setDuration(loaded.timeline.duration);
+    timeline.seek(0);
+    applyAnimation(scenePrimitives, 0);
+    updateTimelineUI();
+
+    selectedPath = scenePrimitives.length > 0 ? [0] : null;
+    selectedLightIndex = -1;
+    buildSceneEditorUI();
+    commitSceneEdit();
+  } catch (e) {
+    showEditorNotice(`Could not load ${file.name}: ${e.message}`);
+  }
 }
 
-$("add-primitive-btn").onclick = addPrimitive;
+$("export-scene-btn").onclick = exportScene;
+$("import-scene-btn").onclick = () => $("import-scene-input").click();
+$("import-scene-input").onchange = (e) => {
+  const file = e.target.files[0];
+  e.target.value = ""; // allow re-importing the same file
+  if (file) importScene(file);
+};
 
 //#endregion
 //#region WebGPU setup -----------------------------------------------------------
@@ -733,16 +1777,26 @@ fn vs_main(@builtin(vertex_index) vertexIndex: u32) -> @builtin(position) vec4<f
   return vec4<f32>(pos[vertexIndex], 0.0, 1.0);
 }`;
 
+const UNIFORMS_SIZE = 112; // bytes
+
 const uniformsStruct = `struct Uniforms {
   resolution: vec2<f32>,
   frame: u32,
-  _padding: u32,
+  gizmoAxis: u32,    // highlighted gizmo axis: 0 = none, 1 = X, 2 = Y, 3 = Z
   camPos: vec4<f32>,
   camDir: vec4<f32>,
   camUp: vec4<f32>,
+  gizmo: vec4<f32>,  // xyz = gizmo origin, w = axis length (0 = hidden)
+  sampleIndex: u32,  // samples already accumulated (path-traced mode)
+  time: f32,         // timeline time, seconds
+  tileOffset: vec2<f32>, // pixels left of / above the render target in the image
+  lens: vec4<f32>,   // focal length, orthographic view height (0 = perspective), aperture, focus distance
 }
 @group(0) @binding(0) var<uniform> uniforms: Uniforms;`;
 
+// Everything compiled ahead of the editor's source; error lines are offset by it
+const shaderPrelude = [vertexShader, uniformsStruct, sceneWGSL()].join("\n");
+
 async function initWebGPU() {
   if (!navigator.gpu) {
     errorMsg.textContent = "WebGPU not supported";
@@ -761,36 +1815,150 @@ async function initWebGPU() {
   context.configure({ device, format });
 
   uniformBuffer = device.createBuffer({
-    size: 64,
+    size: UNIFORMS_SIZE,
     usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
   });
 
-  // create and upload initial scene buffer
-  const sceneData = buildSceneData(scenePrimitives);
-  sceneBuffer = device.createBuffer({
-    size: SCENE_SIZE,
+  materialsBuffer = device.createBuffer({
+    size: MATERIALS_SIZE,
     usage: GPUBufferUsage.UNIFORM | GPUBufferUsage.COPY_DST,
   });
-  device.queue.writeBuffer(sceneBuffer, 0, new Uint8Array(sceneData));
+
+  ensureAccumTextures();
+
+  // create and upload initial scene and material buffers
+  ensureSceneBuffer(buildBVH(flattenSceneTree(scenePrimitives).items).length);
+  updateSceneGPU();
 
   await compileShader(shaderSource);
   return true;
 }
 
+// Makes sure sceneBuffer holds `count` primitive slots, reallocating with
+// doubled capacity when it doesn't. Returns true when the buffer was replaced.
+function ensureSceneBuffer(count) {
+  if (sceneBuffer && count <= sceneCapacity) return false;
+
+  sceneCapacity = Math.max(sceneCapacity, 16);
+  while (sceneCapacity < count) sceneCapacity *= 2;
+
+  sceneBuffer?.destroy();
+  sceneBuffer = device.createBuffer({
+    size: sceneDataSize(sceneCapacity),
+    usage: GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST,
+  });
+  return true;
+}
+
+// Makes sure the two accumulation textures match the canvas, recreating them
+// when it was resized. Returns true when they were replaced.
+function ensureAccumTextures() {
+  const width = Math.max(canvas.width, 1);
+  const height = Math.max(canvas.height, 1);
+  if (accumTextures[0]?.width === width && accumTextures[0]?.height === height) return false;
+
+  for (const texture of accumTextures) texture.destroy();
+  accumTextures = [0, 1].map(() =>
+    device.createTexture({
+      size: [width, height],
+      format: "rgba32float",
+      usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
+    })
+  );
+  accumulator.reset();
+  return true;
+}
+
+// Scene bindings plus `accumTexture` as the path tracer's previous average
+function createSceneBindGroup(accumTexture) {
+  return device.createBindGroup({
+    layout: bindGroupLayout,
+    entries: [
+      { binding: 0, resource: { buffer: uniformBuffer } },
+      { binding: 1, resource: { buffer: sceneBuffer } },
+      { binding: 2, resource: { buffer: materialsBuffer } },
+      { binding: 3, resource: accumTexture.createView() },
+    ],
+  });
+}
+
+function createBindGroup() {
+  bindGroups = accumTextures.map((texture) => createSceneBindGroup(texture));
+}
+
+// Fills the uniforms for an image of width x height seen from camera
+// ({ pos, dir, up, lens }, see viewCamera). Tiled renders pass the tile's corner
+// as tileOffset.
+function writeUniforms(width, height, camera, { sampleIndex = 0, tileOffset = [0, 0], gizmo = null } = {}) {
+  const data = new Float32Array([
+    width, height,
+    0, 0, // frame, gizmoAxis (u32, written below)
+    camera.pos.x, camera.pos.y, camera.pos.z, 0,
+    camera.dir.x, camera.dir.y, camera.dir.z, mouseDown ? 1 : 0,
+    camera.up.x, camera.up.y, camera.up.z, 0,
+    ...(gizmo?.center ?? [0, 0, 0]).slice(0, 3), gizmo?.length ?? 0,
+    0, timeline.time(), // sampleIndex (u32, written below), time
+    ...tileOffset,
+    ...camera.lens,
+  ]);
+  const u32 = new Uint32Array(data.buffer);
+  u32[2] = frameCount;
+  u32[3] = (gizmo?.axis ?? -1) + 1;
+  u32[20] = sampleIndex;
+  device.queue.writeBuffer(uniformBuffer, 0, data);
+}
+
+// Records a fullscreen-triangle pass drawing into `target` (a texture)
+function encodeDraw(encoder, target, passPipeline, group) {
+  const pass = encoder.beginRenderPass({
+    colorAttachments: [
+      {
+        view: target.createView(),
+        loadOp: "clear",
+        clearValue: { r: 0, g: 0, b: 0, a: 1 },
+        storeOp: "store",
+      },
+    ],
+  });
+  pass.setPipeline(passPipeline);
+  pass.setBindGroup(0, group);
+  pass.draw(3);
+  pass.end();
+}
+
+// Reads a shader file relative to the page, bypassing the HTTP cache
+async function fetchShaderFile(path) {
+  const response = await fetch(`./${path}`, { cache: "no-store" });
+  if (!response.ok) throw new Error(`${response.status} ${response.statusText}`);
+  return response.text();
+}
+
 async function compileShader(fragmentCode) {
   const start = performance.now();
+  // includes are fetched, so an older compile can finish after a newer one
+  const generation = ++compileGeneration;
   try {
     errorMsg.classList.add("hidden");
-    const code = vertexShader + "\n" + uniformsStruct + "\n" + fragmentCode; // prettier-ignore
+    const source = await preprocessWGSL(fragmentCode, SHADER_FILE, fetchShaderFile);
+    if (generation !== compileGeneration) return;
+    shaderFiles = source.files;
+    if (source.errors.length) {
+      setShaderDiagnostics(source.errors.map((e) => ({ ...e, column: 1, type: "error" })));
+      errorMsg.textContent = "Shader error:\n" + source.errors.map((e) => `${e.file}:${e.line}: ${e.message}`).join("\n");
+      errorMsg.classList.remove("hidden");
+      return;
+    }
+
+    const code = shaderPrelude + "\n" + source.code;
     const shaderModule = device.createShaderModule({ code });
     const info = await shaderModule.getCompilationInfo();
-    const lineOffset = (vertexShader + "\n" + uniformsStruct).split("\n").length; // prettier-ignore
-    const errors = info.messages
+    if (generation !== compileGeneration) return;
+    const lineOffset = shaderPrelude.split("\n").length;
+    const messages = mapCompilationMessages(info.messages, lineOffset, source.lineMap);
+    setShaderDiagnostics(messages.filter((m) => m.type !== "info"));
+    const errors = messages
       .filter((m) => m.type === "error")
-      .map((m) => {
-        const fragmentLine = m.lineNum - lineOffset;
-        return fragmentLine > 0 ? `Line ${fragmentLine}: ${m.message}` : `Line ${m.lineNum}: ${m.message}`;
-      })
+      .map((m) => `${m.file ? `${m.file}:${m.line}` : `Line ${m.line + lineOffset}`}: ${m.message}`)
       .join("\n");
     if (errors) {
       errorMsg.textContent = "Shader error:\n" + errors;
@@ -799,7 +1967,7 @@ async function compileShader(fragmentCode) {
     }
 
     const format = navigator.gpu.getPreferredCanvasFormat();
-    const bindGroupLayout = device.createBindGroupLayout({
+    bindGroupLayout = device.createBindGroupLayout({
       entries: [
         {
           binding: 0,
@@ -809,145 +1977,526 @@ async function compileShader(fragmentCode) {
         {
           binding: 1,
           visibility: GPUShaderStage.FRAGMENT,
+          buffer: { type: "read-only-storage" },
+        },
+        {
+          binding: 2,
+          visibility: GPUShaderStage.FRAGMENT,
           buffer: { type: "uniform" },
         },
+        {
+          binding: 3,
+          visibility: GPUShaderStage.FRAGMENT,
+          texture: { sampleType: "unfilterable-float" },
+        },
       ],
     });
-    pipeline = device.createRenderPipeline({
-      layout: device.createPipelineLayout({
-        bindGroupLayouts: [bindGroupLayout],
-      }),
-      vertex: { module: shaderModule, entryPoint: "vs_main" },
-      fragment: {
-        module: shaderModule,
-        entryPoint: "fs_main",
-        targets: [{ format }],
-      },
-      primitive: { topology: "triangle-list" },
-    });
-    bindGroup = device.createBindGroup({
-      layout: bindGroupLayout,
-      entries: [
-        { binding: 0, resource: { buffer: uniformBuffer } },
-        { binding: 1, resource: { buffer: sceneBuffer } },
-      ],
+    const layout = device.createPipelineLayout({
+      bindGroupLayouts: [bindGroupLayout],
     });
+    const createPipeline = (entryPoint, targetFormat) =>
+      device.createRenderPipeline({
+        layout,
+        vertex: { module: shaderModule, entryPoint: "vs_main" },
+        fragment: {
+          module: shaderModule,
+          entryPoint,
+          targets: [{ format: targetFormat }],
+        },
+        primitive: { topology: "triangle-list" },
+      });
+    pipeline = createPipeline("fs_main", format);
+    // an edited shader may drop the path tracer; the mode then falls back to preview
+    const hasPathTracer = /\bfn\s+fs_path\b/.test(source.code) && /\bfn\s+fs_present\b/.test(source.code);
+    pathPipeline = hasPathTracer ? createPipeline("fs_path", "rgba32float") : null;
+    presentPipeline = hasPathTracer ? createPipeline("fs_present", format) : null;
+    createBindGroup();
+    accumulator.reset();
     $("compile-time").textContent = `${(performance.now() - start).toFixed(2)}ms`;
   } catch (e) {
+    setShaderDiagnostics([]);
     errorMsg.textContent = "Compile error: " + e.message;
     errorMsg.classList.remove("hidden");
   }
-}
+}
+
+//#endregion
+//#region Camera setup -----------------------------------------------------------
+
+let camPos = { x: 0, y: 2, z: 5 };
+let camDir = { x: 0, y: -0.3, z: -1 };
+let camUp = { x: 0, y: 1, z: 0 };
+
+let camTarget = { x: 0, y: 0, z: 0 };
+let camDist   = 4.0;
+let camYaw    = 0.0;
+let camPitch  = 0.5; // radians
+let cameraLens = makeDefaultLens();
+
+function updateCamera() {
+  ({ pos: camPos, dir: camDir, up: camUp } = orbitCamera(camTarget, camDist, camYaw, camPitch));
+}
+
+// The orbit state as a view (camera.js); shares camTarget
+const currentView = () => ({ target: camTarget, dist: camDist, yaw: camYaw, pitch: camPitch });
+
+// What the shader and picking need: the orbit's eye and the lens
+const viewCamera = () => ({ pos: camPos, dir: camDir, up: camUp, lens: lensUniform(cameraLens, camDist) });
+
+function applyView(view) {
+  camTarget = { ...view.target };
+  camDist = view.dist;
+  camYaw = view.yaw;
+  camPitch = view.pitch;
+  updateCamera();
+}
+
+let isDragging = false;
+let dragMode = null; // "orbit" | "pan" | "zoom" | "gizmo"
+let dragButton = -1; // mouse button of the drag, a release that never moved it is a click
+let dragMoved = false;
+let lastX = 0;
+let lastY = 0;
+
+// Mouse button and wheel bindings (pointer.js), kept in localStorage
+const POINTER_BINDINGS_KEY = "aicg-shadertoy:pointer-bindings";
+let pointerBindings = loadPointerBindings();
+
+function loadPointerBindings() {
+  try {
+    return normalizePointerBindings(JSON.parse(localStorage.getItem(POINTER_BINDINGS_KEY)));
+  } catch (e) {
+    return defaultPointerBindings(); // storage blocked or garbled
+  }
+}
+
+function setPointerBinding(input, action) {
+  pointerBindings = normalizePointerBindings({ ...pointerBindings, [input]: action });
+  try {
+    localStorage.setItem(POINTER_BINDINGS_KEY, JSON.stringify(pointerBindings));
+  } catch (e) {
+    // still applies for this session
+  }
+}
+
+const touchGesture = createTouchGesture();
+
+// Canvas pixel (device pixels, same space as fragCoord) under a mouse event
+function eventToCanvasPixel(e) {
+  const rect = canvas.getBoundingClientRect();
+  return {
+    x: (e.clientX - rect.left) * (canvas.width / rect.width),
+    y: (e.clientY - rect.top) * (canvas.height / rect.height),
+  };
+}
+
+// Camera moves for a drag of (dx, dy) CSS pixels
+function dragCamera(mode, dx, dy) {
+  const ROT_SPEED = 0.005;
+  const PAN_SPEED = 0.0015 * camDist;
+  const ZOOM_SPEED = 0.01 * camDist;
+
+  cameraTransition = null;
+  if (mode === "orbit") {
+    camYaw   -= dx * ROT_SPEED;
+    camPitch = clampPitch(camPitch + dy * ROT_SPEED);
+  } else if (mode === "pan") {
+    // move target in camera's right/up plane
+    const right = {
+      x: camDir.z,
+      y: 0,
+      z: -camDir.x,
+    };
+    const up = { x: 0, y: 1, z: 0 };
+
+    camTarget.x += (dx * PAN_SPEED) * right.x + (dy * PAN_SPEED) * up.x;
+    camTarget.y += (dx * PAN_SPEED) * right.y + (dy * PAN_SPEED) * up.y;
+    camTarget.z += (dx * PAN_SPEED) * right.z + (dy * PAN_SPEED) * up.z;
+  } else if (mode === "zoom") {
+    zoomCamera(1.0 + (dy * ZOOM_SPEED * 0.1)); // drag up/down to zoom
+  }
+
+  updateCamera();
+}
+
+function zoomCamera(factor) {
+  cameraTransition = null;
+  camDist = Math.max(MIN_CAMERA_DIST, camDist * factor);
+  updateCamera();
+}
+
+function selectAt(e) {
+  const px = eventToCanvasPixel(e);
+  selectPrimitive(pickPrimitive(px.x, px.y, canvas.width, canvas.height, viewCamera(), scenePrimitives));
+}
+
+// Left presses grab a gizmo axis first, whatever the left button is bound to
+function beginGizmoDragAt(e) {
+  const axis = gizmoAxisUnder(e);
+  if (axis < 0) return false;
+  isDragging = true;
+  dragMode = "gizmo";
+  beginGizmoDrag(e, axis);
+  return true;
+}
+
+function endDrag() {
+  if (gizmoDrag?.moved) commitSceneEdit();
+  isDragging = false;
+  dragMode = null;
+  dragButton = -1;
+  gizmoDrag = null;
+}
+
+canvas.addEventListener("pointerdown", (e) => {
+  if (flyMode) return; // the mouse looks around, see pointermove
+
+  if (e.button === 0 && focusPicking) {
+    pickFocus(e);
+    return;
+  }
+
+  if (e.pointerType !== "mouse") {
+    touchPointerDown(e);
+    return;
+  }
+
+  const action = mouseDragAction(pointerBindings, e);
+  if (action === "none") return;
+  e.preventDefault();
+
+  if (e.button === 0 && !e.altKey && beginGizmoDragAt(e)) return;
+  // plain left click -> pick the object under the cursor
+  if (action === "select") {
+    selectAt(e);
+    return;
+  }
+
+  isDragging = true;
+  dragMode = action;
+  dragButton = e.button;
+  dragMoved = false;
+  lastX = e.clientX;
+  lastY = e.clientY;
+});
+
+window.addEventListener("pointerup", (e) => {
+  if (e.pointerType !== "mouse") {
+    touchPointerUp(e);
+    return;
+  }
+  // a left click that didn't move still selects when left drags the camera
+  if (dragButton === 0 && !dragMoved) selectAt(e);
+  endDrag();
+});
+
+window.addEventListener("pointermove", (e) => {
+  if (e.pointerType !== "mouse") {
+    touchPointerMove(e);
+    return;
+  }
+
+  const px = eventToCanvasPixel(e);
+  mouseX = px.x;
+  mouseY = px.y;
+
+  if (flyMode) {
+    applyView(lookAround(currentView(), -e.movementX * FLY_LOOK_SPEED, e.movementY * FLY_LOOK_SPEED));
+    return;
+  }
+
+  if (!isDragging) gizmoHoverAxis = gizmoAxisUnder(e);
+  if (!isDragging || !dragMode) return;
+
+  if (dragMode === "gizmo") {
+    updateGizmoDrag(e);
+    return;
+  }
+
+  const dx = e.clientX - lastX;
+  const dy = e.clientY - lastY;
+  lastX = e.clientX;
+  lastY = e.clientY;
+  dragMoved ||= dx !== 0 || dy !== 0;
+  dragCamera(dragMode, dx, dy);
+});
+
+// Touch and pen: one finger orbits (or drags the gizmo axis it lands on), two
+// pan and pinch-zoom, a tap selects
+let gizmoPointerId = null; // the finger dragging the gizmo
+
+function touchPointerDown(e) {
+  if (dragMode === "gizmo") return; // other fingers leave the gizmo drag alone
+  if (touchGesture.count() === 0 && beginGizmoDragAt(e)) {
+    gizmoPointerId = e.pointerId;
+    return;
+  }
+  touchGesture.down(e.pointerId, e.clientX, e.clientY);
+}
+
+function touchPointerMove(e) {
+  if (dragMode === "gizmo") {
+    if (e.pointerId === gizmoPointerId) updateGizmoDrag(e);
+    return;
+  }
+  const gesture = touchGesture.move(e.pointerId, e.clientX, e.clientY);
+  if (gesture?.drag) dragCamera("orbit", ...gesture.drag);
+  if (gesture?.pan) {
+    dragCamera("pan", ...gesture.pan);
+    zoomCamera(gesture.zoom);
+  }
+}
+
+function touchPointerUp(e) {
+  if (dragMode === "gizmo") {
+    if (e.pointerId === gizmoPointerId) endDrag();
+    return;
+  }
+  const tap = touchGesture.up(e.pointerId);
+  if (tap) selectAt({ clientX: tap.x, clientY: tap.y });
+}
+
+window.addEventListener("pointercancel", (e) => {
+  if (e.pointerType !== "mouse") touchGesture.up(e.pointerId);
+  endDrag();
+});
+
+// no autoscroll on middle drags, no menu when the right button is bound
+canvas.addEventListener("mousedown", (e) => {
+  if (e.button === 1) e.preventDefault();
+});
+canvas.addEventListener("contextmenu", (e) => {
+  if (pointerBindings.right !== "none") e.preventDefault();
+});
+
+canvas.addEventListener("wheel", (e) => {
+  e.preventDefault();
+  if (flyMode) {
+    // the wheel sets the flying speed instead
+    flySpeed *= FLY_SPEED_STEP ** -Math.sign(e.deltaY);
+    flySpeed = Math.min(Math.max(flySpeed, FLY_SPEED_MIN), FLY_SPEED_MAX);
+    return;
+  }
+  // trackpads send pinches as Ctrl+wheel, which always zooms
+  if (pointerBindings.wheel === "orbit" && !e.ctrlKey) {
+    dragCamera("orbit", e.deltaX, e.deltaY);
+    return;
+  }
+  const ZOOM_WHEEL_SPEED = 0.001;
+  zoomCamera(1.0 + e.deltaY * ZOOM_WHEEL_SPEED);
+}, { passive: false });
 
 //#endregion
-//#region Camera setup -----------------------------------------------------------
+//#region Camera navigation ------------------------------------------------------
+// Animated moves to bookmarks and framed selections, and fly mode: WASD to
+// move, Q / E down / up, Shift to go faster, the mouse to look around. Fly mode
+// holds the pointer lock and Esc releases it.
+
+const FLY_SPEED = 2;          // world units per second
+const FLY_SPEED_MIN = 0.1;
+const FLY_SPEED_MAX = 100;
+const FLY_SPEED_STEP = 1.25;  // per wheel notch
+const FLY_BOOST = 4;          // with Shift held
+const FLY_LOOK_SPEED = 0.0025; // radians per mouse pixel
+const FLY_KEYS = ["KeyW", "KeyA", "KeyS", "KeyD", "KeyQ", "KeyE", "ShiftLeft", "ShiftRight"];
+
+let cameraTransition = null; // { from, to, elapsed } while moving to a view
+let flyMode = false;
+let flySpeed = FLY_SPEED;
+const flyKeys = new Set(); // codes of the FLY_KEYS held down
+
+function moveCameraTo(view) {
+  cameraTransition = { from: copyView(currentView()), to: copyView(view), elapsed: 0 };
+}
 
-let camPos = { x: 0, y: 2, z: 5 };
-let camDir = { x: 0, y: -0.3, z: -1 };
-let camUp = { x: 0, y: 1, z: 0 };
+function updateCameraTransition(dt) {
+  if (!cameraTransition) return;
+  cameraTransition.elapsed += dt;
+  applyView(transitionView(cameraTransition.from, cameraTransition.to, cameraTransition.elapsed));
+  if (cameraTransition.elapsed >= CAMERA_TRANSITION_TIME) cameraTransition = null;
+}
 
-let camTarget = { x: 0, y: 0, z: 0 };
-let camDist   = 4.0;
-let camYaw    = 0.0;
-let camPitch  = 0.5; // radians
+// Orbits the selection from where its bounds fill the view; things without
+// bounds (planes, lights) are just centered
+function frameSelected() {
+  const bounds = selectedNode() && !selectedLight() ? nodeBounds(scenePrimitives, selectedPath) : null;
+  if (bounds) {
+    moveCameraTo(frameView(currentView(), bounds, lensUniform(cameraLens, camDist)[0]));
+    return;
+  }
+  const center = selectedGizmoCenter();
+  if (center) moveCameraTo({ ...currentView(), target: { x: center[0], y: center[1], z: center[2] } });
+}
 
-function updateCamera() {
-  const cp = computeCamPosFromOrbit();
-  camPos = cp; // {x,y,z}
-  const dir = {
-    x: camTarget.x - camPos.x,
-    y: camTarget.y - camPos.y,
-    z: camTarget.z - camPos.z,
-  };
-  const len = Math.hypot(dir.x, dir.y, dir.z);
-  camDir = { x: dir.x / len, y: dir.y / len, z: dir.z / len };
+function toggleFlyMode() {
+  if (flyMode) {
+    document.exitPointerLock();
+  } else {
+    document.activeElement?.blur(); // keep WASD out of text fields
+    canvas.requestPointerLock()?.catch?.(() => {}); // refused: stays in orbit mode
+  }
+}
 
-  camUp = { x: 0, y: 1, z: 0 };
+function updateFly(dt) {
+  const axis = (plus, minus) => (flyKeys.has(plus) ? 1 : 0) - (flyKeys.has(minus) ? 1 : 0);
+  const move = [axis("KeyD", "KeyA"), axis("KeyE", "KeyQ"), axis("KeyW", "KeyS")];
+  const length = Math.hypot(...move);
+  if (length === 0) return;
+
+  const boost = flyKeys.has("ShiftLeft") || flyKeys.has("ShiftRight") ? FLY_BOOST : 1;
+  const step = (flySpeed * boost * dt) / length;
+  applyView(flyMove(currentView(), move.map((v) => v * step)));
 }
 
-function computeCamPosFromOrbit() {
-  const cp = {};
-  const cosPitch = Math.cos(camPitch);
-  cp.x = camTarget.x + camDist * Math.sin(camYaw) * cosPitch;
-  cp.y = camTarget.y + camDist * Math.sin(camPitch);
-  cp.z = camTarget.z + camDist * Math.cos(camYaw) * cosPitch;
-  return cp;
+document.addEventListener("pointerlockchange", () => {
+  flyMode = document.pointerLockElement === canvas;
+  flyKeys.clear();
+  if (flyMode) cameraTransition = null;
+  $("fly-btn").style.background = flyMode ? "#458588" : "";
+  $("fly-btn").style.color = flyMode ? "#fbf1c7" : "#83a598";
+});
+document.addEventListener("keyup", (e) => flyKeys.delete(e.code));
+window.addEventListener("blur", () => flyKeys.clear());
+
+// Numpad 1 / 3 / 7: front, right and top views, orthographic as in Blender
+function snapToView(name) {
+  moveCameraTo(snapView(currentView(), name));
+  cameraLens.orthographic = true;
+  renderCameraDetails();
 }
 
-const PITCH_MIN = -Math.PI / 2 + 0.01;
-const PITCH_MAX =  Math.PI / 2 - 0.01;
+function setOrthographic(on) {
+  cameraLens.orthographic = on;
+  renderCameraDetails();
+}
 
-let isDragging = false;
-let dragMode = null; // "orbit" | "pan" | "zoom"
-let lastX = 0;
-let lastY = 0;
+// Armed by the focus button: the next click on the canvas focuses on what it hits
+let focusPicking = false;
 
-canvas.addEventListener("mousedown", (e) => {
-  if (e.button === 1 || (e.button === 0 && e.altKey)) { // middle, or alt+left fallback
-    isDragging = true;
-    lastX = e.clientX;
-    lastY = e.clientY;
-
-    if (e.shiftKey) {
-      dragMode = "pan";
-    } else if (e.ctrlKey) {
-      dragMode = "zoom";
-    } else {
-      dragMode = "orbit"; // plain MMB drag
-    }
+function setFocusPicking(on) {
+  focusPicking = on;
+  canvas.style.cursor = on ? "crosshair" : "";
+  renderCameraDetails();
+}
 
-    e.preventDefault();
-  }
-});
+function pickFocus(e) {
+  const px = eventToCanvasPixel(e);
+  const depth = pickDepth(px.x, px.y, canvas.width, canvas.height, viewCamera(), scenePrimitives);
+  if (depth !== null) cameraLens.focusDistance = depth;
+  setFocusPicking(false);
+}
 
-window.addEventListener("mouseup", () => {
-  isDragging = false;
-  dragMode = null;
-});
+//#endregion
+//#region Gizmo ------------------------------------------------------------------
 
-window.addEventListener("mousemove", (e) => {
-  if (!isDragging || !dragMode) return;
+let gizmoHoverAxis = -1;
+let gizmoDrag = null; // { axis, frame, startParam, startWorld, startCenter, moved } while dragging
 
-  const dx = e.clientX - lastX;
-  const dy = e.clientY - lastY;
-  lastX = e.clientX;
-  lastY = e.clientY;
+// World-space gizmo origin for the selected node or light, null when it has no
+// position (planes, directional lights)
+function selectedGizmoCenter() {
+  const light = selectedLight();
+  if (light) return light.kind === LIGHT_DIRECTIONAL ? null : light.position;
 
-  const ROT_SPEED = 0.005;
-  const PAN_SPEED = 0.0015 * camDist;
-  const ZOOM_SPEED = 0.01 * camDist;
+  const node = selectedNode();
+  if (!node || node.kind === PLANE) return null;
+  return applyFrame(parentFrame(scenePrimitives, selectedPath), node.center);
+}
 
-  if (dragMode === "orbit") {
-    camYaw   -= dx * ROT_SPEED;
-    camPitch += dy * ROT_SPEED;
-    camPitch = Math.min(Math.max(camPitch, PITCH_MIN), PITCH_MAX);
-  } else if (dragMode === "pan") {
-    // move target in camera's right/up plane
-    const right = {
-      x: camDir.z,
-      y: 0,
-      z: -camDir.x,
-    };
-    const up = { x: 0, y: 1, z: 0 };
+function mouseRay(e) {
+  const px = eventToCanvasPixel(e);
+  return cameraRay(px.x, px.y, canvas.width, canvas.height, viewCamera());
+}
 
-    camTarget.x += (dx * PAN_SPEED) * right.x + (dy * PAN_SPEED) * up.x;
-    camTarget.y += (dx * PAN_SPEED) * right.y + (dy * PAN_SPEED) * up.y;
-    camTarget.z += (dx * PAN_SPEED) * right.z + (dy * PAN_SPEED) * up.z;
-  } else if (dragMode === "zoom") {
-    camDist *= 1.0 + (dy * ZOOM_SPEED * 0.1); // drag up/down to zoom
-    camDist = Math.max(0.5, camDist);
+// Gizmo axis under the mouse (0..2), or -1
+function gizmoAxisUnder(e) {
+  const center = selectedGizmoCenter();
+  if (!center) return -1;
+  const { ro, rd } = mouseRay(e);
+  return pickGizmoAxis(ro, rd, center, gizmoAxisLength(center, camPos));
+}
+
+function beginGizmoDrag(e, axis) {
+  const light = selectedLight();
+  const world = selectedGizmoCenter();
+  const { ro, rd } = mouseRay(e);
+  gizmoDrag = {
+    axis,
+    // lights live in world space
+    frame: light ? IDENTITY_FRAME : parentFrame(scenePrimitives, selectedPath),
+    startParam: closestAxisParam(ro, rd, world, GIZMO_AXES[axis]),
+    startWorld: world,
+    startCenter: (light ? light.position : selectedNode().center).slice(0, 3),
+  };
+}
+
+// Moves the selected node or light along the dragged world axis to follow the
+// mouse. The axis is mapped into the node's parent frame, so grouped nodes
+// track the cursor too.
+function updateGizmoDrag(e) {
+  const light = selectedLight();
+  const node = selectedNode();
+  if ((!light && !node) || gizmoDrag.startParam === null) return;
+
+  const axis = GIZMO_AXES[gizmoDrag.axis];
+  const { ro, rd } = mouseRay(e);
+  const s = closestAxisParam(ro, rd, gizmoDrag.startWorld, axis);
+  if (s === null) return;
+
+  const localDelta = unapplyFrameVector(gizmoDrag.frame, vec3Scale(axis, s - gizmoDrag.startParam));
+  gizmoDrag.moved = true;
+  if (light) {
+    light.position = localDelta.map((v, i) => gizmoDrag.startCenter[i] + v);
+  } else {
+    // capsules are positioned by both endpoints, translatePrimitive moves both
+    translatePrimitive(node, localDelta.map((v, i) => gizmoDrag.startCenter[i] + v - node.center[i]));
   }
 
-  updateCamera();
-});
+  updateSceneGPU();
+  syncPositionControls();
+}
 
-canvas.addEventListener("wheel", (e) => {
-  const ZOOM_WHEEL_SPEED = 0.001;
-  camDist *= 1.0 + e.deltaY * ZOOM_WHEEL_SPEED;
-  camDist = Math.max(0.5, camDist);
-  updateCamera();
-  e.preventDefault();
-}, { passive: false });
+//#endregion
+//#region Timeline ---------------------------------------------------------------
+// Play / pause and scrubbing for keyframe animation (see timeline.js and the
+// "Keyframes" region of scene.js)
+
+// Applies the keyframes at the timeline's time and updates the controls. While
+// playing only the position fields follow, so the panel keeps focus.
+function applyTimelineTime({ refreshPanel = true } = {}) {
+  accumulator.reset(); // uniforms.time changed
+  if (applyAnimation(scenePrimitives, timeline.time())) {
+    updateSceneGPU();
+    if (refreshPanel) renderObjectDetails();
+    else syncPositionControls();
+  }
+  updateTimelineUI();
+}
+
+function updateTimelineUI() {
+  const slider = $("time-slider");
+  slider.max = timeline.duration();
+  slider.value = timeline.time();
+  $("time-label").textContent = timeline.time().toFixed(2);
+  $("duration-input").value = timeline.duration();
+  $("play-btn").textContent = timeline.playing() ? "❚❚" : "▶";
+}
+
+function togglePlayback() {
+  timeline.toggle();
+  // the panel skipped updates while playing
+  if (!timeline.playing()) renderObjectDetails();
+  updateTimelineUI();
+}
+
+$("play-btn").onclick = togglePlayback;
+$("time-slider").oninput = (e) => {
+  if (timeline.seek(parseFloat(e.target.value))) applyTimelineTime();
+};
+$("duration-input").onchange = (e) => {
+  timeline.setDuration(parseFloat(e.target.value));
+  applyTimelineTime();
+};
 
 //#endregion
 //#region loop -------------------------------------------------------------------
@@ -958,47 +2507,289 @@ function render() {
     return;
   }
   const currentTime = performance.now();
+  const dt = (currentTime - lastFrameTime) / 1_000;
 
+  updateCameraTransition(dt);
+  if (flyMode) updateFly(dt);
   updateCamera();
+  // keyframes are evaluated before the scene goes to the GPU
+  if (timeline.advance(dt)) applyTimelineTime({ refreshPanel: false });
+
+  const gizmoCenter = selectedGizmoCenter();
+  const gizmoLength = gizmoCenter ? gizmoAxisLength(gizmoCenter, camPos) : 0;
+  const gizmoAxis = gizmoDrag ? gizmoDrag.axis : gizmoHoverAxis;
+
+  const camera = viewCamera();
+  const pathTraced = renderMode === "path" && presentPipeline;
+  if (pathTraced) {
+    if (ensureAccumTextures()) createBindGroup();
+    accumulator.setView(accumulationViewKey(canvas.width, canvas.height, camPos, camDir, camUp, camera.lens));
+  }
 
-  const data = [
-    canvas.width, canvas.height,
-    frameCount, 0,
-    camPos.x, camPos.y, camPos.z, 0,
-    camDir.x, camDir.y, camDir.z, mouseDown ? 1 : 0,
-    camUp.x, camUp.y, camUp.z, 0,
-  ];
-  device.queue.writeBuffer(uniformBuffer, 0, new Float32Array(data));
+  writeUniforms(canvas.width, canvas.height, camera, {
+    sampleIndex: accumulator.samples(),
+    gizmo: { center: gizmoCenter, length: gizmoLength, axis: gizmoAxis },
+  });
 
   lastFrameTime = currentTime;
 
   const encoder = device.createCommandEncoder();
-  const pass = encoder.beginRenderPass({
-    colorAttachments: [
-      {
-        view: context.getCurrentTexture().createView(),
-        loadOp: "clear",
-        clearValue: { r: 0, g: 0, b: 0, a: 1 },
-        storeOp: "store",
-      },
-    ],
-  });
-  pass.setPipeline(pipeline);
-  pass.setBindGroup(0, bindGroup);
-  pass.draw(3);
-  pass.end();
+  if (pathTraced) {
+    // add a sample to the average until maxSamples, then keep showing it
+    if (accumulator.wantsSample()) {
+      encodeDraw(encoder, accumTextures[accumulator.next()], pathPipeline, bindGroups[accumulator.current()]);
+      accumulator.advance();
+    }
+    encodeDraw(encoder, context.getCurrentTexture(), presentPipeline, bindGroups[accumulator.current()]);
+  } else {
+    encodeDraw(encoder, context.getCurrentTexture(), pipeline, bindGroups[0]);
+  }
   device.queue.submit([encoder.finish()]);
 
   if (++frameCount && currentTime - lastFpsUpdate > 100) {
     const fps = Math.round(frameCount / ((currentTime - lastFpsUpdate) / 1_000));
     $("fps").textContent = fps;
     $("frame-time").textContent = `${((currentTime - lastFpsUpdate) / frameCount).toFixed(1)}ms`;
+    $("sample-count").textContent = pathTraced ? accumulator.samples() : "-";
     frameCount = 0;
     lastFpsUpdate = currentTime;
   }
   requestAnimationFrame(render);
 }
 
+//#endregion
+//#region Image export -----------------------------------------------------------
+// "Render PNG" draws the current view at the chosen size into offscreen
+// textures, in tiles no bigger than the device allows, reads them back and
+// encodes a PNG (encode.js). "Turntable" does the same for frames evenly
+// spread around the orbit and zips them. Both follow the render mode: path
+// tracing accumulates the max samples setting per pixel.
+
+const EXPORT_TILE_SIZE = 2048;      // px, also keeps each draw short
+const EXPORT_PATH_SAMPLES = 256;    // when max samples is 0 (unlimited)
+const EXPORT_SAMPLE_BATCH = 8;      // path samples submitted between waits
+let exporting = false;
+
+function exportSize() {
+  const value = $("export-size").value;
+  if (value === "viewport") return [canvas.width, canvas.height];
+  return value.split("x").map(Number);
+}
+
+// Renders the w x h tile at (x, y) of a width x height image; returns its
+// RGBA8 pixels
+async function renderTile(x, y, w, h, width, height, camera) {
+  const format = navigator.gpu.getPreferredCanvasFormat();
+  const pathTraced = renderMode === "path" && presentPipeline;
+  const samples = accumulator.maxSamples() || EXPORT_PATH_SAMPLES;
+  const tileOffset = [x, y];
+
+  const target = device.createTexture({
+    size: [w, h],
+    format,
+    usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.COPY_SRC,
+  });
+  // the preview doesn't read binding 3, but the layout needs a texture there
+  const accum = (pathTraced ? [0, 1] : [0]).map(() =>
+    device.createTexture({
+      size: pathTraced ? [w, h] : [1, 1],
+      format: "rgba32float",
+      usage: GPUTextureUsage.RENDER_ATTACHMENT | GPUTextureUsage.TEXTURE_BINDING,
+    })
+  );
+  const groups = accum.map((texture) => createSceneBindGroup(texture));
+
+  if (pathTraced) {
+    for (let i = 0; i < samples; i++) {
+      writeUniforms(width, height, camera, { sampleIndex: i, tileOffset });
+      const encoder = device.createCommandEncoder();
+      encodeDraw(encoder, accum[(i + 1) % 2], pathPipeline, groups[i % 2]);
+      device.queue.submit([encoder.finish()]);
+      if (i % EXPORT_SAMPLE_BATCH === EXPORT_SAMPLE_BATCH - 1) await device.queue.onSubmittedWorkDone();
+    }
+  }
+
+  // rows of a texture copy are padded to 256 bytes
+  const bytesPerRow = Math.ceil((w * 4) / 256) * 256;
+  const readback = device.createBuffer({
+    size: bytesPerRow * h,
+    usage: GPUBufferUsage.COPY_DST | GPUBufferUsage.MAP_READ,
+  });
+  writeUniforms(width, height, camera, { tileOffset });
+  const encoder = device.createCommandEncoder();
+  if (pathTraced) encodeDraw(encoder, target, presentPipeline, groups[samples % 2]);
+  else encodeDraw(encoder, target, pipeline, groups[0]);
+  encoder.copyTextureToBuffer({ texture: target }, { buffer: readback, bytesPerRow }, [w, h]);
+  device.queue.submit([encoder.finish()]);
+
+  await readback.mapAsync(GPUMapMode.READ);
+  const mapped = new Uint8Array(readback.getMappedRange());
+  const pixels = new Uint8Array(w * h * 4);
+  for (let row = 0; row < h; row++) {
+    pixels.set(mapped.subarray(row * bytesPerRow, row * bytesPerRow + w * 4), row * w * 4);
+  }
+  readback.unmap();
+  readback.destroy();
+  target.destroy();
+  for (const texture of accum) texture.destroy();
+
+  if (format === "bgra8unorm") {
+    for (let i = 0; i < pixels.length; i += 4) [pixels[i], pixels[i + 2]] = [pixels[i + 2], pixels[i]];
+  }
+  return pixels;
+}
+
+// RGBA8 pixels of the view from camera ({ pos, dir, up }) at width x height
+async function renderOffscreen(width, height, camera) {
+  const tileSize = Math.min(EXPORT_TILE_SIZE, device.limits.maxTextureDimension2D);
+  const pixels = new Uint8Array(width * height * 4);
+  for (let y = 0; y < height; y += tileSize) {
+    for (let x = 0; x < width; x += tileSize) {
+      const w = Math.min(tileSize, width - x);
+      const h = Math.min(tileSize, height - y);
+      const tile = await renderTile(x, y, w, h, width, height, camera);
+      for (let row = 0; row < h; row++) {
+        pixels.set(tile.subarray(row * w * 4, (row + 1) * w * 4), ((y + row) * width + x) * 4);
+      }
+    }
+  }
+  return pixels;
+}
+
+// Runs one export at a time, with its progress in the toolbar
+async function runExport(task) {
+  if (exporting || !pipeline) return;
+  exporting = true;
+  $("render-png-btn").disabled = true;
+  $("turntable-btn").disabled = true;
+  const status = (text) => ($("export-status").textContent = text);
+  try {
+    await task(status);
+  } catch (e) {
+    showEditorNotice(`Export failed: ${e.message}`);
+  } finally {
+    status("");
+    exporting = false;
+    $("render-png-btn").disabled = false;
+    $("turntable-btn").disabled = false;
+  }
+}
+
+function renderPNG() {
+  return runExport(async (status) => {
+    const [width, height] = exportSize();
+    status("Rendering...");
+    const pixels = await renderOffscreen(width, height, viewCamera());
+    status("Encoding...");
+    downloadBlob(new Blob([encodePNG(width, height, pixels)], { type: "image/png" }), "render.png");
+  });
+}
+
+// One full orbit around camTarget, starting from the current view
+function renderTurntable() {
+  return runExport(async (status) => {
+    const [width, height] = exportSize();
+    const frames = Math.max(1, Math.floor(Number($("turntable-frames").value) || 1));
+    const files = [];
+    for (let i = 0; i < frames; i++) {
+      status(`Frame ${i + 1}/${frames}`);
+      const yaw = camYaw + (2 * Math.PI * i) / frames;
+      const camera = { ...orbitCamera(camTarget, camDist, yaw, camPitch), lens: lensUniform(cameraLens, camDist) };
+      const pixels = await renderOffscreen(width, height, camera);
+      files.push({ name: `frame_${String(i + 1).padStart(4, "0")}.png`, data: encodePNG(width, height, pixels) });
+    }
+    status("Zipping...");
+    downloadBlob(new Blob([createZip(files)], { type: "application/zip" }), "turntable.zip");
+  });
+}
+
+$("render-png-btn").onclick = renderPNG;
+$("turntable-btn").onclick = renderTurntable;
+
+//#endregion
+//#region Code editor ------------------------------------------------------------
+// A transparent <textarea> over a highlighted <pre>, with a gutter of line
+// numbers. Compiler errors and warnings from the last compile are marked in the
+// gutter and shown at the end of their line.
+
+const codeInput = $("code-input");
+const codeHighlight = $("code-highlight");
+const codeGutter = $("code-gutter");
+const CODE_COMPILE_DELAY = 600; // ms after the last keystroke
+let codeCompileTimer = null;
+
+function renderCodeEditor() {
+  // errors inside included files are only listed in the error overlay
+  const byLine = diagnosticsByLine(shaderDiagnostics.filter((d) => d.file === SHADER_FILE));
+  const lines = highlightWGSL(codeInput.value);
+
+  codeHighlight.innerHTML = lines
+    .map((html, i) => {
+      const marks = byLine.get(i + 1);
+      if (!marks) return `<div class="code-line">${html}</div>`;
+      const message = escapeHTML(marks.map((d) => d.message).join(" | "));
+      return `<div class="code-line ${marks[0].type}">${html}<span class="code-inline-message">${message}</span></div>`;
+    })
+    .join("");
+
+  codeGutter.innerHTML = lines
+    .map((_, i) => {
+      const marks = byLine.get(i + 1);
+      if (!marks) return `<div class="code-line-number">${i + 1}</div>`;
+      const title = escapeHTML(marks.map((d) => `${d.type} (col ${d.column}): ${d.message}`).join("\n"));
+      return `<div class="code-line-number ${marks[0].type}" title="${title.replace(/"/g, "&quot;")}">${i + 1}</div>`;
+    })
+    .join("");
+
+  syncCodeScroll();
+}
+
+function syncCodeScroll() {
+  codeHighlight.scrollTop = codeInput.scrollTop;
+  codeHighlight.scrollLeft = codeInput.scrollLeft;
+  codeGutter.scrollTop = codeInput.scrollTop;
+}
+
+function setShaderDiagnostics(diagnostics) {
+  shaderDiagnostics = diagnostics;
+  renderCodeEditor();
+}
+
+// Fills the editor, e.g. once shader.wgsl has been fetched
+function setCodeEditorSource(source) {
+  codeInput.value = source;
+  renderCodeEditor();
+}
+
+codeInput.addEventListener("input", () => {
+  shaderSource = codeInput.value;
+  renderCodeEditor();
+  // recompile once typing pauses; markers stay on their lines until then
+  clearTimeout(codeCompileTimer);
+  codeCompileTimer = setTimeout(() => compileShader(shaderSource), CODE_COMPILE_DELAY);
+});
+codeInput.addEventListener("scroll", syncCodeScroll);
+
+codeInput.addEventListener("keydown", (e) => {
+  // Tab indents instead of leaving the editor
+  if (e.key === "Tab" && !e.ctrlKey && !e.metaKey && !e.altKey) {
+    e.preventDefault();
+    codeInput.setRangeText("  ", codeInput.selectionStart, codeInput.selectionEnd, "end");
+    codeInput.dispatchEvent(new Event("input"));
+  }
+});
+
+// Scene / Shader tabs
+document.querySelectorAll(".editor-tab").forEach((tab) => {
+  tab.onclick = () => {
+    document.querySelectorAll(".editor-tab").forEach((other) => {
+      other.classList.toggle("active", other === tab);
+      $(other.dataset.panel).classList.toggle("hidden", other !== tab);
+    });
+    if (tab.dataset.panel === "code-editor") renderCodeEditor();
+  };
+});
+
 //#endregion
 //#region Misc UI / window handling ----------------------------------------------
 
@@ -1013,6 +2804,15 @@ function resizeCanvas() {
 
 compileBtn.onclick = () => compileShader(shaderSource);
 
+function setRenderMode(mode) {
+  renderMode = mode;
+  $("render-mode").value = mode;
+  accumulator.reset();
+}
+
+$("render-mode").onchange = (e) => setRenderMode(e.target.value);
+$("max-samples").onchange = (e) => accumulator.setMaxSamples(e.target.value);
+
 function toggleFullscreen() {
   if (
     !document.fullscreenElement &&
@@ -1074,26 +2874,341 @@ document.addEventListener("webkitfullscreenchange", updateFullscreenUI);
 document.addEventListener("mozfullscreenchange", updateFullscreenUI);
 document.addEventListener("MSFullscreenChange", updateFullscreenUI);
 
+window.addEventListener("resize", resizeCanvas);
+
+//#endregion
+//#region Commands / keyboard shortcuts ------------------------------------------
+// Every shortcut and every entry of the command palette (Ctrl+K) runs through
+// one registry (commands.js). Bindings changed in the shortcut editor are kept
+// in localStorage as overrides of the defaults below.
+
+const KEY_BINDINGS_KEY = "aicg-shadertoy:key-bindings";
+const commandRegistry = createCommandRegistry();
+
+// Ctrl+C / Ctrl+V stay the browser's while page text is selected. Copy also
+// needs an object to copy; paste works in an empty scene (another tab's objects).
+const ownsPasteKey = () => getSelection().isCollapsed;
+const ownsCopyKey = () => !!selectedNode() && ownsPasteKey();
+
+[
+  { id: "compile", label: "Compile shader", keys: ["Ctrl+Enter"], scope: "code", run: () => compileShader(shaderSource) },
+  // number fields included, their own undo would bypass the scene history; the
+  // code editor keeps the browser's text undo
+  { id: "undo", label: "Undo", keys: ["Ctrl+Z"], scope: "field", repeat: true, run: undoSceneEdit },
+  { id: "redo", label: "Redo", keys: ["Ctrl+Shift+Z", "Ctrl+Y"], scope: "field", repeat: true, run: redoSceneEdit },
+  { id: "command-palette", label: "Command palette", keys: ["Ctrl+K"], scope: "code", run: () => toggleCommandPalette() },
+  { id: "shortcuts", label: "Keyboard shortcuts…", keys: ["Shift+Slash"], run: () => openShortcutEditor() },
+  { id: "export-scene", label: "Export scene", keys: ["Ctrl+S"], scope: "field", run: exportScene },
+  { id: "import-scene", label: "Import scene…", keys: ["Ctrl+O"], scope: "field", run: () => $("import-scene-input").click() },
+  { id: "delete", label: "Delete selected", keys: ["Delete", "Backspace"], run: deleteSelected },
+  { id: "duplicate", label: "Duplicate selected", keys: ["Shift+D"], run: duplicateSelected },
+  { id: "copy", label: "Copy selected", keys: ["Ctrl+C"], when: ownsCopyKey, run: copySelected },
+  { id: "paste", label: "Paste", keys: ["Ctrl+V"], when: ownsPasteKey, run: pasteNodes },
+  { id: "array", label: "Array selected (copies with an offset step)", run: arraySelected },
+  { id: "select-next", label: "Select next object", keys: ["BracketRight"], repeat: true, run: () => cycleSelection(1) },
+  { id: "select-previous", label: "Select previous object", keys: ["BracketLeft"], repeat: true, run: () => cycleSelection(-1) },
+  ...Object.entries(PRIM_KIND_LABELS).map(([kind, label]) => ({
+    id: `add-${PRIMITIVE_REGISTRY[kind].name}`,
+    label: `Add ${label}`,
+    run: () => addPrimitive(Number(kind)),
+  })),
+  { id: "add-group", label: "Add group", run: addGroup },
+  ...Object.entries(LIGHT_KIND_LABELS).map(([kind, label]) => ({
+    id: `add-${label.toLowerCase()}-light`,
+    label: `Add ${label.toLowerCase()} light`,
+    run: () => addLight(Number(kind)),
+  })),
+  { id: "play", label: "Play / pause animation", keys: ["Space"], run: togglePlayback },
+  { id: "render-mode", label: "Toggle preview / path traced", keys: ["P"], run: () => setRenderMode(renderMode === "path" ? "preview" : "path") },
+  { id: "render-png", label: "Render PNG", run: renderPNG },
+  { id: "render-turntable", label: "Render turntable", run: renderTurntable },
+  { id: "fullscreen", label: "Toggle fullscreen", keys: ["F"], run: toggleFullscreen },
+  // Numpad . frames the selection, Shift+` flies, Numpad 1 / 3 / 7 front, right,
+  // top; 9 the other side; 5 perspective / ortho (as in Blender)
+  { id: "frame-selected", label: "Frame selected", keys: ["NumpadDecimal"], run: frameSelected },
+  { id: "fly", label: "Fly mode", keys: ["Shift+Backquote"], run: toggleFlyMode },
+  { id: "view-front", label: "Front view", keys: ["Numpad1"], run: () => snapToView("front") },
+  { id: "view-right", label: "Right view", keys: ["Numpad3"], run: () => snapToView("right") },
+  { id: "view-top", label: "Top view", keys: ["Numpad7"], run: () => snapToView("top") },
+  { id: "view-opposite", label: "Opposite view", keys: ["Numpad9"], run: () => moveCameraTo(oppositeView(currentView())) },
+  { id: "orthographic", label: "Toggle perspective / orthographic", keys: ["Numpad5"], run: () => setOrthographic(!cameraLens.orthographic) },
+  { id: "add-bookmark", label: "Add camera bookmark", run: addBookmark },
+].forEach((command) => commandRegistry.register(command));
+
+try {
+  commandRegistry.loadOverrides(JSON.parse(localStorage.getItem(KEY_BINDINGS_KEY)));
+} catch (e) {
+  // storage blocked or garbled, the defaults stay
+}
+
+function setCommandKeys(id, chords) {
+  commandRegistry.setKeys(id, chords);
+  saveKeyBindings();
+}
+
+function saveKeyBindings() {
+  try {
+    localStorage.setItem(KEY_BINDINGS_KEY, JSON.stringify(commandRegistry.overrides()));
+  } catch (e) {
+    // still applies for this session
+  }
+}
+
+// Where focus is, as a command scope: fields and the shader editor keep their
+// keys unless a command is meant to work there too
+function keyContext(target) {
+  if (target === codeInput) return "code";
+  return ["INPUT", "TEXTAREA", "SELECT"].includes(target.tagName) ? "field" : "page";
+}
+
 document.addEventListener("keydown", (e) => {
-  if ((e.ctrlKey || e.metaKey) && e.key === "Enter") {
+  if (!shortcutsDialog.classList.contains("hidden")) {
+    shortcutEditorKey(e);
+    return;
+  }
+  if (flyMode && FLY_KEYS.includes(e.code)) {
     e.preventDefault();
-    compileShader(shaderSource);
+    flyKeys.add(e.code);
+    return;
+  }
+  const chord = eventChord(e);
+  // a focused button keeps Space and Enter for clicking it
+  if (!chord || (e.target.tagName === "BUTTON" && (chord === "Space" || chord === "Enter"))) return;
+
+  const command = commandRegistry.find(chord, keyContext(e.target));
+  if (!command) return;
+  e.preventDefault();
+  if (e.repeat && !command.repeat) return;
+  command.run();
+});
+
+//#endregion
+//#region Command palette --------------------------------------------------------
+
+const commandPalette = $("command-palette");
+const commandInput = $("command-input");
+let paletteMatches = [];
+let paletteIndex = 0;
+
+function toggleCommandPalette() {
+  if (!commandPalette.classList.contains("hidden")) {
+    closeCommandPalette();
+    return;
+  }
+  commandPalette.classList.remove("hidden");
+  commandInput.value = "";
+  paletteIndex = 0;
+  renderCommandList();
+  commandInput.focus();
+}
+
+function closeCommandPalette() {
+  commandPalette.classList.add("hidden");
+  commandInput.blur();
+}
+
+function renderCommandList() {
+  const list = $("command-list");
+  list.innerHTML = "";
+  paletteMatches = commandRegistry.search(commandInput.value);
+  if (paletteMatches.length === 0) {
+    list.innerHTML = '<div class="px-3 py-2 opacity-50">No matching command</div>';
+    return;
   }
-  if (e.key === "f" && !e.ctrlKey && !e.metaKey && !e.altKey && !e.shiftKey) {
+
+  paletteMatches.forEach((command, i) => {
+    const row = document.createElement("div");
+    row.className = "flex items-center justify-between gap-4 px-3 py-1.5 cursor-pointer";
+    row.style.background = i === paletteIndex ? "#3c3836" : "";
+    row.style.color = i === paletteIndex ? "#ebdbb2" : "#a89984";
+
+    const label = document.createElement("span");
+    label.textContent = command.label;
+    const keys = document.createElement("span");
+    keys.className = "opacity-60 whitespace-nowrap";
+    keys.textContent = commandRegistry.keysFor(command.id).map(chordLabel).join("  ");
+    row.append(label, keys);
+
+    // keep focus in the search field until the command runs
+    row.onmousedown = (e) => e.preventDefault();
+    row.onclick = () => runPaletteCommand(command);
+    list.appendChild(row);
+  });
+  list.children[paletteIndex]?.scrollIntoView({ block: "nearest" });
+}
+
+function runPaletteCommand(command) {
+  closeCommandPalette();
+  command.run();
+}
+
+commandInput.addEventListener("input", () => {
+  paletteIndex = 0;
+  renderCommandList();
+});
+
+commandInput.addEventListener("keydown", (e) => {
+  if (e.key === "ArrowDown" || e.key === "ArrowUp") {
     e.preventDefault();
-    toggleFullscreen();
+    const count = paletteMatches.length;
+    if (count > 0) paletteIndex = (paletteIndex + (e.key === "ArrowDown" ? 1 : -1) + count) % count;
+    renderCommandList();
+  } else if (e.key === "Enter") {
+    e.preventDefault();
+    if (paletteMatches[paletteIndex]) runPaletteCommand(paletteMatches[paletteIndex]);
+  } else if (e.key === "Escape") {
+    e.preventDefault();
+    closeCommandPalette();
   }
 });
-window.addEventListener("resize", resizeCanvas);
+
+// a click outside the box closes it
+commandPalette.onclick = (e) => {
+  if (e.target === commandPalette) closeCommandPalette();
+};
+$("command-palette-btn").onclick = toggleCommandPalette;
+
+//#endregion
+//#region Shortcut editor --------------------------------------------------------
+// Lists every command with its chords: × on a chord unbinds it, + waits for the
+// next chord pressed and binds it (taking it from whichever command had it).
+
+const shortcutsDialog = $("shortcuts-dialog");
+let recordingCommand = null; // id of the command waiting for its new chord
+
+function openShortcutEditor() {
+  recordingCommand = null;
+  shortcutsDialog.classList.remove("hidden");
+  renderShortcutList();
+}
+
+function closeShortcutEditor() {
+  recordingCommand = null;
+  shortcutsDialog.classList.add("hidden");
+}
+
+function renderShortcutList() {
+  const list = $("shortcut-list");
+  list.innerHTML = "";
+
+  for (const command of commandRegistry.all()) {
+    const row = document.createElement("div");
+    row.className = "flex items-center justify-between gap-2 px-1 py-1";
+
+    const label = document.createElement("span");
+    label.textContent = command.label;
+
+    const keys = document.createElement("div");
+    keys.className = "flex flex-wrap items-center justify-end gap-1";
+    const chords = commandRegistry.keysFor(command.id);
+    for (const chord of chords) {
+      const chip = document.createElement("button");
+      chip.className = "px-1.5 rounded border";
+      chip.style.borderColor = "#504945";
+      chip.textContent = `${chordLabel(chord)} ×`;
+      chip.title = "Remove this shortcut";
+      chip.onclick = () => {
+        setCommandKeys(command.id, chords.filter((other) => other !== chord));
+        renderShortcutList();
+      };
+      keys.appendChild(chip);
+    }
+
+    const addBtn = document.createElement("button");
+    addBtn.className = "px-1.5 rounded border";
+    addBtn.style.borderColor = "#458588";
+    addBtn.style.color = "#83a598";
+    addBtn.textContent = recordingCommand === command.id ? "Press keys…" : "+";
+    addBtn.title = "Add a shortcut: press the keys, Esc to cancel";
+    addBtn.onclick = () => {
+      recordingCommand = command.id;
+      renderShortcutList();
+    };
+    keys.appendChild(addBtn);
+
+    row.append(label, keys);
+    list.appendChild(row);
+  }
+}
+
+// Keys while the editor is open: the chord being recorded, Esc cancels the
+// recording or closes the editor; no other shortcut fires
+function shortcutEditorKey(e) {
+  const chord = eventChord(e);
+  if (chord === "Escape") {
+    e.preventDefault();
+    if (recordingCommand) {
+      recordingCommand = null;
+      renderShortcutList();
+    } else {
+      closeShortcutEditor();
+    }
+    return;
+  }
+  if (!chord || !recordingCommand) return;
+
+  e.preventDefault();
+  const id = recordingCommand;
+  recordingCommand = null;
+  setCommandKeys(id, [...new Set([...commandRegistry.keysFor(id), chord])]);
+  renderShortcutList();
+}
+
+$("reset-shortcuts-btn").onclick = () => {
+  commandRegistry.resetKeys();
+  saveKeyBindings();
+  renderShortcutList();
+};
+$("close-shortcuts-btn").onclick = closeShortcutEditor;
+shortcutsDialog.onclick = (e) => {
+  if (e.target === shortcutsDialog) closeShortcutEditor();
+};
+
+//#endregion
+//#region Shader hot reload ------------------------------------------------------
+// Dev mode (open the page with ?dev): every file of the last compile is
+// re-fetched once a second and the shader recompiles when one changed on disk.
+// shader.wgsl only replaces the editor's text if it wasn't edited in the app.
+
+const DEV_MODE = new URLSearchParams(location.search).has("dev");
+const HOT_RELOAD_INTERVAL = 1000; // ms
+let shaderDiskSource = null; // shader.wgsl as last read from disk
+
+async function pollShaderFiles() {
+  let changed = false;
+  for (const [path, text] of shaderFiles) {
+    let latest;
+    try {
+      latest = await fetchShaderFile(path);
+    } catch (err) {
+      continue; // keep the last version while the file is missing
+    }
+
+    if (path !== SHADER_FILE) {
+      changed ||= latest !== text;
+    } else if (latest !== shaderDiskSource) {
+      const editedInApp = shaderSource !== shaderDiskSource;
+      shaderDiskSource = latest;
+      if (editedInApp) continue;
+      shaderSource = latest;
+      setCodeEditorSource(latest);
+      changed = true;
+    }
+  }
+
+  if (changed) await compileShader(shaderSource);
+  setTimeout(pollShaderFiles, HOT_RELOAD_INTERVAL);
+}
 
 //#endregion
 //#region Shader loading + main --------------------------------------------------
 
 async function loadDefaultShader() {
   try {
-    const response = await fetch("./shader.wgsl");
+    const response = await fetch(`./${SHADER_FILE}`);
     if (response.ok) {
       fallbackShader = await response.text();
+      shaderDiskSource = fallbackShader;
     } else {
       console.warn("shader.wgsl not found, using fallback shader");
     }
@@ -1105,9 +3220,12 @@ async function loadDefaultShader() {
 
 const main = async () => {
   await loadDefaultShader();
+  setCodeEditorSource(shaderSource);
   resizeCanvas();
   buildSceneEditorUI();
+  renderCameraDetails();
   if (await initWebGPU()) render();
+  if (DEV_MODE) setTimeout(pollShaderFiles, HOT_RELOAD_INTERVAL);
 };
 main();
 
@@ -0,0 +1,134 @@
+// Modifiers: the MODIFIER items in front of a primitive reshape it, in order
+// (see the "Modifiers" region of scene.js for their parameters). Point
+// modifiers move the sample point before sd_shape, distance modifiers adjust
+// what it returns. Included by shader.wgsl, after sdf.wgsl.
+
+const NOISE_SLOPE: f32 = 5.2; // bound on the gradient of value_noise (3 * sqrt(3))
+
+// Pseudo-random value in [-1, 1] for an integer lattice point
+fn hash_noise(c: vec3<i32>) -> f32 {
+  var h = (u32(c.x) * 73856093u) ^ (u32(c.y) * 19349663u) ^ (u32(c.z) * 83492791u);
+  h = (h ^ (h >> 13u)) * 1274126177u;
+  h = h ^ (h >> 16u);
+  return f32(h) / 4294967295.0 * 2.0 - 1.0;
+}
+
+// Smoothly interpolated lattice noise in [-1, 1]
+fn value_noise(p: vec3<f32>) -> f32 {
+  let cell = floor(p);
+  let i = vec3<i32>(cell);
+  let f = p - cell;
+  let u = f * f * (3.0 - 2.0 * f);
+
+  let z0 = mix(
+    mix(hash_noise(i), hash_noise(i + vec3<i32>(1, 0, 0)), u.x),
+    mix(hash_noise(i + vec3<i32>(0, 1, 0)), hash_noise(i + vec3<i32>(1, 1, 0)), u.x),
+    u.y,
+  );
+  let z1 = mix(
+    mix(hash_noise(i + vec3<i32>(0, 0, 1)), hash_noise(i + vec3<i32>(1, 0, 1)), u.x),
+    mix(hash_noise(i + vec3<i32>(0, 1, 1)), hash_noise(i + vec3<i32>(1, 1, 1)), u.x),
+    u.y,
+  );
+  return mix(z0, z1, u.z);
+}
+
+fn rotate2(v: vec2<f32>, angle: f32) -> vec2<f32> {
+  let c = cos(angle);
+  let s = sin(angle);
+  return vec2<f32>(c * v.x - s * v.y, s * v.x + c * v.y);
+}
+
+// Point modifiers; q is relative to the primitive's center in its frame.
+// A spacing of 0 or less leaves that axis alone, as warpPoint (raymarch.js)
+// and the bounds (bvh.js) assume.
+fn warp_point(q: vec3<f32>, m: Primitive) -> vec3<f32> {
+  switch (m.header.y) {
+    case MOD_REPEAT: {
+      let s = m.center_param0.xyz;
+      let cell = round(q / max(s, vec3<f32>(1e-6)));
+      return q - s * select(vec3<f32>(0.0), cell, s > vec3<f32>(0.0));
+    }
+    case MOD_REPEAT_LIMITED: {
+      let s = m.center_param0.xyz;
+      let n = round(m.params1.xyz);
+      let cell = clamp(round(q / max(s, vec3<f32>(1e-6))), -n, n);
+      return q - s * select(vec3<f32>(0.0), cell, s > vec3<f32>(0.0));
+    }
+    case MOD_MIRROR: {
+      var r = q;
+      let axis = u32(m.params1.x);
+      r[axis] = abs(r[axis]) - m.center_param0.w;
+      return r;
+    }
+    case MOD_TWIST: {
+      let xz = rotate2(q.xz, m.center_param0.w * q.y);
+      return vec3<f32>(xz.x, q.y, xz.y);
+    }
+    case MOD_BEND: {
+      let xy = rotate2(q.xy, m.center_param0.w * q.x);
+      return vec3<f32>(xy, q.z);
+    }
+    default: {
+      return q;
+    }
+  }
+}
+
+// How much a modifier can stretch distances around q, as a factor that keeps
+// the steps safe
+fn modifier_step(q: vec3<f32>, m: Primitive) -> f32 {
+  switch (m.header.y) {
+    case MOD_TWIST: {
+      return inverseSqrt(1.0 + pow(m.center_param0.w * length(q.xz), 2.0));
+    }
+    case MOD_BEND: {
+      return inverseSqrt(1.0 + pow(m.center_param0.w * length(q.xy), 2.0));
+    }
+    case MOD_NOISE: {
+      return 1.0 / (1.0 + abs(m.center_param0.w * m.params1.x) * NOISE_SLOPE);
+    }
+    default: {
+      return 1.0;
+    }
+  }
+}
+
+// Distance modifiers, applied to the shape's distance at the warped point q
+fn modify_distance(d: f32, q: vec3<f32>, m: Primitive) -> f32 {
+  switch (m.header.y) {
+    case MOD_ROUND: {
+      return d - m.center_param0.w;
+    }
+    case MOD_ONION: {
+      return abs(d) - m.center_param0.w;
+    }
+    case MOD_NOISE: {
+      return d + m.center_param0.w * value_noise(q * m.params1.x);
+    }
+    default: {
+      return d;
+    }
+  }
+}
+
+// sd_primitive for a primitive with the count modifiers at
+// scene.primitives[first ..]
+fn sd_modified(p_world: vec3<f32>, prim: Primitive, first: u32, count: u32) -> f32 {
+  let c = prim.center_param0.xyz;
+  var q = to_local(p_world, prim) - c;
+  var step = 1.0;
+  for (var k = 0u; k < count; k = k + 1u) {
+    let m = scene.primitives[first + k];
+    step = step * modifier_step(q, m);
+    q = warp_point(q, m);
+  }
+
+  var d = sd_shape(c + q, prim);
+  for (var k = 0u; k < count; k = k + 1u) {
+    d = modify_distance(d, q, scene.primitives[first + k]);
+  }
+
+  let scale_bound = min(prim.scale.x, min(prim.scale.y, prim.scale.z));
+  return d * step * scale_bound;
+}
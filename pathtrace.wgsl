@@ -0,0 +1,291 @@
+// Progressive path tracer, the "Path traced" render mode. fs_path traces one
+// sample per pixel and folds it into the running average read from
+// accum_prev; main.js ping-pongs two float textures between the passes and
+// starts over whenever the view or the scene changes. fs_present shows the
+// average with the gizmo on top.
+//
+// Camera rays start anywhere on the lens (uniforms.lens.z), which gives depth
+// of field. Diffuse bounces are cosine-weighted, metals and the specular layer
+// of dielectrics sample GGX (alpha = roughness^2), glass reflects or refracts
+// by Fresnel. Each opaque hit also samples every light directly (next-event
+// estimation), so suns only show up in the sky for camera and glass rays.
+// Light intensities mean the same as in the preview's direct term.
+
+@group(0) @binding(3)
+var accum_prev: texture_2d<f32>;
+
+const PI: f32 = 3.14159265;
+const PATH_BOUNCES: i32 = 12;
+const ROULETTE_AFTER: i32 = 3;
+const SAMPLE_CLAMP: f32 = 64.0; // caps fireflies from rare bright paths
+
+// Random numbers
+
+var<private> rng_state: u32;
+
+// PCG hash (Jarzynski & Olano, "Hash Functions for GPU Rendering")
+fn pcg(v: u32) -> u32 {
+  let state = v * 747796405u + 2891336453u;
+  let word = ((state >> ((state >> 28u) + 4u)) ^ state) * 277803737u;
+  return (word >> 22u) ^ word;
+}
+
+// Uniform in [0, 1)
+fn rand() -> f32 {
+  rng_state = pcg(rng_state);
+  return f32(rng_state >> 8u) / 16777216.0;
+}
+
+// Sampling
+
+// Uniform point in the unit disk
+fn disk_point() -> vec2<f32> {
+  let phi = 2.0 * PI * rand();
+  return sqrt(rand()) * vec2<f32>(cos(phi), sin(phi));
+}
+
+// Orthonormal basis with n as its third column (Duff et al. 2017)
+fn basis(n: vec3<f32>) -> mat3x3<f32> {
+  let s = select(-1.0, 1.0, n.z >= 0.0);
+  let a = -1.0 / (s + n.z);
+  let b = n.x * n.y * a;
+  return mat3x3<f32>(
+    vec3<f32>(1.0 + s * n.x * n.x * a, s * b, -s * n.x),
+    vec3<f32>(b, s + n.y * n.y * a, -n.y),
+    n,
+  );
+}
+
+// Cosine-weighted direction around n (pdf = cos / PI)
+fn cosine_direction(n: vec3<f32>) -> vec3<f32> {
+  let phi = 2.0 * PI * rand();
+  let r2 = rand();
+  let r = sqrt(r2);
+  return basis(n) * vec3<f32>(r * cos(phi), r * sin(phi), sqrt(1.0 - r2));
+}
+
+// GGX-distributed half vector around n (pdf = D * n.h)
+fn ggx_half(n: vec3<f32>, alpha: f32) -> vec3<f32> {
+  let phi = 2.0 * PI * rand();
+  let r = rand();
+  let cos_t = sqrt((1.0 - r) / (1.0 + (alpha * alpha - 1.0) * r));
+  let sin_t = sqrt(max(1.0 - cos_t * cos_t, 0.0));
+  return basis(n) * vec3<f32>(sin_t * cos(phi), sin_t * sin(phi), cos_t);
+}
+
+fn ggx_d(n_h: f32, alpha: f32) -> f32 {
+  let a2 = alpha * alpha;
+  let d = n_h * n_h * (a2 - 1.0) + 1.0;
+  return a2 / (PI * d * d);
+}
+
+// Smith masking for one direction
+fn smith_g1(n_x: f32, alpha: f32) -> f32 {
+  let a2 = alpha * alpha;
+  return 2.0 * n_x / (n_x + sqrt(a2 + (1.0 - a2) * n_x * n_x));
+}
+
+fn fresnel_schlick(cos_theta: f32, f0: vec3<f32>) -> vec3<f32> {
+  return f0 + (1.0 - f0) * pow(1.0 - clamp(cos_theta, 0.0, 1.0), 5.0);
+}
+
+fn luminance(c: vec3<f32>) -> f32 {
+  return dot(c, vec3<f32>(0.2126, 0.7152, 0.0722));
+}
+
+// Surfaces
+
+// An opaque surface: a diffuse base under a GGX specular layer, blended into
+// a pure GGX metal by metalness
+struct Surface {
+  albedo: vec3<f32>,
+  f0: vec3<f32>,
+  alpha: f32,
+  metalness: f32,
+};
+
+fn make_surface(mat: Material, albedo: vec3<f32>) -> Surface {
+  let metalness = mat.emission_metalness.w;
+  let roughness = mat.color_roughness.w;
+  let f0 = mix(vec3<f32>(0.04), albedo, metalness);
+  return Surface(albedo, f0, max(roughness * roughness, 1e-3), metalness);
+}
+
+// Share of samples spent on the specular lobe
+fn specular_chance(s: Surface, n_v: f32) -> f32 {
+  let dielectric = clamp(luminance(fresnel_schlick(n_v, s.f0)), 0.1, 0.9);
+  return mix(dielectric, 1.0, s.metalness);
+}
+
+// BRDF times cos(n, l) times PI, for light arriving from l
+fn eval_surface(s: Surface, n: vec3<f32>, v: vec3<f32>, l: vec3<f32>) -> vec3<f32> {
+  let n_l = dot(n, l);
+  let n_v = dot(n, v);
+  if n_l <= 0.0 || n_v <= 0.0 {
+    return vec3<f32>(0.0);
+  }
+  let h = normalize(v + l);
+  let f = fresnel_schlick(dot(v, h), s.f0);
+  let g = smith_g1(n_v, s.alpha) * smith_g1(n_l, s.alpha);
+  let specular = f * ggx_d(max(dot(n, h), 0.0), s.alpha) * g / (4.0 * n_v);
+  let diffuse = (1.0 - s.metalness) * (1.0 - fresnel_schlick(n_v, s.f0)) * s.albedo;
+  return diffuse * n_l + specular * PI;
+}
+
+// Next bounce off an opaque surface; weight = BRDF * cos / pdf, 0 when the
+// sampled direction falls below the surface
+struct Bounce {
+  dir: vec3<f32>,
+  weight: vec3<f32>,
+};
+
+fn sample_surface(s: Surface, n: vec3<f32>, v: vec3<f32>) -> Bounce {
+  let n_v = max(dot(n, v), 1e-4);
+  let p_spec = specular_chance(s, n_v);
+  if rand() < p_spec {
+    let h = ggx_half(n, s.alpha);
+    let l = reflect(-v, h);
+    let n_l = dot(n, l);
+    if n_l <= 0.0 {
+      return Bounce(l, vec3<f32>(0.0));
+    }
+    let v_h = max(dot(v, h), 0.0);
+    let f = fresnel_schlick(v_h, s.f0);
+    let g = smith_g1(n_v, s.alpha) * smith_g1(n_l, s.alpha);
+    return Bounce(l, f * g * v_h / (n_v * max(dot(n, h), 1e-4) * p_spec));
+  }
+  let l = cosine_direction(n);
+  let diffuse = (1.0 - s.metalness) * (1.0 - fresnel_schlick(n_v, s.f0)) * s.albedo;
+  return Bounce(l, diffuse / (1.0 - p_spec));
+}
+
+// Light from every scene light reaching p, through a hard shadow test. Lights
+// with a radius are sampled at a random point within it, which averages out
+// into soft shadows.
+fn direct_light(s: Surface, p: vec3<f32>, n: vec3<f32>, v: vec3<f32>) -> vec3<f32> {
+  var total = vec3<f32>(0.0);
+  let origin = p + n * 0.01;
+  for (var i: u32 = 0u; i < scene.light_count; i = i + 1u) {
+    var light = scene.lights[i];
+    let radius = light.color_radius.w;
+    if radius > 0.0 {
+      let jitter = (vec3<f32>(rand(), rand(), rand()) * 2.0 - 1.0) * radius;
+      if u32(light.position_kind.w) == LIGHT_DIRECTIONAL {
+        light.direction = vec4<f32>(normalize(light.direction.xyz + jitter * 0.1), 0.0);
+      } else {
+        light.position_kind = vec4<f32>(light.position_kind.xyz + jitter, light.position_kind.w);
+      }
+    }
+    let ls = sample_light(light, p);
+    let f = eval_surface(s, n, v, ls.dir);
+    if all(f == vec3<f32>(0.0)) {
+      continue;
+    }
+    total += f * ls.radiance * soft_shadow(origin, ls.dir, ls.dist, 0.0);
+  }
+  return total;
+}
+
+// Tracer
+
+fn path_trace(initial_ro: vec3<f32>, initial_rd: vec3<f32>) -> vec3<f32> {
+  var ro = initial_ro;
+  var rd = initial_rd;
+  var color = vec3<f32>(0.0);
+  var throughput = vec3<f32>(1.0);
+  var sees_suns = true; // no light sampled at the last vertex
+  var first_hit = MAX_DIST;
+
+  for (var depth = 0; depth < PATH_BOUNCES; depth++) {
+    let result = ray_march(ro, rd);
+    if depth == 0 {
+      first_hit = result.x;
+    }
+    if result.x >= MAX_DIST {
+      color += throughput * select(sky_gradient(rd), get_sky(rd), sees_suns);
+      break;
+    }
+
+    let hit_pos = ro + rd * result.x;
+    let normal = get_normal(hit_pos);
+    let mat = get_material(result.y);
+    let albedo = material_albedo(mat, hit_pos);
+    color += throughput * mat.emission_metalness.rgb;
+
+    if rand() < mat.optics.y {
+      // Glass: reflect or refract by Fresnel, tinted by the albedo
+      let entering = dot(rd, normal) < 0.0;
+      let n = select(-normal, normal, entering);
+      let ior = mat.optics.x;
+      let ior_ratio = select(ior / IOR_AIR, IOR_AIR / ior, entering);
+      let refracted = refract_ray(rd, n, ior_ratio);
+      let is_tir = dot(refracted, refracted) < 0.0001;
+      if is_tir || rand() < fresnel(min(-dot(rd, n), 1.0), ior_ratio) {
+        ro = hit_pos + n * 0.01;
+        rd = reflect(rd, n);
+      } else {
+        ro = hit_pos - n * 0.01;
+        rd = refracted;
+      }
+      throughput *= albedo;
+      sees_suns = true;
+    } else {
+      // Opaque: light it directly, then pick the next direction by the BRDF
+      let n = select(-normal, normal, dot(rd, normal) < 0.0);
+      let v = -rd;
+      let s = make_surface(mat, albedo);
+      color += throughput * direct_light(s, hit_pos, n, v);
+
+      let bounce = sample_surface(s, n, v);
+      if all(bounce.weight == vec3<f32>(0.0)) {
+        break;
+      }
+      ro = hit_pos + n * 0.01;
+      rd = bounce.dir;
+      throughput *= bounce.weight;
+      sees_suns = false;
+    }
+
+    // Russian roulette: end dim paths early, boosting the survivors
+    if depth >= ROULETTE_AFTER {
+      let keep = clamp(max(throughput.x, max(throughput.y, throughput.z)), 0.05, 1.0);
+      if rand() >= keep {
+        break;
+      }
+      throughput /= keep;
+    }
+  }
+
+  // Same distance fog as the preview
+  let fog = exp(-first_hit * 0.02);
+  return mix(get_sky(initial_rd), color, fog);
+}
+
+// Entry points
+
+// One new sample per pixel, averaged with the uniforms.sampleIndex before it
+@fragment
+fn fs_path(@builtin(position) fragCoord: vec4<f32>) -> @location(0) vec4<f32> {
+  let pixel = fragCoord.xy + uniforms.tileOffset;
+  let seed = vec2<u32>(pixel);
+  rng_state = pcg(seed.x + pcg(seed.y + pcg(uniforms.sampleIndex)));
+
+  // jitter within the pixel for antialiasing, and over the lens for depth of field
+  let jitter = vec2<f32>(rand(), rand()) - 0.5;
+  let ray = camera_ray(pixel + jitter, disk_point());
+  let traced = clamp(path_trace(ray.ro, ray.rd), vec3<f32>(0.0), vec3<f32>(SAMPLE_CLAMP));
+
+  // the first sample ignores whatever the texture held before the reset
+  let prev = textureLoad(accum_prev, vec2<i32>(fragCoord.xy), 0).rgb;
+  let average = mix(prev, traced, 1.0 / f32(uniforms.sampleIndex + 1u));
+  return vec4<f32>(select(average, traced, uniforms.sampleIndex == 0u), 1.0);
+}
+
+// The accumulated average, with the gizmo on top
+@fragment
+fn fs_present(@builtin(position) fragCoord: vec4<f32>) -> @location(0) vec4<f32> {
+  var color = textureLoad(accum_prev, vec2<i32>(fragCoord.xy), 0).rgb;
+  let ray = camera_ray(fragCoord.xy + uniforms.tileOffset, vec2<f32>(0.0));
+  color = draw_gizmo(ray.ro, ray.rd, color);
+  return vec4<f32>(gamma_correct(color), 1.0);
+}
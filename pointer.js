@@ -0,0 +1,122 @@
+//#region Pointer bindings -------------------------------------------------------
+// DOM-free part of the viewport's pointer handling (main.js, "Camera setup"):
+// what each mouse button and the wheel do under the user's bindings, and the
+// touch / pen gestures below.
+
+const POINTER_ACTION_LABELS = {
+  select: "Select / gizmo",
+  orbit:  "Orbit",
+  pan:    "Pan",
+  zoom:   "Zoom",
+  none:   "Nothing",
+};
+
+// Actions each input can be bound to, the default first
+const POINTER_BINDING_CHOICES = {
+  left:   ["select", "orbit", "pan"],
+  middle: ["orbit", "pan", "zoom"],
+  right:  ["none", "orbit", "pan", "zoom"],
+  wheel:  ["zoom", "orbit"],
+};
+
+const POINTER_BINDING_LABELS = {
+  left:   "Left drag",
+  middle: "Middle drag",
+  right:  "Right drag",
+  wheel:  "Wheel / 2-finger scroll",
+};
+
+const MOUSE_BUTTON_NAMES = { 0: "left", 1: "middle", 2: "right" };
+
+const defaultPointerBindings = () =>
+  Object.fromEntries(Object.entries(POINTER_BINDING_CHOICES).map(([input, choices]) => [input, choices[0]]));
+
+// Saved bindings with anything unknown (hand edits, older versions) back at the
+// default
+function normalizePointerBindings(saved) {
+  const bindings = defaultPointerBindings();
+  for (const [input, choices] of Object.entries(POINTER_BINDING_CHOICES)) {
+    if (choices.includes(saved?.[input])) bindings[input] = saved[input];
+  }
+  return bindings;
+}
+
+// What dragging with a mouse button does. Alt+left always orbits (the fallback
+// from before buttons were configurable); Shift and Ctrl / Cmd turn orbiting into
+// panning and zooming, whichever button orbits.
+function mouseDragAction(bindings, { button, altKey, shiftKey, ctrlKey, metaKey }) {
+  const input = MOUSE_BUTTON_NAMES[button];
+  if (!input) return "none";
+
+  const action = input === "left" && altKey ? "orbit" : bindings[input];
+  if (action !== "orbit") return action;
+  if (shiftKey) return "pan";
+  if (ctrlKey || metaKey) return "zoom";
+  return "orbit";
+}
+
+//#endregion
+//#region Touch gestures ---------------------------------------------------------
+// One finger (or a pen) drags, two pan and pinch. A press that lifts again
+// quickly without wandering off is a tap.
+
+const TAP_SLOP = 8;   // px a tap may wander before it turns into a drag
+const TAP_TIME = 300; // ms a tap may last
+
+function createTouchGesture({ now = () => Date.now() } = {}) {
+  const pointers = new Map(); // pointerId -> { x, y }
+  let tap = null;   // { x, y, time } of a lone press that may still be a tap
+  let pinch = null; // { x, y, spread } of the two pointers at the last move
+
+  function pair() {
+    const [a, b] = [...pointers.values()];
+    return { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2, spread: Math.hypot(a.x - b.x, a.y - b.y) };
+  }
+
+  function down(id, x, y) {
+    pointers.set(id, { x, y });
+    tap = pointers.size === 1 ? { x, y, time: now() } : null;
+    pinch = pointers.size === 2 ? pair() : null;
+  }
+
+  // What moving a pointer means: { drag: [dx, dy] } for a lone pointer,
+  // { pan: [dx, dy], zoom } for two, where zoom scales the camera distance,
+  // otherwise null (a possible tap, a third finger, an unknown pointer)
+  function move(id, x, y) {
+    const last = pointers.get(id);
+    if (!last) return null;
+    pointers.set(id, { x, y });
+
+    if (pointers.size === 1) {
+      if (tap && Math.hypot(x - tap.x, y - tap.y) < TAP_SLOP) return null;
+      tap = null;
+      return { drag: [x - last.x, y - last.y] };
+    }
+    if (pointers.size === 2 && pinch) {
+      const next = pair();
+      const gesture = { pan: [next.x - pinch.x, next.y - pinch.y], zoom: next.spread > 0 ? pinch.spread / next.spread : 1 };
+      pinch = next;
+      return gesture;
+    }
+    return null;
+  }
+
+  // Lifts a pointer; returns where the tap was when this ended one, else null
+  function up(id) {
+    if (!pointers.delete(id)) return null;
+    const ended = pointers.size === 0 && tap && now() - tap.time <= TAP_TIME ? { x: tap.x, y: tap.y } : null;
+    // the finger left behind after a pinch drags from where it is
+    tap = null;
+    pinch = pointers.size === 2 ? pair() : null;
+    return ended;
+  }
+
+  return {
+    down,
+    move,
+    up,
+    count: () => pointers.size,
+  };
+}
+
+//#endregion
@@ -0,0 +1,479 @@
+//#region Vector helpers ---------------------------------------------------------
+
+const vec3Add = (a, b) => [a[0] + b[0], a[1] + b[1], a[2] + b[2]];
+const vec3Sub = (a, b) => [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+const vec3Scale = (a, s) => [a[0] * s, a[1] * s, a[2] * s];
+const vec3Dot = (a, b) => a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+const vec3Length = (a) => Math.hypot(a[0], a[1], a[2]);
+const vec3Cross = (a, b) => [
+  a[1] * b[2] - a[2] * b[1],
+  a[2] * b[0] - a[0] * b[2],
+  a[0] * b[1] - a[1] * b[0],
+];
+
+function vec3Normalize(a) {
+  const len = vec3Length(a);
+  return len > 0 ? vec3Scale(a, 1 / len) : [0, 0, 0];
+}
+
+// camera globals in main.js are {x, y, z} objects
+const toVec3 = (v) => [v.x, v.y, v.z];
+
+//#endregion
+//#region CPU SDF (mirror of shader.wgsl) ----------------------------------------
+
+// Same constants as shader.wgsl, except a looser surface distance:
+// picking only needs to know which primitive the ray lands on.
+const RM_MAX_DIST = 100.0;
+const RM_SURF_DIST = 0.001;
+const RM_MAX_STEPS = 256;
+
+function sdSphere(p, s) {
+  return vec3Length(vec3Sub(p, s.center)) - s.param0;
+}
+
+function sdPlane(p, pl) {
+  const n = vec3Normalize(pl.params1);
+  return vec3Dot(p, n) + pl.param0;
+}
+
+function sdBoxAt(p, c, halfSize) {
+  const q = [0, 1, 2].map((i) => Math.abs(p[i] - c[i]) - halfSize[i]);
+  const outside = vec3Length(q.map((v) => Math.max(v, 0.0)));
+  return outside + Math.min(Math.max(q[0], q[1], q[2]), 0.0);
+}
+
+function sdBox(p, b) {
+  return sdBoxAt(p, b.center, b.params1);
+}
+
+function sdRoundedBox(p, rb) {
+  return sdBoxAt(p, rb.center, rb.params1) - rb.param0;
+}
+
+function sdCylinder(p, cy) {
+  const c = cy.center;
+  const qx = Math.hypot(p[0] - c[0], p[2] - c[2]) - cy.params1[0];
+  const qy = Math.abs(p[1] - c[1]) - cy.param0 * 0.5;
+  return Math.min(Math.max(qx, qy), 0.0) + Math.hypot(Math.max(qx, 0.0), Math.max(qy, 0.0));
+}
+
+function sdTorus(p, t) {
+  const c = t.center;
+  const qx = Math.hypot(p[0] - c[0], p[2] - c[2]) - t.param0;
+  const qy = p[1] - c[1];
+  return Math.hypot(qx, qy) - t.params1[0];
+}
+
+function sdCapsule(p, c) {
+  const a = c.center;
+  const pa = vec3Sub(p, a);
+  const ba = vec3Sub(c.params1, a);
+  const h = Math.min(Math.max(vec3Dot(pa, ba) / vec3Dot(ba, ba), 0.0), 1.0);
+  return vec3Length(vec3Sub(pa, vec3Scale(ba, h))) - c.param0;
+}
+
+// Cone frustum along y: (qx, qy) = distance from the axis and height above
+// the center, h = half height, r1 / r2 = bottom / top radius
+function coneDist(qx, qy, h, r1, r2) {
+  const k2 = [r2 - r1, 2.0 * h];
+  const cax = qx - Math.min(qx, qy < 0.0 ? r1 : r2);
+  const cay = Math.abs(qy) - h;
+  const t = Math.min(Math.max(((r2 - qx) * k2[0] + (h - qy) * k2[1]) / (k2[0] * k2[0] + k2[1] * k2[1]), 0.0), 1.0);
+  const cbx = qx - r2 + k2[0] * t;
+  const cby = qy - h + k2[1] * t;
+  const s = cbx < 0.0 && cay < 0.0 ? -1.0 : 1.0;
+  return s * Math.sqrt(Math.min(cax * cax + cay * cay, cbx * cbx + cby * cby));
+}
+
+function sdCone(p, co) {
+  const c = co.center;
+  return coneDist(Math.hypot(p[0] - c[0], p[2] - c[2]), p[1] - c[1], co.param0 * 0.5, co.params1[0], 0.0);
+}
+
+function sdCappedCone(p, cc) {
+  const c = cc.center;
+  return coneDist(Math.hypot(p[0] - c[0], p[2] - c[2]), p[1] - c[1], cc.param0 * 0.5, cc.params1[0], cc.params1[1]);
+}
+
+function sdEllipsoid(p, e) {
+  const q = vec3Sub(p, e.center);
+  const k0 = vec3Length(q.map((v, i) => v / e.params1[i]));
+  const k1 = vec3Length(q.map((v, i) => v / (e.params1[i] * e.params1[i])));
+  return (k0 * (k0 - 1.0)) / Math.max(k1, 1e-6);
+}
+
+function sdHexPrism(p, hp) {
+  const k = [-0.8660254, 0.5, 0.57735];
+  const r = hp.params1[0];
+  const d = vec3Sub(p, hp.center);
+  // hexagon in xz, extruded along y
+  let qx = Math.abs(d[0]);
+  let qy = Math.abs(d[2]);
+  const fold = 2.0 * Math.min(k[0] * qx + k[1] * qy, 0.0);
+  qx -= fold * k[0];
+  qy -= fold * k[1];
+  const dx = Math.hypot(qx - Math.min(Math.max(qx, -k[2] * r), k[2] * r), qy - r) * Math.sign(qy - r);
+  const dy = Math.abs(d[1]) - hp.param0 * 0.5;
+  return Math.min(Math.max(dx, dy), 0.0) + Math.hypot(Math.max(dx, 0.0), Math.max(dy, 0.0));
+}
+
+function sdOctahedron(p, o) {
+  const s = o.param0;
+  const a = vec3Sub(p, o.center).map(Math.abs);
+  const m = a[0] + a[1] + a[2] - s;
+
+  let q;
+  if (3.0 * a[0] < m) q = a;
+  else if (3.0 * a[1] < m) q = [a[1], a[2], a[0]];
+  else if (3.0 * a[2] < m) q = [a[2], a[0], a[1]];
+  else return m * 0.57735027;
+
+  const t = Math.min(Math.max(0.5 * (q[2] - q[1] + s), 0.0), s);
+  return Math.hypot(q[0], q[1] - s + t, q[2] - t);
+}
+
+function sdLink(p, l) {
+  const d = vec3Sub(p, l.center);
+  const qy = Math.max(Math.abs(d[1]) - l.param0, 0.0);
+  return Math.hypot(Math.hypot(d[0], qy) - l.params1[0], d[2]) - l.params1[1];
+}
+
+function sdTriPrism(p, tp) {
+  const d = vec3Sub(p, tp.center);
+  // triangle in xz, extruded along y
+  const side = Math.max(Math.abs(d[0]) * 0.866025 + d[2] * 0.5, -d[2]) - tp.params1[0] * 0.5;
+  return Math.max(Math.abs(d[1]) - tp.param0 * 0.5, side);
+}
+
+// Moves p into the primitive's local frame: undo rotation and scale about its
+// pivot (primitivePivot). prim is a flattened item (world-space, rotMatrix set
+// by flattenSceneTree).
+function toLocal(p, prim) {
+  const rot = prim.rotMatrix;
+  const pivot = primitivePivot(prim);
+  const d = vec3Sub(p, pivot);
+  // R^T * d, then divide by scale
+  const local = [0, 1, 2].map(
+    (i) => (rot[0][i] * d[0] + rot[1][i] * d[1] + rot[2][i] * d[2]) / prim.scale[i],
+  );
+  return vec3Add(pivot, local);
+}
+
+// Distance to the shape for a point already in its local frame
+function sdShape(p, prim) {
+  switch (prim.kind) {
+    case SPHERE:      return sdSphere(p, prim);
+    case PLANE:       return sdPlane(p, prim);
+    case BOX:         return sdBox(p, prim);
+    case ROUNDED_BOX: return sdRoundedBox(p, prim);
+    case CYLINDER:    return sdCylinder(p, prim);
+    case TORUS:       return sdTorus(p, prim);
+    case CAPSULE:     return sdCapsule(p, prim);
+    case CONE:        return sdCone(p, prim);
+    case CAPPED_CONE: return sdCappedCone(p, prim);
+    case ELLIPSOID:   return sdEllipsoid(p, prim);
+    case HEX_PRISM:   return sdHexPrism(p, prim);
+    case OCTAHEDRON:  return sdOctahedron(p, prim);
+    case LINK:        return sdLink(p, prim);
+    case TRI_PRISM:   return sdTriPrism(p, prim);
+    default:          return 1e6;
+  }
+}
+
+function sdPrimitive(pWorld, prim) {
+  const p = toLocal(pWorld, prim);
+  // non-uniform scale stretches distances; the smallest factor keeps a safe bound
+  const scaleBound = Math.min(prim.scale[0], prim.scale[1], prim.scale[2]);
+  const modifiers = prim.modifiers ?? [];
+  if (modifiers.length === 0) return sdShape(p, prim) * scaleBound;
+
+  // mirror of sd_modified
+  let q = vec3Sub(p, prim.center);
+  let step = 1.0;
+  for (const modifier of modifiers) {
+    step *= modifierStep(q, modifier);
+    q = warpPoint(q, modifier);
+  }
+  let d = sdShape(vec3Add(prim.center, q), prim);
+  for (const modifier of modifiers) d = modifyDistance(d, q, modifier);
+  return d * step * scaleBound;
+}
+
+// Mirror of apply_op: combines primitive `index` at distance d into res.
+// Tracks whose surface is closest instead of a material, so clicking a carved
+// hole selects the cutter.
+function applyOp(res, d, index, op, blend) {
+  const k = Math.max(blend, 1e-4);
+  const clamp01 = (x) => Math.min(Math.max(x, 0.0), 1.0);
+  const mix = (a, b, t) => a * (1 - t) + b * t;
+
+  switch (op) {
+    case OP_SUBTRACT:
+      return -d > res.dist ? { dist: -d, index } : res;
+    case OP_INTERSECT:
+      return d > res.dist ? { dist: d, index } : res;
+    case OP_SMOOTH_UNION: {
+      const h = clamp01(0.5 + 0.5 * (d - res.dist) / k);
+      return { dist: mix(d, res.dist, h) - k * h * (1 - h), index: h > 0.5 ? res.index : index };
+    }
+    case OP_SMOOTH_SUBTRACT: {
+      const h = clamp01(0.5 - 0.5 * (res.dist + d) / k);
+      return { dist: mix(res.dist, -d, h) + k * h * (1 - h), index: h > 0.5 ? index : res.index };
+    }
+    case OP_SMOOTH_INTERSECT: {
+      const h = clamp01(0.5 - 0.5 * (d - res.dist) / k);
+      return { dist: mix(d, res.dist, h) + k * h * (1 - h), index: h > 0.5 ? res.index : index };
+    }
+    default: // OP_UNION
+      return d < res.dist ? { dist: d, index } : res;
+  }
+}
+
+// Returns { dist, index } of the surface closest to p, index into the
+// flattened items (-1 for an empty scene). Items from buildBVH skip the groups
+// whose bounds are too far to matter, like get_dist does.
+function getDist(p, items) {
+  let res = { dist: RM_MAX_DIST, index: -1 };
+  const stack = [];
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
+    if (item.kind === GROUP_BEGIN) {
+      if (item.bounds && canSkipGroup(res.dist, boundsDistance(p, item.bounds), item.op, item.blend)) {
+        i = item.end;
+        continue;
+      }
+      stack.push(res);
+      res = { dist: RM_MAX_DIST, index: -1 };
+    } else if (item.kind === GROUP_END) {
+      const group = res;
+      res = applyOp(stack.pop(), group.dist, group.index, item.op, item.blend);
+    } else if (item.kind === MODIFIER) {
+      continue; // sdPrimitive reads them from the primitive itself
+    } else {
+      res = applyOp(res, sdPrimitive(p, item), i, item.op, item.blend);
+    }
+  }
+
+  return res;
+}
+
+// Returns { dist, index }; index is -1 when the ray escapes the scene
+function rayMarch(ro, rd, items) {
+  let q = 0.0;
+  let index = -1;
+
+  for (let i = 0; i < RM_MAX_STEPS; i++) {
+    const hit = getDist(vec3Add(ro, vec3Scale(rd, q)), items);
+    q += Math.abs(hit.dist);
+    index = hit.index;
+
+    if (Math.abs(hit.dist) < RM_SURF_DIST || q > RM_MAX_DIST) {
+      break;
+    }
+  }
+
+  return { dist: q, index: q < RM_MAX_DIST ? index : -1 };
+}
+
+//#endregion
+//#region Modifiers (mirror of modifiers.wgsl) -----------------------------------
+
+const NOISE_SLOPE = 5.2; // bound on the gradient of valueNoise (3 * sqrt(3))
+
+// Pseudo-random value in [-1, 1] for an integer lattice point
+function hashNoise(x, y, z) {
+  let h = (Math.imul(x, 73856093) ^ Math.imul(y, 19349663) ^ Math.imul(z, 83492791)) >>> 0;
+  h = Math.imul(h ^ (h >>> 13), 1274126177) >>> 0;
+  h = (h ^ (h >>> 16)) >>> 0;
+  return (h / 4294967295) * 2.0 - 1.0;
+}
+
+// Smoothly interpolated lattice noise in [-1, 1]
+function valueNoise(p) {
+  const cell = p.map(Math.floor);
+  const u = p.map((v, i) => {
+    const f = v - cell[i];
+    return f * f * (3.0 - 2.0 * f);
+  });
+  const mix = (a, b, t) => a * (1 - t) + b * t;
+  const corner = (dx, dy, dz) => hashNoise(cell[0] + dx, cell[1] + dy, cell[2] + dz);
+  const face = (dz) =>
+    mix(mix(corner(0, 0, dz), corner(1, 0, dz), u[0]), mix(corner(0, 1, dz), corner(1, 1, dz), u[0]), u[1]);
+  return mix(face(0), face(1), u[2]);
+}
+
+function rotate2(x, y, angle) {
+  const c = Math.cos(angle);
+  const s = Math.sin(angle);
+  return [c * x - s * y, s * x + c * y];
+}
+
+// Point modifiers; q is relative to the primitive's center in its frame
+function warpPoint(q, modifier) {
+  switch (modifier.type) {
+    case MOD_REPEAT:
+      return q.map((v, i) => {
+        const s = modifier.spacing[i];
+        return s > 0 ? v - s * Math.round(v / s) : v;
+      });
+    case MOD_REPEAT_LIMITED:
+      return q.map((v, i) => {
+        const s = modifier.spacing[i];
+        const n = Math.round(modifier.count[i]);
+        return s > 0 ? v - s * Math.min(Math.max(Math.round(v / s), -n), n) : v;
+      });
+    case MOD_MIRROR: {
+      const r = [...q];
+      r[modifier.axis] = Math.abs(r[modifier.axis]) - modifier.offset;
+      return r;
+    }
+    case MOD_TWIST: {
+      const [x, z] = rotate2(q[0], q[2], modifier.rate * q[1]);
+      return [x, q[1], z];
+    }
+    case MOD_BEND: {
+      const [x, y] = rotate2(q[0], q[1], modifier.rate * q[0]);
+      return [x, y, q[2]];
+    }
+    default:
+      return q;
+  }
+}
+
+// How much a modifier can stretch distances around q, as a factor that keeps
+// the steps safe
+function modifierStep(q, modifier) {
+  switch (modifier.type) {
+    case MOD_TWIST: return 1.0 / Math.hypot(1.0, modifier.rate * Math.hypot(q[0], q[2]));
+    case MOD_BEND:  return 1.0 / Math.hypot(1.0, modifier.rate * Math.hypot(q[0], q[1]));
+    case MOD_NOISE: return 1.0 / (1.0 + Math.abs(modifier.amplitude * modifier.frequency) * NOISE_SLOPE);
+    default:        return 1.0;
+  }
+}
+
+// Distance modifiers, applied to the shape's distance at the warped point q
+function modifyDistance(d, q, modifier) {
+  switch (modifier.type) {
+    case MOD_ROUND: return d - modifier.radius;
+    case MOD_ONION: return Math.abs(d) - modifier.thickness;
+    case MOD_NOISE: return d + modifier.amplitude * valueNoise(vec3Scale(q, modifier.frequency));
+    default:        return d;
+  }
+}
+
+//#endregion
+//#region Camera / picking -------------------------------------------------------
+
+// Orbit camera around target, matching the uniforms written by render()
+function orbitCamera(target, dist, yaw, pitch) {
+  const cosPitch = Math.cos(pitch);
+  const pos = {
+    x: target.x + dist * Math.sin(yaw) * cosPitch,
+    y: target.y + dist * Math.sin(pitch),
+    z: target.z + dist * Math.cos(yaw) * cosPitch,
+  };
+  const d = vec3Normalize(vec3Sub(toVec3(target), toVec3(pos)));
+  return {
+    pos,
+    dir: { x: d[0], y: d[1], z: d[2] },
+    up: { x: 0, y: 1, z: 0 },
+  };
+}
+
+// Same ray as camera_ray in shader.wgsl for pixel (px, py) of a width x height
+// target, through the middle of the lens. cam.lens is the lensUniform (scene.js)
+// written to uniforms.lens, the default lens when missing.
+function cameraRay(px, py, width, height, cam) {
+  const scale = Math.min(width, height);
+  const u = (px - width * 0.5) / scale;
+  const v = (py - height * 0.5) / scale;
+
+  const forward = vec3Normalize(toVec3(cam.dir));
+  const right = vec3Normalize(vec3Cross(forward, toVec3(cam.up)));
+  const upOrth = vec3Cross(right, forward);
+
+  const [focalLength, orthoHeight] = cam.lens ?? [DEFAULT_FOCAL_LENGTH, 0];
+  const offset = vec3Sub(vec3Scale(right, u), vec3Scale(upOrth, v));
+  if (orthoHeight > 0) {
+    return { ro: vec3Add(toVec3(cam.pos), vec3Scale(offset, orthoHeight)), rd: forward };
+  }
+  return { ro: toVec3(cam.pos), rd: vec3Normalize(vec3Add(offset, vec3Scale(forward, focalLength))) };
+}
+
+// Tree path of the first primitive under pixel (px, py), or null
+function pickPrimitive(px, py, width, height, cam, nodes) {
+  const { ro, rd } = cameraRay(px, py, width, height, cam);
+  const { items, paths } = flattenSceneTree(nodes);
+  const { index } = rayMarch(ro, rd, items);
+  return index >= 0 ? paths[index] : null;
+}
+
+// Distance along the view direction to the first surface under pixel (px, py),
+// or null; what the focus distance has to be for it to be sharp
+function pickDepth(px, py, width, height, cam, nodes) {
+  const { ro, rd } = cameraRay(px, py, width, height, cam);
+  const { dist, index } = rayMarch(ro, rd, flattenSceneTree(nodes).items);
+  return index >= 0 ? dist * vec3Dot(rd, vec3Normalize(toVec3(cam.dir))) : null;
+}
+
+//#endregion
+//#region Gizmo ------------------------------------------------------------------
+
+// Must match draw_gizmo in shader.wgsl
+const GIZMO_SCREEN_SIZE = 0.2;      // axis length per unit of camera distance
+const GIZMO_PICK_THICKNESS = 0.08;  // mouse hit radius, relative to axis length (wider than the drawn lines)
+const GIZMO_AXES = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+// Axis length that keeps the gizmo a constant size on screen
+function gizmoAxisLength(center, camPos) {
+  return GIZMO_SCREEN_SIZE * vec3Length(vec3Sub(center, toVec3(camPos)));
+}
+
+// Closest approach between a ray and segment [a, b]: { dist, t } with t along the ray
+function raySegmentDistance(ro, rd, a, b) {
+  const v = vec3Sub(b, a);
+  const w0 = vec3Sub(ro, a);
+  const bb = vec3Dot(rd, v);
+  const cc = vec3Dot(v, v);
+  const dd = vec3Dot(rd, w0);
+  const ee = vec3Dot(v, w0);
+  const denom = cc - bb * bb;
+
+  const s = denom > 1e-8 ? Math.min(Math.max((ee - bb * dd) / denom, 0.0), 1.0) : 0.0;
+  const q = vec3Add(a, vec3Scale(v, s));
+  const t = Math.max(vec3Dot(vec3Sub(q, ro), rd), 0.0);
+  return { dist: vec3Length(vec3Sub(vec3Add(ro, vec3Scale(rd, t)), q)), t };
+}
+
+// Axis (0 = X, 1 = Y, 2 = Z) of the gizmo at center under the ray, or -1
+function pickGizmoAxis(ro, rd, center, axisLength) {
+  let best = -1;
+  let bestT = Infinity;
+
+  GIZMO_AXES.forEach((axis, i) => {
+    const tip = vec3Add(center, vec3Scale(axis, axisLength));
+    const hit = raySegmentDistance(ro, rd, center, tip);
+    if (hit.dist < axisLength * GIZMO_PICK_THICKNESS && hit.t < bestT) {
+      best = i;
+      bestT = hit.t;
+    }
+  });
+
+  return best;
+}
+
+// Parameter s of the point origin + s * axis closest to the ray, or null when
+// the ray runs (nearly) parallel to the axis and the drag is ill-defined
+function closestAxisParam(ro, rd, origin, axis) {
+  const w0 = vec3Sub(ro, origin);
+  const b = vec3Dot(rd, axis);
+  const d = vec3Dot(rd, w0);
+  const e = vec3Dot(axis, w0);
+  const denom = 1.0 - b * b;
+  if (denom < 1e-6) return null;
+  return (e - b * d) / denom;
+}
+
+//#endregion
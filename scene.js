@@ -0,0 +1,1055 @@
+//#region Scene / primitive data model -------------------------------------------
+
+const MAX_PRIMS = 256;            // editor limit on buffer slots (groups take 2, modifiers 1); the GPU array is runtime-sized
+const MAX_LIGHTS = 8;
+
+// Scene buffer schema. The WGSL structs (sceneWGSL) and the byte offsets used
+// by buildSceneData are both derived from it, see layout.js.
+const LIGHT_LAYOUT = defineWGSLStruct("Light", [
+  { name: "position_kind", type: "vec4<f32>", comment: "xyz = position, w = kind" },
+  { name: "direction", type: "vec4<f32>", comment: "xyz = normalized direction the light shines in" },
+  { name: "color_radius", type: "vec4<f32>", comment: "rgb = color * intensity, w = source radius (shadow softness)" },
+  { name: "spot", type: "vec4<f32>", comment: "x = cos(outer cone angle), y = cos(inner cone angle)" },
+]);
+
+const PRIMITIVE_LAYOUT = defineWGSLStruct("Primitive", [
+  { name: "header", type: "vec4<u32>", comment: "x = kind, y = material_id, z = CSG op, w = blend radius (f32 bits)" },
+  { name: "center_param0", type: "vec4<f32>", comment: "xyz = center, w = param0 (radius, height, etc.)" },
+  { name: "params1", type: "vec4<f32>", comment: "extra shape parameters" },
+  { name: "inv_rot", type: "mat3x3<f32>", comment: "world -> local rotation about the center" },
+  { name: "scale", type: "vec4<f32>", comment: "xyz = non-uniform scale about the center, w unused" },
+]);
+
+const SCENE_LAYOUT = defineWGSLStruct("Scene", [
+  { name: "count", type: "u32" },
+  { name: "light_count", type: "u32" },
+  { name: "lights", type: "array<Light, MAX_LIGHTS>" },
+  { name: "primitives", type: "array<Primitive>", comment: "sized by the editor to fit the scene" },
+], { MAX_LIGHTS });
+
+const PRIMITIVE_SIZE = PRIMITIVE_LAYOUT.size;                      // bytes
+const LIGHT_SIZE = LIGHT_LAYOUT.size;                              // bytes
+const SCENE_HEADER_SIZE = fieldOffset(SCENE_LAYOUT, "lights");     // bytes before the lights
+const PRIMITIVES_OFFSET = fieldOffset(SCENE_LAYOUT, "primitives"); // bytes before the primitives
+
+// Bytes of scene data for `count` primitive slots. The runtime-sized array
+// needs at least one element for the binding to be valid.
+const sceneDataSize = (count) => PRIMITIVES_OFFSET + Math.max(count, 1) * PRIMITIVE_SIZE;
+
+// Primitive kind IDs (header.x), exported to WGSL by sceneWGSL
+const SPHERE      = 0;
+const PLANE       = 1;
+const BOX         = 2;
+const ROUNDED_BOX = 3;
+const CYLINDER    = 4;
+const TORUS       = 5;
+const CAPSULE     = 6;
+const CONE        = 7;
+const CAPPED_CONE = 8;
+const ELLIPSOID   = 9;
+const HEX_PRISM   = 10;
+const OCTAHEDRON  = 11;
+const LINK        = 12;
+const TRI_PRISM   = 13;
+
+// Built-in materials: their indices in makeDefaultMaterials()
+const MAT_GROUND  = 0;
+const MAT_METAL   = 1;
+const MAT_GLASS   = 2;
+const MAT_WATER   = 3;
+const MAT_DIFFUSE = 4;
+
+// CSG operation IDs: how a primitive combines with everything listed before it
+const OP_UNION            = 0;
+const OP_SUBTRACT         = 1;
+const OP_INTERSECT        = 2;
+const OP_SMOOTH_UNION     = 3;
+const OP_SMOOTH_SUBTRACT  = 4;
+const OP_SMOOTH_INTERSECT = 5;
+
+const OP_LABELS = {
+  [OP_UNION]:            "Union",
+  [OP_SUBTRACT]:         "Subtract",
+  [OP_INTERSECT]:        "Intersect",
+  [OP_SMOOTH_UNION]:     "Smooth union",
+  [OP_SMOOTH_SUBTRACT]:  "Smooth subtract",
+  [OP_SMOOTH_INTERSECT]: "Smooth intersect",
+};
+
+// Short badges for the object list
+const OP_SYMBOLS = {
+  [OP_UNION]:            "∪",
+  [OP_SUBTRACT]:         "−",
+  [OP_INTERSECT]:        "∩",
+  [OP_SMOOTH_UNION]:     "~∪",
+  [OP_SMOOTH_SUBTRACT]:  "~−",
+  [OP_SMOOTH_INTERSECT]: "~∩",
+};
+
+const isSmoothOp = (op) => op >= OP_SMOOTH_UNION;
+
+// Every primitive kind in one place: its label, its name in scene files, the
+// defaults of a new one and the named parameters the details panel edits.
+// Each parameter lives in a buffer slot of the node, which is also where
+// buildSceneData packs it:
+//   "param0"               center_param0.w
+//   "params1.x" ... ".w"   one component of params1
+//   "params1.xyz"          three components of params1
+//   "center"               the center itself (capsule point A)
+// type is "number" (slider + field) or "vec3"; point: true marks a vec3 that
+// is a position, so it moves along with the object.
+// transform: false hides rotation / scale (planes are oriented by their normal).
+const PRIMITIVE_REGISTRY = {
+  [SPHERE]: {
+    label: "sphere",
+    name: "sphere",
+    material: MAT_DIFFUSE,
+    params: [
+      { name: "radius", label: "Radius", type: "number", slot: "param0", default: 0.6, min: 0.05, max: 5, step: 0.05 },
+    ],
+  },
+  [PLANE]: {
+    label: "plane",
+    name: "plane",
+    material: MAT_GROUND,
+    center: [0.0, 0.0, 0.0],
+    transform: false,
+    params: [
+      { name: "normal", label: "Normal", type: "vec3", slot: "params1.xyz", default: [0, 1, 0], min: -1, max: 1, step: 0.1 },
+      { name: "offset", label: "Offset", type: "number", slot: "param0", default: 1.0, min: -5, max: 5, step: 0.1 },
+    ],
+  },
+  [BOX]: {
+    label: "box",
+    name: "box",
+    material: MAT_DIFFUSE,
+    params: [
+      { name: "half-size", label: "Half-size", type: "vec3", slot: "params1.xyz", default: [0.5, 0.5, 0.5], min: 0.05, max: 5, step: 0.05 },
+    ],
+  },
+  [ROUNDED_BOX]: {
+    label: "rounded Box",
+    name: "roundedBox",
+    material: MAT_WATER,
+    params: [
+      { name: "half-size", label: "Half-size", type: "vec3", slot: "params1.xyz", default: [0.7, 0.5, 0.7], min: 0.05, max: 5, step: 0.05 },
+      { name: "corner-radius", label: "Corner radius", type: "number", slot: "param0", default: 0.1, min: 0, max: 2, step: 0.02 },
+    ],
+  },
+  [CYLINDER]: {
+    label: "cylinder",
+    name: "cylinder",
+    material: MAT_DIFFUSE,
+    params: [
+      { name: "radius", label: "Radius", type: "number", slot: "params1.x", default: 0.4, min: 0.05, max: 5, step: 0.05 },
+      { name: "height", label: "Height", type: "number", slot: "param0", default: 1.0, min: 0.05, max: 10, step: 0.05 },
+    ],
+  },
+  [TORUS]: {
+    label: "torus",
+    name: "torus",
+    material: MAT_METAL,
+    params: [
+      { name: "major-radius", label: "Major radius", type: "number", slot: "param0", default: 1.0, min: 0.1, max: 5, step: 0.05 },
+      { name: "minor-radius", label: "Minor radius", type: "number", slot: "params1.x", default: 0.25, min: 0.05, max: 2, step: 0.02 },
+    ],
+  },
+  [CAPSULE]: {
+    label: "capsule",
+    name: "capsule",
+    material: MAT_DIFFUSE,
+    center: [0.0, 1.0, 0.0],
+    params: [
+      { name: "point-a", label: "Point A", type: "vec3", slot: "center", min: -5, max: 5, step: 0.1 },
+      { name: "point-b", label: "Point B", type: "vec3", slot: "params1.xyz", default: [0, 0, 0], point: true, min: -5, max: 5, step: 0.1 },
+      { name: "radius", label: "Radius", type: "number", slot: "param0", default: 0.3, min: 0.05, max: 2, step: 0.02 },
+    ],
+  },
+  [CONE]: {
+    label: "cone",
+    name: "cone",
+    material: MAT_DIFFUSE,
+    params: [
+      { name: "radius", label: "Base radius", type: "number", slot: "params1.x", default: 0.5, min: 0.05, max: 5, step: 0.05 },
+      { name: "height", label: "Height", type: "number", slot: "param0", default: 1.0, min: 0.05, max: 10, step: 0.05 },
+    ],
+  },
+  [CAPPED_CONE]: {
+    label: "capped cone",
+    name: "cappedCone",
+    material: MAT_DIFFUSE,
+    params: [
+      { name: "bottom-radius", label: "Bottom radius", type: "number", slot: "params1.x", default: 0.5, min: 0, max: 5, step: 0.05 },
+      { name: "top-radius", label: "Top radius", type: "number", slot: "params1.y", default: 0.25, min: 0, max: 5, step: 0.05 },
+      { name: "height", label: "Height", type: "number", slot: "param0", default: 1.0, min: 0.05, max: 10, step: 0.05 },
+    ],
+  },
+  [ELLIPSOID]: {
+    label: "ellipsoid",
+    name: "ellipsoid",
+    material: MAT_GLASS,
+    params: [
+      { name: "radii", label: "Radii", type: "vec3", slot: "params1.xyz", default: [0.8, 0.5, 0.5], min: 0.05, max: 5, step: 0.05 },
+    ],
+  },
+  [HEX_PRISM]: {
+    label: "hex prism",
+    name: "hexPrism",
+    material: MAT_DIFFUSE,
+    params: [
+      { name: "radius", label: "Radius", type: "number", slot: "params1.x", default: 0.5, min: 0.05, max: 5, step: 0.05 },
+      { name: "height", label: "Height", type: "number", slot: "param0", default: 1.0, min: 0.05, max: 10, step: 0.05 },
+    ],
+  },
+  [OCTAHEDRON]: {
+    label: "octahedron",
+    name: "octahedron",
+    material: MAT_METAL,
+    params: [
+      { name: "size", label: "Size", type: "number", slot: "param0", default: 0.7, min: 0.05, max: 5, step: 0.05 },
+    ],
+  },
+  [LINK]: {
+    label: "chain link",
+    name: "link",
+    material: MAT_METAL,
+    params: [
+      { name: "length", label: "Half-length", type: "number", slot: "param0", default: 0.3, min: 0, max: 5, step: 0.05 },
+      { name: "radius", label: "Radius", type: "number", slot: "params1.x", default: 0.4, min: 0.05, max: 5, step: 0.05 },
+      { name: "thickness", label: "Thickness", type: "number", slot: "params1.y", default: 0.12, min: 0.01, max: 2, step: 0.01 },
+    ],
+  },
+  [TRI_PRISM]: {
+    label: "triangular prism",
+    name: "triPrism",
+    material: MAT_DIFFUSE,
+    params: [
+      { name: "size", label: "Size", type: "number", slot: "params1.x", default: 0.6, min: 0.05, max: 5, step: 0.05 },
+      { name: "height", label: "Height", type: "number", slot: "param0", default: 1.0, min: 0.05, max: 10, step: 0.05 },
+    ],
+  },
+};
+
+const PRIM_KIND_LABELS = Object.fromEntries(
+  Object.entries(PRIMITIVE_REGISTRY).map(([kind, entry]) => [kind, entry.label]),
+);
+
+const primitiveParams = (kind) => PRIMITIVE_REGISTRY[kind]?.params ?? [];
+
+// "params1.xyz" -> { field: "params1", components: [0, 1, 2] }
+function parseParamSlot(slot) {
+  const [field, swizzle] = slot.split(".");
+  return { field, components: swizzle ? [...swizzle].map((c) => "xyzw".indexOf(c)) : null };
+}
+
+// Current value of a registry parameter on a primitive node (arrays are copies)
+function getPrimitiveParam(prim, param) {
+  const { field, components } = parseParamSlot(param.slot);
+  const value = prim[field];
+  if (!Array.isArray(value)) return value;
+  const picked = (components ?? [0, 1, 2]).map((i) => value[i]);
+  return param.type === "number" ? picked[0] : picked;
+}
+
+function setPrimitiveParam(prim, param, value) {
+  const { field, components } = parseParamSlot(param.slot);
+  if (!Array.isArray(prim[field])) {
+    prim[field] = value;
+    return;
+  }
+  const values = param.type === "number" ? [value] : value;
+  (components ?? [0, 1, 2]).forEach((c, i) => {
+    prim[field][c] = values[i];
+  });
+}
+
+// New primitive of a kind, filled from its registry defaults
+function makeDefaultPrimitive(kind) {
+  const entry = PRIMITIVE_REGISTRY[kind];
+  if (!entry) return makeDefaultPrimitive(SPHERE);
+
+  const prim = {
+    kind: Number(kind),
+    materialId: entry.material,
+    center: [...(entry.center ?? [0.0, 0.5, 0.0])],
+    param0: 0.0,
+    params1: [0.0, 0.0, 0.0, 0.0],
+    rotation: [0.0, 0.0, 0.0],   // euler XYZ, degrees
+    scale: [1.0, 1.0, 1.0],
+    op: OP_UNION,
+    blend: 0.25,                 // smooth op blend radius
+    modifiers: [],               // see the "Modifiers" region
+    keyframes: {},               // see the "Keyframes" region
+  };
+  for (const param of entry.params) {
+    if (param.default !== undefined) setPrimitiveParam(prim, param, structuredClone(param.default));
+  }
+  return prim;
+}
+
+// param0 / params1 as packed for the GPU: only the slots the kind's registry
+// parameters use, so stale values in unused slots never reach the shader
+function packedPrimitiveParams(prim) {
+  const entry = PRIMITIVE_REGISTRY[prim.kind];
+  if (!entry) return { param0: prim.param0, params1: prim.params1 };
+
+  const packed = { param0: 0.0, params1: [0.0, 0.0, 0.0, 0.0] };
+  for (const param of entry.params) {
+    const { field } = parseParamSlot(param.slot);
+    if (field in packed) setPrimitiveParam(packed, param, getPrimitiveParam(prim, param));
+  }
+  return packed;
+}
+
+// Rotation matrix (row-major, rows as arrays) for XYZ euler angles in degrees:
+// R = Rz * Ry * Rx, i.e. rotate about X first, then Y, then Z (Blender's "XYZ Euler")
+function rotationMatrix(eulerDeg) {
+  const [x, y, z] = eulerDeg.map((a) => (a * Math.PI) / 180);
+  const cx = Math.cos(x), sx = Math.sin(x);
+  const cy = Math.cos(y), sy = Math.sin(y);
+  const cz = Math.cos(z), sz = Math.sin(z);
+  return [
+    [cz * cy, cz * sy * sx - sz * cx, cz * sy * cx + sz * sx],
+    [sz * cy, sz * sy * sx + cz * cx, sz * sy * cx - cz * sx],
+    [-sy,     cy * sx,                cy * cx],
+  ];
+}
+
+// Packs the items from flattenSceneTree (or buildBVH) and the lights into the
+// WGSL Scene layout, sized to fit the items
+function buildSceneData(items, lights = []) {
+  const buffer = new ArrayBuffer(sceneDataSize(items.length));
+  const view = new DataView(buffer);
+  const lightCount = Math.min(lights.length, MAX_LIGHTS);
+
+  writeWGSLStruct(view, 0, SCENE_LAYOUT, {
+    count: items.length,
+    light_count: lightCount,
+    lights: lights.slice(0, lightCount).map(lightFields),
+  });
+  items.forEach((item, i) => {
+    writeWGSLStruct(view, PRIMITIVES_OFFSET + i * PRIMITIVE_SIZE, PRIMITIVE_LAYOUT, primitiveFields(item));
+  });
+
+  return buffer;
+}
+
+// Primitive struct fields for one flattened item
+function primitiveFields(spec) {
+  // group markers: header x = kind, z = op, w = blend. GROUP_BEGIN also
+  // stores the index of its GROUP_END (y) and the bounds of its contents
+  // (center_param0.xyz = min, params1.xyz = max) set by buildBVH; without
+  // them the box covers everything and the group is never skipped.
+  if (spec.kind === MODIFIER) return modifierFields(spec.modifier);
+  if (spec.kind === GROUP_END) {
+    return { header: [spec.kind, 0, spec.op ?? OP_UNION, f32Bits(spec.blend ?? 0)] };
+  }
+  if (spec.kind === GROUP_BEGIN) {
+    const far = [BOUNDS_FAR, BOUNDS_FAR, BOUNDS_FAR];
+    return {
+      header: [spec.kind, spec.end ?? 0, spec.op ?? OP_UNION, f32Bits(spec.blend ?? 0)],
+      center_param0: spec.bounds ? spec.bounds.min : far.map((v) => -v),
+      params1: spec.bounds ? spec.bounds.max : far,
+    };
+  }
+
+  const { param0, params1 } = packedPrimitiveParams(spec);
+  return {
+    header: [spec.kind, spec.materialId, spec.op, f32Bits(spec.blend)],
+    center_param0: [...spec.center, param0],
+    params1,
+    // the inverse (transpose) of R has R's rows as its columns
+    inv_rot: spec.rotMatrix,
+    scale: [...spec.scale, 0],
+  };
+}
+
+//#endregion
+//#region Modifiers --------------------------------------------------------------
+// A primitive's modifiers ({ type, ...params by name }) reshape it in list
+// order. Point modifiers move the sample point before the shape is evaluated
+// (in the primitive's frame, relative to its center); distance modifiers then
+// adjust the distance the shape returns.
+//
+// flattenSceneTree puts a MODIFIER item in front of the primitive for each
+// one. Parameter slots name the Primitive field they are packed into.
+
+const MOD_REPEAT         = 0;
+const MOD_REPEAT_LIMITED = 1;
+const MOD_MIRROR         = 2;
+const MOD_TWIST          = 3;
+const MOD_BEND           = 4;
+const MOD_ROUND          = 5;
+const MOD_ONION          = 6;
+const MOD_NOISE          = 7;
+
+const MAX_MODIFIERS = 8; // per primitive
+
+const AXIS_LABELS = { 0: "X", 1: "Y", 2: "Z" };
+
+const MODIFIER_REGISTRY = {
+  [MOD_REPEAT]: {
+    label: "Repeat",
+    name: "repeat",
+    params: [
+      { name: "spacing", label: "Spacing (0 = off)", type: "vec3", slot: "center_param0.xyz", default: [2, 0, 2], min: 0, max: 20, step: 0.1 },
+    ],
+  },
+  [MOD_REPEAT_LIMITED]: {
+    label: "Repeat (limited)",
+    name: "repeatLimited",
+    params: [
+      { name: "spacing", label: "Spacing (0 = off)", type: "vec3", slot: "center_param0.xyz", default: [1.5, 0, 0], min: 0, max: 20, step: 0.1 },
+      { name: "count", label: "Copies each side", type: "vec3", slot: "params1.xyz", default: [2, 0, 0], min: 0, max: 20, step: 1 },
+    ],
+  },
+  [MOD_MIRROR]: {
+    label: "Mirror",
+    name: "mirror",
+    params: [
+      { name: "axis", label: "Axis", type: "axis", slot: "params1.x", default: 0 },
+      { name: "offset", label: "Offset", type: "number", slot: "center_param0.w", default: 0.5, min: -5, max: 5, step: 0.05 },
+    ],
+  },
+  [MOD_TWIST]: {
+    label: "Twist",
+    name: "twist",
+    params: [
+      { name: "rate", label: "Rate (rad/unit, Y)", type: "number", slot: "center_param0.w", default: 1.0, min: -10, max: 10, step: 0.1 },
+    ],
+  },
+  [MOD_BEND]: {
+    label: "Bend",
+    name: "bend",
+    params: [
+      { name: "rate", label: "Rate (rad/unit, X)", type: "number", slot: "center_param0.w", default: 0.5, min: -5, max: 5, step: 0.05 },
+    ],
+  },
+  [MOD_ROUND]: {
+    label: "Round",
+    name: "round",
+    params: [
+      { name: "radius", label: "Radius", type: "number", slot: "center_param0.w", default: 0.1, min: 0, max: 2, step: 0.01 },
+    ],
+  },
+  [MOD_ONION]: {
+    label: "Onion",
+    name: "onion",
+    params: [
+      { name: "thickness", label: "Thickness", type: "number", slot: "center_param0.w", default: 0.05, min: 0.005, max: 1, step: 0.005 },
+    ],
+  },
+  [MOD_NOISE]: {
+    label: "Noise",
+    name: "noise",
+    params: [
+      { name: "amplitude", label: "Amplitude", type: "number", slot: "center_param0.w", default: 0.1, min: 0, max: 2, step: 0.01 },
+      { name: "frequency", label: "Frequency", type: "number", slot: "params1.x", default: 3.0, min: 0.1, max: 20, step: 0.1 },
+    ],
+  },
+};
+
+const MODIFIER_LABELS = Object.fromEntries(
+  Object.entries(MODIFIER_REGISTRY).map(([type, entry]) => [type, entry.label]),
+);
+
+const modifierParams = (type) => MODIFIER_REGISTRY[type]?.params ?? [];
+
+function makeModifier(type) {
+  const modifier = { type: Number(type) };
+  for (const param of modifierParams(type)) {
+    modifier[param.name] = structuredClone(param.default);
+  }
+  return modifier;
+}
+
+// Primitive struct fields for a MODIFIER item: header y = modifier type
+function modifierFields(modifier) {
+  const fields = { center_param0: [0.0, 0.0, 0.0, 0.0], params1: [0.0, 0.0, 0.0, 0.0] };
+  for (const param of modifierParams(modifier.type)) {
+    const { field, components } = parseParamSlot(param.slot);
+    const value = modifier[param.name];
+    (components ?? [0, 1, 2]).forEach((c, i) => {
+      fields[field][c] = Array.isArray(value) ? value[i] : value;
+    });
+  }
+  return { header: [MODIFIER, modifier.type, 0, 0], ...fields };
+}
+
+//#endregion
+//#region Scene tree -------------------------------------------------------------
+// The scene is a tree. A node is either a primitive (see makeDefaultPrimitive)
+// or a group:
+//
+//   { name, center, rotation, scale, op, blend, collapsed, children: [...] }
+//
+// Children live in their group's frame: world = center + R * (scale * local),
+// with R from the group's euler rotation and a uniform scale (non-uniform
+// scale followed by a child rotation would shear, which an SDF can't express).
+// The group's op/blend combine its children's result with its siblings, so
+// CSG inside a group stays scoped to it.
+//
+// Nodes are addressed by path: child indices from the root list, e.g. [2, 0].
+
+const GROUP_BEGIN     = 254;  // marker kinds in the flattened buffer
+const GROUP_END       = 255;
+const MODIFIER        = 253;  // one per modifier, in front of its primitive
+const MAX_GROUP_DEPTH = 8;    // nesting limit for user groups
+const BOUNDS_FAR      = 1e30; // "infinite" coordinate for group bounds, kept finite for the GPU
+
+const isGroup = (node) => Array.isArray(node.children);
+
+function makeGroup() {
+  return {
+    name: "Group",
+    center: [0.0, 0.0, 0.0],
+    rotation: [0.0, 0.0, 0.0],        // euler XYZ, degrees
+    scale: 1.0,                       // uniform
+    op: OP_UNION,
+    blend: 0.25,
+    collapsed: false,
+    children: [],
+  };
+}
+
+const samePath = (a, b) => !!a && !!b && a.length === b.length && a.every((v, i) => v === b[i]);
+const isPathPrefix = (prefix, path) => prefix.length <= path.length && prefix.every((v, i) => v === path[i]);
+
+function getNode(nodes, path) {
+  let node = null;
+  let list = nodes;
+  for (const i of path) {
+    node = list?.[i];
+    if (!node) return null;
+    list = node.children;
+  }
+  return node;
+}
+
+// The array holding the node at path (a group's children or the root list)
+function getSiblings(nodes, path) {
+  return path.length === 1 ? nodes : getNode(nodes, path.slice(0, -1)).children;
+}
+
+function removeNode(nodes, path) {
+  return getSiblings(nodes, path).splice(path[path.length - 1], 1)[0];
+}
+
+// Path of a node object in the tree, or null when it isn't in it
+function findPath(nodes, node) {
+  return node ? allPaths(nodes).find((path) => getNode(nodes, path) === node) ?? null : null;
+}
+
+// Buffer slots the nodes take once flattened (a group adds two markers, a
+// modifier one)
+function countSlots(nodes) {
+  return nodes.reduce(
+    (n, node) => n + (isGroup(node) ? 2 + countSlots(node.children) : 1 + (node.modifiers?.length ?? 0)),
+    0,
+  );
+}
+
+// Group nesting below nodes, 0 for a list without groups
+function groupDepth(nodes) {
+  return nodes.reduce((d, node) => (isGroup(node) ? Math.max(d, 1 + groupDepth(node.children)) : d), 0);
+}
+
+// Every node path in display (depth-first) order
+function allPaths(nodes, prefix = []) {
+  return nodes.flatMap((node, i) => {
+    const path = [...prefix, i];
+    return isGroup(node) ? [path, ...allPaths(node.children, path)] : [path];
+  });
+}
+
+//#endregion
+//#region Keyframes --------------------------------------------------------------
+// A primitive's keyframes animate its fields over the timeline:
+//
+//   keyframes: { [field]: [{ time, value, interp }, ...] }
+//
+// sorted by time (seconds). Fields are the transform, the blend radius and the
+// kind's registry parameters, by name (see animatableFields). A key's interp
+// shapes the curve towards the next key; before the first key and after the
+// last the value holds. applyAnimation writes the values at a time into the
+// nodes themselves, so edits show as usual until the time changes again.
+
+const INTERPOLATION_LABELS = {
+  linear: "Linear",
+  ease:   "Ease in/out",
+  step:   "Step",
+};
+
+const KEYFRAME_TIME_EPSILON = 1e-4; // seconds; a key this close is replaced
+
+// [{ name, label, type: "vec3" | "number", param? }] for a primitive kind
+function animatableFields(kind) {
+  const fields = [{ name: "center", label: "Position", type: "vec3" }];
+  if (PRIMITIVE_REGISTRY[kind]?.transform !== false) {
+    fields.push(
+      { name: "rotation", label: "Rotation", type: "vec3" },
+      { name: "scale", label: "Scale", type: "vec3" },
+    );
+  }
+  fields.push({ name: "blend", label: "Blend radius", type: "number" });
+  for (const param of primitiveParams(kind)) {
+    fields.push({ name: param.name, label: param.label, type: param.type, param });
+  }
+  return fields;
+}
+
+const animatableField = (kind, name) => animatableFields(kind).find((f) => f.name === name) ?? null;
+
+// Current value of an animatable field (arrays are copies)
+function getFieldValue(prim, field) {
+  if (field.param) return getPrimitiveParam(prim, field.param);
+  const value = prim[field.name];
+  return Array.isArray(value) ? value.slice(0, 3) : value;
+}
+
+function setFieldValue(prim, field, value) {
+  if (field.param) setPrimitiveParam(prim, field.param, value);
+  else prim[field.name] = Array.isArray(value) ? value.slice(0, 3) : value;
+}
+
+// Adds a key at `time`, replacing one already there; keeps the track sorted
+function setKeyframe(prim, name, time, value, interp = "linear") {
+  prim.keyframes ??= {};
+  const keys = (prim.keyframes[name] ??= []);
+  const key = { time, value: structuredClone(value), interp };
+  const existing = keys.findIndex((k) => Math.abs(k.time - time) < KEYFRAME_TIME_EPSILON);
+  if (existing >= 0) {
+    key.interp = keys[existing].interp;
+    keys[existing] = key;
+  } else {
+    keys.push(key);
+    keys.sort((a, b) => a.time - b.time);
+  }
+}
+
+// Removes key `index` of a track, and the track once it's empty
+function removeKeyframe(prim, name, index) {
+  const keys = prim.keyframes?.[name];
+  if (!keys) return;
+  keys.splice(index, 1);
+  if (keys.length === 0) delete prim.keyframes[name];
+}
+
+const lerpValue = (a, b, u) => (Array.isArray(a) ? a.map((v, i) => v + (b[i] - v) * u) : a + (b - a) * u);
+
+// Value of a sorted, non-empty track at time t
+function sampleTrack(keys, t) {
+  if (t <= keys[0].time) return structuredClone(keys[0].value);
+  const last = keys[keys.length - 1];
+  if (t >= last.time) return structuredClone(last.value);
+
+  let i = 0;
+  while (keys[i + 1].time <= t) i++;
+  const a = keys[i];
+  const b = keys[i + 1];
+  let u = (t - a.time) / (b.time - a.time);
+  if (a.interp === "step") u = 0;
+  else if (a.interp === "ease") u = u * u * (3 - 2 * u); // smoothstep
+  return lerpValue(a.value, b.value, u);
+}
+
+// Writes every keyed field of the tree's primitives at time t. Returns true
+// when a value changed.
+function applyAnimation(nodes, t) {
+  let changed = false;
+  for (const node of nodes) {
+    if (isGroup(node)) {
+      changed = applyAnimation(node.children, t) || changed;
+      continue;
+    }
+    for (const [name, keys] of Object.entries(node.keyframes ?? {})) {
+      const field = animatableField(node.kind, name);
+      if (!field || keys.length === 0) continue;
+      const value = sampleTrack(keys, t);
+      if (JSON.stringify(value) === JSON.stringify(getFieldValue(node, field))) continue;
+      setFieldValue(node, field, value);
+      changed = true;
+    }
+  }
+  return changed;
+}
+
+const hasKeyframes = (nodes) =>
+  nodes.some((node) => (isGroup(node) ? hasKeyframes(node.children) : Object.keys(node.keyframes ?? {}).length > 0));
+
+//#endregion
+//#region Transforms -------------------------------------------------------------
+
+const IDENTITY_MATRIX = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+const mat3Mul = (a, b) =>
+  a.map((row) => [0, 1, 2].map((j) => row[0] * b[0][j] + row[1] * b[1][j] + row[2] * b[2][j]));
+const mat3Transpose = (m) => [0, 1, 2].map((i) => [m[0][i], m[1][i], m[2][i]]);
+const mat3MulVec = (m, v) => m.map((row) => row[0] * v[0] + row[1] * v[1] + row[2] * v[2]);
+
+// Inverse of rotationMatrix: XYZ euler angles in degrees
+function matrixToEuler(m) {
+  const toDeg = (a) => (a * 180) / Math.PI;
+  const sy = Math.min(Math.max(-m[2][0], -1), 1);
+  const y = Math.asin(sy);
+  if (Math.abs(sy) > 0.99999) {
+    // gimbal lock: only x +/- z is defined, put it all in x
+    return [toDeg(Math.atan2(sy * m[0][1], m[1][1])), toDeg(y), 0];
+  }
+  return [toDeg(Math.atan2(m[2][1], m[2][2])), toDeg(y), toDeg(Math.atan2(m[1][0], m[0][0]))];
+}
+
+// A frame maps local points to world: offset + rot * (scale * p)
+const IDENTITY_FRAME = { offset: [0, 0, 0], rot: IDENTITY_MATRIX, scale: 1 };
+
+const applyFrame = (frame, p) =>
+  mat3MulVec(frame.rot, p).map((v, i) => frame.offset[i] + frame.scale * v);
+
+// World -> local direction (no offset)
+const unapplyFrameVector = (frame, v) => mat3MulVec(mat3Transpose(frame.rot), v).map((x) => x / frame.scale);
+
+function groupFrame(parent, group) {
+  return {
+    offset: applyFrame(parent, group.center),
+    rot: mat3Mul(parent.rot, rotationMatrix(group.rotation)),
+    scale: parent.scale * group.scale,
+  };
+}
+
+// Frame that the node at path lives in (composed from its ancestor groups)
+function parentFrame(nodes, path) {
+  let frame = IDENTITY_FRAME;
+  for (let depth = 1; depth < path.length; depth++) {
+    frame = groupFrame(frame, getNode(nodes, path.slice(0, depth)));
+  }
+  return frame;
+}
+
+// Point a primitive rotates and scales about: its center, except for a capsule,
+// which turns about the middle of A and B rather than swinging around A.
+// Must match pivot() in sdf.wgsl.
+function primitivePivot(prim) {
+  if (prim.kind !== CAPSULE) return prim.center.slice(0, 3);
+  return [0, 1, 2].map((i) => (prim.center[i] + prim.params1[i]) / 2);
+}
+
+// Moves a node's center by delta. Position parameters (point: true in the
+// registry, e.g. capsule point B) and the plane offset have to follow; groups
+// only have the center.
+function translatePrimitive(prim, delta) {
+  for (let i = 0; i < 3; i++) prim.center[i] += delta[i];
+  for (const param of primitiveParams(prim.kind)) {
+    if (!param.point) continue;
+    setPrimitiveParam(prim, param, getPrimitiveParam(prim, param).map((v, i) => v + delta[i]));
+  }
+  if (prim.kind === PLANE) {
+    const n = prim.params1.slice(0, 3);
+    const len = Math.hypot(n[0], n[1], n[2]) || 1;
+    prim.param0 -= (delta[0] * n[0] + delta[1] * n[1] + delta[2] * n[2]) / len;
+  }
+}
+
+// Re-expresses a node living in frame `from` in frame `to` without moving it
+// in the world (used when reparenting, copying and pasting). Keyed positions,
+// rotations and scales are poses in the same frame and follow along.
+function reframeNode(node, from, to) {
+  const toLocal = (p) => unapplyFrameVector(to, applyFrame(from, p).map((v, i) => v - to.offset[i]));
+  const turn = mat3Mul(mat3Transpose(to.rot), from.rot);
+  const reorient = (euler) => matrixToEuler(mat3Mul(turn, rotationMatrix(euler)));
+  const scaleRatio = from.scale / to.scale;
+
+  if (isGroup(node)) {
+    node.center = toLocal(node.center);
+    node.scale *= scaleRatio;
+    node.rotation = reorient(node.rotation);
+    return;
+  }
+
+  // the pivot stays put in the world; the rest of the shape turns around it
+  const pivot = primitivePivot(node);
+  const half = pivot.map((v, i) => v - node.center[i]);
+  const delta = toLocal(pivot).map((v, i) => v - pivot[i]);
+  translatePrimitive(node, delta);
+  node.scale = node.scale.map((s) => s * scaleRatio);
+  node.rotation = reorient(node.rotation);
+
+  const keys = (name) => node.keyframes?.[name] ?? [];
+  for (const key of keys("center")) {
+    key.value = toLocal(key.value.map((v, i) => v + half[i])).map((v, i) => v - half[i]);
+  }
+  for (const key of keys("rotation")) key.value = reorient(key.value);
+  for (const key of keys("scale")) key.value = key.value.map((s) => s * scaleRatio);
+  // position parameters move with the center, as in translatePrimitive
+  for (const param of primitiveParams(node.kind)) {
+    if (!param.point) continue;
+    for (const key of keys(param.name)) key.value = key.value.map((v, i) => v + delta[i]);
+  }
+}
+
+// `count` copies of a node for the array tool: copy i (from 1) moved by
+// i * offset and turned by i * rotation (euler degrees) in the node's own
+// frame. Keyed centers, rotations and position parameters get the same step so
+// the copies don't snap back onto the original when the animation plays.
+function arrayCopies(node, count, offset, rotation) {
+  return Array.from({ length: count }, (_, k) => {
+    const copy = structuredClone(node);
+    const move = offset.map((v) => v * (k + 1));
+    const turn = rotation.map((v) => v * (k + 1));
+    if (isGroup(copy)) {
+      copy.center = copy.center.map((v, i) => v + move[i]);
+    } else {
+      translatePrimitive(copy, move);
+    }
+    copy.rotation = copy.rotation.map((v, i) => v + turn[i]);
+
+    const step = { center: move, rotation: turn };
+    for (const param of primitiveParams(copy.kind)) {
+      if (param.point) step[param.name] = move;
+    }
+    for (const [field, delta] of Object.entries(step)) {
+      for (const key of copy.keyframes?.[field] ?? []) {
+        key.value = key.value.map((v, i) => v + delta[i]);
+      }
+    }
+    return copy;
+  });
+}
+
+//#endregion
+//#region Flattening -------------------------------------------------------------
+
+// Flattens the tree into the item list buildSceneData packs: primitives baked
+// into world space (with a rotation matrix instead of euler angles), and
+// GROUP_BEGIN / GROUP_END markers around each group's children. Both markers
+// carry the group's op and blend. A primitive with modifiers is preceded by a
+// { kind: MODIFIER, modifier } item for each. paths[i] is the node item i
+// came from.
+function flattenSceneTree(nodes) {
+  const items = [];
+  const paths = [];
+
+  function visit(list, frame, prefix) {
+    list.forEach((node, i) => {
+      const path = [...prefix, i];
+
+      if (isGroup(node)) {
+        items.push({ kind: GROUP_BEGIN, op: node.op, blend: node.blend });
+        paths.push(path);
+        visit(node.children, groupFrame(frame, node), path);
+        items.push({ kind: GROUP_END, op: node.op, blend: node.blend });
+        paths.push(path);
+        return;
+      }
+
+      const prim = structuredClone(node);
+      const pivot = primitivePivot(node);
+      translatePrimitive(prim, applyFrame(frame, pivot).map((v, k) => v - pivot[k]));
+      prim.rotMatrix = mat3Mul(frame.rot, rotationMatrix(node.rotation));
+      prim.scale = node.scale.map((s) => s * frame.scale);
+      for (const modifier of prim.modifiers ?? []) {
+        items.push({ kind: MODIFIER, modifier });
+        paths.push(path);
+      }
+      items.push(prim);
+      paths.push(path);
+    });
+  }
+
+  visit(nodes, IDENTITY_FRAME, []);
+  return { items, paths };
+}
+
+//#endregion
+//#region Materials --------------------------------------------------------------
+// The material library has its own GPU buffer; a primitive's materialId is an
+// index into it. Colors are linear RGB in 0..1 (the shader gamma-corrects).
+
+const MAX_MATERIALS = 16;   // must match WGSL MAX_MATERIALS
+const MATERIAL_SIZE = 64;   // bytes (Material = 4 * vec4)
+const MATERIALS_SIZE = MAX_MATERIALS * MATERIAL_SIZE;
+
+function makeMaterial(overrides = {}) {
+  return {
+    name: "Material",
+    color: [0.8, 0.8, 0.8],
+    roughness: 0.5,
+    metalness: 0.0,
+    ior: 1.5,
+    transmission: 0.0,               // 0 = opaque, 1 = clear glass
+    emission: [1.0, 1.0, 1.0],       // color
+    emissionStrength: 0.0,
+    checker: false,                  // alternate color with checkerColor in XZ
+    checkerColor: [0.2, 0.2, 0.2],
+    checkerScale: 1.0,               // squares per world unit
+    ...overrides,
+  };
+}
+
+// The built-in looks, at the MAT_* indices
+function makeDefaultMaterials() {
+  return [
+    makeMaterial({ name: "Ground", color: [0.9, 0.9, 0.9], roughness: 1.0, checker: true }),
+    makeMaterial({ name: "Metal", color: [0.8, 0.85, 0.9], roughness: 0.0, metalness: 1.0 }),
+    makeMaterial({ name: "Glass", color: [0.9, 0.9, 1.0], roughness: 0.0, ior: 1.5, transmission: 1.0 }),
+    makeMaterial({ name: "Water", color: [0.8, 0.9, 1.0], roughness: 0.0, ior: 1.33, transmission: 1.0 }),
+    makeMaterial({ name: "Diffuse", color: [1.0, 0.5, 0.3], roughness: 1.0 }),
+  ];
+}
+
+// { index: name } table for createLabeledSelect
+const materialLabels = (materials) => Object.fromEntries(materials.map((m, i) => [i, m.name]));
+
+// Packs the library into the WGSL Materials layout
+function buildMaterialData(materials) {
+  const buffer = new ArrayBuffer(MATERIALS_SIZE);
+  const f32 = new Float32Array(buffer);
+
+  materials.slice(0, MAX_MATERIALS).forEach((mat, i) => {
+    const base = (i * MATERIAL_SIZE) / 4;
+    // color_roughness
+    f32.set([...mat.color, mat.roughness], base);
+    // emission_metalness: emission is pre-multiplied by its strength
+    f32.set([...mat.emission.map((c) => c * mat.emissionStrength), mat.metalness], base + 4);
+    // checker: w = squares per unit, 0 = off
+    f32.set([...mat.checkerColor, mat.checker ? mat.checkerScale : 0], base + 8);
+    // optics
+    f32.set([mat.ior, mat.transmission, 0, 0], base + 12);
+  });
+
+  return buffer;
+}
+
+// Deletes material `index` from the library; primitives using it fall back to
+// material 0 and later indices shift down to stay on the same material
+function removeMaterial(nodes, materials, index) {
+  materials.splice(index, 1);
+  const remap = (list) => list.forEach((node) => {
+    if (isGroup(node)) {
+      remap(node.children);
+    } else if (node.materialId === index) {
+      node.materialId = 0;
+    } else if (node.materialId > index) {
+      node.materialId -= 1;
+    }
+  });
+  remap(nodes);
+}
+
+// <input type="color"> works in sRGB hex; the library stores linear values.
+// Uses the same 2.2 gamma as gamma_correct in the shader.
+function linearToHex(rgb) {
+  const hex = (c) => Math.round(Math.pow(Math.min(Math.max(c, 0), 1), 1 / 2.2) * 255).toString(16).padStart(2, "0");
+  return "#" + rgb.map(hex).join("");
+}
+
+function hexToLinear(hex) {
+  return [1, 3, 5].map((i) => Math.pow(parseInt(hex.slice(i, i + 2), 16) / 255, 2.2));
+}
+
+//#endregion
+//#region Lights -----------------------------------------------------------------
+// Lights are a flat list next to the scene tree, packed into the scene buffer
+// ahead of the primitives. Colors are linear RGB; intensity scales the color.
+
+const LIGHT_POINT       = 0;
+const LIGHT_DIRECTIONAL = 1;
+const LIGHT_SPOT        = 2;
+
+const LIGHT_KIND_LABELS = {
+  [LIGHT_POINT]:       "Point",
+  [LIGHT_DIRECTIONAL]: "Directional",
+  [LIGHT_SPOT]:        "Spot",
+};
+
+// Every light keeps every field, like primitives keep their unused params
+function makeDefaultLight(kind) {
+  const light = {
+    kind,
+    name: LIGHT_KIND_LABELS[kind] + " light",
+    position: [2.0, 3.0, 2.0],
+    direction: [0.0, -1.0, 0.0],     // where the light shines (directional, spot)
+    color: [1.0, 1.0, 1.0],
+    intensity: 20.0,                 // point / spot fall off with distance squared
+    radius: 0.1,                     // source size: 0 = hard shadows
+    angle: 30.0,                     // spot cone half-angle, degrees
+    edge: 0.2,                       // fraction of the cone that fades out
+  };
+
+  switch (kind) {
+    case LIGHT_DIRECTIONAL:
+      return { ...light, direction: [-1.0, -2.0, 1.0], intensity: 1.0, radius: 0.05 };
+    case LIGHT_SPOT:
+      return { ...light, position: [0.0, 4.0, 0.0], intensity: 30.0 };
+    default:
+      return light;
+  }
+}
+
+// The sun the editor used to hardcode (a light at (5, 8, -5))
+function makeDefaultLights() {
+  return [{ ...makeDefaultLight(LIGHT_DIRECTIONAL), name: "Sun", direction: [-5.0, -8.0, 5.0], radius: 0.0 }];
+}
+
+// Smallest cone edge packed for the GPU: smoothstep needs its two edges apart,
+// so a hard-edged (edge 0) spot still fades over a sliver of the cone
+const MIN_SPOT_EDGE = 0.01;
+
+// Light struct fields for one light
+function lightFields(light) {
+  const len = Math.hypot(...light.direction) || 1;
+  const angle = (light.angle * Math.PI) / 180;
+
+  return {
+    position_kind: [...light.position, light.kind],
+    direction: [...light.direction.map((v) => v / len), 0],
+    // color is pre-multiplied by intensity
+    color_radius: [...light.color.map((c) => c * light.intensity), light.radius],
+    // cosines of the outer and inner cone angles
+    spot: [Math.cos(angle), Math.cos(angle * (1 - Math.max(light.edge, MIN_SPOT_EDGE))), 0, 0],
+  };
+}
+
+//#endregion
+//#region Camera lens ------------------------------------------------------------
+// Lens settings from the Camera panel, saved with the scene. fov is the angle
+// across the shorter side of the image in degrees, aperture the lens radius and
+// focusDistance how far in front of the camera things are sharp (world units).
+
+const DEFAULT_FOCAL_LENGTH = 1.5; // the fixed lens from before fov was adjustable
+
+function makeDefaultLens() {
+  return {
+    fov: (2 * Math.atan(0.5 / DEFAULT_FOCAL_LENGTH) * 180) / Math.PI,
+    orthographic: false,
+    aperture: 0,
+    focusDistance: 4,
+  };
+}
+
+// uniforms.lens for a camera orbiting at dist: [focal length, orthographic view
+// height (0 = perspective), aperture, focus distance]. The orthographic view
+// spans what the perspective one shows at the orbit target.
+function lensUniform(lens, dist) {
+  const focalLength = 0.5 / Math.tan((lens.fov * Math.PI) / 360);
+  return [focalLength, lens.orthographic ? dist / focalLength : 0, lens.aperture, lens.focusDistance];
+}
+
+//#endregion
+//#region WGSL interface ---------------------------------------------------------
+
+// WGSL for the scene buffer: the IDs the shader switches on and the Light,
+// Primitive and Scene structs. main.js prepends it to the shader like Uniforms.
+function sceneWGSL() {
+  const consts = {
+    SPHERE, PLANE, BOX, ROUNDED_BOX, CYLINDER, TORUS, CAPSULE,
+    CONE, CAPPED_CONE, ELLIPSOID, HEX_PRISM, OCTAHEDRON, LINK, TRI_PRISM,
+    GROUP_BEGIN, GROUP_END, MODIFIER,
+    MOD_REPEAT, MOD_REPEAT_LIMITED, MOD_MIRROR, MOD_TWIST, MOD_BEND, MOD_ROUND, MOD_ONION, MOD_NOISE,
+    OP_UNION, OP_SUBTRACT, OP_INTERSECT, OP_SMOOTH_UNION, OP_SMOOTH_SUBTRACT, OP_SMOOTH_INTERSECT,
+    MAX_LIGHTS, LIGHT_POINT, LIGHT_DIRECTIONAL, LIGHT_SPOT,
+  };
+  const structs = [LIGHT_LAYOUT, PRIMITIVE_LAYOUT, SCENE_LAYOUT].map(wgslStructText);
+  return ["// Generated by sceneWGSL() in scene.js", wgslConstsText(consts), ...structs].join("\n\n");
+}
+
+//#endregion
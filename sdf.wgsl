@@ -0,0 +1,260 @@
+// SDF primitives: one distance function per kind and sd_primitive dispatching
+// on header.x. The Primitive struct and kind IDs come from sceneWGSL() in
+// scene.js. Included by shader.wgsl.
+
+// Sphere
+// center = center_param0.xyz
+// radius = center_param0.w
+fn sd_sphere(p: vec3<f32>, s: Primitive) -> f32 {
+  return length(p - s.center_param0.xyz) - s.center_param0.w;
+}
+
+// Plane
+// normal   = params1.xyz (must be normalized)
+// offset h = center_param0.w   (equation: dot(p, n) + h = 0)
+fn sd_plane(p: vec3<f32>, pl: Primitive) -> f32 {
+  let n = normalize(pl.params1.xyz);
+  let h = pl.center_param0.w;
+  return dot(p, n) + h;
+}
+
+// Box
+// center = center_param0.xyz
+// size   = params1.xyz (half-size)
+fn sd_box(p: vec3<f32>, b: Primitive) -> f32 {
+  let c = b.center_param0.xyz;
+  let half_size = b.params1.xyz;
+  let q = abs(p - c) - half_size;
+  return length(max(q, vec3<f32>(0.0))) + min(max(q.x, max(q.y, q.z)), 0.0);
+}
+
+// Rounded Box
+// center = center_param0.xyz
+// size   = params1.xyz (half-size)
+// radius = center_param0.w
+fn sd_rounded_box(p: vec3<f32>, rb: Primitive) -> f32 {
+  let c = rb.center_param0.xyz;
+  let half_size = rb.params1.xyz;
+  let r = rb.center_param0.w;
+  let q = abs(p - c) - half_size;
+  return length(max(q, vec3<f32>(0.0))) + min(max(q.x, max(q.y, q.z)), 0.0) - r;
+}
+
+// Cylinder
+// center = center_param0.xyz
+// radius = params1.x
+// height = center_param0.w
+fn sd_cylinder(p: vec3<f32>, cy: Primitive) -> f32 {
+  let c = cy.center_param0.xyz;
+  let radius = cy.params1.x;
+  let height = cy.center_param0.w;
+  let q = abs(vec2<f32>(length(p.xz - c.xz), p.y - c.y))
+          - vec2<f32>(radius, height * 0.5);
+  return min(max(q.x, q.y), 0.0) + length(max(q, vec2<f32>(0.0)));
+}
+
+// Torus
+// center        = center_param0.xyz
+// major_radius  = center_param0.w
+// minor_radius  = params1.x
+fn sd_torus(p: vec3<f32>, t: Primitive) -> f32 {
+  let c = t.center_param0.xyz;
+  let R = t.center_param0.w;  // major radius
+  let r = t.params1.x;        // minor radius
+  let q = vec2<f32>(length(p.xz - c.xz) - R, p.y - c.y);
+  return length(q) - r;
+}
+
+// Capsule
+// a      = center_param0.xyz
+// b      = params1.xyz
+// radius = center_param0.w
+fn sd_capsule(p: vec3<f32>, c: Primitive) -> f32 {
+  let a = c.center_param0.xyz;
+  let b = c.params1.xyz;
+  let radius = c.center_param0.w;
+
+  let pa = p - a;
+  let ba = b - a;
+  let h = clamp(dot(pa, ba) / dot(ba, ba), 0.0, 1.0);
+  return length(pa - ba * h) - radius;
+}
+
+// Cone frustum along y: q = (distance from the axis, height above center),
+// h = half height, r1 / r2 = bottom / top radius
+fn cone_dist(q: vec2<f32>, h: f32, r1: f32, r2: f32) -> f32 {
+  let k1 = vec2<f32>(r2, h);
+  let k2 = vec2<f32>(r2 - r1, 2.0 * h);
+  let ca = vec2<f32>(q.x - min(q.x, select(r2, r1, q.y < 0.0)), abs(q.y) - h);
+  let cb = q - k1 + k2 * clamp(dot(k1 - q, k2) / dot(k2, k2), 0.0, 1.0);
+  let s = select(1.0, -1.0, cb.x < 0.0 && ca.y < 0.0);
+  return s * sqrt(min(dot(ca, ca), dot(cb, cb)));
+}
+
+// Cone along y, tip up
+// center = center_param0.xyz
+// radius = params1.x (base)
+// height = center_param0.w
+fn sd_cone(p: vec3<f32>, co: Primitive) -> f32 {
+  let c = co.center_param0.xyz;
+  let q = vec2<f32>(length(p.xz - c.xz), p.y - c.y);
+  return cone_dist(q, co.center_param0.w * 0.5, co.params1.x, 0.0);
+}
+
+// Capped cone along y
+// center        = center_param0.xyz
+// bottom radius = params1.x
+// top radius    = params1.y
+// height        = center_param0.w
+fn sd_capped_cone(p: vec3<f32>, cc: Primitive) -> f32 {
+  let c = cc.center_param0.xyz;
+  let q = vec2<f32>(length(p.xz - c.xz), p.y - c.y);
+  return cone_dist(q, cc.center_param0.w * 0.5, cc.params1.x, cc.params1.y);
+}
+
+// Ellipsoid (bound, not exact)
+// center = center_param0.xyz
+// radii  = params1.xyz
+fn sd_ellipsoid(p: vec3<f32>, e: Primitive) -> f32 {
+  let q = p - e.center_param0.xyz;
+  let r = e.params1.xyz;
+  let k0 = length(q / r);
+  let k1 = length(q / (r * r));
+  return k0 * (k0 - 1.0) / max(k1, 1e-6);
+}
+
+// Hexagonal prism along y
+// center = center_param0.xyz
+// radius = params1.x (center to the middle of a side)
+// height = center_param0.w
+fn sd_hex_prism(p: vec3<f32>, hp: Primitive) -> f32 {
+  let k = vec3<f32>(-0.8660254, 0.5, 0.57735);
+  let r = hp.params1.x;
+  let h = hp.center_param0.w * 0.5;
+
+  var q = abs(p - hp.center_param0.xyz).xzy;
+  let fold = 2.0 * min(dot(k.xy, q.xy), 0.0) * k.xy;
+  q = vec3<f32>(q.xy - fold, q.z);
+  let d = vec2<f32>(
+    length(q.xy - vec2<f32>(clamp(q.x, -k.z * r, k.z * r), r)) * sign(q.y - r),
+    q.z - h,
+  );
+  return min(max(d.x, d.y), 0.0) + length(max(d, vec2<f32>(0.0)));
+}
+
+// Octahedron
+// center = center_param0.xyz
+// size   = center_param0.w (center to a vertex)
+fn sd_octahedron(p: vec3<f32>, o: Primitive) -> f32 {
+  let s = o.center_param0.w;
+  let a = abs(p - o.center_param0.xyz);
+  let m = a.x + a.y + a.z - s;
+
+  var q: vec3<f32>;
+  if (3.0 * a.x < m) {
+    q = a;
+  } else if (3.0 * a.y < m) {
+    q = a.yzx;
+  } else if (3.0 * a.z < m) {
+    q = a.zxy;
+  } else {
+    return m * 0.57735027;
+  }
+  let t = clamp(0.5 * (q.z - q.y + s), 0.0, s);
+  return length(vec3<f32>(q.x, q.y - s + t, q.z - t));
+}
+
+// Chain link in the xy plane, stretched along y
+// center      = center_param0.xyz
+// half-length = center_param0.w (of the straight sides)
+// radius      = params1.x
+// thickness   = params1.y
+fn sd_link(p: vec3<f32>, l: Primitive) -> f32 {
+  let d = p - l.center_param0.xyz;
+  let q = vec3<f32>(d.x, max(abs(d.y) - l.center_param0.w, 0.0), d.z);
+  return length(vec2<f32>(length(q.xy) - l.params1.x, q.z)) - l.params1.y;
+}
+
+// Triangular prism along y (bound, not exact)
+// center = center_param0.xyz
+// size   = params1.x (center to a vertex)
+// height = center_param0.w
+fn sd_tri_prism(p: vec3<f32>, tp: Primitive) -> f32 {
+  let d = (p - tp.center_param0.xyz).xzy;
+  let q = abs(d);
+  let s = tp.params1.x;
+  return max(q.z - tp.center_param0.w * 0.5, max(q.x * 0.866025 + d.y * 0.5, -d.y) - s * 0.5);
+}
+
+// Point a primitive rotates and scales about: its center, except for a capsule,
+// which turns about the middle of A and B. Mirrors primitivePivot in scene.js.
+fn pivot(prim: Primitive) -> vec3<f32> {
+  if (prim.header.x == CAPSULE) {
+    return 0.5 * (prim.center_param0.xyz + prim.params1.xyz);
+  }
+  return prim.center_param0.xyz;
+}
+
+// Moves p into the primitive's local frame: undo rotation and scale about its
+// pivot, so the sd_* functions above can stay axis-aligned
+fn to_local(p: vec3<f32>, prim: Primitive) -> vec3<f32> {
+  let c = pivot(prim);
+  return c + (prim.inv_rot * (p - c)) / prim.scale.xyz;
+}
+
+// Distance to the shape for a point already in its local frame
+fn sd_shape(p: vec3<f32>, prim: Primitive) -> f32 {
+  switch (prim.header.x) {
+    case SPHERE: {
+      return sd_sphere(p, prim);
+    }
+    case PLANE: {
+      return sd_plane(p, prim);
+    }
+    case BOX: {
+      return sd_box(p, prim);
+    }
+    case ROUNDED_BOX: {
+      return sd_rounded_box(p, prim);
+    }
+    case CYLINDER: {
+      return sd_cylinder(p, prim);
+    }
+    case TORUS: {
+      return sd_torus(p, prim);
+    }
+    case CAPSULE: {
+      return sd_capsule(p, prim);
+    }
+    case CONE: {
+      return sd_cone(p, prim);
+    }
+    case CAPPED_CONE: {
+      return sd_capped_cone(p, prim);
+    }
+    case ELLIPSOID: {
+      return sd_ellipsoid(p, prim);
+    }
+    case HEX_PRISM: {
+      return sd_hex_prism(p, prim);
+    }
+    case OCTAHEDRON: {
+      return sd_octahedron(p, prim);
+    }
+    case LINK: {
+      return sd_link(p, prim);
+    }
+    case TRI_PRISM: {
+      return sd_tri_prism(p, prim);
+    }
+    default: {
+      return 1e6; // large distance for unknown primitive
+    }
+  }
+}
+
+fn sd_primitive(p_world: vec3<f32>, prim: Primitive) -> f32 {
+  // non-uniform scale stretches distances; the smallest factor keeps a safe bound
+  let scale_bound = min(prim.scale.x, min(prim.scale.y, prim.scale.z));
+  return sd_shape(to_local(p_world, prim), prim) * scale_bound;
+}
@@ -0,0 +1,782 @@
+//#region Scene file format ------------------------------------------------------
+// Scenes are saved as versioned JSON:
+//
+//   {
+//     "format": "aicg-shadertoy-scene",
+//     "version": 10,
+//     "camera": { "target": [x, y, z], "dist": 4, "yaw": 0, "pitch": 0.5 },
+//     "lens": { "fov": 36.87, "orthographic": false, "aperture": 0, "focusDistance": 4 },
+//     "timeline": { "duration": 10 },
+//     "bookmarks": [
+//       { "name": "Close-up", "target": [x, y, z], "dist": 2, "yaw": 0.8, "pitch": 0.3 }
+//     ],
+//     "materials": [
+//       { "name": "Metal", "color": [r, g, b], "roughness": 0, "metalness": 1,
+//         "ior": 1.5, "transmission": 0, "emission": [r, g, b], "emissionStrength": 0,
+//         "checker": false, "checkerColor": [r, g, b], "checkerScale": 1 }
+//     ],
+//     "lights": [
+//       { "kind": "spot", "name": "Spot light", "position": [x, y, z], "direction": [x, y, z],
+//         "color": [r, g, b], "intensity": 30, "radius": 0.1, "angle": 30, "edge": 0.2 }
+//     ],
+//     "primitives": [
+//       { "kind": "sphere", "material": 0,
+//         "center": [x, y, z], "param0": 0.8, "params1": [x, y, z, w],
+//         "rotation": [x, y, z], "scale": [x, y, z],
+//         "op": "union", "blend": 0.25,
+//         "modifiers": [{ "type": "twist", "rate": 1 }],
+//         "keyframes": { "center": [{ "time": 0, "value": [x, y, z], "interp": "ease" }] } },
+//       { "kind": "group", "name": "Group", "center": [x, y, z],
+//         "rotation": [x, y, z], "scale": 1, "op": "union", "blend": 0.25,
+//         "collapsed": false, "children": [ ... ] }
+//     ]
+//   }
+//
+// Kinds are stored by name so the file survives ID renumbering; "material" is an
+// index into the file's own material library.
+//
+// History:
+//   1  initial format
+//   2  per-primitive rotation (euler degrees) and scale; v1 files load untransformed
+//   3  per-primitive CSG op and blend radius; older files load as plain unions
+//   4  groups ("kind": "group" nodes with children)
+//   5  material library; before that "material" named one of the built-in
+//      materials, and those files load with the default library
+//   6  lights; older files get the default sun
+//   7  per-primitive modifiers; older files load without any
+//   8  per-primitive keyframes and the timeline length; older files load
+//      without animation and a 10 s timeline
+//   9  camera bookmarks; older files load without any
+//  10  camera lens (field of view, projection, depth of field); older files
+//      get the fixed lens they were made with
+
+const SCENE_FILE_FORMAT = "aicg-shadertoy-scene";
+const SCENE_FILE_VERSION = 10;
+const DEFAULT_TIMELINE_DURATION = 10; // seconds, for files before version 8
+const GROUP_KIND_NAME = "group";
+
+const PRIM_KIND_NAMES = Object.fromEntries(
+  Object.entries(PRIMITIVE_REGISTRY).map(([kind, entry]) => [kind, entry.name]),
+);
+
+const MODIFIER_NAMES = Object.fromEntries(
+  Object.entries(MODIFIER_REGISTRY).map(([type, entry]) => [type, entry.name]),
+);
+
+const LIGHT_KIND_NAMES = {
+  [LIGHT_POINT]:       "point",
+  [LIGHT_DIRECTIONAL]: "directional",
+  [LIGHT_SPOT]:        "spot",
+};
+
+// Built-in material names used by version 1-4 files
+const MATERIAL_NAMES = {
+  [MAT_GROUND]:  "ground",
+  [MAT_METAL]:   "metal",
+  [MAT_GLASS]:   "glass",
+  [MAT_WATER]:   "water",
+  [MAT_DIFFUSE]: "diffuse",
+};
+
+const OP_NAMES = {
+  [OP_UNION]:            "union",
+  [OP_SUBTRACT]:         "subtract",
+  [OP_INTERSECT]:        "intersect",
+  [OP_SMOOTH_UNION]:     "smoothUnion",
+  [OP_SMOOTH_SUBTRACT]:  "smoothSubtract",
+  [OP_SMOOTH_INTERSECT]: "smoothIntersect",
+};
+
+// name -> id lookup for one of the tables above
+const idByName = (table, name) => {
+  const entry = Object.entries(table).find(([, n]) => n === name);
+  return entry ? parseInt(entry[0], 10) : undefined;
+};
+
+//#endregion
+//#region Save -------------------------------------------------------------------
+
+function serializeNode(node) {
+  if (isGroup(node)) {
+    return {
+      kind: GROUP_KIND_NAME,
+      name: node.name,
+      center: node.center.slice(0, 3),
+      rotation: node.rotation.slice(0, 3),
+      scale: node.scale,
+      op: OP_NAMES[node.op],
+      blend: node.blend,
+      collapsed: node.collapsed,
+      children: node.children.map(serializeNode),
+    };
+  }
+  return {
+    kind: PRIM_KIND_NAMES[node.kind],
+    material: node.materialId,
+    center: node.center.slice(0, 3),
+    param0: node.param0,
+    params1: node.params1.slice(0, 4),
+    rotation: node.rotation.slice(0, 3),
+    scale: node.scale.slice(0, 3),
+    op: OP_NAMES[node.op],
+    blend: node.blend,
+    modifiers: (node.modifiers ?? []).map(serializeModifier),
+    keyframes: serializeKeyframes(node.keyframes ?? {}),
+  };
+}
+
+// { field: [{ time, value, interp }] } with copied values
+function serializeKeyframes(keyframes) {
+  return Object.fromEntries(
+    Object.entries(keyframes).map(([name, keys]) => [
+      name,
+      keys.map((k) => ({ time: k.time, value: Array.isArray(k.value) ? k.value.slice(0, 3) : k.value, interp: k.interp })),
+    ]),
+  );
+}
+
+// { type: "twist", rate: 1 }: the type by name, then the registry parameters
+function serializeModifier(modifier) {
+  const out = { type: MODIFIER_NAMES[modifier.type] };
+  for (const param of modifierParams(modifier.type)) {
+    const value = modifier[param.name];
+    out[param.name] = Array.isArray(value) ? value.slice(0, 3) : value;
+  }
+  return out;
+}
+
+// Library material -> file fields (scene files and the clipboard)
+function serializeMaterial(mat) {
+  return {
+    name: mat.name,
+    color: mat.color.slice(0, 3),
+    roughness: mat.roughness,
+    metalness: mat.metalness,
+    ior: mat.ior,
+    transmission: mat.transmission,
+    emission: mat.emission.slice(0, 3),
+    emissionStrength: mat.emissionStrength,
+    checker: mat.checker,
+    checkerColor: mat.checkerColor.slice(0, 3),
+    checkerScale: mat.checkerScale,
+  };
+}
+
+// Orbit view { target: {x, y, z}, dist, yaw, pitch } -> file fields
+const serializeView = (view) => ({
+  target: [view.target.x, view.target.y, view.target.z],
+  dist: view.dist,
+  yaw: view.yaw,
+  pitch: view.pitch,
+});
+
+// Takes the same shape deserializeScene returns: primitives is the scene tree,
+// camera = { target: {x, y, z}, dist, yaw, pitch }, materials is the library
+// the primitives' materialIds index into, timeline = { duration }, bookmarks
+// are named cameras and lens comes from makeDefaultLens
+function serializeScene({ primitives, camera, materials, lights, timeline, bookmarks = [], lens = makeDefaultLens() }) {
+  return {
+    format: SCENE_FILE_FORMAT,
+    version: SCENE_FILE_VERSION,
+    camera: serializeView(camera),
+    lens: {
+      fov: lens.fov,
+      orthographic: lens.orthographic,
+      aperture: lens.aperture,
+      focusDistance: lens.focusDistance,
+    },
+    timeline: { duration: timeline?.duration ?? DEFAULT_TIMELINE_DURATION },
+    bookmarks: bookmarks.map((bookmark) => ({ name: bookmark.name, ...serializeView(bookmark) })),
+    materials: materials.map(serializeMaterial),
+    lights: lights.map((light) => ({
+      kind: LIGHT_KIND_NAMES[light.kind],
+      name: light.name,
+      position: light.position.slice(0, 3),
+      direction: light.direction.slice(0, 3),
+      color: light.color.slice(0, 3),
+      intensity: light.intensity,
+      radius: light.radius,
+      angle: light.angle,
+      edge: light.edge,
+    })),
+    primitives: primitives.map(serializeNode),
+  };
+}
+
+//#endregion
+//#region Load -------------------------------------------------------------------
+
+const isNumber = (v) => typeof v === "number" && Number.isFinite(v);
+const isPlainObject = (v) => v !== null && typeof v === "object" && !Array.isArray(v);
+
+function checkVector(errors, path, value, length) {
+  if (!Array.isArray(value) || value.length !== length) {
+    const got = Array.isArray(value) ? `${value.length} values` : JSON.stringify(value);
+    errors.push(`${path}: expected ${length} numbers, got ${got}`);
+  } else if (!value.every(isNumber)) {
+    errors.push(`${path}: expected ${length} numbers, got ${JSON.stringify(value)}`);
+  }
+}
+
+function checkNumber(errors, path, value) {
+  if (!isNumber(value)) {
+    errors.push(`${path}: expected a number, got ${JSON.stringify(value)}`);
+  }
+}
+
+// Fields of an orbit view, from serializeView
+function checkView(errors, path, view) {
+  checkVector(errors, `${path}.target`, view.target, 3);
+  checkNumber(errors, `${path}.dist`, view.dist);
+  // the orbit camera divides by it (MIN_CAMERA_DIST keeps it positive in the app)
+  if (isNumber(view.dist) && view.dist <= 0) {
+    errors.push(`${path}.dist: must be positive, got ${view.dist}`);
+  }
+  checkNumber(errors, `${path}.yaw`, view.yaw);
+  checkNumber(errors, `${path}.pitch`, view.pitch);
+}
+
+// Returns a list of human readable problems, empty when data is a valid scene file
+function validateSceneFile(data) {
+  const errors = [];
+
+  if (!isPlainObject(data)) {
+    return ["scene file must be a JSON object"];
+  }
+  if (data.format !== SCENE_FILE_FORMAT) {
+    errors.push(`format: expected "${SCENE_FILE_FORMAT}", got ${JSON.stringify(data.format)}`);
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    errors.push(`version: expected a positive integer, got ${JSON.stringify(data.version)}`);
+  } else if (data.version > SCENE_FILE_VERSION) {
+    errors.push(`version: ${data.version} is newer than this editor supports (${SCENE_FILE_VERSION})`);
+  }
+
+  if (!isPlainObject(data.camera)) {
+    errors.push("camera: expected an object");
+  } else {
+    checkView(errors, "camera", data.camera);
+  }
+
+  if (data.version >= 8) {
+    if (!isPlainObject(data.timeline)) {
+      errors.push("timeline: expected an object");
+    } else {
+      checkNumber(errors, "timeline.duration", data.timeline.duration);
+      if (isNumber(data.timeline.duration) && data.timeline.duration <= 0) {
+        errors.push(`timeline.duration: must be positive, got ${data.timeline.duration}`);
+      }
+    }
+  }
+
+  if (data.version >= 10) {
+    validateLens(errors, data.lens);
+  }
+  if (data.version >= 9) {
+    validateBookmarks(errors, data.bookmarks);
+  }
+
+  const materialCount = data.version >= 5 ? validateMaterials(errors, data.materials) : null;
+  if (data.version >= 6) {
+    validateLights(errors, data.lights);
+  }
+
+  if (!Array.isArray(data.primitives)) {
+    errors.push("primitives: expected an array");
+    return errors;
+  }
+
+  validateNodes(errors, data.version, data.primitives, "primitives", 0, materialCount);
+  if (errors.length === 0) {
+    const slots = countFileSlots(data.primitives);
+    if (slots > MAX_PRIMS) {
+      errors.push(`primitives: scene needs ${slots} slots (groups take 2, modifiers 1), the limit is ${MAX_PRIMS}`);
+    }
+  }
+
+  return errors;
+}
+
+// countSlots for the file's node lists
+const countFileSlots = (list) =>
+  list.reduce(
+    (n, node) => n + (node.kind === GROUP_KIND_NAME ? 2 + countFileSlots(node.children) : 1 + (node.modifiers?.length ?? 0)),
+    0,
+  );
+
+function validateLens(errors, lens) {
+  if (!isPlainObject(lens)) {
+    errors.push("lens: expected an object");
+    return;
+  }
+  for (const field of ["fov", "aperture", "focusDistance"]) {
+    checkNumber(errors, `lens.${field}`, lens[field]);
+  }
+  if (isNumber(lens.fov) && (lens.fov <= 0 || lens.fov >= 180)) {
+    errors.push(`lens.fov: must be between 0 and 180 degrees, got ${lens.fov}`);
+  }
+  if (isNumber(lens.aperture) && lens.aperture < 0) {
+    errors.push(`lens.aperture: must not be negative, got ${lens.aperture}`);
+  }
+  if (isNumber(lens.focusDistance) && lens.focusDistance <= 0) {
+    errors.push(`lens.focusDistance: must be positive, got ${lens.focusDistance}`);
+  }
+  if (typeof lens.orthographic !== "boolean") {
+    errors.push(`lens.orthographic: expected true or false, got ${JSON.stringify(lens.orthographic)}`);
+  }
+}
+
+function validateBookmarks(errors, bookmarks) {
+  if (!Array.isArray(bookmarks)) {
+    errors.push("bookmarks: expected an array");
+    return;
+  }
+  bookmarks.forEach((bookmark, i) => {
+    const path = `bookmarks[${i}]`;
+    if (!isPlainObject(bookmark)) {
+      errors.push(`${path}: expected an object`);
+      return;
+    }
+    if (typeof bookmark.name !== "string") {
+      errors.push(`${path}.name: expected a string, got ${JSON.stringify(bookmark.name)}`);
+    }
+    checkView(errors, path, bookmark);
+  });
+}
+
+// Checks the version 5+ material library, returns how many materials it has
+function validateMaterials(errors, materials) {
+  if (!Array.isArray(materials) || materials.length === 0) {
+    errors.push("materials: expected a non-empty array");
+    return 0;
+  }
+  if (materials.length > MAX_MATERIALS) {
+    errors.push(`materials: scene has ${materials.length} materials, the limit is ${MAX_MATERIALS}`);
+  }
+
+  materials.forEach((mat, i) => {
+    const path = `materials[${i}]`;
+    if (!isPlainObject(mat)) {
+      errors.push(`${path}: expected an object`);
+      return;
+    }
+    if (typeof mat.name !== "string") {
+      errors.push(`${path}.name: expected a string, got ${JSON.stringify(mat.name)}`);
+    }
+    for (const field of ["color", "emission", "checkerColor"]) {
+      checkVector(errors, `${path}.${field}`, mat[field], 3);
+    }
+    for (const field of ["roughness", "metalness", "ior", "transmission", "emissionStrength", "checkerScale"]) {
+      checkNumber(errors, `${path}.${field}`, mat[field]);
+    }
+    if (typeof mat.checker !== "boolean") {
+      errors.push(`${path}.checker: expected true or false, got ${JSON.stringify(mat.checker)}`);
+    }
+  });
+
+  return materials.length;
+}
+
+function validateLights(errors, lights) {
+  if (!Array.isArray(lights)) {
+    errors.push("lights: expected an array");
+    return;
+  }
+  if (lights.length > MAX_LIGHTS) {
+    errors.push(`lights: scene has ${lights.length} lights, the limit is ${MAX_LIGHTS}`);
+  }
+
+  lights.forEach((light, i) => {
+    const path = `lights[${i}]`;
+    if (!isPlainObject(light)) {
+      errors.push(`${path}: expected an object`);
+      return;
+    }
+    if (idByName(LIGHT_KIND_NAMES, light.kind) === undefined) {
+      errors.push(`${path}.kind: unknown light kind ${JSON.stringify(light.kind)}`);
+    }
+    if (typeof light.name !== "string") {
+      errors.push(`${path}.name: expected a string, got ${JSON.stringify(light.name)}`);
+    }
+    for (const field of ["position", "direction", "color"]) {
+      checkVector(errors, `${path}.${field}`, light[field], 3);
+    }
+    for (const field of ["intensity", "radius", "angle", "edge"]) {
+      checkNumber(errors, `${path}.${field}`, light[field]);
+    }
+    for (const field of ["intensity", "radius"]) {
+      if (isNumber(light[field]) && light[field] < 0) {
+        errors.push(`${path}.${field}: must not be negative, got ${light[field]}`);
+      }
+    }
+    // angle is the cone's half angle
+    if (isNumber(light.angle) && (light.angle <= 0 || light.angle >= 90)) {
+      errors.push(`${path}.angle: must be between 0 and 90 degrees, got ${light.angle}`);
+    }
+    if (isNumber(light.edge) && (light.edge < 0 || light.edge > 1)) {
+      errors.push(`${path}.edge: must be between 0 and 1, got ${light.edge}`);
+    }
+  });
+}
+
+// Checks a node list, recursing into groups. depth is the nesting of list;
+// materialCount is null for files that name built-in materials instead.
+function validateNodes(errors, version, list, listPath, depth, materialCount) {
+  list.forEach((prim, i) => {
+    const path = `${listPath}[${i}]`;
+    if (!isPlainObject(prim)) {
+      errors.push(`${path}: expected an object`);
+      return;
+    }
+    if (version >= 4 && prim.kind === GROUP_KIND_NAME) {
+      validateGroup(errors, version, prim, path, depth, materialCount);
+      return;
+    }
+    if (idByName(PRIM_KIND_NAMES, prim.kind) === undefined) {
+      errors.push(`${path}.kind: unknown kind ${JSON.stringify(prim.kind)}`);
+    }
+    if (materialCount !== null) {
+      if (!Number.isInteger(prim.material) || prim.material < 0 || prim.material >= materialCount) {
+        errors.push(`${path}.material: expected a material index below ${materialCount}, got ${JSON.stringify(prim.material)}`);
+      }
+    } else if (idByName(MATERIAL_NAMES, prim.material) === undefined) {
+      errors.push(`${path}.material: unknown material ${JSON.stringify(prim.material)}`);
+    }
+    checkVector(errors, `${path}.center`, prim.center, 3);
+    checkNumber(errors, `${path}.param0`, prim.param0);
+    checkVector(errors, `${path}.params1`, prim.params1, 4);
+
+    if (version >= 2) {
+      checkVector(errors, `${path}.rotation`, prim.rotation, 3);
+      checkVector(errors, `${path}.scale`, prim.scale, 3);
+      if (Array.isArray(prim.scale) && prim.scale.some((s) => isNumber(s) && s <= 0)) {
+        errors.push(`${path}.scale: components must be positive, got ${JSON.stringify(prim.scale)}`);
+      }
+    }
+
+    if (version >= 3) {
+      checkOp(errors, path, prim);
+    }
+
+    if (version >= 7) {
+      validateModifiers(errors, prim.modifiers, `${path}.modifiers`);
+    }
+
+    if (version >= 8) {
+      validateKeyframes(errors, idByName(PRIM_KIND_NAMES, prim.kind), prim.keyframes, `${path}.keyframes`);
+    }
+  });
+}
+
+// Tracks must name one of the kind's animatable fields and hold values of its type
+function validateKeyframes(errors, kind, keyframes, tracksPath) {
+  if (!isPlainObject(keyframes)) {
+    errors.push(`${tracksPath}: expected an object`);
+    return;
+  }
+  for (const [name, keys] of Object.entries(keyframes)) {
+    const path = `${tracksPath}.${name}`;
+    const field = kind === undefined ? null : animatableField(kind, name);
+    if (!field) {
+      if (kind !== undefined) errors.push(`${path}: not an animatable field of this kind`);
+      continue;
+    }
+    if (!Array.isArray(keys) || keys.length === 0) {
+      errors.push(`${path}: expected a non-empty array of keys`);
+      continue;
+    }
+    keys.forEach((k, i) => {
+      if (!isPlainObject(k)) {
+        errors.push(`${path}[${i}]: expected an object`);
+        return;
+      }
+      checkNumber(errors, `${path}[${i}].time`, k.time);
+      if (field.type === "vec3") checkVector(errors, `${path}[${i}].value`, k.value, 3);
+      else checkNumber(errors, `${path}[${i}].value`, k.value);
+      if (!Object.hasOwn(INTERPOLATION_LABELS, String(k.interp))) {
+        errors.push(`${path}[${i}].interp: unknown interpolation ${JSON.stringify(k.interp)}`);
+      }
+    });
+  }
+}
+
+function validateModifiers(errors, modifiers, listPath) {
+  if (!Array.isArray(modifiers)) {
+    errors.push(`${listPath}: expected an array`);
+    return;
+  }
+  if (modifiers.length > MAX_MODIFIERS) {
+    errors.push(`${listPath}: ${modifiers.length} modifiers, the limit is ${MAX_MODIFIERS}`);
+  }
+
+  modifiers.forEach((modifier, i) => {
+    const path = `${listPath}[${i}]`;
+    if (!isPlainObject(modifier)) {
+      errors.push(`${path}: expected an object`);
+      return;
+    }
+    const type = idByName(MODIFIER_NAMES, modifier.type);
+    if (type === undefined) {
+      errors.push(`${path}.type: unknown modifier ${JSON.stringify(modifier.type)}`);
+      return;
+    }
+    for (const param of modifierParams(type)) {
+      const value = modifier[param.name];
+      if (param.type === "vec3") {
+        checkVector(errors, `${path}.${param.name}`, value, 3);
+        // negative spacings and counts have no meaning (the shader treats
+        // spacings <= 0 as off, and a negative count would shrink the bounds)
+        if (Array.isArray(value) && value.some((v) => isNumber(v) && v < param.min)) {
+          errors.push(`${path}.${param.name}: components must be at least ${param.min}, got ${JSON.stringify(value)}`);
+        }
+      } else if (param.type === "axis") {
+        if (![0, 1, 2].includes(value)) {
+          errors.push(`${path}.${param.name}: expected an axis 0-2, got ${JSON.stringify(value)}`);
+        }
+      } else {
+        checkNumber(errors, `${path}.${param.name}`, value);
+      }
+    }
+  });
+}
+
+function checkOp(errors, path, node) {
+  if (idByName(OP_NAMES, node.op) === undefined) {
+    errors.push(`${path}.op: unknown operation ${JSON.stringify(node.op)}`);
+  }
+  checkNumber(errors, `${path}.blend`, node.blend);
+  if (isNumber(node.blend) && node.blend < 0) {
+    errors.push(`${path}.blend: must not be negative, got ${node.blend}`);
+  }
+}
+
+function validateGroup(errors, version, group, path, depth, materialCount) {
+  if (depth + 1 > MAX_GROUP_DEPTH) {
+    errors.push(`${path}: groups are nested more than ${MAX_GROUP_DEPTH} deep`);
+    return;
+  }
+  if (typeof group.name !== "string") {
+    errors.push(`${path}.name: expected a string, got ${JSON.stringify(group.name)}`);
+  }
+  checkVector(errors, `${path}.center`, group.center, 3);
+  checkVector(errors, `${path}.rotation`, group.rotation, 3);
+  checkNumber(errors, `${path}.scale`, group.scale);
+  if (isNumber(group.scale) && group.scale <= 0) {
+    errors.push(`${path}.scale: must be positive, got ${group.scale}`);
+  }
+  checkOp(errors, path, group);
+  if (!Array.isArray(group.children)) {
+    errors.push(`${path}.children: expected an array`);
+    return;
+  }
+  validateNodes(errors, version, group.children, `${path}.children`, depth + 1, materialCount);
+}
+
+// Copies the tracks, sorted by time
+function loadKeyframes(data) {
+  return Object.fromEntries(
+    Object.entries(data).map(([name, keys]) => [
+      name,
+      keys
+        .map((k) => ({ time: k.time, value: Array.isArray(k.value) ? k.value.slice() : k.value, interp: k.interp }))
+        .sort((a, b) => a.time - b.time),
+    ]),
+  );
+}
+
+function loadModifier(data) {
+  const type = idByName(MODIFIER_NAMES, data.type);
+  const modifier = { type };
+  for (const param of modifierParams(type)) {
+    const value = data[param.name];
+    modifier[param.name] = Array.isArray(value) ? value.slice() : value;
+  }
+  return modifier;
+}
+
+// A validated node of a version `version` file -> scene node
+function loadNode(version, prim) {
+  if (version >= 4 && prim.kind === GROUP_KIND_NAME) {
+    return {
+      name: prim.name,
+      center: prim.center.slice(),
+      rotation: prim.rotation.slice(),
+      scale: prim.scale,
+      op: idByName(OP_NAMES, prim.op),
+      blend: prim.blend,
+      collapsed: !!prim.collapsed,
+      children: prim.children.map((child) => loadNode(version, child)),
+    };
+  }
+  return {
+    kind: idByName(PRIM_KIND_NAMES, prim.kind),
+    materialId: version >= 5 ? prim.material : idByName(MATERIAL_NAMES, prim.material),
+    center: prim.center.slice(),
+    param0: prim.param0,
+    params1: prim.params1.slice(),
+    rotation: version >= 2 ? prim.rotation.slice() : [0, 0, 0],
+    scale: version >= 2 ? prim.scale.slice() : [1, 1, 1],
+    op: version >= 3 ? idByName(OP_NAMES, prim.op) : OP_UNION,
+    blend: version >= 3 ? prim.blend : 0.25,
+    modifiers: version >= 7 ? prim.modifiers.map(loadModifier) : [],
+    keyframes: version >= 8 ? loadKeyframes(prim.keyframes) : {},
+  };
+}
+
+function loadMaterial(mat) {
+  return {
+    name: mat.name,
+    color: mat.color.slice(),
+    roughness: mat.roughness,
+    metalness: mat.metalness,
+    ior: mat.ior,
+    transmission: mat.transmission,
+    emission: mat.emission.slice(),
+    emissionStrength: mat.emissionStrength,
+    checker: mat.checker,
+    checkerColor: mat.checkerColor.slice(),
+    checkerScale: mat.checkerScale,
+  };
+}
+
+// Parsed scene file -> { primitives, camera, lens, materials, lights, timeline,
+// bookmarks }; throws with every problem found
+function deserializeScene(data) {
+  const errors = validateSceneFile(data);
+  if (errors.length > 0) {
+    throw new Error("Invalid scene file:\n" + errors.join("\n"));
+  }
+
+  const version = data.version;
+  const loadView = (view) => ({
+    target: { x: view.target[0], y: view.target[1], z: view.target[2] },
+    dist: view.dist,
+    yaw: view.yaw,
+    pitch: view.pitch,
+  });
+
+  return {
+    camera: loadView(data.camera),
+    lens: version >= 10
+      ? {
+        fov: data.lens.fov,
+        orthographic: data.lens.orthographic,
+        aperture: data.lens.aperture,
+        focusDistance: data.lens.focusDistance,
+      }
+      : makeDefaultLens(),
+    timeline: { duration: version >= 8 ? data.timeline.duration : DEFAULT_TIMELINE_DURATION },
+    bookmarks: version >= 9
+      ? data.bookmarks.map((bookmark) => ({ name: bookmark.name, ...loadView(bookmark) }))
+      : [],
+    materials: version >= 5
+      ? data.materials.map(loadMaterial)
+      : makeDefaultMaterials(),
+    lights: version >= 6
+      ? data.lights.map((light) => ({
+        kind: idByName(LIGHT_KIND_NAMES, light.kind),
+        name: light.name,
+        position: light.position.slice(),
+        direction: light.direction.slice(),
+        color: light.color.slice(),
+        intensity: light.intensity,
+        radius: light.radius,
+        angle: light.angle,
+        edge: light.edge,
+      }))
+      : makeDefaultLights(),
+    primitives: data.primitives.map((prim) => loadNode(version, prim)),
+  };
+}
+
+//#endregion
+//#region Clipboard --------------------------------------------------------------
+// Copied objects travel as JSON text, so they can be pasted into another tab:
+//
+//   { "format": "aicg-shadertoy-objects", "version": 10,
+//     "materials": [ ... ], "primitives": [ ... ] }
+//
+// Nodes are stored in world space, in the scene file's form for that version;
+// "material" indexes the clipboard's own materials, only the ones in use.
+
+const CLIPBOARD_FORMAT = "aicg-shadertoy-objects";
+
+// Nodes (in world space) -> clipboard text
+function serializeClipboard(nodes, materials) {
+  const copies = structuredClone(nodes);
+  const used = [];
+  const renumber = (list) => list.forEach((node) => {
+    if (isGroup(node)) {
+      renumber(node.children);
+      return;
+    }
+    if (!used.includes(node.materialId)) used.push(node.materialId);
+    node.materialId = used.indexOf(node.materialId);
+  });
+  renumber(copies);
+
+  return JSON.stringify({
+    format: CLIPBOARD_FORMAT,
+    version: SCENE_FILE_VERSION,
+    materials: used.map((id) => serializeMaterial(materials[id] ?? materials[0])),
+    primitives: copies.map(serializeNode),
+  });
+}
+
+// Clipboard text -> { primitives, materials }; throws with every problem found
+function parseClipboard(text) {
+  let data = null;
+  try {
+    data = JSON.parse(text);
+  } catch (e) {
+    // not JSON, reported below
+  }
+  if (!isPlainObject(data) || data.format !== CLIPBOARD_FORMAT) {
+    throw new Error("the clipboard holds no copied objects");
+  }
+
+  const errors = [];
+  // material indices need the version 5+ library
+  if (!Number.isInteger(data.version) || data.version < 5 || data.version > SCENE_FILE_VERSION) {
+    errors.push(`version: expected 5 to ${SCENE_FILE_VERSION}, got ${JSON.stringify(data.version)}`);
+  }
+  // copied empty groups use no material at all
+  const materialCount = Array.isArray(data.materials) && data.materials.length === 0
+    ? 0
+    : validateMaterials(errors, data.materials);
+  if (!Array.isArray(data.primitives)) {
+    errors.push("primitives: expected an array");
+  } else if (errors.length === 0) {
+    validateNodes(errors, data.version, data.primitives, "primitives", 0, materialCount);
+  }
+  if (errors.length > 0) {
+    throw new Error("invalid clipboard data:\n" + errors.join("\n"));
+  }
+
+  return {
+    materials: data.materials.map(loadMaterial),
+    primitives: data.primitives.map((prim) => loadNode(data.version, prim)),
+  };
+}
+
+// Points the pasted nodes' material indices at `library`: an identical material
+// already there, else the pasted one added to it, or material 0 once the
+// library is full
+function mergeMaterials(nodes, library, materials) {
+  const key = (mat) => JSON.stringify(serializeMaterial(mat));
+  const ids = materials.map((mat) => {
+    const same = library.findIndex((other) => key(other) === key(mat));
+    if (same >= 0) return same;
+    if (library.length >= MAX_MATERIALS) return 0;
+    library.push(mat);
+    return library.length - 1;
+  });
+
+  const remap = (list) => list.forEach((node) => {
+    if (isGroup(node)) remap(node.children);
+    else node.materialId = ids[node.materialId] ?? 0;
+  });
+  remap(nodes);
+}
+
+//#endregion
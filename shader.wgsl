@@ -1,24 +1,53 @@
 // Ray Marching with Reflection and Refraction
 @fragment
 fn fs_main(@builtin(position) fragCoord: vec4<f32>) -> @location(0) vec4<f32> {
-  let uv = (fragCoord.xy - uniforms.resolution * 0.5) / min(uniforms.resolution.x, uniforms.resolution.y);
+  let pixel = fragCoord.xy + uniforms.tileOffset;
+  // pinhole: depth of field needs many samples, see fs_path
+  let ray = camera_ray(pixel, vec2<f32>(0.0));
 
-  // Camera Coords
-  let cam_pos = uniforms.camPos.xyz;
-  let cam_dir = uniforms.camDir.xyz;
-  let cam_up  = uniforms.camUp.xyz;
+  // Render with reflections and refractions
+  var color = render(ray.ro, ray.rd, pixel);
+
+  // Selection gizmo, drawn on top of the scene
+  color = draw_gizmo(ray.ro, ray.rd, color);
+  return vec4<f32>(gamma_correct(color), 1.0);
+}
+
+struct Ray {
+  ro: vec3<f32>,
+  rd: vec3<f32>,
+};
+
+// Camera ray through a pixel position in the whole image (fragCoord +
+// tileOffset when rendering in tiles). lens_point is where on the lens the ray
+// starts, in the unit disk; rays through the same pixel meet again at the focus
+// distance.
+fn camera_ray(pixel: vec2<f32>, lens_point: vec2<f32>) -> Ray {
+  let uv = (pixel - uniforms.resolution * 0.5) / min(uniforms.resolution.x, uniforms.resolution.y);
 
   // basis
-  let cam_forward = normalize(cam_dir);
-  let cam_right   = normalize(cross(cam_forward, cam_up));
+  let cam_forward = normalize(uniforms.camDir.xyz);
+  let cam_right   = normalize(cross(cam_forward, uniforms.camUp.xyz));
   let cam_up_orth = cross(cam_right, cam_forward);
 
-  let focal_length = 1.5;
-  let rd = normalize(cam_right * uv.x - cam_up_orth * uv.y + cam_forward * focal_length);
+  let focal_length = uniforms.lens.x;
+  let ortho_height = uniforms.lens.y;
+  let offset = cam_right * uv.x - cam_up_orth * uv.y;
+  var ro = uniforms.camPos.xyz;
+  var rd = normalize(offset + cam_forward * focal_length);
+  if ortho_height > 0.0 {
+    ro += offset * ortho_height;
+    rd = cam_forward;
+  }
 
-  // Render with reflections and refractions
-  let color = render(cam_pos, rd, fragCoord.xy);
-  return vec4<f32>(gamma_correct(color), 1.0);
+  // Thin lens
+  let aperture = uniforms.lens.z;
+  if aperture > 0.0 {
+    let focus = ro + rd * (uniforms.lens.w / dot(rd, cam_forward));
+    ro += (cam_right * lens_point.x + cam_up_orth * lens_point.y) * aperture;
+    rd = normalize(focus - ro);
+  }
+  return Ray(ro, rd);
 }
 
 // Gamma Correction
@@ -33,184 +62,141 @@ const MAX_STEPS: i32 = 256;
 const MAX_BOUNCES: i32 = 16;
 
 const IOR_AIR: f32 = 1.0;
-const IOR_GLASS: f32 = 1.5;
-const IOR_WATER: f32 = 1.33;
-
-// Material types
-const MAT_GROUND: f32 = 0.0;
-const MAT_METAL: f32 = 1.0;
-const MAT_GLASS: f32 = 2.0;
-const MAT_WATER: f32 = 3.0;
-const MAT_DIFFUSE: f32 = 4.0;
-
-fn get_material_color(mat_id: f32, p: vec3<f32>) -> vec3<f32> {
-  if mat_id == MAT_GROUND {
-    // Checkerboard pattern
-    let checker = floor(p.x) + floor(p.z);
-    let col1 = vec3<f32>(0.9, 0.9, 0.9);
-    let col2 = vec3<f32>(0.2, 0.2, 0.2);
-    return select(col2, col1, i32(checker) % 2 == 0);
-  } else if mat_id == MAT_METAL {
-    return vec3<f32>(0.8, 0.85, 0.9);
-  } else if mat_id == MAT_GLASS {
-    return vec3<f32>(0.9, 0.9, 1.0);
-  } else if mat_id == MAT_WATER {
-    return vec3<f32>(0.8, 0.9, 1.0);
-  } else if mat_id == MAT_DIFFUSE {
-    return vec3<f32>(1.0, 0.5, 0.3);
-  }
-  return vec3<f32>(0.5, 0.5, 0.5);
-}
-
-// SDF Primitives
-struct Primitive {
-  // header: x = kind, y = material_id, z/w unused
-  header: vec4<u32>,
-
-  // center.xyz = center, center_param0.w = param0 (radius, height, etc.)
-  center_param0: vec4<f32>,
 
-  // extra shape parameters
-  params1: vec4<f32>,
-}
-
-// Sphere
-// center = center_param0.xyz
-// radius = center_param0.w
-fn sd_sphere(p: vec3<f32>, s: Primitive) -> f32 {
-  return length(p - s.center_param0.xyz) - s.center_param0.w;
-}
+// Material library, edited in the Materials panel (layout: buildMaterialData)
+const MAX_MATERIALS: u32 = 16u;
 
-// Plane
-// normal   = params1.xyz (must be normalized)
-// offset h = center_param0.w   (equation: dot(p, n) + h = 0)
-fn sd_plane(p: vec3<f32>, pl: Primitive) -> f32 {
-  let n = normalize(pl.params1.xyz);
-  let h = pl.center_param0.w;
-  return dot(p, n) + h;
-}
+struct Material {
+  color_roughness: vec4<f32>,     // rgb = albedo (linear), w = roughness
+  emission_metalness: vec4<f32>,  // rgb = emitted light, w = metalness
+  checker: vec4<f32>,             // rgb = second checker color, w = squares per unit (0 = off)
+  optics: vec4<f32>,              // x = IOR, y = transmission
+};
 
-// Box
-// center = center_param0.xyz
-// size   = params1.xyz (half-size)
-fn sd_box(p: vec3<f32>, b: Primitive) -> f32 {
-  let c = b.center_param0.xyz;
-  let half_size = b.params1.xyz;
-  let q = abs(p - c) - half_size;
-  return length(max(q, vec3<f32>(0.0))) + min(max(q.x, max(q.y, q.z)), 0.0);
-}
+struct Materials {
+  items: array<Material, MAX_MATERIALS>,
+};
 
-// Rounded Box
-// center = center_param0.xyz
-// size   = params1.xyz (half-size)
-// radius = center_param0.w
-fn sd_rounded_box(p: vec3<f32>, rb: Primitive) -> f32 {
-  let c = rb.center_param0.xyz;
-  let half_size = rb.params1.xyz;
-  let r = rb.center_param0.w;
-  let q = abs(p - c) - half_size;
-  return length(max(q, vec3<f32>(0.0))) + min(max(q.x, max(q.y, q.z)), 0.0) - r;
-}
+@group(0) @binding(2)
+var<uniform> materials: Materials;
 
-// Cylinder
-// center = center_param0.xyz
-// radius = params1.x
-// height = center_param0.w
-fn sd_cylinder(p: vec3<f32>, cy: Primitive) -> f32 {
-  let c = cy.center_param0.xyz;
-  let radius = cy.params1.x;
-  let height = cy.center_param0.w;
-  let q = abs(vec2<f32>(length(p.xz - c.xz), p.y - c.y))
-          - vec2<f32>(radius, height * 0.5);
-  return min(max(q.x, q.y), 0.0) + length(max(q, vec2<f32>(0.0)));
+fn get_material(mat_id: f32) -> Material {
+  return materials.items[min(u32(max(mat_id, 0.0)), MAX_MATERIALS - 1u)];
 }
 
-// Torus
-// center        = center_param0.xyz
-// major_radius  = center_param0.w
-// minor_radius  = params1.x
-fn sd_torus(p: vec3<f32>, t: Primitive) -> f32 {
-  let c = t.center_param0.xyz;
-  let R = t.center_param0.w;  // major radius
-  let r = t.params1.x;        // minor radius
-  let q = vec2<f32>(length(p.xz - c.xz) - R, p.y - c.y);
-  return length(q) - r;
+fn material_albedo(mat: Material, p: vec3<f32>) -> vec3<f32> {
+  let scale = mat.checker.w;
+  if scale > 0.0 {
+    // Checkerboard pattern
+    let checker = floor(p.x * scale) + floor(p.z * scale);
+    return select(mat.checker.rgb, mat.color_roughness.rgb, i32(checker) % 2 == 0);
+  }
+  return mat.color_roughness.rgb;
 }
 
-// Capsule
-// a      = center_param0.xyz
-// b      = params1.xyz
-// radius = center_param0.w
-fn sd_capsule(p: vec3<f32>, c: Primitive) -> f32 {
-  let a = c.center_param0.xyz;
-  let b = c.params1.xyz;
-  let radius = c.center_param0.w;
-
-  let pa = p - a;
-  let ba = b - a;
-  let h = clamp(dot(pa, ba) / dot(ba, ba), 0.0, 1.0);
-  return length(pa - ba * h) - radius;
-}
+#include "sdf.wgsl"
+#include "modifiers.wgsl"
 
-// Primitive kinds
-const SPHERE      : u32 = 0u;
-const PLANE       : u32 = 1u;
-const BOX         : u32 = 2u;
-const ROUNDED_BOX : u32 = 3u;
-const CYLINDER    : u32 = 4u;
-const TORUS       : u32 = 5u;
-const CAPSULE     : u32 = 6u;
-
-fn sd_primitive(p: vec3<f32>, prim: Primitive) -> f32 {
-  switch (prim.header.x) {
-    case SPHERE: { // SPHERE
-      return sd_sphere(p, prim);
-    }
-    case PLANE: { // PLANE
-      return sd_plane(p, prim);
-    }
-    case BOX: { // BOX
-      return sd_box(p, prim);
+// Scene: lights and primitives edited in the scene editor. The Light,
+// Primitive and Scene structs, MAX_LIGHTS and the kind / op IDs are generated
+// by sceneWGSL() in scene.js and prepended to this file like Uniforms.
+@group(0) @binding(1)
+var<storage, read> scene: Scene;
+
+// Group markers (header.x, GROUP_BEGIN / GROUP_END) bracket a group's children
+// in the flattened list; both carry the group's op and blend. GROUP_BEGIN also
+// holds the index of its GROUP_END (header.y) and the box around the group
+// (center_param0.xyz = min, params1.xyz = max). See buildBVH in bvh.js.
+const EVAL_STACK_SIZE: u32 = 16u; // MAX_GROUP_DEPTH + BVH_MAX_DEPTH
+
+// CSG operations (header.z, OP_*). Primitives are combined in list order: each
+// one applies its op to the result of everything listed before it in its group.
+// Combines distance d (material mat) into res = (distance, material_id).
+// Smooth variants are Inigo Quilez's polynomial blends with radius k; carved
+// surfaces keep the material of the object being cut.
+fn apply_op(res: vec2<f32>, d: f32, mat: f32, op: u32, blend: f32) -> vec2<f32> {
+  let k = max(blend, 1e-4);
+  switch (op) {
+    case OP_SUBTRACT: {
+      return vec2<f32>(max(res.x, -d), res.y);
     }
-    case ROUNDED_BOX: { // ROUNDED_BOX
-      return sd_rounded_box(p, prim);
+    case OP_INTERSECT: {
+      return select(res, vec2<f32>(d, mat), d > res.x);
     }
-    case CYLINDER: { // CYLINDER
-      return sd_cylinder(p, prim);
+    case OP_SMOOTH_UNION: {
+      let h = clamp(0.5 + 0.5 * (d - res.x) / k, 0.0, 1.0);
+      return vec2<f32>(mix(d, res.x, h) - k * h * (1.0 - h), select(mat, res.y, h > 0.5));
     }
-    case TORUS: { // TORUS
-      return sd_torus(p, prim);
+    case OP_SMOOTH_SUBTRACT: {
+      let h = clamp(0.5 - 0.5 * (res.x + d) / k, 0.0, 1.0);
+      return vec2<f32>(mix(res.x, -d, h) + k * h * (1.0 - h), res.y);
     }
-    case CAPSULE: { // CAPSULE
-      return sd_capsule(p, prim);
+    case OP_SMOOTH_INTERSECT: {
+      let h = clamp(0.5 - 0.5 * (d - res.x) / k, 0.0, 1.0);
+      return vec2<f32>(mix(d, res.x, h) + k * h * (1.0 - h), select(mat, res.y, h > 0.5));
     }
-    default: {
-      return 1e6; // large distance for unknown primitive
+    default: { // OP_UNION
+      return select(res, vec2<f32>(d, mat), d < res.x);
     }
   }
 }
 
-// Scene
-const MAX_PRIMS: u32 = 16u;
-
-struct Scene {
-  count: u32,
-  _pad: vec3<u32>,
-  primitives: array<Primitive, MAX_PRIMS>,
-};
+// Distance from p to the box [lo, hi], negative inside
+fn box_dist(p: vec3<f32>, lo: vec3<f32>, hi: vec3<f32>) -> f32 {
+  let q = max(lo - p, p - hi);
+  return length(max(q, vec3<f32>(0.0))) + min(max(q.x, max(q.y, q.z)), 0.0);
+}
 
-@group(0) @binding(1)
-var<uniform> scene: Scene;
+// True when a group whose surface is at least bd away can't change res.x
+// under op: a union with something closer, or a cut from deeper inside.
+// Intersections always matter.
+fn can_skip(res: f32, bd: f32, op: u32, blend: f32) -> bool {
+  switch (op) {
+    case OP_UNION:           { return bd >= res; }
+    case OP_SMOOTH_UNION:    { return bd >= res + blend; }
+    case OP_SUBTRACT:        { return bd >= -res; }
+    case OP_SMOOTH_SUBTRACT: { return bd >= -res + blend; }
+    default:                 { return false; }
+  }
+}
 
 // Scene description - returns (distance, material_id)
 fn get_dist(p: vec3<f32>) -> vec2<f32> {
   var res = vec2<f32>(MAX_DIST, -1.0);
+  var stack: array<vec2<f32>, EVAL_STACK_SIZE>;
+  var depth = 0u;
+  var modifiers = 0u; // MODIFIER items right before the current one
 
-  for (var i: u32 = 0u; i < scene.count; i = i + 1u) {
+  let count = min(scene.count, arrayLength(&scene.primitives));
+  for (var i: u32 = 0u; i < count; i = i + 1u) {
     let prim = scene.primitives[i];
-    let dist = sd_primitive(p, prim);
-    if dist < res.x {
-      res = vec2<f32>(dist, f32(prim.header.y));
+    let kind = prim.header.x;
+
+    if kind == GROUP_BEGIN {
+      // jump to the GROUP_END when the group's box is too far to matter
+      let bd = box_dist(p, prim.center_param0.xyz, prim.params1.xyz);
+      if can_skip(res.x, bd, prim.header.z, bitcast<f32>(prim.header.w)) {
+        i = prim.header.y;
+        continue;
+      }
+      // evaluate the group's children on their own, starting from empty space
+      stack[depth] = res;
+      depth = depth + 1u;
+      res = vec2<f32>(MAX_DIST, -1.0);
+    } else if kind == GROUP_END {
+      depth = depth - 1u;
+      res = apply_op(stack[depth], res.x, res.y, prim.header.z, bitcast<f32>(prim.header.w));
+    } else if kind == MODIFIER {
+      modifiers = modifiers + 1u;
+    } else {
+      var dist: f32;
+      if modifiers > 0u {
+        dist = sd_modified(p, prim, i - modifiers, modifiers);
+        modifiers = 0u;
+      } else {
+        dist = sd_primitive(p, prim);
+      }
+      res = apply_op(res, dist, f32(prim.header.y), prim.header.z, bitcast<f32>(prim.header.w));
     }
   }
 
@@ -265,12 +251,64 @@ fn refract_ray(incident: vec3<f32>, normal: vec3<f32>, ior_ratio: f32) -> vec3<f
   return ior_ratio * incident + (ior_ratio * cos_i - cos_t) * normal;
 }
 
-// Sky gradient with sun
+// Sky gradient alone; the path tracer lights with the suns directly
+fn sky_gradient(rd: vec3<f32>) -> vec3<f32> {
+  return mix(vec3<f32>(0.5, 0.7, 0.9), vec3<f32>(0.2, 0.4, 0.7), rd.y * 0.5 + 0.5);
+}
+
+// Sky gradient with a sun disc for each directional light
 fn get_sky(rd: vec3<f32>) -> vec3<f32> {
-  let sun_dir = normalize(vec3<f32>(1.0, 0.5, -0.5));
-  let sun = pow(max(dot(rd, sun_dir), 0.0), 128.0) * 2.0;
-  let sky = mix(vec3<f32>(0.5, 0.7, 0.9), vec3<f32>(0.2, 0.4, 0.7), rd.y * 0.5 + 0.5);
-  return sky + vec3<f32>(1.0, 0.9, 0.7) * sun;
+  var sky = sky_gradient(rd);
+  for (var i: u32 = 0u; i < scene.light_count; i = i + 1u) {
+    let light = scene.lights[i];
+    if u32(light.position_kind.w) == LIGHT_DIRECTIONAL {
+      let sun = pow(max(dot(rd, -light.direction.xyz), 0.0), 128.0) * 2.0;
+      sky += light.color_radius.rgb * sun;
+    }
+  }
+  return sky;
+}
+
+// Direction to the light, distance to it and the light arriving at p
+struct LightSample {
+  dir: vec3<f32>,
+  dist: f32,
+  radiance: vec3<f32>,
+};
+
+fn sample_light(light: Light, p: vec3<f32>) -> LightSample {
+  let kind = u32(light.position_kind.w);
+  if kind == LIGHT_DIRECTIONAL {
+    return LightSample(-light.direction.xyz, MAX_DIST, light.color_radius.rgb);
+  }
+
+  let to_light = light.position_kind.xyz - p;
+  let dist = length(to_light);
+  let dir = to_light / dist;
+  var radiance = light.color_radius.rgb / max(dist * dist, 1e-4);
+  if kind == LIGHT_SPOT {
+    // lightFields keeps spot.y (inner) above spot.x (outer)
+    radiance *= smoothstep(light.spot.x, light.spot.y, dot(-dir, light.direction.xyz));
+  }
+  return LightSample(dir, dist, radiance);
+}
+
+// 1 = fully lit, 0 = in shadow. A source radius above 0 gives penumbrae
+// (Inigo Quilez's soft shadows); 0 gives the old hard shadow test.
+fn soft_shadow(ro: vec3<f32>, rd: vec3<f32>, max_t: f32, radius: f32) -> f32 {
+  var res = 1.0;
+  var t = 0.0;
+  for (var i = 0; i < MAX_STEPS && t < max_t; i++) {
+    let h = get_dist(ro + rd * t).x;
+    if h < SURF_DIST {
+      return 0.0;
+    }
+    if radius > 0.0 {
+      res = min(res, h / (radius * max(t, 1e-3)));
+    }
+    t += abs(h);
+  }
+  return clamp(res, 0.0, 1.0);
 }
 
 // Hash function for stochastic elements
@@ -278,6 +316,14 @@ fn hash21(seed: vec2<f32>) -> f32 {
   return fract(sin(dot(seed, vec2<f32>(12.9898, 78.233))) * 43758.5453123);
 }
 
+// Random point in the unit sphere, used to scatter rough reflections
+fn random_in_sphere(seed: vec2<f32>) -> vec3<f32> {
+  let z = hash21(seed) * 2.0 - 1.0;
+  let a = hash21(seed + vec2<f32>(17.0, 31.0)) * 6.2831853;
+  let r = sqrt(1.0 - z * z);
+  return vec3<f32>(r * cos(a), r * sin(a), z) * pow(hash21(seed + vec2<f32>(53.0, 7.0)), 1.0 / 3.0);
+}
+
 // Main rendering function with iterative bounces
 fn render(initial_ro: vec3<f32>, initial_rd: vec3<f32>, fragCoord_xy: vec2<f32>) -> vec3<f32> {
   var ro = initial_ro;
@@ -292,29 +338,42 @@ fn render(initial_ro: vec3<f32>, initial_rd: vec3<f32>, fragCoord_xy: vec2<f32>)
     if result.x < MAX_DIST {
       let hit_pos = ro + rd * result.x;
       let normal = get_normal(hit_pos);
-      let mat_id = result.y;
-      let albedo = get_material_color(mat_id, hit_pos);
-
-      // Lighting for current hit
-      let light_pos = vec3<f32>(5.0, 8.0, -5.0);
-      let light_dir = normalize(light_pos - hit_pos);
-      let diffuse = max(dot(normal, light_dir), 0.0);
+      let mat = get_material(result.y);
+      let albedo = material_albedo(mat, hit_pos);
+      let roughness = mat.color_roughness.w;
+      let metalness = mat.emission_metalness.w;
+      let transmission = mat.optics.y;
 
-      // Shadow for current hit
+      // Direct light from every light, with one shadow march each
       let shadow_origin = hit_pos + normal * 0.01; // Increased bias
-      let shadow_result = ray_march(shadow_origin, light_dir);
-      let shadow = select(0.3, 1.0, shadow_result.x > length(light_pos - shadow_origin));
-
-      if mat_id == MAT_METAL {
-        color += mask * albedo * diffuse * shadow * 0.2; // Add some base color even for metal
-        rd = reflect(rd, normal);
-        ro = hit_pos + normal * 0.01; // Increased bias
-        mask *= 0.8; // Attenuate mask for next bounce, slightly less for metal to represent energy loss
+      var direct = vec3<f32>(0.0);   // diffuse
+      var highlight = vec3<f32>(0.0); // specular, tightens as roughness drops
+      for (var l: u32 = 0u; l < scene.light_count; l = l + 1u) {
+        let light = scene.lights[l];
+        let s = sample_light(light, hit_pos);
+        let diffuse = max(dot(normal, s.dir), 0.0);
+        if diffuse <= 0.0 {
+          continue;
+        }
+        let shadow = mix(0.3, 1.0, soft_shadow(shadow_origin, s.dir, s.dist, light.color_radius.w));
+        let half_dir = normalize(s.dir - rd);
+        direct += s.radiance * diffuse * shadow;
+        highlight += s.radiance * pow(max(dot(normal, half_dir), 0.0), mix(256.0, 8.0, roughness)) * shadow;
       }
-      else if mat_id == MAT_GLASS || mat_id == MAT_WATER {
+
+      // Emissive surfaces glow whatever the lighting
+      color += mask * mat.emission_metalness.rgb;
+
+      // Opaque dielectric share
+      let ambient = 0.2;
+      let opaque = (1.0 - metalness) * (1.0 - transmission);
+      color += mask * opaque * (albedo * (ambient + direct * 0.8) + highlight * (1.0 - roughness) * 0.5);
+
+      if transmission > 0.0 {
+        mask *= transmission;
         let entering = dot(rd, normal) < 0.0;
         let n = select(-normal, normal, entering);
-        let ior = select(IOR_WATER, IOR_GLASS, mat_id == MAT_GLASS);
+        let ior = mat.optics.x;
         let ior_ratio = select(ior / IOR_AIR, IOR_AIR / ior, entering);
 
         let cos_theta = min(-dot(rd, n), 1.0);
@@ -342,10 +401,20 @@ fn render(initial_ro: vec3<f32>, initial_rd: vec3<f32>, fragCoord_xy: vec2<f32>)
           mask *= (1.0 - fresnel_val) * albedo; // Attenuate by transmitted Fresnel AND material color (for absorption)
         }
       }
+      else if metalness > 0.0 {
+        color += mask * metalness * albedo * direct * 0.2; // Add some base color even for metal
+
+        // Rough metals scatter the reflection; keep it above the surface
+        let seed = fragCoord_xy + vec2<f32>(f32(depth) * 13.7, f32(uniforms.frame % 1024u) * 7.3);
+        rd = normalize(reflect(rd, normal) + roughness * random_in_sphere(seed));
+        if dot(rd, normal) < 0.0 {
+          rd = reflect(rd, normal);
+        }
+        ro = hit_pos + normal * 0.01; // Increased bias
+        mask *= metalness * albedo; // Tinted by the metal's color, with some energy loss
+      }
       else {
-        // Diffuse material (terminates bounces)
-        let ambient = 0.2;
-        color += mask * albedo * (ambient + diffuse * shadow * 0.8);
+        // Opaque dielectric (terminates bounces), already lit above
         mask = vec3<f32>(0.0); // Stop further bounces
         break; // Exit loop for diffuse materials
       }
@@ -370,3 +439,66 @@ fn render(initial_ro: vec3<f32>, initial_rd: vec3<f32>, fragCoord_xy: vec2<f32>)
   let fog = exp(-result.x * 0.02);
   return mix(get_sky(rd), color, fog);
 }
+
+// Translation gizmo
+// origin      = uniforms.gizmo.xyz
+// axis length = uniforms.gizmo.w (0 = hidden)
+// highlighted = uniforms.gizmoAxis (0 = none, 1 = X, 2 = Y, 3 = Z)
+// Drawn line radius, relative to axis length. Mouse hits (raymarch.js) use
+// the wider GIZMO_PICK_THICKNESS instead.
+const GIZMO_THICKNESS: f32 = 0.03;
+
+// Closest approach between a ray and segment [a, b]: (distance, t along ray)
+fn ray_segment_dist(ro: vec3<f32>, rd: vec3<f32>, a: vec3<f32>, b: vec3<f32>) -> vec2<f32> {
+  let v = b - a;
+  let w0 = ro - a;
+  let bb = dot(rd, v);
+  let cc = dot(v, v);
+  let denom = cc - bb * bb;
+
+  var s = 0.0;
+  if denom > 1e-8 {
+    s = clamp((dot(v, w0) - bb * dot(rd, w0)) / denom, 0.0, 1.0);
+  }
+  let q = a + v * s;
+  let t = max(dot(q - ro, rd), 0.0);
+  return vec2<f32>(length(ro + rd * t - q), t);
+}
+
+fn draw_gizmo(ro: vec3<f32>, rd: vec3<f32>, color: vec3<f32>) -> vec3<f32> {
+  let len = uniforms.gizmo.w;
+  if len <= 0.0 {
+    return color;
+  }
+
+  let origin = uniforms.gizmo.xyz;
+  let radius = len * GIZMO_THICKNESS;
+  var out_color = color;
+  var nearest = MAX_DIST;
+
+  for (var i = 0u; i < 3u; i++) {
+    var axis = vec3<f32>(0.0);
+    axis[i] = 1.0;
+
+    let hit = ray_segment_dist(ro, rd, origin, origin + axis * len);
+    let coverage = 1.0 - smoothstep(radius * 0.6, radius, hit.x);
+    if coverage > 0.0 && hit.y < nearest {
+      var axis_color = mix(vec3<f32>(0.1), axis, 0.85);
+      if uniforms.gizmoAxis == i + 1u {
+        axis_color = vec3<f32>(1.0, 0.85, 0.2);
+      }
+      out_color = mix(color, axis_color, coverage);
+      nearest = hit.y;
+    }
+  }
+
+  // small knob at the origin
+  let knob = ray_segment_dist(ro, rd, origin, origin);
+  if knob.x < radius * 1.8 {
+    out_color = vec3<f32>(0.9);
+  }
+
+  return out_color;
+}
+
+#include "pathtrace.wgsl"
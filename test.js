@@ -0,0 +1,1688 @@
+// Unit tests for the DOM-free scripts. Run with: node test.js
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("node:fs");
+const path = require("node:path");
+const vm = require("node:vm");
+const zlib = require("node:zlib");
+
+// Load browser scripts into one shared global scope, the same way index.html
+// does, and return an evaluator for expressions in that scope.
+function loadScripts(...files) {
+  const context = vm.createContext({ console, structuredClone, TextEncoder });
+  for (const file of files) {
+    const code = fs.readFileSync(path.join(__dirname, file), "utf8");
+    vm.runInContext(code, context, { filename: file });
+  }
+  return (expr) => vm.runInContext(expr, context);
+}
+
+// Objects from the script context have that realm's prototypes; copy them into
+// this realm before deep comparisons
+const plain = (value) => JSON.parse(JSON.stringify(value));
+
+//#region Picking ----------------------------------------------------------------
+
+test("picking: sphere at the origin is hit from the default orbit camera", () => {
+  const app = loadScripts("layout.js", "scene.js", "raymarch.js");
+  const orbitCamera = app("orbitCamera");
+  const pickPrimitive = (...args) => plain(app("pickPrimitive")(...args));
+  const makeDefaultPrimitive = app("makeDefaultPrimitive");
+  const [SPHERE, PLANE] = app("[SPHERE, PLANE]");
+
+  const plane = makeDefaultPrimitive(PLANE);
+  const sphere = { ...makeDefaultPrimitive(SPHERE), center: [0, 0, 0], param0: 0.8 };
+  const cam = orbitCamera({ x: 0, y: 0, z: 0 }, 4.0, 0.0, 0.5);
+
+  // centre of the screen looks straight at the sphere
+  assert.deepEqual(pickPrimitive(400, 300, 800, 600, cam, [plane, sphere]), [1]);
+  // bottom edge lands on the ground plane
+  assert.deepEqual(pickPrimitive(400, 599, 800, 600, cam, [plane, sphere]), [0]);
+
+  // looking level, the top edge sees only sky
+  const level = orbitCamera({ x: 0, y: 0, z: 0 }, 4.0, 0.0, 0.0);
+  assert.deepEqual(pickPrimitive(400, 300, 800, 600, level, [plane, sphere]), [1]);
+  assert.deepEqual(pickPrimitive(400, 0, 800, 600, level, [plane, sphere]), null);
+});
+
+test("picking: first hit wins over primitives behind it", () => {
+  const app = loadScripts("layout.js", "scene.js", "raymarch.js");
+  const pickPrimitive = (...args) => plain(app("pickPrimitive")(...args));
+  const makeDefaultPrimitive = app("makeDefaultPrimitive");
+  const SPHERE = app("SPHERE");
+
+  const cam = {
+    pos: { x: 0, y: 0, z: 5 },
+    dir: { x: 0, y: 0, z: -1 },
+    up: { x: 0, y: 1, z: 0 },
+  };
+  const far = { ...makeDefaultPrimitive(SPHERE), center: [0, 0, -2], param0: 1.0 };
+  const near = { ...makeDefaultPrimitive(SPHERE), center: [0, 0, 1], param0: 0.5 };
+
+  assert.deepEqual(pickPrimitive(50, 50, 100, 100, cam, [far, near]), [1]);
+  assert.deepEqual(pickPrimitive(50, 50, 100, 100, cam, [far]), [0]);
+  // off to the side of the small sphere only the big one is hit
+  assert.deepEqual(pickPrimitive(70, 50, 100, 100, cam, [far, near]), [0]);
+});
+
+test("picking: every kind is hit through its centre", () => {
+  const app = loadScripts("layout.js", "scene.js", "raymarch.js");
+  const pickPrimitive = (...args) => plain(app("pickPrimitive")(...args));
+  const makeDefaultPrimitive = app("makeDefaultPrimitive");
+  const kinds = app("Object.keys(PRIM_KIND_LABELS).map(Number)");
+  const PLANE = app("PLANE");
+  const LINK = app("LINK");
+
+  const cam = {
+    pos: { x: 0, y: 0.5, z: 5 },
+    dir: { x: 0, y: 0, z: -1 },
+    up: { x: 0, y: 1, z: 0 },
+  };
+  for (const kind of kinds) {
+    if (kind === PLANE) continue;
+    const prim = makeDefaultPrimitive(kind);
+    // the link has a hole in the middle: look at it edge-on
+    if (kind === LINK) prim.rotation = [0, 90, 0];
+    assert.deepEqual(pickPrimitive(50, 50, 100, 100, cam, [prim]), [0], `kind ${kind}`);
+  }
+});
+
+test("picking: distances to the extra shapes at known points", () => {
+  const app = loadScripts("layout.js", "scene.js", "raymarch.js");
+  const makeDefaultPrimitive = app("makeDefaultPrimitive");
+  const dist = (kind, p, overrides) => {
+    const prim = { ...makeDefaultPrimitive(app(kind)), center: [0, 0, 0], ...overrides };
+    return app("sdPrimitive")(p, { ...prim, rotMatrix: app("rotationMatrix")(prim.rotation) });
+  };
+  const near = (actual, expected, msg) => assert.ok(Math.abs(actual - expected) < 1e-4, `${msg}: ${actual} != ${expected}`);
+
+  // height 2, base radius 1: tip at y = 1, base at y = -1
+  near(dist("CONE", [0, 2, 0], { param0: 2, params1: [1, 0, 0, 0] }), 1, "above the tip");
+  near(dist("CONE", [0, -1.5, 0], { param0: 2, params1: [1, 0, 0, 0] }), 0.5, "below the base");
+  near(dist("CONE", [1, 1, 0], { param0: 2, params1: [1, 0, 0, 0] }), 2 / Math.sqrt(5), "beside the slope");
+  near(dist("CAPPED_CONE", [2, 1, 0], { param0: 2, params1: [1, 1, 0, 0] }), 1, "equal radii are a cylinder");
+  near(dist("ELLIPSOID", [3, 0, 0], { params1: [2, 1, 1, 0] }), 1, "along the long axis");
+  near(dist("ELLIPSOID", [0, 2, 0], { params1: [2, 1, 1, 0] }), 1, "along a short axis");
+  near(dist("HEX_PRISM", [0, 0, 1.5], { param0: 2, params1: [1, 0, 0, 0] }), 0.5, "off a flat side");
+  near(dist("HEX_PRISM", [0, 1.5, 0], { param0: 2, params1: [1, 0, 0, 0] }), 0.5, "above the cap");
+  near(dist("OCTAHEDRON", [0, 2, 0], { param0: 1 }), 1, "off a vertex");
+  near(dist("OCTAHEDRON", [1, 1, 1], { param0: 1 }), 2 / Math.sqrt(3), "off a face");
+  near(dist("LINK", [0, 0, 0], { param0: 0.5, params1: [1, 0.25, 0, 0] }), 0.75, "in the hole");
+  near(dist("LINK", [0, 2, 0], { param0: 0.5, params1: [1, 0.25, 0, 0] }), 0.25, "past the end");
+  near(dist("TRI_PRISM", [0, 0, -1], { param0: 2, params1: [1, 0, 0, 0] }), 0.5, "off the flat side");
+  near(dist("TRI_PRISM", [0, 2, 0], { param0: 2, params1: [1, 0, 0, 0] }), 1, "above the cap");
+});
+
+test("picking: rotation and scale are applied about the center", () => {
+  const app = loadScripts("layout.js", "scene.js", "raymarch.js");
+  const pickPrimitive = (...args) => plain(app("pickPrimitive")(...args));
+  const makeDefaultPrimitive = app("makeDefaultPrimitive");
+
+  const cam = {
+    pos: { x: 0, y: 0, z: 5 },
+    dir: { x: 0, y: 0, z: -1 },
+    up: { x: 0, y: 1, z: 0 },
+  };
+  // a thin, tall box: 0.1 wide, 2 high
+  const box = { ...makeDefaultPrimitive(app("BOX")), center: [0, 0, 0], params1: [0.05, 1, 0.05, 0] };
+  // pixel (80, 50) looks at x ~ 1, beside the upright box...
+  assert.deepEqual(pickPrimitive(80, 50, 100, 100, cam, [box]), null);
+  // ...but on it once rotated 90 degrees about Z
+  assert.deepEqual(pickPrimitive(80, 50, 100, 100, cam, [{ ...box, rotation: [0, 0, 90] }]), [0]);
+  // or once stretched along X
+  assert.deepEqual(pickPrimitive(80, 50, 100, 100, cam, [{ ...box, scale: [30, 1, 1] }]), [0]);
+});
+
+test("picking: capsules turn about the middle of A and B", () => {
+  const app = loadScripts("layout.js", "scene.js", "raymarch.js");
+  const sdPrimitive = app("sdPrimitive");
+  // upright from y = 1 to y = 3, then laid down by 90 degrees about Z
+  const base = { ...app("makeDefaultPrimitive")(app("CAPSULE")), center: [0, 1, 0], params1: [0, 3, 0, 0], param0: 0.3 };
+  const capsule = { ...base, rotation: [0, 0, 90], rotMatrix: app("rotationMatrix")([0, 0, 90]) };
+
+  assertClose(plain(app("primitivePivot")(capsule)), [0, 2, 0]);
+  // the ends swing to either side of the midpoint, which stays put
+  for (const p of [[-1, 2, 0], [0, 2, 0], [1, 2, 0]]) assertClose([sdPrimitive(p, capsule)], [-0.3]);
+  assert.ok(sdPrimitive([0, 1, 0], capsule) > 0);
+});
+
+test("picking: CSG ops combine primitives in list order", () => {
+  const app = loadScripts("layout.js", "scene.js", "raymarch.js");
+  const pickPrimitive = (...args) => plain(app("pickPrimitive")(...args));
+  const makeDefaultPrimitive = app("makeDefaultPrimitive");
+  const [SPHERE, BOX] = app("[SPHERE, BOX]");
+  const [OP_SUBTRACT, OP_INTERSECT, OP_SMOOTH_UNION] = app("[OP_SUBTRACT, OP_INTERSECT, OP_SMOOTH_UNION]");
+
+  const cam = {
+    pos: { x: 0, y: 0, z: 5 },
+    dir: { x: 0, y: 0, z: -1 },
+    up: { x: 0, y: 1, z: 0 },
+  };
+  const box = { ...makeDefaultPrimitive(BOX), center: [0, 0, 0], params1: [1, 1, 1, 0] };
+  const hole = { ...makeDefaultPrimitive(SPHERE), center: [0, 0, 1], param0: 0.5 };
+  const far = { ...makeDefaultPrimitive(SPHERE), center: [5, 0, 0], param0: 0.5 };
+
+  // a hole cut into the front face: the centre ray lands on the cutter's surface
+  assert.deepEqual(pickPrimitive(50, 50, 100, 100, cam, [box, { ...hole, op: OP_SUBTRACT }]), [1]);
+  // away from the hole the box face is still there
+  assert.deepEqual(pickPrimitive(50, 20, 100, 100, cam, [box, { ...hole, op: OP_SUBTRACT }]), [0]);
+  // subtracting from nothing leaves nothing
+  assert.deepEqual(pickPrimitive(50, 50, 100, 100, cam, [{ ...hole, op: OP_SUBTRACT }]), null);
+  // intersecting with a disjoint sphere removes the box entirely
+  assert.deepEqual(pickPrimitive(50, 50, 100, 100, cam, [box, { ...far, op: OP_INTERSECT }]), null);
+  // a smooth union behaves like a union far from the blend zone
+  assert.deepEqual(pickPrimitive(50, 50, 100, 100, cam, [box, { ...far, op: OP_SMOOTH_UNION }]), [0]);
+});
+
+//#endregion
+//#region Camera navigation ------------------------------------------------------
+
+test("camera: transitions ease between views the short way round", () => {
+  const app = loadScripts("layout.js", "scene.js", "bvh.js", "raymarch.js", "camera.js");
+  const transitionView = app("transitionView");
+  const from = { target: { x: 0, y: 0, z: 0 }, dist: 1, yaw: 3, pitch: 0 };
+  const to = { target: { x: 2, y: 4, z: -2 }, dist: 4, yaw: -3 + 4 * Math.PI, pitch: 1 };
+
+  assert.deepEqual(plain(transitionView(from, to, 0)), plain(from));
+  const half = plain(transitionView(from, to, app("CAMERA_TRANSITION_TIME") / 2));
+  assert.deepEqual(half.target, { x: 1, y: 2, z: -1 });
+  assert.equal(half.dist, 2); // halfway in zoom, not in distance
+  // from 3 to 2pi - 3 across +-pi rather than back through 0
+  assert.ok(Math.abs(half.yaw - Math.PI) < 1e-9);
+  assert.equal(half.pitch, 0.5);
+  assert.deepEqual(plain(transitionView(from, to, 10)), plain(to));
+});
+
+test("camera: frame selected fits the node's bounds and skips unbounded ones", () => {
+  const app = loadScripts("layout.js", "scene.js", "bvh.js", "raymarch.js", "camera.js");
+  const makeDefaultPrimitive = app("makeDefaultPrimitive");
+  const nodeBounds = (...args) => plain(app("nodeBounds")(...args));
+  const sphere = { ...makeDefaultPrimitive(app("SPHERE")), center: [0, 0, 0], param0: 1 };
+  const group = { ...app("makeGroup")(), center: [4, 0, 0], children: [sphere] };
+  const nodes = [makeDefaultPrimitive(app("PLANE")), group];
+
+  assert.equal(nodeBounds(nodes, [0]), null);
+  assert.deepEqual(nodeBounds(nodes, [1]), { min: [3, -1, -1], max: [5, 1, 1] });
+  assert.deepEqual(nodeBounds(nodes, [1, 0]), nodeBounds(nodes, [1]));
+
+  const view = { target: { x: 0, y: 0, z: 0 }, dist: 50, yaw: 0.3, pitch: 0.2 };
+  const framed = app("frameView")(view, nodeBounds(nodes, [1]));
+  assert.deepEqual(plain(framed.target), { x: 4, y: 0, z: 0 });
+  assert.equal(framed.yaw, 0.3);
+
+  // the bounding sphere's silhouette just fits inside +-0.5 of the screen
+  const radius = Math.sqrt(3) * app("FRAME_MARGIN");
+  const edge = Math.tan(Math.asin(radius / framed.dist)) * app("DEFAULT_FOCAL_LENGTH");
+  assert.ok(Math.abs(edge - 0.5) < 1e-9);
+});
+
+test("camera: flying keeps the eye put while looking and moves along the view", () => {
+  const app = loadScripts("layout.js", "scene.js", "bvh.js", "raymarch.js", "camera.js");
+  const orbitCamera = app("orbitCamera");
+  const eye = (v) => plain(orbitCamera(v.target, v.dist, v.yaw, v.pitch).pos);
+  const close = (a, b) => ["x", "y", "z"].every((k) => Math.abs(a[k] - b[k]) < 1e-9);
+  const view = { target: { x: 0, y: 0, z: 0 }, dist: 4, yaw: 0, pitch: 0 };
+
+  const turned = app("lookAround")(view, 0.5, 3);
+  assert.ok(close(eye(turned), eye(view)));
+  assert.equal(turned.pitch, app("PITCH_MAX"));
+
+  // at yaw 0 the camera looks down -z with +x to its right
+  const moved = plain(app("flyMove")(view, [1, 2, 3]));
+  assert.deepEqual(moved.target, { x: 1, y: 2, z: -3 });
+  assert.ok(close(eye(moved), { x: 1, y: 2, z: 1 }));
+});
+
+test("camera: lens fov, orthographic rays and focus picking", () => {
+  const app = loadScripts("layout.js", "scene.js", "bvh.js", "raymarch.js", "camera.js");
+  const lensUniform = app("lensUniform");
+  const cameraRay = (...args) => plain(app("cameraRay")(...args));
+  const lens = app("makeDefaultLens")();
+  const cam = { pos: { x: 0, y: 0, z: 5 }, dir: { x: 0, y: 0, z: -1 }, up: { x: 0, y: 1, z: 0 } };
+
+  // the default lens is the old fixed one
+  assert.ok(Math.abs(lensUniform(lens, 5)[0] - app("DEFAULT_FOCAL_LENGTH")) < 1e-12);
+  assert.deepEqual(cameraRay(0, 300, 800, 600, { ...cam, lens: lensUniform(lens, 5) }), cameraRay(0, 300, 800, 600, cam));
+  const wide = lensUniform({ ...lens, fov: 90 }, 5);
+  assert.ok(Math.abs(wide[0] - 0.5) < 1e-12);
+
+  // orthographic: parallel rays from the image plane, spanning what the
+  // perspective view shows at the orbit distance
+  const ortho = lensUniform({ ...lens, fov: 90, orthographic: true }, 5);
+  assert.ok(Math.abs(ortho[1] - 10) < 1e-9);
+  const { ro, rd } = cameraRay(400, 0, 800, 600, { ...cam, lens: ortho });
+  assert.deepEqual(rd, [0, 0, -1]);
+  assert.ok(Math.abs(ro[1] - 5) < 1e-12);
+
+  // snap and opposite views
+  const view = { target: { x: 1, y: 0, z: 0 }, dist: 3, yaw: 2, pitch: 0.4 };
+  assert.deepEqual(plain(app("snapView")(view, "right")), { ...view, yaw: Math.PI / 2, pitch: 0 });
+  const back = plain(app("oppositeView")(view));
+  assert.equal(back.yaw, 2 + Math.PI);
+  assert.equal(back.pitch, -0.4);
+
+  // the focus distance that makes the front of a sphere sharp
+  const sphere = { ...app("makeDefaultPrimitive")(app("SPHERE")), center: [0, 0, 0], param0: 1 };
+  const depth = app("pickDepth")(400, 300, 800, 600, cam, [sphere]);
+  assert.ok(Math.abs(depth - 4) < 1e-2);
+  assert.equal(app("pickDepth")(0, 0, 800, 600, cam, [sphere]), null);
+});
+
+//#endregion
+//#region Pointer input ----------------------------------------------------------
+
+test("pointer: mouse buttons follow the bindings, with the old fallbacks", () => {
+  const app = loadScripts("pointer.js");
+  const action = (bindings, button, mods = {}) => app("mouseDragAction")(bindings, { button, ...mods });
+  const defaults = app("defaultPointerBindings")();
+
+  assert.equal(action(defaults, 0), "select");
+  assert.equal(action(defaults, 0, { altKey: true }), "orbit");
+  assert.equal(action(defaults, 1), "orbit");
+  assert.equal(action(defaults, 1, { shiftKey: true }), "pan");
+  assert.equal(action(defaults, 1, { ctrlKey: true }), "zoom");
+  assert.equal(action(defaults, 2), "none");
+  assert.equal(action(defaults, 3), "none");
+
+  // a trackpad setup: left orbits, Shift+left pans
+  const trackpad = app("normalizePointerBindings")({ left: "orbit", right: "teleport", wheel: "orbit" });
+  assert.deepEqual(plain(trackpad), { left: "orbit", middle: "orbit", right: "none", wheel: "orbit" });
+  assert.equal(action(trackpad, 0), "orbit");
+  assert.equal(action(trackpad, 0, { shiftKey: true }), "pan");
+  assert.equal(action(trackpad, 0, { metaKey: true }), "zoom");
+
+  assert.deepEqual(plain(app("normalizePointerBindings")(null)), plain(defaults));
+});
+
+test("pointer: taps, one-finger drags and two-finger pinches", () => {
+  let time = 0;
+  const gesture = loadScripts("pointer.js")("createTouchGesture")({ now: () => time });
+
+  // a short press that stays put is a tap
+  gesture.down(1, 100, 100);
+  assert.equal(gesture.move(1, 103, 104), null);
+  time = 200;
+  assert.deepEqual(plain(gesture.up(1)), { x: 100, y: 100 });
+
+  // past the slop it drags, and is no tap any more
+  gesture.down(1, 100, 100);
+  assert.deepEqual(plain(gesture.move(1, 110, 100)), { drag: [10, 0] });
+  assert.deepEqual(plain(gesture.move(1, 110, 95)), { drag: [0, -5] });
+  assert.equal(gesture.up(1), null);
+
+  // held too long
+  gesture.down(1, 100, 100);
+  time = 1000;
+  assert.equal(gesture.up(1), null);
+
+  // two fingers: the midpoint pans, the spread zooms
+  gesture.down(1, 100, 100);
+  gesture.down(2, 200, 100);
+  assert.deepEqual(plain(gesture.move(2, 300, 100)), { pan: [50, 0], zoom: 0.5 });
+  assert.equal(gesture.up(2), null);
+  // the finger left behind drags straight away
+  assert.deepEqual(plain(gesture.move(1, 101, 100)), { drag: [1, 0] });
+  assert.equal(gesture.up(1), null);
+  assert.equal(gesture.count(), 0);
+  assert.equal(gesture.move(7, 0, 0), null);
+});
+
+//#endregion
+//#region Commands ---------------------------------------------------------------
+
+test("commands: key chords from keydown events", () => {
+  const app = loadScripts("commands.js");
+  const chord = (e) => app("eventChord")(e);
+  const chordLabel = app("chordLabel");
+
+  assert.equal(chord({ code: "KeyZ", key: "z", ctrlKey: true }), "Ctrl+Z");
+  assert.equal(chord({ code: "KeyZ", key: "Z", metaKey: true, shiftKey: true }), "Ctrl+Shift+Z");
+  assert.equal(chord({ code: "Digit5", key: "%", shiftKey: true }), "Shift+5");
+  assert.equal(chord({ code: "Numpad1", key: "1" }), "Numpad1");
+  assert.equal(chord({ code: "Space", key: " " }), "Space");
+  // by key position: a German layout's Z key is still "Y"
+  assert.equal(chord({ code: "KeyY", key: "z", ctrlKey: true }), "Ctrl+Y");
+  assert.equal(chord({ code: "ShiftLeft", key: "Shift", shiftKey: true }), null);
+  // synthetic events without a code fall back to the key
+  assert.equal(chord({ code: "", key: "k", ctrlKey: true }), "Ctrl+K");
+
+  assert.equal(chordLabel("Shift+Backquote"), "Shift+`");
+  assert.equal(chordLabel("Numpad7"), "Num 7");
+  assert.equal(chordLabel("NumpadDecimal"), "Num .");
+  assert.equal(chordLabel("Ctrl+Enter"), "Ctrl+Enter");
+});
+
+test("commands: scoped dispatch and remapping", () => {
+  const app = loadScripts("commands.js");
+  const registry = app("createCommandRegistry")();
+  const ran = [];
+  const command = (id, keys, scope) => registry.register({ id, label: id, keys, scope, run: () => ran.push(id) });
+  command("compile", ["Ctrl+Enter"], "code");
+  command("undo", ["Ctrl+Z"], "field");
+  command("delete", ["Delete", "Backspace"]);
+  command("add-sphere", []);
+
+  const found = (chord, context) => registry.find(chord, context)?.id ?? null;
+  assert.equal(found("Delete"), "delete");
+  // fields keep their own keys, the shader editor all but code commands
+  assert.equal(found("Delete", "field"), null);
+  assert.equal(found("Ctrl+Z", "field"), "undo");
+  assert.equal(found("Ctrl+Z", "code"), null);
+  assert.equal(found("Ctrl+Enter", "code"), "compile");
+  registry.get("delete").run();
+  assert.deepEqual(ran, ["delete"]);
+  // held keys only repeat commands that ask for it
+  assert.equal(registry.get("delete").repeat, false);
+
+  // a command that doesn't want its key right now leaves it to the browser
+  let selected = false;
+  registry.register({ id: "copy", label: "Copy", keys: ["Ctrl+C"], when: () => selected, run: () => {} });
+  assert.equal(found("Ctrl+C"), null);
+  selected = true;
+  assert.equal(found("Ctrl+C"), "copy");
+
+  // binding a chord takes it from the command that had it
+  registry.setKeys("add-sphere", ["Backspace"]);
+  assert.deepEqual(plain(registry.keysFor("delete")), ["Delete"]);
+  assert.equal(found("Backspace"), "add-sphere");
+  assert.deepEqual(plain(registry.overrides()), { delete: ["Delete"], "add-sphere": ["Backspace"] });
+
+  // saved overrides: unknown commands and garbage are dropped
+  registry.loadOverrides({ undo: ["Ctrl+U"], gone: ["X"], delete: "Delete" });
+  assert.deepEqual(plain(registry.overrides()), { undo: ["Ctrl+U"] });
+  assert.equal(found("Ctrl+Z", "field"), null);
+  assert.equal(found("Backspace"), "delete");
+
+  registry.resetKeys("undo");
+  assert.equal(found("Ctrl+Z"), "undo");
+  registry.setKeys("compile", []);
+  registry.resetKeys();
+  assert.equal(found("Ctrl+Enter", "code"), "compile");
+  registry.loadOverrides(null);
+  assert.deepEqual(plain(registry.overrides()), {});
+});
+
+test("commands: fuzzy palette search", () => {
+  const app = loadScripts("commands.js");
+  const fuzzyScore = app("fuzzyScore");
+  const registry = app("createCommandRegistry")();
+  for (const label of ["Toggle fullscreen", "Frame selected", "Add sphere", "Add box", "Delete selected"]) {
+    registry.register({ id: label, label, run: () => {} });
+  }
+  const search = (query) => plain(registry.search(query).map((command) => command.label));
+
+  assert.equal(fuzzyScore("xyz", "Add box"), null);
+  assert.equal(fuzzyScore("", "Add box"), 0);
+  // word starts and runs beat scattered letters
+  assert.ok(fuzzyScore("fs", "Frame selected") > fuzzyScore("fs", "Toggle fullscreen"));
+  assert.deepEqual(search("fs"), ["Frame selected", "Toggle fullscreen"]);
+  assert.deepEqual(search("add sph"), ["Add sphere"]);
+  assert.deepEqual(search("DEL"), ["Delete selected"]);
+  // an empty query lists everything in registration order
+  assert.equal(search("").length, 5);
+  assert.equal(search("")[0], "Toggle fullscreen");
+});
+
+//#endregion
+//#region Gizmo ------------------------------------------------------------------
+
+test("gizmo: axis under the ray is picked", () => {
+  const app = loadScripts("layout.js", "scene.js", "raymarch.js");
+  const pickGizmoAxis = app("pickGizmoAxis");
+
+  const ro = [0.5, 0.0, 5.0];
+  assert.equal(pickGizmoAxis(ro, [0, 0, -1], [0, 0, 0], 1.0), 0);
+  assert.equal(pickGizmoAxis([0, 0.5, 5], [0, 0, -1], [0, 0, 0], 1.0), 1);
+  assert.equal(pickGizmoAxis([0.5, 5, 0.5], [0, -1, 0], [0, 0, 0], 1.0), -1);
+  assert.equal(pickGizmoAxis([0, 5, 0.5], [0, -1, 0], [0, 0, 0], 1.0), 2);
+  assert.equal(pickGizmoAxis([2, 2, 5], [0, 0, -1], [0, 0, 0], 1.0), -1);
+});
+
+test("gizmo: drag parameter follows the mouse ray along the axis", () => {
+  const app = loadScripts("layout.js", "scene.js", "raymarch.js");
+  const closestAxisParam = app("closestAxisParam");
+
+  // ray straight down at x = 1.5 crosses the X axis at s = 1.5
+  assert.ok(Math.abs(closestAxisParam([1.5, 3, 0], [0, -1, 0], [0, 0, 0], [1, 0, 0]) - 1.5) < 1e-9);
+  assert.ok(Math.abs(closestAxisParam([1.5, 3, 0], [0, -1, 0], [1, 0, 0], [1, 0, 0]) - 0.5) < 1e-9);
+  // looking along the axis gives no usable drag direction
+  assert.equal(closestAxisParam([0, 0, 5], [0, 0, -1], [0, 0, 0], [0, 0, 1]), null);
+});
+
+//#endregion
+//#region Primitive registry -----------------------------------------------------
+
+test("registry: every kind declares labelled parameters with in-range defaults", () => {
+  const app = loadScripts("layout.js", "scene.js", "serialize.js");
+  const registry = app("PRIMITIVE_REGISTRY");
+  const getParam = app("getPrimitiveParam");
+
+  for (const [kind, entry] of Object.entries(registry)) {
+    assert.ok(entry.label && entry.name, `kind ${kind} needs a label and a file name`);
+    assert.equal(app("PRIM_KIND_NAMES")[kind], entry.name);
+
+    const prim = app("makeDefaultPrimitive")(Number(kind));
+    assert.equal(prim.kind, Number(kind));
+    for (const param of entry.params) {
+      assert.match(param.slot, /^(param0|center|params1(\.[xyzw]+)?)$/, `${entry.name}.${param.name}`);
+      assert.ok(param.min < param.max && param.step > 0, `${entry.name}.${param.name} range`);
+      const value = [getParam(prim, param)].flat();
+      assert.equal(value.length, param.type === "vec3" ? 3 : 1);
+      value.forEach((v) => assert.ok(v >= param.min && v <= param.max, `${entry.name}.${param.name} default ${v}`));
+    }
+  }
+});
+
+test("registry: parameters read and write their slots, unused slots pack as zero", () => {
+  const app = loadScripts("layout.js", "scene.js");
+  const [TORUS, CAPSULE] = app("[TORUS, CAPSULE]");
+  const param = (kind, name) => app("primitiveParams")(kind).find((p) => p.name === name);
+
+  // torus: major radius in param0, minor radius in params1.x
+  const torus = app("makeDefaultPrimitive")(TORUS);
+  assert.deepEqual(plain([torus.param0, torus.params1]), [1.0, [0.25, 0, 0, 0]]);
+  app("setPrimitiveParam")(torus, param(TORUS, "minor-radius"), 0.5);
+  assert.equal(torus.params1[0], 0.5);
+
+  // leftovers from another kind don't reach the GPU
+  torus.params1[2] = 9;
+  assert.deepEqual(plain(app("packedPrimitiveParams")(torus)), { param0: 1.0, params1: [0.5, 0, 0, 0] });
+
+  // capsule point B is a position: it follows the object
+  const capsule = app("makeDefaultPrimitive")(CAPSULE);
+  app("translatePrimitive")(capsule, [1, 2, 3]);
+  assert.deepEqual(plain(capsule.center), [1, 3, 3]);
+  assert.deepEqual(plain(app("getPrimitiveParam")(capsule, param(CAPSULE, "point-b"))), [1, 2, 3]);
+});
+
+//#endregion
+//#region Modifiers --------------------------------------------------------------
+
+test("modifiers: flattened in front of their primitive and packed by slot", () => {
+  const app = loadScripts("layout.js", "scene.js", "bvh.js");
+  const makeDefaultPrimitive = app("makeDefaultPrimitive");
+  const makeModifier = app("makeModifier");
+  const MODIFIER = app("MODIFIER");
+
+  const sphere = makeDefaultPrimitive(app("SPHERE"));
+  const mirror = { ...makeModifier(app("MOD_MIRROR")), axis: 2, offset: 0.75 };
+  sphere.modifiers = [makeModifier(app("MOD_TWIST")), mirror];
+  const nodes = [sphere, makeDefaultPrimitive(app("BOX"))];
+  assert.equal(app("countSlots")(nodes), 4);
+
+  const { items, paths } = app("flattenSceneTree")(nodes);
+  assert.deepEqual(plain(items.map((item) => item.kind)), [MODIFIER, MODIFIER, app("SPHERE"), app("BOX")]);
+  assert.deepEqual(plain(paths), [[0], [0], [0], [1]]);
+
+  const view = new DataView(app("buildSceneData")(items));
+  const item = (i, offset) => app("PRIMITIVES_OFFSET") + i * app("PRIMITIVE_SIZE") + offset;
+  assert.equal(view.getUint32(item(1, 0), true), MODIFIER);
+  assert.equal(view.getUint32(item(1, 4), true), app("MOD_MIRROR"));
+  assert.equal(view.getFloat32(item(1, 28), true), 0.75); // offset: center_param0.w
+  assert.equal(view.getFloat32(item(1, 32), true), 2);    // axis: params1.x
+
+  // clustering keeps modifiers right in front of their primitive
+  const many = Array.from({ length: 8 }, (_, i) => ({ ...makeDefaultPrimitive(app("SPHERE")), center: [i * 3, 0, 0] }));
+  many[5].modifiers = [makeModifier(app("MOD_ROUND"))];
+  const out = app("buildBVH")(app("flattenSceneTree")(many).items);
+  const at = out.findIndex((it) => it.kind === MODIFIER);
+  assert.equal(out[at + 1], out.find((it) => it.modifiers?.length === 1));
+  assert.equal(out.filter((it) => it.kind === MODIFIER).length, 1);
+});
+
+test("modifiers: distances follow the stack in order", () => {
+  const app = loadScripts("layout.js", "scene.js", "bvh.js", "raymarch.js");
+  const makeModifier = app("makeModifier");
+  const sdPrimitive = app("sdPrimitive");
+  const mod = (name, values = {}) => ({ ...makeModifier(app(name)), ...values });
+  const dist = (p, modifiers) => {
+    const prim = { ...app("makeDefaultPrimitive")(app("SPHERE")), center: [0, 0, 0], param0: 0.5, modifiers };
+    return sdPrimitive(p, { ...prim, rotMatrix: app("rotationMatrix")(prim.rotation) });
+  };
+  const near = (actual, expected, msg) => assert.ok(Math.abs(actual - expected) < 1e-6, `${msg}: ${actual} != ${expected}`);
+
+  near(dist([4, 0, 0], [mod("MOD_REPEAT", { spacing: [2, 0, 0] })]), -0.5, "a copy every 2 units");
+  near(dist([0, 4, 0], [mod("MOD_REPEAT", { spacing: [2, 0, 0] })]), 3.5, "only along x");
+  near(dist([4, 0, 0], [mod("MOD_REPEAT_LIMITED", { spacing: [1.5, 0, 0], count: [2, 0, 0] })]), 0.5, "two copies each side");
+  near(dist([0, 0, -1], [mod("MOD_MIRROR", { axis: 2, offset: 1 })]), -0.5, "mirrored copy");
+  near(dist([1, 0, 0], [mod("MOD_ROUND", { radius: 0.25 })]), 0.25, "rounded");
+  near(dist([0, 0, 0], [mod("MOD_ONION", { thickness: 0.1 })]), 0.4, "hollow");
+  // order matters: shell first then round, or round first then shell
+  near(dist([0, 0, 0], [mod("MOD_ONION", { thickness: 0.1 }), mod("MOD_ROUND", { radius: 0.2 })]), 0.2, "onion, round");
+  near(dist([0, 0, 0], [mod("MOD_ROUND", { radius: 0.2 }), mod("MOD_ONION", { thickness: 0.1 })]), 0.6, "round, onion");
+  // a twist about y leaves points on the axis alone and slows the step away from it
+  near(dist([0, 2, 0], [mod("MOD_TWIST", { rate: 3 })]), 1.5, "on the axis");
+  assert.ok(dist([2, 0, 1], [mod("MOD_TWIST", { rate: 3 })]) < dist([2, 0, 1], []), "smaller steps off the axis");
+  // noise is deterministic and moves the surface by at most its amplitude
+  const noise = [mod("MOD_NOISE", { amplitude: 0.1, frequency: 3 })];
+  assert.equal(dist([0.7, 0.3, 0.2], noise), dist([0.7, 0.3, 0.2], noise));
+  for (let t = 0; t < 1; t += 0.05) {
+    const dir = [Math.cos(t * 7), Math.sin(t * 3), Math.cos(t * 5)];
+    const at = (r) => dir.map((v) => (v * r) / Math.hypot(...dir));
+    assert.ok(dist(at(0.61), noise) > 0, "outside stays outside");
+    assert.ok(dist(at(0.39), noise) < 0, "inside stays inside");
+  }
+});
+
+test("modifiers: modified shapes stay inside their box", () => {
+  const app = loadScripts("layout.js", "scene.js", "bvh.js", "raymarch.js");
+  const makeModifier = app("makeModifier");
+  const sdPrimitive = app("sdPrimitive");
+  const stacks = [
+    [{ ...makeModifier(app("MOD_REPEAT_LIMITED")), spacing: [1.5, 0, 1.2], count: [1, 0, 1] }],
+    [makeModifier(app("MOD_MIRROR")), makeModifier(app("MOD_TWIST"))],
+    [makeModifier(app("MOD_BEND")), makeModifier(app("MOD_ROUND"))],
+    [makeModifier(app("MOD_ONION")), makeModifier(app("MOD_NOISE"))],
+  ];
+
+  for (const modifiers of stacks) {
+    const base = { ...app("makeDefaultPrimitive")(app("BOX")), center: [0, 0, 0], rotation: [0, 30, 10], modifiers };
+    const prim = { ...base, rotMatrix: app("rotationMatrix")(base.rotation) };
+    const box = plain(app("primitiveBounds")(prim));
+    for (let x = -3; x <= 3; x += 0.2) {
+      for (let y = -3; y <= 3; y += 0.2) {
+        for (let z = -3; z <= 3; z += 0.2) {
+          if (sdPrimitive([x, y, z], prim) > 0) continue;
+          assert.ok([x, y, z].every((v, i) => v >= box.min[i] - 1e-9 && v <= box.max[i] + 1e-9), `${modifiers[0].type} at ${[x, y, z]}`);
+        }
+      }
+    }
+  }
+
+  const repeated = { ...app("makeDefaultPrimitive")(app("SPHERE")), modifiers: [makeModifier(app("MOD_REPEAT"))] };
+  assert.equal(app("isUnbounded")(app("primitiveBounds")({ ...repeated, rotMatrix: app("rotationMatrix")([0, 0, 0]) })), true);
+});
+
+//#endregion
+//#region Animation --------------------------------------------------------------
+
+test("keyframes: tracks hold at the ends and follow each key's curve", () => {
+  const app = loadScripts("layout.js", "scene.js");
+  const sampleTrack = app("sampleTrack");
+  const prim = app("makeDefaultPrimitive")(app("SPHERE"));
+  const setKeyframe = app("setKeyframe");
+
+  setKeyframe(prim, "center", 1, [0, 0, 0], "linear");
+  setKeyframe(prim, "center", 3, [2, 4, 0], "ease");
+  setKeyframe(prim, "center", 5, [0, 0, 0], "step");
+  setKeyframe(prim, "center", 7, [9, 9, 9]);
+  const keys = prim.keyframes.center;
+
+  assert.deepEqual(plain(sampleTrack(keys, 0)), [0, 0, 0]);
+  assert.deepEqual(plain(sampleTrack(keys, 2)), [1, 2, 0]); // linear halfway
+  assert.deepEqual(plain(sampleTrack(keys, 3.5)), [1.6875, 3.375, 0]); // smoothstep(0.25) = 0.15625
+  assert.deepEqual(plain(sampleTrack(keys, 6.9)), [0, 0, 0]); // step holds
+  assert.deepEqual(plain(sampleTrack(keys, 8)), [9, 9, 9]);
+
+  // keying the same time again replaces the value but keeps the curve
+  setKeyframe(prim, "center", 3, [4, 4, 4]);
+  assert.equal(keys.length, 4);
+  assert.deepEqual(plain(keys[1]), { time: 3, value: [4, 4, 4], interp: "ease" });
+
+  app("removeKeyframe")(prim, "center", 0);
+  assert.deepEqual(plain(keys.map((k) => k.time)), [3, 5, 7]);
+  for (let i = 0; i < 3; i++) app("removeKeyframe")(prim, "center", 0);
+  assert.deepEqual(plain(prim.keyframes), {});
+});
+
+test("keyframes: applyAnimation writes keyed fields of nested primitives", () => {
+  const app = loadScripts("layout.js", "scene.js");
+  const applyAnimation = app("applyAnimation");
+  const setKeyframe = app("setKeyframe");
+  const box = app("makeDefaultPrimitive")(app("BOX"));
+  const sphere = app("makeDefaultPrimitive")(app("SPHERE"));
+  const tree = [{ ...app("makeGroup")(), children: [box] }, sphere];
+
+  setKeyframe(box, "half-size", 0, [1, 1, 1]);
+  setKeyframe(box, "half-size", 2, [2, 1, 1]);
+  setKeyframe(sphere, "radius", 0, 1);
+  setKeyframe(sphere, "radius", 2, 3);
+  // tracks for fields the kind doesn't have are ignored
+  sphere.keyframes["half-size"] = [{ time: 0, value: [5, 5, 5], interp: "linear" }];
+
+  assert.equal(app("hasKeyframes")(tree), true);
+  assert.equal(applyAnimation(tree, 1), true);
+  assert.deepEqual(plain(box.params1.slice(0, 3)), [1.5, 1, 1]);
+  assert.equal(sphere.param0, 2);
+  // nothing left to change at the same time
+  assert.equal(applyAnimation(tree, 1), false);
+
+  const fields = plain(app("animatableFields")(app("PLANE")).map((f) => f.name));
+  assert.deepEqual(fields, ["center", "blend", "normal", "offset"]);
+});
+
+test("timeline: playback loops, seeking and the length are clamped", () => {
+  const timeline = loadScripts("timeline.js")("createTimeline")({ duration: 2 });
+
+  assert.equal(timeline.advance(0.5), false); // paused
+  timeline.play();
+  assert.equal(timeline.advance(0.5), true);
+  assert.equal(timeline.advance(1.75), true);
+  assert.equal(timeline.time(), 0.25);
+
+  timeline.pause();
+  assert.equal(timeline.seek(5), true);
+  assert.equal(timeline.time(), 2);
+  assert.equal(timeline.seek(2), false);
+  timeline.seek(-1);
+  assert.equal(timeline.time(), 0);
+
+  timeline.seek(1.5);
+  timeline.setDuration(1);
+  assert.equal(timeline.time(), 1);
+  timeline.setDuration(0);
+  assert.equal(timeline.duration(), 0.1);
+});
+
+//#endregion
+//#region Scene tree -------------------------------------------------------------
+
+const assertClose = (actual, expected, message) => {
+  actual.flat().forEach((v, i) => assert.ok(Math.abs(v - expected.flat()[i]) < 1e-9, message));
+};
+
+test("scene tree: groups flatten to markers around world-space children", () => {
+  const app = loadScripts("layout.js", "scene.js");
+  const makeGroup = app("makeGroup");
+  const makeDefaultPrimitive = app("makeDefaultPrimitive");
+  const [SPHERE, GROUP_BEGIN, GROUP_END, OP_SUBTRACT] = app("[SPHERE, GROUP_BEGIN, GROUP_END, OP_SUBTRACT]");
+
+  const group = {
+    ...makeGroup(),
+    center: [1, 0, 0],
+    rotation: [0, 0, 90],
+    scale: 2,
+    op: OP_SUBTRACT,
+    blend: 0.5,
+    children: [{ ...makeDefaultPrimitive(SPHERE), center: [1, 0, 0] }],
+  };
+  const plane = makeDefaultPrimitive(app("PLANE"));
+  const { items, paths } = app("flattenSceneTree")([plane, group]);
+
+  assert.deepEqual(plain(items.map((item) => item.kind)), [app("PLANE"), GROUP_BEGIN, SPHERE, GROUP_END]);
+  assert.deepEqual(plain(paths), [[0], [1], [1, 0], [1]]);
+  assert.deepEqual(plain(items[3]), { kind: GROUP_END, op: OP_SUBTRACT, blend: 0.5 });
+
+  // child at local x = 1, rotated 90 degrees about Z and doubled: world (1, 2, 0)
+  assertClose(items[2].center, [1, 2, 0]);
+  assertClose(items[2].rotMatrix, [[0, -1, 0], [1, 0, 0], [0, 0, 1]]);
+  assert.deepEqual(plain(items[2].scale), [2, 2, 2]);
+  // the tree itself is left untouched
+  assert.deepEqual(plain(group.children[0].center), [1, 0, 0]);
+
+  // markers take a buffer slot each, with op and blend in the header
+  const u32 = new Uint32Array(app("buildSceneData")(items));
+  const f32 = new Float32Array(u32.buffer);
+  const slot = (i) => (app("PRIMITIVES_OFFSET") + i * app("PRIMITIVE_SIZE")) / 4;
+  assert.equal(u32[0], 4);
+  assert.equal(u32[slot(1)], GROUP_BEGIN);
+  assert.deepEqual([u32[slot(3)], u32[slot(3) + 2], f32[slot(3) + 3]], [GROUP_END, OP_SUBTRACT, 0.5]);
+  assert.equal(app("countSlots")([plane, group]), 4);
+});
+
+test("scene tree: CSG inside a group only affects the group", () => {
+  const app = loadScripts("layout.js", "scene.js", "raymarch.js");
+  const pickPrimitive = (...args) => plain(app("pickPrimitive")(...args));
+  const makeGroup = app("makeGroup");
+  const makeDefaultPrimitive = app("makeDefaultPrimitive");
+  const [SPHERE, BOX, OP_SUBTRACT] = app("[SPHERE, BOX, OP_SUBTRACT]");
+
+  const cam = {
+    pos: { x: 0, y: 0, z: 5 },
+    dir: { x: 0, y: 0, z: -1 },
+    up: { x: 0, y: 1, z: 0 },
+  };
+  const box = { ...makeDefaultPrimitive(BOX), center: [0, 0, 0], params1: [1, 1, 1, 0] };
+  const hole = { ...makeDefaultPrimitive(SPHERE), center: [0, 0, 1], param0: 0.5, op: OP_SUBTRACT };
+  const group = (...children) => ({ ...makeGroup(), children });
+
+  // box minus hole inside a group, picked through the hole
+  assert.deepEqual(pickPrimitive(50, 50, 100, 100, cam, [group(box, hole)]), [0, 1]);
+  assert.deepEqual(pickPrimitive(50, 20, 100, 100, cam, [group(box, hole)]), [0, 0]);
+  // the same cutter alone in a group no longer cuts the box before it
+  assert.deepEqual(pickPrimitive(50, 50, 100, 100, cam, [box, group(hole)]), [0]);
+  // a group offsets its children
+  const moved = { ...group(box), center: [0, 3, 0] };
+  assert.deepEqual(pickPrimitive(50, 50, 100, 100, cam, [moved]), null);
+});
+
+test("scene tree: reparenting keeps the world transform", () => {
+  const app = loadScripts("layout.js", "scene.js");
+  const makeGroup = app("makeGroup");
+  const flattenSceneTree = app("flattenSceneTree");
+  const [IDENTITY_FRAME, groupFrame, reframeNode] = app("[IDENTITY_FRAME, groupFrame, reframeNode]");
+
+  const euler = [30, -20, 75];
+  assertClose(app("matrixToEuler")(app("rotationMatrix")(euler)), euler);
+
+  const capsule = app("makeDefaultPrimitive")(app("CAPSULE"));
+  capsule.rotation = [10, 20, 30];
+  const before = flattenSceneTree([capsule]).items[0];
+
+  const group = { ...makeGroup(), center: [1, 2, 3], rotation: [0, 45, 0], scale: 0.5 };
+  reframeNode(capsule, IDENTITY_FRAME, groupFrame(IDENTITY_FRAME, group));
+  group.children.push(capsule);
+  const after = flattenSceneTree([group]).items[1];
+
+  assertClose(after.center, before.center);
+  assertClose(after.params1, before.params1);
+  assertClose(after.rotMatrix, before.rotMatrix);
+  assertClose(after.scale, before.scale);
+});
+
+test("scene tree: keyed transforms follow a node copied out of a transformed group", () => {
+  const app = loadScripts("layout.js", "scene.js");
+  const [IDENTITY_FRAME, groupFrame, reframeNode] = app("[IDENTITY_FRAME, groupFrame, reframeNode]");
+  const flattenSceneTree = app("flattenSceneTree");
+  const applyAnimation = app("applyAnimation");
+  const setKeyframe = app("setKeyframe");
+
+  const box = app("makeDefaultPrimitive")(app("BOX"));
+  setKeyframe(box, "center", 0, [0, 0, 0]);
+  setKeyframe(box, "center", 2, [1, 0.5, -1]);
+  setKeyframe(box, "rotation", 0, [0, 0, 0]);
+  setKeyframe(box, "rotation", 2, [0, 0, 60]);
+  setKeyframe(box, "scale", 2, [1, 2, 1]);
+  const group = { ...app("makeGroup")(), center: [3, 1, 0], rotation: [0, 90, 0], scale: 2, children: [box] };
+
+  // what copySelected does: the node alone, in world space
+  const copy = structuredClone(box);
+  reframeNode(copy, groupFrame(IDENTITY_FRAME, group), IDENTITY_FRAME);
+
+  for (const t of [0, 1, 2]) {
+    applyAnimation([group], t);
+    applyAnimation([copy], t);
+    const inGroup = flattenSceneTree([group]).items[1];
+    const alone = flattenSceneTree([copy]).items[0];
+    assertClose(alone.center, inGroup.center, `center at ${t}s`);
+    assertClose(alone.scale, inGroup.scale, `scale at ${t}s`);
+    // euler angles only agree on the keys themselves, in between they blend
+    // in a different frame
+    if (t !== 1) assertClose(alone.rotMatrix, inGroup.rotMatrix, `rotation at ${t}s`);
+  }
+});
+
+test("scene tree: array copies step position, rotation and keyed values", () => {
+  const app = loadScripts("layout.js", "scene.js");
+  const makeDefaultPrimitive = app("makeDefaultPrimitive");
+  const arrayCopies = app("arrayCopies");
+
+  const capsule = makeDefaultPrimitive(app("CAPSULE"));
+  capsule.keyframes = {
+    center: [{ time: 0, value: [0, 1, 0], interp: "linear" }],
+    "point-b": [{ time: 0, value: [0, 0, 0], interp: "linear" }],
+  };
+  const copies = arrayCopies(capsule, 3, [1, 0, 0.5], [0, 15, 0]);
+
+  assert.equal(copies.length, 3);
+  assert.deepEqual(plain(copies.map((c) => c.center)), [1, 2, 3].map((i) => [capsule.center[0] + i, capsule.center[1], capsule.center[2] + i * 0.5]));
+  assert.deepEqual(plain(copies.map((c) => c.rotation[1])), [15, 30, 45]);
+  // point B moves with the center, and keyed centers and points follow the step
+  assert.deepEqual(plain(copies[1].params1.slice(0, 3)), plain(capsule.params1.slice(0, 3).map((v, i) => v + [2, 0, 1][i])));
+  assert.deepEqual(plain(copies[2].keyframes.center[0].value), [3, 1, 1.5]);
+  assert.deepEqual(plain(copies[2].keyframes["point-b"][0].value), [3, 0, 1.5]);
+  // the original and the copies share nothing
+  assert.deepEqual(plain(capsule.keyframes.center[0].value), [0, 1, 0]);
+  copies[0].scale[0] = 5;
+  assert.equal(copies[1].scale[0], 1);
+
+  const group = { ...app("makeGroup")(), children: [makeDefaultPrimitive(app("SPHERE"))] };
+  const [groupCopy] = arrayCopies(group, 1, [0, 2, 0], [0, 0, 0]);
+  assert.deepEqual(plain(groupCopy.center), [0, 2, 0]);
+  assert.deepEqual(plain(groupCopy.children), plain(group.children));
+});
+
+test("scene tree: the packed buffer grows with the scene past 16 slots", () => {
+  const app = loadScripts("layout.js", "scene.js");
+  const sphere = app("makeDefaultPrimitive")(app("SPHERE"));
+  const items = app("flattenSceneTree")(Array.from({ length: 40 }, () => sphere)).items;
+
+  const buffer = app("buildSceneData")(items);
+  assert.equal(buffer.byteLength, app("PRIMITIVES_OFFSET") + 40 * app("PRIMITIVE_SIZE"));
+  assert.equal(new Uint32Array(buffer)[0], 40);
+  // an empty scene still binds one (unused) element
+  assert.equal(app("buildSceneData")([]).byteLength, app("sceneDataSize")(1));
+});
+
+//#endregion
+//#region WGSL layout ------------------------------------------------------------
+
+test("layout: offsets follow WGSL alignment for vec3 / vec4 / u32 mixes", () => {
+  const app = loadScripts("layout.js");
+  const structLayout = app("structLayout");
+  const offsets = (layout) => plain(Object.fromEntries(layout.fields.map((f) => [f.name, f.offset])));
+
+  const mixed = structLayout("Mixed", [
+    { name: "a", type: "u32" },
+    { name: "b", type: "vec3<f32>" },  // align 16: skips 12 bytes
+    { name: "c", type: "f32" },        // fits in b's last 4 bytes
+    { name: "d", type: "vec2<f32>" },  // align 8
+    { name: "e", type: "vec4<u32>" },
+    { name: "f", type: "u32" },
+  ]);
+  assert.deepEqual(offsets(mixed), { a: 0, b: 16, c: 28, d: 32, e: 48, f: 64 });
+  assert.equal(mixed.size, 80); // rounded up to the struct's 16-byte alignment
+  assert.equal(mixed.align, 16);
+
+  // matrix columns and array elements are padded to their alignment
+  const padded = structLayout("Padded", [
+    { name: "m", type: "mat3x3<f32>" },
+    { name: "v", type: "array<vec3<f32>, N>" },
+    { name: "tail", type: "vec2<u32>" },
+    { name: "rest", type: "array<u32>" },
+  ], { N: 3 });
+  assert.deepEqual(offsets(padded), { m: 0, v: 48, tail: 96, rest: 104 });
+  assert.equal(padded.fields[1].layout.stride, 16);
+  assert.equal(padded.size, 112);
+
+  // nested structs align to their largest member
+  app('defineWGSLStruct("Inner", [{ name: "x", type: "f32" }, { name: "y", type: "vec3<f32>" }])');
+  const outer = structLayout("Outer", [{ name: "n", type: "u32" }, { name: "inner", type: "Inner" }]);
+  assert.deepEqual(offsets(outer), { n: 0, inner: 16 });
+  assert.equal(outer.size, 48);
+
+  assert.throws(() => structLayout("Bad", [{ name: "r", type: "array<u32>" }, { name: "n", type: "u32" }]), /must come last/);
+  assert.throws(() => structLayout("Bad", [{ name: "q", type: "quat" }]), /unknown WGSL type/);
+});
+
+test("layout: values pack at their offsets and the scene schema matches the shader", () => {
+  const app = loadScripts("layout.js", "scene.js");
+  const layout = app('structLayout("P", [{ name: "v", type: "vec3<f32>" }, { name: "w", type: "f32" }, { name: "h", type: "vec4<u32>" }, { name: "m", type: "mat3x3<f32>" }])');
+  const buffer = new ArrayBuffer(layout.size);
+  app("writeWGSLStruct")(new DataView(buffer), 0, layout, {
+    v: [1, 2, 3],
+    w: 4,
+    h: [7, 8, 9, app("f32Bits")(0.5)],
+    m: [[1, 0, 0], [0, 1, 0], [0, 0, 1]],
+  });
+  const f32 = new Float32Array(buffer);
+  const u32 = new Uint32Array(buffer);
+  assert.deepEqual([...f32.slice(0, 4)], [1, 2, 3, 4]);
+  assert.deepEqual([...u32.slice(4, 7)], [7, 8, 9]);
+  assert.equal(f32[7], 0.5);
+  assert.deepEqual([...f32.slice(8, 20)], [1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0]);
+
+  // the layout the shader was written against
+  const offsets = (name) => plain(app(name).fields.map((f) => f.offset));
+  assert.deepEqual(offsets("PRIMITIVE_LAYOUT"), [0, 16, 32, 48, 96]);
+  assert.deepEqual(offsets("SCENE_LAYOUT"), [0, 4, 16, 528]);
+  assert.deepEqual(plain(app("[PRIMITIVE_SIZE, LIGHT_SIZE, PRIMITIVES_OFFSET]")), [112, 64, 528]);
+
+  const wgsl = app("sceneWGSL()");
+  assert.match(wgsl, /const CAPSULE: u32 = 6u;/);
+  assert.match(wgsl, /const GROUP_END: u32 = 255u;/);
+  assert.match(wgsl, /struct Scene \{\n  count: u32,\n  light_count: u32,\n  lights: array<Light, MAX_LIGHTS>,/);
+  assert.match(wgsl, /inv_rot: mat3x3<f32>,/);
+});
+
+//#endregion
+//#region Bounding volumes -------------------------------------------------------
+
+test("bvh: every kind gets a world-space box, planes are unbounded", () => {
+  const app = loadScripts("layout.js", "scene.js", "bvh.js");
+  const makeDefaultPrimitive = app("makeDefaultPrimitive");
+  const bounds = (overrides) => {
+    const prim = { ...makeDefaultPrimitive(overrides.kind), rotation: [0, 0, 0], scale: [1, 1, 1], ...overrides };
+    return plain(app("primitiveBounds")({ ...prim, rotMatrix: app("rotationMatrix")(prim.rotation) }));
+  };
+  const near = (actual, expected) => {
+    ["min", "max"].forEach((k) => actual[k].forEach((v, i) => assert.ok(Math.abs(v - expected[k][i]) < 1e-9, k)));
+  };
+
+  near(bounds({ kind: app("SPHERE"), center: [1, 2, 3], param0: 0.5 }), { min: [0.5, 1.5, 2.5], max: [1.5, 2.5, 3.5] });
+  near(bounds({ kind: app("CYLINDER"), center: [0, 0, 0], param0: 2, params1: [0.5, 0, 0, 0] }), { min: [-0.5, -1, -0.5], max: [0.5, 1, 0.5] });
+  near(bounds({ kind: app("TORUS"), center: [0, 0, 0], param0: 1, params1: [0.25, 0, 0, 0] }), { min: [-1.25, -0.25, -1.25], max: [1.25, 0.25, 1.25] });
+  near(bounds({ kind: app("CAPSULE"), center: [0, 0, 0], param0: 0.5, params1: [0, 2, 0, 0] }), { min: [-0.5, -0.5, -0.5], max: [0.5, 2.5, 0.5] });
+  // box stretched along X, then turned 90 degrees about Z: long along Y
+  near(
+    bounds({ kind: app("BOX"), center: [0, 0, 0], params1: [1, 0.5, 0.5, 0], scale: [2, 1, 1], rotation: [0, 0, 90] }),
+    { min: [-0.5, -2, -0.5], max: [0.5, 2, 0.5] },
+  );
+  near(
+    bounds({ kind: app("ROUNDED_BOX"), center: [0, 0, 0], param0: 0.1, params1: [1, 1, 1, 0] }),
+    { min: [-1.1, -1.1, -1.1], max: [1.1, 1.1, 1.1] },
+  );
+  assert.equal(app("isUnbounded")(bounds({ kind: app("PLANE") })), true);
+});
+
+test("bvh: every solid kind lies inside its box, turned and stretched", () => {
+  const app = loadScripts("layout.js", "scene.js", "bvh.js", "raymarch.js");
+  const makeDefaultPrimitive = app("makeDefaultPrimitive");
+  const sdPrimitive = app("sdPrimitive");
+  const kinds = app("Object.keys(PRIM_KIND_LABELS).map(Number)").filter((k) => k !== app("PLANE"));
+
+  // points around each shape on a grid; any inside must be inside its box
+  for (const kind of kinds) {
+    const base = { ...makeDefaultPrimitive(kind), rotation: [20, 35, -50], scale: [1.5, 0.8, 1.2] };
+    const prim = { ...base, rotMatrix: app("rotationMatrix")(base.rotation) };
+    const box = plain(app("primitiveBounds")(prim));
+    let inside = 0;
+    for (let x = -3; x <= 3; x += 0.2) {
+      for (let y = -2.5; y <= 3.5; y += 0.2) {
+        for (let z = -3; z <= 3; z += 0.2) {
+          const p = [x, y, z];
+          if (sdPrimitive(p, prim) > 0) continue;
+          inside++;
+          assert.ok(p.every((v, i) => v >= box.min[i] - 1e-9 && v <= box.max[i] + 1e-9), `kind ${kind} at ${p}`);
+        }
+      }
+    }
+    assert.ok(inside > 0, `kind ${kind} has no inside samples`);
+  }
+});
+
+test("bvh: unions are clustered, CSG order and distances are kept", () => {
+  const app = loadScripts("layout.js", "scene.js", "bvh.js", "raymarch.js");
+  const makeDefaultPrimitive = app("makeDefaultPrimitive");
+  const [SPHERE, PLANE, BOX, OP_SUBTRACT] = app("[SPHERE, PLANE, BOX, OP_SUBTRACT]");
+  const [GROUP_BEGIN, GROUP_END] = app("[GROUP_BEGIN, GROUP_END]");
+
+  // a floor, a row of 40 spheres and a box cutting into the middle of the row
+  const spheres = Array.from({ length: 40 }, (_, i) => ({
+    ...makeDefaultPrimitive(SPHERE),
+    center: [i - 20, 0.5, 0],
+    param0: 0.4,
+  }));
+  const cutter = { ...makeDefaultPrimitive(BOX), center: [0, 0.5, 0], params1: [2, 0.3, 0.3, 0], op: OP_SUBTRACT };
+  const { items } = app("flattenSceneTree")([makeDefaultPrimitive(PLANE), ...spheres, cutter]);
+  const bvh = app("buildBVH")(items);
+
+  // every primitive is still there once, the plane first and the cutter last
+  const prims = bvh.filter((item) => item.kind !== GROUP_BEGIN && item.kind !== GROUP_END);
+  assert.equal(prims.length, items.length);
+  assert.equal(new Set(prims).size, items.length);
+  assert.equal(prims[0].kind, PLANE);
+  assert.equal(prims[prims.length - 1], items[items.length - 1]);
+
+  // markers are balanced, each BEGIN points at its END and encloses its children
+  const open = [];
+  let deepest = 0;
+  bvh.forEach((item, i) => {
+    if (item.kind === GROUP_BEGIN) {
+      open.push(i);
+      deepest = Math.max(deepest, open.length);
+    } else if (item.kind === GROUP_END) {
+      assert.equal(bvh[open.pop()].end, i);
+    } else {
+      open.forEach((j) => {
+        const box = app("primitiveBounds")(item);
+        [0, 1, 2].forEach((k) => assert.ok(box.min[k] >= bvh[j].bounds.min[k] && box.max[k] <= bvh[j].bounds.max[k]));
+      });
+    }
+  });
+  assert.equal(open.length, 0);
+  assert.ok(deepest > 1 && deepest <= app("BVH_MAX_DEPTH"));
+
+  // same field everywhere, with far fewer primitives evaluated
+  app("var sdCalls = 0; const sdExact = sdPrimitive; sdPrimitive = (p, prim) => { sdCalls++; return sdExact(p, prim); };");
+  for (let i = 0; i < 50; i++) {
+    const p = [Math.sin(i * 1.7) * 22, Math.cos(i * 0.9) * 2 + 0.5, Math.sin(i * 2.3) * 3];
+    const full = plain(app("getDist")(p, items));
+    const culled = app("getDist")(p, bvh);
+    assert.ok(Math.abs(full.dist - culled.dist) < 1e-9, `distance at ${p}`);
+    assert.equal(prims.indexOf(items[full.index]), prims.indexOf(bvh[culled.index]));
+  }
+  app("sdCalls = 0");
+  app("getDist")([-19, 0.5, 0], bvh);
+  assert.ok(app("sdCalls") < 15, `${app("sdCalls")} primitives evaluated`);
+
+  // GROUP_BEGIN slots carry the END index and the box
+  const u32 = new Uint32Array(app("buildSceneData")(bvh));
+  const f32 = new Float32Array(u32.buffer);
+  const first = bvh.findIndex((item) => item.kind === GROUP_BEGIN);
+  const slot = (app("PRIMITIVES_OFFSET") + first * app("PRIMITIVE_SIZE")) / 4;
+  assert.equal(u32[slot + 1], bvh[first].end);
+  assert.equal(f32[slot + 4], Math.fround(bvh[first].bounds.min[0]));
+  assert.equal(f32[slot + 8], Math.fround(bvh[first].bounds.max[0]));
+});
+
+test("bvh: user groups are culled as a whole and keep their ops", () => {
+  const app = loadScripts("layout.js", "scene.js", "bvh.js", "raymarch.js");
+  const makeGroup = app("makeGroup");
+  const makeDefaultPrimitive = app("makeDefaultPrimitive");
+  const [SPHERE, BOX, OP_SUBTRACT, OP_INTERSECT] = app("[SPHERE, BOX, OP_SUBTRACT, OP_INTERSECT]");
+  const sphere = (x) => ({ ...makeDefaultPrimitive(SPHERE), center: [x, 0, 0], param0: 0.5 });
+  const cam = {
+    pos: { x: 0, y: 0, z: 5 },
+    dir: { x: 0, y: 0, z: -1 },
+    up: { x: 0, y: 1, z: 0 },
+  };
+
+  const hole = { ...makeGroup(), op: OP_SUBTRACT, children: [{ ...sphere(0), param0: 0.8 }] };
+  const nodes = [
+    { ...makeDefaultPrimitive(BOX), center: [0, 0, 0], params1: [1, 1, 1, 0] },
+    hole,
+    { ...makeGroup(), center: [6, 0, 0], children: [sphere(0), sphere(1), sphere(2), sphere(3), sphere(4), sphere(5)] },
+    { ...makeGroup(), op: OP_INTERSECT, children: [{ ...makeDefaultPrimitive(BOX), center: [0, 0, 0], params1: [20, 20, 20, 0] }] },
+  ];
+  const { items } = app("flattenSceneTree")(nodes);
+  const bvh = app("buildBVH")(items);
+
+  // the far group of spheres is clustered inside, the rest keeps its order
+  assert.ok(bvh.length > items.length);
+  const groups = bvh.filter((item) => item.kind === app("GROUP_BEGIN") && item.op !== app("OP_UNION"));
+  assert.deepEqual(plain(groups.map((g) => g.op)), [OP_SUBTRACT, OP_INTERSECT]);
+
+  for (let y = -1.5; y <= 1.5; y += 0.25) {
+    for (const x of [-2, 0, 0.5, 5, 8, 12]) {
+      const p = [x, y, 0.3];
+      const full = app("getDist")(p, items);
+      const culled = app("getDist")(p, bvh);
+      assert.ok(Math.abs(full.dist - culled.dist) < 1e-9, `distance at ${p}`);
+      assert.equal(items[full.index], bvh[culled.index]);
+    }
+  }
+  // the hole still cuts the box seen head-on
+  const { ro, rd } = app("cameraRay")(50, 50, 100, 100, cam);
+  assert.equal(bvh[app("rayMarch")(ro, rd, bvh).index], items[app("rayMarch")(ro, rd, items).index]);
+});
+
+//#region Materials --------------------------------------------------------------
+
+test("materials: library packs into the GPU layout and survives deletions", () => {
+  const app = loadScripts("layout.js", "scene.js");
+  const [MAT_GROUND, MAT_METAL, MAT_GLASS, MAT_DIFFUSE] = app("[MAT_GROUND, MAT_METAL, MAT_GLASS, MAT_DIFFUSE]");
+  const materials = app("makeDefaultMaterials")();
+  materials[MAT_DIFFUSE].emission = [1, 0.5, 0];
+  materials[MAT_DIFFUSE].emissionStrength = 2;
+
+  const f32 = new Float32Array(app("buildMaterialData")(materials));
+  const slot = (i) => Array.from(f32.subarray(i * 16, i * 16 + 16), (v) => +v.toFixed(4));
+  assert.equal(f32.length * 4, app("MATERIALS_SIZE"));
+  // ground: checker on at one square per unit
+  assert.deepEqual(slot(MAT_GROUND).slice(8, 12), [0.2, 0.2, 0.2, 1]);
+  assert.deepEqual(slot(MAT_GLASS).slice(12, 14), [1.5, 1]);
+  assert.deepEqual(slot(MAT_DIFFUSE).slice(4, 8), [2, 1, 0, 0]);
+  assert.equal(slot(MAT_METAL)[7], 1);
+
+  const sphere = { ...app("makeDefaultPrimitive")(app("SPHERE")), materialId: MAT_DIFFUSE };
+  const glass = { ...sphere, materialId: MAT_GLASS };
+  const tree = [glass, { ...app("makeGroup")(), children: [sphere] }];
+  app("removeMaterial")(tree, materials, MAT_GLASS);
+  assert.equal(materials.length, 4);
+  assert.equal(glass.materialId, 0);
+  assert.equal(sphere.materialId, MAT_DIFFUSE - 1);
+  assert.equal(materials[sphere.materialId].name, "Diffuse");
+
+  // color inputs round-trip through sRGB hex
+  assert.equal(app("linearToHex")([1, 0, 0.5]), "#ff00ba");
+  app("hexToLinear")("#ff00ba").forEach((c, i) => assert.ok(Math.abs(c - [1, 0, 0.5][i]) < 0.01));
+});
+
+//#endregion
+//#region Lights -----------------------------------------------------------------
+
+test("lights: packed into the scene buffer ahead of the primitives", () => {
+  const app = loadScripts("layout.js", "scene.js");
+  const [LIGHT_SPOT, LIGHT_DIRECTIONAL] = app("[LIGHT_SPOT, LIGHT_DIRECTIONAL]");
+  const spot = { ...app("makeDefaultLight")(LIGHT_SPOT), color: [1, 0.5, 0], intensity: 10, angle: 60, edge: 0.5 };
+  const lights = [...app("makeDefaultLights")(), spot];
+  const items = app("flattenSceneTree")([app("makeDefaultPrimitive")(app("BOX"))]).items;
+
+  const buffer = app("buildSceneData")(items, lights);
+  const u32 = new Uint32Array(buffer);
+  const f32 = new Float32Array(buffer);
+  const light = (i) => Array.from(f32.subarray(4 + i * 16, 4 + i * 16 + 16), (v) => +v.toFixed(4));
+  assert.deepEqual([u32[0], u32[1]], [1, 2]);
+
+  // the sun replaces the old hardcoded light at (5, 8, -5): it shines the other way
+  const sun = light(0);
+  assert.equal(sun[3], LIGHT_DIRECTIONAL);
+  const len = Math.hypot(5, 8, 5);
+  assert.deepEqual(sun.slice(4, 7), [-5 / len, -8 / len, 5 / len].map((v) => +v.toFixed(4)));
+
+  const packed = light(1);
+  assert.deepEqual(packed.slice(0, 4), [0, 4, 0, LIGHT_SPOT]);
+  assert.deepEqual(packed.slice(8, 12), [10, 5, 0, spot.radius]);
+  assert.deepEqual(packed.slice(12, 14), [0.5, +Math.cos(Math.PI / 6).toFixed(4)]);
+  // a hard-edged cone still gets an inner cosine above the outer one
+  const [outer, inner] = app("lightFields")({ ...spot, angle: 1, edge: 0 }).spot;
+  assert.ok(Math.fround(inner) > Math.fround(outer));
+
+  // primitives follow the full light array
+  assert.equal(u32[app("PRIMITIVES_OFFSET") / 4], app("BOX"));
+  assert.equal(app("PRIMITIVES_OFFSET"), app("SCENE_HEADER_SIZE") + app("MAX_LIGHTS") * app("LIGHT_SIZE"));
+});
+
+//#endregion
+//#region Scene files ------------------------------------------------------------
+
+function sceneFileFixture(app) {
+  const makeDefaultPrimitive = app("makeDefaultPrimitive");
+  const serializeScene = app("serializeScene");
+  const primitives = [makeDefaultPrimitive(app("PLANE")), makeDefaultPrimitive(app("CAPSULE"))];
+  const camera = { target: { x: 1, y: 2, z: 3 }, dist: 6, yaw: 0.25, pitch: -0.5 };
+  const materials = app("makeDefaultMaterials")();
+  materials.push(app("makeMaterial")({ name: "Lamp", emissionStrength: 4, checker: true }));
+  primitives[1].materialId = 5;
+  primitives[1].modifiers = [app("makeModifier")(app("MOD_TWIST")), app("makeModifier")(app("MOD_REPEAT_LIMITED"))];
+  app("setKeyframe")(primitives[1], "radius", 2, 0.5, "ease");
+  app("setKeyframe")(primitives[1], "radius", 0, 0.3, "step");
+  app("setKeyframe")(primitives[1], "rotation", 1, [0, 90, 0]);
+  const lights = [...app("makeDefaultLights")(), app("makeDefaultLight")(app("LIGHT_SPOT"))];
+  const timeline = { duration: 4 };
+  const bookmarks = [{ name: "Top", target: { x: 0, y: 0, z: 0 }, dist: 10, yaw: 0, pitch: 1.5 }];
+  const lens = { fov: 60, orthographic: true, aperture: 0.1, focusDistance: 3 };
+  const scene = { primitives, camera, materials, lights, timeline, bookmarks, lens };
+  return { ...scene, data: plain(serializeScene(scene)) };
+}
+
+test("scene files: save -> load round-trips primitives and camera", () => {
+  const app = loadScripts("layout.js", "scene.js", "serialize.js");
+  const { primitives, camera, materials, lights, timeline, bookmarks, lens, data } = sceneFileFixture(app);
+
+  assert.equal(data.version, app("SCENE_FILE_VERSION"));
+  assert.equal(data.primitives[1].kind, "capsule");
+  assert.equal(data.materials[5].name, "Lamp");
+  assert.equal(data.lights[1].kind, "spot");
+  assert.deepEqual(data.primitives[1].keyframes.radius.map((k) => k.time), [0, 2]);
+  assert.deepEqual(plain(app("validateSceneFile")(data)), []);
+
+  const loaded = plain(app("deserializeScene")(data));
+  assert.deepEqual(loaded, plain({ primitives, camera, materials, lights, timeline, bookmarks, lens }));
+});
+
+test("scene files: invalid content is rejected with readable errors", () => {
+  const app = loadScripts("layout.js", "scene.js", "serialize.js");
+  const validateSceneFile = app("validateSceneFile");
+  const { data } = sceneFileFixture(app);
+
+  data.primitives[0].kind = "teapot";
+  data.primitives[1].center = [0, 1];
+  data.primitives[1].op = "xor";
+  data.primitives[1].blend = -0.5;
+  data.primitives[1].material = 6;
+  data.primitives[1].modifiers[0].type = "melt";
+  data.primitives[1].modifiers[1].spacing = [-1, 0, 0];
+  data.primitives[1].modifiers[1].count = [1, 2];
+  data.primitives[1].keyframes.radius[1].interp = "bounce";
+  data.primitives[1].keyframes.rotation[0].value = 90;
+  data.primitives[1].keyframes.colour = [];
+  data.timeline.duration = 0;
+  data.lens.fov = 180;
+  data.lens.orthographic = 1;
+  data.bookmarks[0].dist = 0;
+  data.bookmarks.push({ name: 7, target: [0, 0, 0], dist: 1, yaw: 0 });
+  data.materials[2].checker = "yes";
+  data.lights[0].kind = "laser";
+  data.lights[0].intensity = -1;
+  data.lights[1].radius = -0.1;
+  data.lights[1].angle = 90;
+  data.lights[1].edge = 1.5;
+  data.camera.dist = "far";
+  assert.deepEqual(plain(validateSceneFile(data)), [
+    "camera.dist: expected a number, got \"far\"",
+    "timeline.duration: must be positive, got 0",
+    "lens.fov: must be between 0 and 180 degrees, got 180",
+    "lens.orthographic: expected true or false, got 1",
+    "bookmarks[0].dist: must be positive, got 0",
+    "bookmarks[1].name: expected a string, got 7",
+    "bookmarks[1].pitch: expected a number, got undefined",
+    "materials[2].checker: expected true or false, got \"yes\"",
+    "lights[0].kind: unknown light kind \"laser\"",
+    "lights[0].intensity: must not be negative, got -1",
+    "lights[1].radius: must not be negative, got -0.1",
+    "lights[1].angle: must be between 0 and 90 degrees, got 90",
+    "lights[1].edge: must be between 0 and 1, got 1.5",
+    "primitives[0].kind: unknown kind \"teapot\"",
+    "primitives[1].material: expected a material index below 6, got 6",
+    "primitives[1].center: expected 3 numbers, got 2 values",
+    "primitives[1].op: unknown operation \"xor\"",
+    "primitives[1].blend: must not be negative, got -0.5",
+    "primitives[1].modifiers[0].type: unknown modifier \"melt\"",
+    "primitives[1].modifiers[1].spacing: components must be at least 0, got [-1,0,0]",
+    "primitives[1].modifiers[1].count: expected 3 numbers, got 2 values",
+    "primitives[1].keyframes.radius[1].interp: unknown interpolation \"bounce\"",
+    "primitives[1].keyframes.rotation[0].value: expected 3 numbers, got 90",
+    "primitives[1].keyframes.colour: not an animatable field of this kind",
+  ]);
+
+  assert.throws(() => app("deserializeScene")(data), /unknown kind "teapot"/);
+  assert.deepEqual(plain(validateSceneFile([])), ["scene file must be a JSON object"]);
+});
+
+test("scene files: version 1 files load with identity transforms, unions and built-in materials", () => {
+  const app = loadScripts("layout.js", "scene.js", "serialize.js");
+  const { data } = sceneFileFixture(app);
+
+  data.version = 1;
+  delete data.materials;
+  delete data.lights;
+  data.primitives[0].material = "ground";
+  data.primitives[1].material = "glass";
+  for (const prim of data.primitives) {
+    delete prim.rotation;
+    delete prim.scale;
+    delete prim.op;
+    delete prim.blend;
+  }
+  const loaded = plain(app("deserializeScene")(data));
+  assert.deepEqual(loaded.primitives[1].rotation, [0, 0, 0]);
+  assert.deepEqual(loaded.primitives[1].scale, [1, 1, 1]);
+  assert.equal(loaded.primitives[1].op, app("OP_UNION"));
+  assert.equal(loaded.primitives[1].materialId, app("MAT_GLASS"));
+  assert.deepEqual(loaded.materials, plain(app("makeDefaultMaterials")()));
+  assert.deepEqual(loaded.lights, plain(app("makeDefaultLights")()));
+  assert.deepEqual(loaded.primitives[1].keyframes, {});
+  assert.equal(loaded.timeline.duration, 10);
+  assert.deepEqual(loaded.bookmarks, []);
+  assert.deepEqual(loaded.lens, plain(app("makeDefaultLens")()));
+});
+
+test("scene files: primitive limit, bad scale and newer versions are rejected", () => {
+  const app = loadScripts("layout.js", "scene.js", "serialize.js");
+  const validateSceneFile = app("validateSceneFile");
+  const MAX_PRIMS = app("MAX_PRIMS");
+
+  const tooMany = sceneFileFixture(app).data;
+  tooMany.primitives = Array(MAX_PRIMS + 1).fill(tooMany.primitives[0]);
+  assert.match(validateSceneFile(tooMany).join("\n"), new RegExp(`${MAX_PRIMS + 1} slots .*the limit is ${MAX_PRIMS}`));
+
+  const badScale = sceneFileFixture(app).data;
+  badScale.primitives[1].scale = [1, 0, 1];
+  assert.match(validateSceneFile(badScale).join("\n"), /primitives\[1\]\.scale: components must be positive/);
+
+  const newer = sceneFileFixture(app).data;
+  newer.version += 1;
+  assert.match(validateSceneFile(newer).join("\n"), /newer than this editor supports/);
+});
+
+test("scene files: groups round-trip and their nesting is limited", () => {
+  const app = loadScripts("layout.js", "scene.js", "serialize.js");
+  const { primitives, ...scene } = sceneFileFixture(app);
+  const makeGroup = app("makeGroup");
+  const validateSceneFile = app("validateSceneFile");
+
+  const inner = { ...makeGroup(), name: "Inner", collapsed: true, children: [primitives[1]] };
+  const tree = [primitives[0], { ...makeGroup(), scale: 2, children: [inner] }];
+  const data = plain(app("serializeScene")({ ...scene, primitives: tree }));
+  assert.equal(data.primitives[1].kind, "group");
+  assert.deepEqual(plain(validateSceneFile(data)), []);
+  assert.deepEqual(plain(app("deserializeScene")(data).primitives), plain(tree));
+
+  data.primitives[1].children[0].scale = -1;
+  assert.deepEqual(plain(validateSceneFile(data)), [
+    "primitives[1].children[0].scale: must be positive, got -1",
+  ]);
+
+  // nest groups one deeper than the limit
+  let deep = plain(primitives[0]);
+  for (let i = 0; i <= app("MAX_GROUP_DEPTH"); i++) {
+    deep = { ...plain(makeGroup()), children: [deep] };
+  }
+  const nested = plain(app("serializeScene")({ ...scene, primitives: [deep] }));
+  assert.match(validateSceneFile(nested).join("\n"), /nested more than 8 deep/);
+});
+
+test("scene files: copied objects round-trip through the clipboard with their materials", () => {
+  const app = loadScripts("layout.js", "scene.js", "serialize.js");
+  const { primitives, materials } = sceneFileFixture(app);
+  const parseClipboard = (text) => app("parseClipboard")(text);
+
+  // the plane uses a built-in material, the capsule the fixture's "Lamp"
+  const group = { ...app("makeGroup")(), children: [primitives[1]] };
+  const text = app("serializeClipboard")([primitives[0], group], materials);
+  const data = JSON.parse(text);
+  // only the materials in use travel, renumbered
+  assert.deepEqual(data.materials.map((mat) => mat.name), [materials[primitives[0].materialId].name, "Lamp"]);
+  assert.deepEqual([data.primitives[0].material, data.primitives[1].children[0].material], [0, 1]);
+  const pasted = parseClipboard(text);
+
+  // pasted into a library already holding the first one: that one is reused,
+  // the other appended
+  const library = [structuredClone(materials[primitives[0].materialId])];
+  app("mergeMaterials")(pasted.primitives, library, pasted.materials);
+  assert.deepEqual(library.map((mat) => mat.name), [materials[primitives[0].materialId].name, "Lamp"]);
+  assert.deepEqual(
+    plain(pasted.primitives),
+    plain([{ ...primitives[0], materialId: 0 }, { ...group, children: [{ ...primitives[1], materialId: 1 }] }]),
+  );
+
+  assert.throws(() => parseClipboard("hello"), /holds no copied objects/);
+  assert.throws(() => parseClipboard(JSON.stringify({ ...data, version: 99 })), /version: expected 5 to/);
+  const broken = { ...data, primitives: [{ ...data.primitives[0], material: 7 }] };
+  assert.throws(() => parseClipboard(JSON.stringify(broken)), /primitives\[0\]\.material/);
+
+  // a full library sends new materials to material 0
+  const full = Array.from({ length: app("MAX_MATERIALS") }, (_, i) => app("makeMaterial")({ name: `M${i}` }));
+  const again = parseClipboard(text);
+  app("mergeMaterials")(again.primitives, full, again.materials);
+  assert.equal(full.length, app("MAX_MATERIALS"));
+  assert.equal(again.primitives[1].children[0].materialId, 0);
+});
+
+//#endregion
+//#region Undo / redo ------------------------------------------------------------
+
+test("history: undo and redo walk the recorded snapshots", () => {
+  const createHistory = loadScripts("history.js")("createHistory");
+  const history = createHistory();
+
+  history.record({ before: "a", after: "b" });
+  history.record({ before: "b", after: "c" });
+  assert.equal(history.undo(), "b");
+  assert.equal(history.undo(), "a");
+  assert.equal(history.undo(), null);
+  assert.equal(history.redo(), "b");
+  assert.equal(history.canRedo(), true);
+
+  // a new edit drops the redo branch
+  history.record({ before: "b", after: "x" });
+  assert.equal(history.canRedo(), false);
+  assert.equal(history.redo(), null);
+  assert.equal(history.undo(), "b");
+});
+
+test("history: rapid edits with the same key coalesce into one step", () => {
+  const createHistory = loadScripts("history.js")("createHistory");
+  let time = 0;
+  const history = createHistory({ coalesceMs: 500, now: () => time });
+
+  // typing "1.25" one key at a time
+  for (const value of ["1", "1.", "1.2", "1.25"]) {
+    history.record({ before: "prev", after: value, key: "0:radius" });
+    time += 100;
+  }
+  // a different field, then the same field again after a pause
+  history.record({ before: "1.25", after: "moved", key: "0:position" });
+  time += 1000;
+  history.record({ before: "moved", after: "2", key: "0:position" });
+
+  assert.equal(history.undo(), "moved");
+  assert.equal(history.undo(), "1.25");
+  assert.equal(history.undo(), "prev");
+  assert.equal(history.canUndo(), false);
+});
+
+test("history: keyless edits never coalesce and the stack is bounded", () => {
+  const createHistory = loadScripts("history.js")("createHistory");
+  const history = createHistory({ limit: 3, now: () => 0 });
+
+  for (let i = 0; i < 5; i++) history.record({ before: i, after: i + 1 });
+  assert.equal(history.undo(), 4);
+  assert.equal(history.undo(), 3);
+  assert.equal(history.undo(), 2);
+  assert.equal(history.undo(), null);
+});
+
+//#endregion
+//#region Path tracing accumulation ----------------------------------------------
+
+test("accumulation: samples ping-pong between two textures up to the limit", () => {
+  const createAccumulator = loadScripts("accumulation.js")("createAccumulator");
+  const acc = createAccumulator({ maxSamples: 3 });
+
+  const passes = [];
+  while (acc.wantsSample()) {
+    passes.push([acc.samples(), acc.current(), acc.next()]);
+    acc.advance();
+  }
+  // [sampleIndex, read, write]: each pass reads what the previous one wrote
+  assert.deepEqual(passes, [[0, 0, 1], [1, 1, 0], [2, 0, 1]]);
+  assert.equal(acc.current(), 1);
+
+  // raising the limit resumes, 0 never stops
+  acc.setMaxSamples(4);
+  assert.equal(acc.wantsSample(), true);
+  acc.setMaxSamples(0);
+  for (let i = 0; i < 10; i++) acc.advance();
+  assert.equal(acc.wantsSample(), true);
+  acc.setMaxSamples("nonsense");
+  assert.equal(acc.maxSamples(), 0);
+});
+
+test("accumulation: a new view or a reset starts over", () => {
+  const app = loadScripts("accumulation.js");
+  const acc = app("createAccumulator")();
+  const viewKey = app("accumulationViewKey");
+  const pos = { x: 0, y: 2, z: 5 };
+  const dir = { x: 0, y: -0.3, z: -1 };
+  const up = { x: 0, y: 1, z: 0 };
+
+  assert.equal(acc.setView(viewKey(800, 600, pos, dir, up)), true);
+  acc.advance();
+  acc.advance();
+  // the same camera keeps accumulating
+  assert.equal(acc.setView(viewKey(800, 600, { ...pos }, dir, up)), false);
+  assert.equal(acc.samples(), 2);
+
+  // moving the camera or resizing starts over
+  assert.equal(acc.setView(viewKey(800, 600, { ...pos, x: 0.01 }, dir, up)), true);
+  assert.equal(acc.samples(), 0);
+  acc.advance();
+  assert.equal(acc.setView(viewKey(1024, 600, { ...pos, x: 0.01 }, dir, up)), true);
+  assert.equal(acc.samples(), 0);
+
+  // so does a lens change
+  assert.equal(acc.setView(viewKey(1024, 600, { ...pos, x: 0.01 }, dir, up, [1.5, 0, 0.1, 4])), true);
+  acc.advance();
+  assert.equal(acc.setView(viewKey(1024, 600, { ...pos, x: 0.01 }, dir, up, [1.5, 0, 0.1, 4])), false);
+
+  // scene edits reset explicitly
+  acc.advance();
+  acc.reset();
+  assert.equal(acc.samples(), 0);
+  assert.equal(acc.current(), 0);
+});
+
+//#endregion
+//#region Image encoding ---------------------------------------------------------
+
+// Deterministic bytes that don't compress much
+function noiseBytes(length, seed = 1) {
+  const bytes = new Uint8Array(length);
+  for (let i = 0; i < length; i++) {
+    seed = (Math.imul(seed, 1103515245) + 12345) >>> 0;
+    bytes[i] = seed >>> 24;
+  }
+  return bytes;
+}
+
+test("encode: checksums match the reference values", () => {
+  const app = loadScripts("encode.js");
+  const ascii = (text) => new Uint8Array(Buffer.from(text));
+  assert.equal(app("crc32")(ascii("123456789")), 0xcbf43926);
+  assert.equal(app("crc32")(ascii("6789"), app("crc32")(ascii("12345"))), 0xcbf43926);
+  assert.equal(app("adler32")(ascii("Wikipedia")), 0x11e60398);
+  // long enough to need the modulo; zlib streams end with the Adler-32
+  const ones = Buffer.alloc(100000, 255);
+  const deflated = zlib.deflateSync(ones);
+  assert.equal(app("adler32")(new Uint8Array(ones)), deflated.readUInt32BE(deflated.length - 4));
+});
+
+test("encode: deflate output inflates back to the input", () => {
+  const zlibDeflate = loadScripts("encode.js")("zlibDeflate");
+  const inputs = [
+    new Uint8Array(0),
+    new Uint8Array([42]),
+    new Uint8Array(Buffer.from("abcabcabcabd".repeat(500))),
+    new Uint8Array(70000).fill(7), // matches longer than 258 and farther than the window
+    noiseBytes(40000),
+  ];
+  for (const input of inputs) {
+    const compressed = zlibDeflate(input);
+    assert.deepEqual(new Uint8Array(zlib.inflateSync(Buffer.from(compressed))), input);
+  }
+  // repetitive data actually shrinks
+  assert.ok(zlibDeflate(inputs[3]).length < 1000);
+});
+
+test("encode: PNG chunks, header and pixels survive decoding", () => {
+  const app = loadScripts("encode.js");
+  const [encodePNG, crc32] = [app("encodePNG"), app("crc32")];
+  const width = 23;
+  const height = 9;
+  // a gradient (favours Sub / Up / Paeth) above rows of noise (favours None)
+  const rgba = noiseBytes(width * height * 4);
+  for (let i = 0; i < width * 5 * 4; i++) rgba[i] = (i * 3) & 0xff;
+
+  const png = Buffer.from(encodePNG(width, height, rgba));
+  assert.deepEqual([...png.subarray(0, 8)], [137, 80, 78, 71, 13, 10, 26, 10]);
+
+  const chunks = [];
+  for (let offset = 8; offset < png.length; ) {
+    const length = png.readUInt32BE(offset);
+    const type = png.toString("latin1", offset + 4, offset + 8);
+    const data = png.subarray(offset + 8, offset + 8 + length);
+    const crc = crc32(new Uint8Array(png.subarray(offset + 4, offset + 8 + length)));
+    assert.equal(png.readUInt32BE(offset + 8 + length), crc, `${type} CRC`);
+    chunks.push({ type, data });
+    offset += length + 12;
+  }
+  assert.deepEqual(chunks.map((c) => c.type), ["IHDR", "IDAT", "IEND"]);
+  const header = chunks[0].data;
+  assert.deepEqual([header.readUInt32BE(0), header.readUInt32BE(4), ...header.subarray(8)], [width, height, 8, 6, 0, 0, 0]);
+
+  // undo the filters the way a decoder does
+  const raw = zlib.inflateSync(chunks[1].data);
+  const stride = width * 4;
+  const pixels = new Uint8Array(stride * height);
+  const paeth = (a, b, c) => {
+    const p = a + b - c;
+    const [pa, pb, pc] = [Math.abs(p - a), Math.abs(p - b), Math.abs(p - c)];
+    return pa <= pb && pa <= pc ? a : pb <= pc ? b : c;
+  };
+  for (let y = 0; y < height; y++) {
+    const type = raw[y * (stride + 1)];
+    assert.ok([0, 1, 2, 4].includes(type));
+    for (let x = 0; x < stride; x++) {
+      const left = x >= 4 ? pixels[y * stride + x - 4] : 0;
+      const up = y > 0 ? pixels[(y - 1) * stride + x] : 0;
+      const upLeft = x >= 4 && y > 0 ? pixels[(y - 1) * stride + x - 4] : 0;
+      const predicted = [0, left, up, 0, paeth(left, up, upLeft)][type];
+      pixels[y * stride + x] = (raw[y * (stride + 1) + 1 + x] + predicted) & 0xff;
+    }
+  }
+  assert.deepEqual(pixels, rgba);
+
+  assert.throws(() => encodePNG(2, 2, new Uint8Array(15)), /expected 16 bytes/);
+});
+
+test("encode: zip entries are listed in the central directory and stored as-is", () => {
+  const app = loadScripts("encode.js");
+  const files = [
+    { name: "frame_0001.png", data: noiseBytes(300, 1) },
+    { name: "frame_0002.png", data: noiseBytes(10, 2) },
+  ];
+  const zip = Buffer.from(app("createZip")(files, new Date(2024, 4, 17, 13, 45, 30)));
+
+  const end = zip.length - 22;
+  assert.equal(zip.readUInt32LE(end), 0x06054b50);
+  assert.equal(zip.readUInt16LE(end + 10), 2);
+  let central = zip.readUInt32LE(end + 16);
+  assert.equal(central + zip.readUInt32LE(end + 12), end);
+
+  for (const file of files) {
+    assert.equal(zip.readUInt32LE(central), 0x02014b50);
+    const nameLength = zip.readUInt16LE(central + 28);
+    assert.equal(zip.toString("utf8", central + 46, central + 46 + nameLength), file.name);
+    assert.equal(zip.readUInt32LE(central + 16), app("crc32")(file.data));
+    assert.equal(zip.readUInt16LE(central + 14), (44 << 9) | (5 << 5) | 17); // 2024-05-17
+    assert.equal(zip.readUInt16LE(central + 12), (13 << 11) | (45 << 5) | 15); // 13:45:30
+
+    const local = zip.readUInt32LE(central + 42);
+    assert.equal(zip.readUInt32LE(local), 0x04034b50);
+    const dataStart = local + 30 + zip.readUInt16LE(local + 26);
+    assert.deepEqual(new Uint8Array(zip.subarray(dataStart, dataStart + file.data.length)), file.data);
+    central += 46 + nameLength;
+  }
+});
+
+//#endregion
+//#region WGSL editor ------------------------------------------------------------
+
+test("wgsl: tokens cover the source and highlight line by line", () => {
+  const app = loadScripts("wgsl.js");
+  const source = "@fragment fn fs_main(p: vec3<f32>) -> Scene {\n  let x = 1.5e2 * max(a, 2u); /* a <b>\n still */ return x;\n}";
+  const tokens = plain(app("tokenizeWGSL")(source));
+
+  assert.equal(tokens.map((t) => t.text).join(""), source);
+  const typeOf = (text) => tokens.find((t) => t.text === text)?.type;
+  assert.equal(typeOf("@fragment"), "attribute");
+  assert.equal(typeOf("fn"), "keyword");
+  assert.equal(typeOf("fs_main"), "function");
+  assert.equal(typeOf("max"), "function");
+  assert.equal(typeOf("vec3"), "type");
+  assert.equal(typeOf("Scene"), "type");
+  assert.equal(typeOf("1.5e2"), "number");
+  assert.equal(typeOf("2u"), "number");
+  assert.equal(typeOf("x"), "plain");
+
+  // the block comment is closed and reopened across the line break, and
+  // markup in the source is escaped
+  const lines = plain(app("highlightWGSL")(source));
+  assert.equal(lines.length, 4);
+  assert.match(lines[1], /<span class="wgsl-comment">\/\* a &lt;b&gt;<\/span>$/);
+  assert.match(lines[2], /^<span class="wgsl-comment"> still \*\/<\/span>/);
+  assert.equal(lines[3], "}");
+});
+
+test("wgsl: compiler messages map to editor lines, prelude lines are kept apart", () => {
+  const app = loadScripts("wgsl.js");
+  const messages = [
+    { lineNum: 12, linePos: 3, type: "warning", message: "unused variable" },
+    { lineNum: 12, linePos: 7, type: "error", message: "unresolved identifier" },
+    { lineNum: 4, linePos: 1, type: "error", message: "in the vertex shader" },
+  ];
+  const mapped = plain(app("mapCompilationMessages")(messages, 10));
+
+  assert.deepEqual(mapped[1], { line: 2, column: 7, type: "error", message: "unresolved identifier" });
+  assert.equal(mapped[2].line, -6);
+
+  const byLine = app("diagnosticsByLine")(mapped);
+  assert.deepEqual(plain([...byLine.keys()]), [2]);
+  assert.deepEqual(plain(byLine.get(2).map((d) => d.type)), ["error", "warning"]);
+});
+
+// In-memory "server" for the include tests
+const shaderFiles = (files) => async (path) => {
+  if (!(path in files)) throw new Error("404 Not Found");
+  return files[path];
+};
+
+test("wgsl: includes expand relative to the including file, once each", async () => {
+  const app = loadScripts("wgsl.js");
+  const files = shaderFiles({
+    "lib/sdf.wgsl": '#include "math.wgsl"\nfn sd() {}',
+    "lib/math.wgsl": "fn m() {}",
+    "light.wgsl": '#include "./lib/../lib/math.wgsl"\nfn l() {}',
+  });
+  const source = 'fn main() {}\n#include "lib/sdf.wgsl"\n  #include "light.wgsl"  \nfn end() {}';
+  const result = await app("preprocessWGSL")(source, "shader.wgsl", files);
+
+  assert.deepEqual(plain(result.errors), []);
+  // math.wgsl is needed twice but only pasted once
+  assert.equal(result.code, "fn main() {}\nfn m() {}\nfn sd() {}\nfn l() {}\nfn end() {}");
+  assert.deepEqual(plain(result.lineMap), [
+    { file: "shader.wgsl", line: 1 },
+    { file: "lib/math.wgsl", line: 1 },
+    { file: "lib/sdf.wgsl", line: 2 },
+    { file: "light.wgsl", line: 2 },
+    { file: "shader.wgsl", line: 4 },
+  ]);
+  assert.deepEqual(plain([...result.files.keys()]), ["shader.wgsl", "lib/sdf.wgsl", "lib/math.wgsl", "light.wgsl"]);
+
+  // compiler lines point back into the included file
+  const [message] = plain(app("mapCompilationMessages")([{ lineNum: 13, linePos: 4, type: "error", message: "x" }], 10, result.lineMap));
+  assert.deepEqual(message, { line: 2, column: 4, type: "error", message: "x", file: "lib/sdf.wgsl" });
+});
+
+test("wgsl: include cycles, missing files and bad directives are reported", async () => {
+  const app = loadScripts("wgsl.js");
+  const files = shaderFiles({
+    "a.wgsl": 'fn a() {}\n#include "b.wgsl"',
+    "b.wgsl": '#include "a.wgsl"',
+  });
+  const source = '#include "a.wgsl"\n#include "missing.wgsl"\n#include sdf.wgsl\n#include "shader.wgsl"';
+  const result = await app("preprocessWGSL")(source, "shader.wgsl", files);
+
+  assert.deepEqual(plain(result.errors), [
+    { file: "b.wgsl", line: 1, message: "include cycle: shader.wgsl -> a.wgsl -> b.wgsl -> a.wgsl" },
+    { file: "shader.wgsl", line: 2, message: 'cannot include "missing.wgsl": 404 Not Found' },
+    { file: "shader.wgsl", line: 3, message: 'expected #include "file.wgsl"' },
+    { file: "shader.wgsl", line: 4, message: "include cycle: shader.wgsl -> shader.wgsl" },
+  ]);
+  assert.equal(result.code, "fn a() {}");
+});
+
+//#endregion
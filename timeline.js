@@ -0,0 +1,46 @@
+//#region Animation timeline -----------------------------------------------------
+// DOM-free playback clock for keyframe animation. The render loop calls
+// advance() with the seconds since the last frame; playback loops back to 0
+// at the end of the timeline. The time is what the shader sees as
+// uniforms.time and what applyAnimation (scene.js) evaluates keyframes at.
+
+const MIN_TIMELINE_DURATION = 0.1; // seconds
+
+function createTimeline({ duration = 10 } = {}) {
+  let time = 0;
+  let playing = false;
+
+  // Jumps to t, clamped to the timeline; returns true when the time changed
+  function seek(t) {
+    const clamped = Math.min(Math.max(Number(t) || 0, 0), duration);
+    if (clamped === time) return false;
+    time = clamped;
+    return true;
+  }
+
+  function setDuration(seconds) {
+    duration = Math.max(Number(seconds) || 0, MIN_TIMELINE_DURATION);
+    seek(time);
+  }
+
+  // Moves the time on by dt seconds while playing; returns true when it moved
+  function advance(dt) {
+    if (!playing || dt <= 0) return false;
+    time = (time + dt) % duration;
+    return true;
+  }
+
+  return {
+    seek,
+    setDuration,
+    advance,
+    play: () => { playing = true; },
+    pause: () => { playing = false; },
+    toggle: () => { playing = !playing; },
+    time: () => time,
+    duration: () => duration,
+    playing: () => playing,
+  };
+}
+
+//#endregion
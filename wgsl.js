@@ -0,0 +1,168 @@
+//#region Highlighting -----------------------------------------------------------
+// Small WGSL tokenizer for the code editor. It only has to colour the source,
+// so anything it doesn't recognise is passed through as plain text.
+
+const WGSL_KEYWORDS = new Set([
+  "alias", "break", "case", "const", "const_assert", "continue", "continuing",
+  "default", "diagnostic", "discard", "else", "enable", "false", "fn", "for",
+  "if", "let", "loop", "override", "requires", "return", "struct", "switch",
+  "true", "var", "while",
+]);
+
+// built-in types, plus user structs written in PascalCase (Scene, Primitive)
+const WGSL_TYPE = /^(bool|f16|f32|i32|u32|array|atomic|ptr|sampler|sampler_comparison|(vec[234]|mat[234]x[234])[fhiu]?|texture_\w+|[A-Z][a-z]\w*)$/;
+
+// comments, attributes, numbers, identifiers
+const WGSL_TOKEN = /(\/\/[^\n]*)|(\/\*[\s\S]*?(?:\*\/|$))|(@\w+)|((?<![\w.])(?:0[xX][0-9a-fA-F]+|\d+\.?\d*(?:[eE][+-]?\d+)?|\.\d+(?:[eE][+-]?\d+)?)[fhiu]?)|([A-Za-z_]\w*)/g;
+
+// Splits source into [{ type, text }]; type is "comment", "attribute",
+// "number", "keyword", "type", "function" or "plain". Joining the texts gives
+// the source back.
+function tokenizeWGSL(source) {
+  const tokens = [];
+  let last = 0;
+  const push = (type, text) => {
+    if (text) tokens.push({ type, text });
+  };
+
+  for (const m of source.matchAll(WGSL_TOKEN)) {
+    push("plain", source.slice(last, m.index));
+    last = m.index + m[0].length;
+
+    if (m[1] || m[2]) push("comment", m[0]);
+    else if (m[3]) push("attribute", m[0]);
+    else if (m[4]) push("number", m[0]);
+    else if (WGSL_KEYWORDS.has(m[0])) push("keyword", m[0]);
+    else if (WGSL_TYPE.test(m[0])) push("type", m[0]);
+    // identifiers directly followed by "(" are calls or declarations
+    else if (/^\s*\(/.test(source.slice(last, last + 64))) push("function", m[0]);
+    else push("plain", m[0]);
+  }
+  push("plain", source.slice(last));
+  return tokens;
+}
+
+const escapeHTML = (text) =>
+  text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+
+// One HTML string per source line, tokens wrapped in <span class="wgsl-TYPE">.
+// Block comments are split so every line closes its own spans.
+function highlightWGSL(source) {
+  const lines = [""];
+  for (const token of tokenizeWGSL(source)) {
+    token.text.split("\n").forEach((part, i) => {
+      if (i > 0) lines.push("");
+      if (!part) return;
+      const html = escapeHTML(part);
+      lines[lines.length - 1] += token.type === "plain" ? html : `<span class="wgsl-${token.type}">${html}</span>`;
+    });
+  }
+  return lines;
+}
+
+//#endregion
+//#region Includes ---------------------------------------------------------------
+// `#include "file.wgsl"` on a line of its own is replaced by that file.
+// Paths are relative to the including file (the root file is relative to the
+// page); each file is included once, so two files can share a library, but a
+// file including itself through its own includes is an error.
+
+const INCLUDE_DIRECTIVE = /^\s*#include\b(.*)$/;
+const INCLUDE_PATH = /^\s*"([^"]+)"\s*$/;
+
+// Path of `name` included from file `from`, normalised ("lib/../a.wgsl" -> "a.wgsl")
+function resolveIncludePath(from, name) {
+  const base = name.startsWith("/") ? [] : from.split("/").slice(0, -1);
+  const parts = [];
+  for (const part of [...base, ...name.split("/")]) {
+    if (part === "..") parts.pop();
+    else if (part && part !== ".") parts.push(part);
+  }
+  return parts.join("/");
+}
+
+// Expands the includes of `source` (the text of file `fileName`).
+// loadFile(path) resolves to a file's text. Returns
+// { code, lineMap, files, errors }: lineMap[i] is the { file, line } that
+// line i + 1 of code came from, files maps every file read to its text, and
+// errors lists { file, line, message } for bad, missing or cyclic includes
+// (their lines are left out of code).
+async function preprocessWGSL(source, fileName, loadFile) {
+  const out = [];
+  const lineMap = [];
+  const files = new Map([[fileName, source]]);
+  const errors = [];
+
+  async function expand(file, text, stack) {
+    const lines = text.split("\n");
+    for (let i = 0; i < lines.length; i++) {
+      const directive = lines[i].match(INCLUDE_DIRECTIVE);
+      if (!directive) {
+        out.push(lines[i]);
+        lineMap.push({ file, line: i + 1 });
+        continue;
+      }
+
+      const error = (message) => errors.push({ file, line: i + 1, message });
+      const name = directive[1].match(INCLUDE_PATH)?.[1];
+      if (!name) {
+        error('expected #include "file.wgsl"');
+        continue;
+      }
+
+      const path = resolveIncludePath(file, name);
+      if (stack.includes(path)) {
+        error(`include cycle: ${[...stack, path].join(" -> ")}`);
+        continue;
+      }
+      if (files.has(path)) continue; // already included elsewhere
+
+      try {
+        files.set(path, await loadFile(path));
+      } catch (e) {
+        error(`cannot include "${path}": ${e.message}`);
+        continue;
+      }
+      await expand(path, files.get(path), [...stack, path]);
+    }
+  }
+
+  await expand(fileName, source, [fileName]);
+  return { code: out.join("\n"), lineMap, files, errors };
+}
+
+//#endregion
+//#region Diagnostics ------------------------------------------------------------
+
+// GPUCompilationInfo messages -> [{ line, column, type, message }] with line
+// counted in the editor's source (1-based). The compiled module starts with
+// lineOffset lines of prelude (vertex shader, Uniforms), which come out <= 0.
+// With the lineMap from preprocessWGSL, line and file point into the file the
+// line was included from.
+function mapCompilationMessages(messages, lineOffset, lineMap = null) {
+  return Array.from(messages, (m) => {
+    const line = m.lineNum - lineOffset;
+    const source = lineMap && line > 0 ? lineMap[line - 1] : null;
+    return {
+      line,
+      column: m.linePos,
+      type: m.type,
+      message: m.message,
+      ...source,
+    };
+  });
+}
+
+// Diagnostics grouped by editor line: Map(line -> [diagnostic]), errors first
+function diagnosticsByLine(diagnostics) {
+  const byLine = new Map();
+  const rank = (d) => (d.type === "error" ? 0 : 1);
+  for (const d of [...diagnostics].sort((a, b) => rank(a) - rank(b))) {
+    if (d.line <= 0) continue;
+    if (!byLine.has(d.line)) byLine.set(d.line, []);
+    byLine.get(d.line).push(d);
+  }
+  return byLine;
+}
+
+//#endregion